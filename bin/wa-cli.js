@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+// bin/wa-cli.js
+//
+// Command-line client for a running server, for operators working over SSH.
+// Every command goes through the server's HTTP API (lib/apiClient.js), so it
+// needs the server's address and an API key:
+//   --server URL    or WA_SERVER    (default http://localhost:$PORT, PORT 5000)
+//   --api-key KEY   or WA_API_KEY
+//
+// Output is a table or plain lines; with --json it is JSON for scripts - one
+// document per command, or one event per line for the streaming commands
+// (pair, tail, send --follow). Exit status: 0 done, 1 the server refused or a
+// tailed task did not complete, 2 bad usage.
+const path = require("path");
+const { parseArgs } = require("util");
+const qrcodeTerminal = require("qrcode-terminal");
+const { ApiClientError, createApiClient } = require("../lib/apiClient");
+
+const USAGE = `Usage: wa-cli [--server URL] [--api-key KEY] [--json] <command> [options]
+
+Commands:
+  sessions                          List your sessions
+  pair <number> [--qr] [--no-wait]  Pair a number: print the pairing code (or show the QR
+                                    with --qr) and wait until the session is connected
+  groups [--session ID]             List the groups of a session
+  tasks [--active] [--session ID]   List your tasks, newest first
+  send [options]                    Start a sending task
+      --to TARGET                   Number or group id (…@g.us)
+      --contacts FILE               CSV contact list instead of --to
+      --file FILE                   Messages: .txt one per line, .json / .yaml a message script
+      --text TEXT                   One message ({{placeholders}} filled from --contacts)
+      --media FILE                  Media to send first (repeatable)
+      --caption TEXT  --prefix TEXT
+      --delay SEC                   Seconds between messages (required)
+      --priority high|normal|low    Place in the session's queue
+      --session ID                  Session to send from (needed if you have several)
+      --dry-run                     Show what would be sent; nothing is sent
+      --follow                      Tail the task once it is started
+  tail <taskId>                     Follow a task's progress until it ends
+  pause|resume|stop <taskId>        Control a task
+`;
+
+const OPTIONS = {
+    server: { type: "string" },
+    "api-key": { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+    session: { type: "string" },
+    qr: { type: "boolean", default: false },
+    "no-wait": { type: "boolean", default: false },
+    active: { type: "boolean", default: false },
+    to: { type: "string" },
+    type: { type: "string" },
+    contacts: { type: "string" },
+    file: { type: "string" },
+    text: { type: "string" },
+    media: { type: "string", multiple: true },
+    caption: { type: "string" },
+    prefix: { type: "string" },
+    delay: { type: "string" },
+    priority: { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    follow: { type: "boolean", default: false }
+};
+
+class UsageError extends Error {}
+
+// Fixed-width columns; `columns` is [[heading, row => value], ...]
+function printTable(rows, columns) {
+    if (rows.length === 0) {
+        console.log("(none)");
+        return;
+    }
+    const cells = rows.map(row => columns.map(([, value]) => {
+        const cell = value(row);
+        return cell === undefined || cell === null ? "-" : String(cell);
+    }));
+    const widths = columns.map(([heading], i) => Math.max(heading.length, ...cells.map(line => line[i].length)));
+    const format = line => line.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+    console.log(format(columns.map(([heading]) => heading)));
+    cells.forEach(line => console.log(format(line)));
+}
+
+function formatEta(seconds) {
+    if (seconds === null || seconds === undefined) return "-";
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function progressLine(task) {
+    return `${task.processed}/${task.totalMessages} done · ${task.sentMessages} sent · ${task.failedMessages || 0} failed · `
+        + `${task.skippedMessages || 0} skipped`
+        + (task.endedAt ? "" : ` · ETA ${formatEta(task.etaSeconds)}`);
+}
+
+function taskState(task) {
+    if (task.paused) return "waiting for session";
+    if (task.pauseRequested) return "pausing";
+    if (task.stopRequested && !task.endedAt) return "stopping";
+    return task.status + (task.queuePosition ? ` (#${task.queuePosition})` : "");
+}
+
+function requireArg(value, name) {
+    if (!value) throw new UsageError(`Missing ${name}`);
+    return value;
+}
+
+function createCommands(client, { json }) {
+    const print = data => console.log(JSON.stringify(data, null, 2));
+    const printEvent = (event, data) => console.log(JSON.stringify({ event, ...data }));
+
+    // Follow a task to its end; resolves to its final status
+    async function tail(taskId) {
+        let finalStatus = null;
+        await client.streamTask(taskId, (event, { index, task }) => {
+            if (json) {
+                printEvent(event, { index, task });
+            } else {
+                const time = new Date().toLocaleTimeString();
+                const at = index === undefined ? "" : ` #${index + 1}`;
+                console.log(`[${time}] ${event}${at}: ${taskState(task)} · ${progressLine(task)}`);
+            }
+            if (task.endedAt) {
+                finalStatus = task.status;
+                return true;
+            }
+            return false;
+        });
+        return finalStatus;
+    }
+
+    return {
+        async sessions() {
+            const sessions = await client.listSessions();
+            if (json) return print({ sessions });
+            printTable(sessions, [
+                ["SESSION", s => s.sessionId],
+                ["NUMBER", s => s.number],
+                ["LABEL", s => s.label],
+                ["STATE", s => (s.loggedOut ? "logged out" : s.connected ? "connected" : "disconnected")],
+                ["LAST CONNECTED", s => s.lastConnected]
+            ]);
+        },
+
+        async pair([number], options) {
+            requireArg(number, "<number>");
+            const method = options.qr ? "qr" : "code";
+            const { session, pairingCode, alreadyPaired } = await client.pairSession(number, method);
+            if (json) {
+                printEvent("paired", { session, pairingCode, alreadyPaired });
+            } else if (alreadyPaired) {
+                console.log(`Session ${session.sessionId} is already paired${session.connected ? " and connected" : ""}.`);
+            } else {
+                console.log(`Session ${session.sessionId}`);
+                if (pairingCode) {
+                    console.log(`Pairing code: ${pairingCode}`);
+                    console.log("On the phone: WhatsApp > Linked devices > Link a device > Link with phone number instead.");
+                }
+            }
+            if (alreadyPaired || options["no-wait"]) return;
+
+            let shownQr = null;
+            let connected = false;
+            if (!json) console.log("Waiting for the phone... (Ctrl+C to stop waiting; pairing goes on on the server)");
+            await client.streamPairing(session.sessionId, (event, data) => {
+                if (json) printEvent(event, data);
+                const qr = event === "qr" || event === "state" ? data.qr : null;
+                if (qr && qr !== shownQr && method === "qr") {
+                    shownQr = qr;
+                    if (!json) {
+                        console.log("Scan with WhatsApp > Linked devices > Link a device:");
+                        qrcodeTerminal.generate(qr, { small: true }, text => console.log(text));
+                    }
+                }
+                if (event === "pairing-code" && !json) console.log(`New pairing code: ${data.code}`);
+                if (event === "pairing-code-expired") {
+                    if (!json) console.log("The pairing code expired; run pair again for a new one.");
+                    return true;
+                }
+                if (event === "connection" || event === "state") {
+                    if (data.connection === "open") {
+                        connected = true;
+                        if (!json) console.log("Connected.");
+                        return true;
+                    }
+                    if (event === "connection" && data.connection === "close" && !json) {
+                        console.log(`Connection closed${data.statusCode ? ` (${data.statusCode})` : ""}, the server retries...`);
+                    }
+                }
+                return false;
+            });
+            if (!connected) process.exitCode = 1;
+        },
+
+        async groups(args, options) {
+            const groups = await client.listGroups(options.session);
+            if (json) return print({ groups });
+            printTable(groups, [
+                ["GROUP ID", g => g.id],
+                ["NAME", g => g.name],
+                ["MEMBERS", g => g.participantsCount]
+            ]);
+        },
+
+        async tasks(args, options) {
+            const tasks = await client.listTasks({ active: options.active ? true : undefined, sessionId: options.session });
+            if (json) return print({ tasks });
+            printTable(tasks, [
+                ["TASK", t => t.id],
+                ["STATE", taskState],
+                ["TARGET", t => (t.recipients ? `${t.recipients.total} contacts` : t.targetJid)],
+                ["DONE", t => `${t.processed}/${t.totalMessages}`],
+                ["SENT", t => t.sentMessages],
+                ["FAILED", t => t.failedMessages || 0],
+                ["ETA", t => (t.endedAt ? null : formatEta(t.etaSeconds))],
+                ["STARTED", t => t.startedAt]
+            ]);
+        },
+
+        async send(args, options) {
+            if (!options.to && !options.contacts) throw new UsageError("Give --to or --contacts");
+            if (!options.file && !options.text && !options.media) throw new UsageError("Give --file, --text or --media");
+            const fields = {
+                sessionId: options.session,
+                target: options.to,
+                targetType: options.to ? options.type || (options.to.endsWith("@g.us") ? "group" : "number") : undefined,
+                delaySec: requireArg(options.delay, "--delay"),
+                template: options.text,
+                prefix: options.prefix,
+                caption: options.caption,
+                priority: options.priority,
+                dryRun: options["dry-run"] || undefined
+            };
+            const files = {
+                messageFile: options.file && path.resolve(options.file),
+                contactsFile: options.contacts && path.resolve(options.contacts),
+                mediaFiles: (options.media || []).map(file => path.resolve(file))
+            };
+            const result = await client.createTask(fields, files);
+
+            if (json) {
+                if (!options.follow || !result.task) return print(result);
+                printEvent("created", result);
+            } else if (result.preview) {
+                const preview = result.preview;
+                console.log(`Dry run - nothing was sent. Preview ${preview.token} (expires ${preview.expiresAt})`);
+                console.log(`${preview.totalMessages} message(s) to ${preview.recipients ? `${preview.recipients.length} contacts` : preview.targetJid}, `
+                    + `about ${formatEta(preview.estimatedDurationSec)}`);
+                printTable(preview.messages, [
+                    ["#", m => m.index + 1],
+                    ["TO", m => m.to],
+                    ["TYPE", m => m.type],
+                    ["MESSAGE", m => (m.text || m.fileName || "").replace(/\s+/g, " ").slice(0, 60)]
+                ]);
+            } else {
+                const task = result.task;
+                console.log(`Task ${task.id}: ${taskState(task)}, ${task.totalMessages} message(s) to `
+                    + `${task.recipients ? `${task.recipients.total} contacts` : task.targetJid}`);
+            }
+            if (!json && result.rejectedRows && result.rejectedRows.length) {
+                console.log(`${result.rejectedRows.length} contact row(s) skipped:`);
+                result.rejectedRows.forEach(row => console.log(`  row ${row.row}${row.number ? ` (${row.number})` : ""}: ${row.reason}`));
+            }
+            if (options.follow && result.task) {
+                const status = await tail(result.task.id);
+                if (status !== "completed") process.exitCode = 1;
+            }
+        },
+
+        async tail([taskId]) {
+            const status = await tail(requireArg(taskId, "<taskId>"));
+            if (status !== "completed") process.exitCode = 1;
+        }
+    };
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        throw new UsageError(err.message);
+    }
+    const { values: options, positionals } = parsed;
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const apiKey = options["api-key"] || process.env.WA_API_KEY;
+    if (!apiKey) throw new UsageError("Give the API key with --api-key or WA_API_KEY");
+    const client = createApiClient({
+        baseUrl: options.server || process.env.WA_SERVER || `http://localhost:${process.env.PORT || 5000}`,
+        apiKey
+    });
+    const commands = createCommands(client, { json: options.json });
+
+    if (["pause", "resume", "stop"].includes(command)) {
+        const { task } = await client.controlTask(requireArg(args[0], "<taskId>"), command);
+        if (options.json) console.log(JSON.stringify({ task }, null, 2));
+        else console.log(`Task ${task.id}: ${taskState(task)}`);
+        return;
+    }
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) throw new UsageError(`Unknown command: ${command}`);
+    await commands[command](args, options);
+}
+
+// Ctrl+C while following a stream just stops following
+process.on("SIGINT", () => process.exit(130));
+
+main(process.argv.slice(2)).catch(err => {
+    if (err instanceof UsageError) {
+        console.error(`${err.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (err instanceof ApiClientError) {
+        console.error(`Error: ${err.message}${err.code ? ` (${err.code})` : ""}`);
+        process.exit(1);
+    }
+    console.error(err);
+    process.exit(1);
+});
@@ -2,209 +2,674 @@
 const express = require("express");
 const fs = require("fs");
 const path = require("path");
-const pino = require("pino");
+const { EventEmitter } = require("events");
 const multer = require("multer");
+const { createBaileysTransport } = require("./lib/transport");
+const { createFakeTransport } = require("./lib/fakeTransport");
+const { AUTH_COOKIE, createUserStore, createAuthMiddleware, ownsResource } = require("./lib/auth");
+const { createAuditLog } = require("./lib/audit");
+const { createTaskStore, TASK_STATUS } = require("./lib/taskStore");
+const { createTaskRunner } = require("./lib/taskRunner");
+const { DEFAULT_PRIORITY, TASK_PRIORITIES } = require("./lib/taskQueue");
+const { createSessionRegistry } = require("./lib/sessionRegistry");
+const { createPairingTracker } = require("./lib/pairing");
+const { createSuppressionList } = require("./lib/suppression");
+const { attachOptOutHandler } = require("./lib/optOut");
+const { normalizeJid } = require("./lib/waMessage");
+const { createSendLedger, createSendPolicy, validatePolicy } = require("./lib/sendPolicy");
+const { createMessageReports } = require("./lib/messageReports");
+const { addressMessage, buildContactMessages, parseContacts } = require("./lib/contacts");
+const { ScriptError, entryDelaySec, parseMessageScript, scriptFormat } = require("./lib/messageScript");
+const { createRecipientChecker, parseNumber } = require("./lib/recipients");
+const { createScheduler, OFFLINE_POLICIES, resolveTiming } = require("./lib/scheduler");
+const { createPreviewStore, describePreview, newPreviewToken } = require("./lib/previews");
+const { createWebhooks } = require("./lib/webhooks");
+const { BUILTIN_PLUGINS_DIR, createBot, loadPluginDir } = require("./lib/bot");
+const { createMetrics } = require("./lib/metrics");
+const { createMessageStore } = require("./lib/messageStore");
+const { createAuthCipher, encryptPlainFiles, openBundle, readAuthFiles, sealBundle, writeAuthFiles } = require("./lib/authState");
+const { DISCONNECT_ACTIONS, classifyDisconnect, reconnectDelayMs, retriesExhausted } = require("./lib/reconnect");
+const { logger } = require("./lib/logger");
+const { ApiError, apiErrorHandler, toErrorResponse, validate } = require("./lib/api");
 const {
-    makeInMemoryStore,
-    useMultiFileAuthState,
-    delay,
-    makeCacheableSignalKeyStore,
-    Browsers,
-    fetchLatestBaileysVersion,
-    makeWASocket,
-    isJidBroadcast,
-    DisconnectReason
-} = require("@whiskeysockets/baileys");
+    MAX_MEDIA_FILES,
+    MAX_UPLOAD_BYTES,
+    UPLOADS_DIR,
+    cleanupTaskUploads,
+    copyTaskMedia,
+    readThumbnail,
+    removeFile,
+    storeTaskMedia,
+    sweepUploads,
+    validateMediaFile
+} = require("./lib/media");
+const { delay } = require("./lib/utils");
+const { SEND_TASK_BODY } = require("./routes/tasks");
+const apiV1Router = require("./routes/apiV1");
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const DATA_DIR = process.env.DATA_DIR || "data";
 
 // Create necessary directories
 if (!fs.existsSync("sessions")) {
     fs.mkdirSync("sessions");
 }
-if (!fs.existsSync("uploads")) {
-    fs.mkdirSync("uploads");
+if (!fs.existsSync(UPLOADS_DIR)) {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 }
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+const MAX_REJECTED_ROWS_SHOWN = 20;
+const MAX_PREVIEW_MESSAGES_SHOWN = 100;
 
-const upload = multer({ dest: "uploads/" });
+const upload = multer({ dest: UPLOADS_DIR, limits: { fileSize: MAX_UPLOAD_BYTES } });
+const sendMessageUpload = upload.fields([
+    { name: "messageFile", maxCount: 1 },
+    { name: "mediaFiles", maxCount: MAX_MEDIA_FILES },
+    { name: "thumbnail", maxCount: 1 },
+    { name: "contactsFile", maxCount: 1 }
+]);
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// GET routes that change something: /code pairs a number and opens a socket
+const GETS_WITH_SIDE_EFFECTS = new Set(["/code"]);
+
+// While shutting down only reads are served; nothing new may start
+app.use((req, res, next) => {
+    const readOnly = ["GET", "HEAD"].includes(req.method) && !GETS_WITH_SIDE_EFFECTS.has(req.path);
+    if (!shuttingDown || readOnly) return next();
+    res.set("Connection", "close");
+    if (req.path.startsWith(apiV1Router.BASE_PATH)) {
+        return apiErrorHandler(new ApiError(503, "shutting_down", "Server is shutting down"), req, res, next);
+    }
+    res.status(503).json({ error: "Server is shutting down" });
+});
+
+// Accounts, API keys and the audit trail
+const userStore = createUserStore(path.join(DATA_DIR, "users.json"));
+const auditLog = createAuditLog(path.join(DATA_DIR, "audit.log"));
+const { optionalAuth, requireAuth, requireAdmin } = createAuthMiddleware(userStore);
+
+if (process.env.ADMIN_API_KEY) {
+    userStore.ensureAdmin(process.env.ADMIN_API_KEY);
+} else if (userStore.size === 0) {
+    const { apiKey } = userStore.create({ name: "admin", admin: true });
+    logger.info({ apiKey }, "Created admin account. The API key is shown once");
+}
+
 // Store active client instances and tasks
-const activeClients = new Map(); // sessionId -> { client, number, authPath, connected, lastConnected, retryCount }
-const activeTasks = new Map();   // taskId -> taskInfo
+const activeClients = new Map(); // sessionId -> { client, number, owner, authPath, connected, lastConnected, retryCount }
+const activeTasks = new Map();   // taskId -> taskInfo (includes owner)
+
+// Encrypts sessions/<id> at rest when AUTH_ENCRYPTION_KEY is set (null otherwise)
+const authCipher = createAuthCipher();
+
+// Owner, number and label of every session, so sessions/ can be restored on startup
+const sessionRegistry = createSessionRegistry(path.join(DATA_DIR, "sessions.json"));
+
+// Process-wide bus for socket events, so feature modules never touch sockets directly
+const sessionEvents = new EventEmitter();
+sessionEvents.setMaxListeners(0);
+
+// QR / pairing-code / connection state per session, streamed to the browser
+const pairing = createPairingTracker(sessionEvents);
 
-// Auto-reconnect configuration
-const MAX_RETRIES = 1000; // Unlimited retries in practice
-const RECONNECT_INTERVAL = 10000; // 10 seconds
+// Recipients who must not be messaged, per owner (opt-out keywords or manual)
+const suppression = createSuppressionList(path.join(DATA_DIR, "suppression.json"));
+
+// Incoming STOP / START style replies update the suppression list
+attachOptOutHandler({ sessionEvents, sessionRegistry, suppression, auditLog });
+
+// Per-session sending limits and the ledger of sends they are counted against
+const sendPolicy = createSendPolicy({
+    sessionRegistry,
+    ledger: createSendLedger(path.join(DATA_DIR, "send-ledger.json"))
+});
+
+// Send targets are checked before a task exists: numbers on WhatsApp, groups joined
+const recipientChecker = createRecipientChecker({ activeClients });
+sessionEvents.on("groups.update", sessionId => recipientChecker.forgetGroups(sessionId));
+sessionEvents.on("group-participants.update", sessionId => recipientChecker.forgetGroups(sessionId));
+
+// Tasks are journaled to disk so they survive restarts (see lib/taskStore.js)
+const taskStore = createTaskStore(path.join(DATA_DIR, "tasks"));
+
+// Per-message queued / sent / delivered / read / failed state, fed by receipts
+const reports = createMessageReports({ taskStore, sessionEvents });
+
+// Signed webhook deliveries of incoming messages, receipts, group and connection events
+const webhooks = createWebhooks({
+    file: path.join(DATA_DIR, "webhooks.json"),
+    deadLetterFile: path.join(DATA_DIR, "webhook-dead-letters.log"),
+    sessionEvents
+});
+
+// Chats, contacts and messages each session has seen; feeds getMessage and the history endpoints
+const messageStore = createMessageStore({
+    dir: path.join(DATA_DIR, "messages"),
+    sessionEvents,
+    sessionRegistry
+});
+
+// Chat commands (!help, !status, !faq ...) answered by the plugins each session enables.
+// Extra plugins can be dropped into BOT_PLUGINS_DIR.
+const bot = createBot({
+    sessionEvents,
+    sessionRegistry,
+    activeClients,
+    getSessionStatus: sessionId => ({
+        session: describeSession(sessionRegistry.get(sessionId)),
+        runningTasks: [...activeTasks.values()]
+            .filter(t => t.sessionId === sessionId && t.status === TASK_STATUS.RUNNING).length
+    }),
+    plugins: [...loadPluginDir(BUILTIN_PLUGINS_DIR), ...loadPluginDir(process.env.BOT_PLUGINS_DIR)]
+});
 
-// Helper: ensure a proper jid for numbers (assumes full international number without +)
-function toNumberJid(number) {
-    // If it already includes @, return as is
-    if (number.includes("@")) return number;
-    // Baileys expects  -> <number>@s.whatsapp.net or <number>@c.us depending on older libs.
-    return `${number}@s.whatsapp.net`;
+// Task progress events ("task": { type, task, index? }) for the SSE streams
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+
+// Prometheus metrics for GET /metrics
+const metrics = createMetrics({ activeClients, activeTasks, sessionRegistry, taskEvents });
+
+const {
+    enqueue,
+    requestStop,
+    pauseTask,
+    resumeTask,
+    moveTask,
+    queueOf,
+    restoreTasks,
+    resumeTasksForSession,
+    suspendAll,
+    persist: persistTask
+} = createTaskRunner({ activeClients, activeTasks, taskStore, suppression, sendPolicy, reports, taskEvents, messageStore });
+
+// One-off and cron schedules; each run becomes a normal task (see lib/scheduler.js)
+const scheduler = createScheduler({
+    file: path.join(DATA_DIR, "schedules.json"),
+    messagesDir: path.join(DATA_DIR, "schedules"),
+    runSchedule,
+    isSessionOnline: sessionId => Boolean(activeClients.get(sessionId)?.connected),
+    onRetired: schedule => cleanupTaskUploads(schedule.id)
+});
+
+// Dry-run sends kept until they are committed or expire (see lib/previews.js)
+const previews = createPreviewStore(path.join(DATA_DIR, "previews"), {
+    onExpired: preview => cleanupTaskUploads(preview.token)
+});
+
+const PAIRING_SETTLE_MS = Number(process.env.PAIRING_SETTLE_MS ?? 2000);
+const KEEP_ALIVE_INTERVAL_MS = 5 * 60 * 1000;
+// How long shutdown waits for send loops to reach a safe point
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 15000;
+
+// sessionId -> pending reconnect timer
+const reconnectTimers = new Map();
+
+// Set by SIGTERM / SIGINT: no new tasks, no reconnects (see shutdown())
+let shuttingDown = false;
+// Set once startup has restored the sessions; /readyz answers 503 before that
+let startupComplete = false;
+
+// Socket events re-emitted on sessionEvents as (sessionId, payload)
+const FORWARDED_EVENTS = [
+    "connection.update",
+    "messages.upsert",
+    "messages.update",
+    "message-receipt.update",
+    "groups.update",
+    "group-participants.update",
+    "messaging-history.set",
+    "messages.delete",
+    "chats.upsert",
+    "chats.update",
+    "chats.delete",
+    "contacts.upsert",
+    "contacts.update"
+];
+
+// Socket factory - Baileys by default, swappable for the in-process fake (see lib/fakeTransport.js)
+let transport = null;
+
+function getTransport() {
+    if (!transport) {
+        transport = process.env.WA_TRANSPORT === "fake"
+            ? createFakeTransport({ autoOpen: true })
+            : createBaileysTransport({ authCipher });
+    }
+    return transport;
+}
+
+function setTransport(nextTransport) {
+    transport = nextTransport;
+}
+
+// Helper: escape user-controlled text before it goes into an HTML fragment
+function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, ch => ({
+        "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;"
+    })[ch]);
+}
+
+// Helper: user-supplied number or JID -> normalized JID (null when there is nothing usable).
+// Numbers are parsed as E.164, in DEFAULT_COUNTRY when they have no country code.
+function toTargetJid(target) {
+    if (typeof target !== "string") return null;
+    if (target.includes("@")) return normalizeJid(target.trim());
+    const phone = parseNumber(target);
+    return phone ? phone.jid : null;
 }
 
 // Enhanced connection handler
-async function initializeClient(sessionId, phoneNumber, isReconnect = false) {
+async function initializeClient(sessionId, phoneNumber, isReconnect = false, owner = null) {
     try {
+        const log = logger.child({ sessionId });
         const sessionPath = path.join("sessions", sessionId);
+        const { DisconnectReason } = getTransport();
 
-        if (!fs.existsSync(sessionPath)) {
-            fs.mkdirSync(sessionPath, { recursive: true });
-        }
-
-        const { state, saveCreds } = await useMultiFileAuthState(sessionPath);
-        const { version } = await fetchLatestBaileysVersion();
-
-        const waClient = makeWASocket({
-            version,
-            auth: {
-                creds: state.creds,
-                keys: makeCacheableSignalKeyStore(state.keys, pino().child({ level: "fatal" }))
-            },
-            printQRInTerminal: false,
-            logger: pino({ level: "fatal" }),
-            browser: Browsers.ubuntu('Chrome'),
-            syncFullHistory: true,
-            generateHighQualityLinkPreview: true,
-            shouldIgnoreJid: jid => isJidBroadcast(jid),
-            getMessage: async key => ({}),
-            markOnlineOnConnect: true,
-            connectTimeoutMs: 60000,
-            keepAliveIntervalMs: 30000,
-            retryRequestDelayMs: 1000,
-            maxRetries: 10,
-            emitOwnEvents: true,
-            defaultQueryTimeoutMs: 60000,
-            transactionOpts: {
-                maxCommitRetries: 10,
-                delayBetweenTriesMs: 3000
-            }
+        if (owner) {
+            sessionRegistry.register({ sessionId, number: phoneNumber, owner });
+        }
+
+        const { socket: waClient, saveCreds } = await getTransport().createSocket({
+            sessionId,
+            sessionPath,
+            // Retries and poll votes need the original message content
+            getMessage: async key => messageStore.getMessage(sessionId, key)
         });
 
         // Save credentials automatically
         waClient.ev.on("creds.update", saveCreds);
 
+        // The newest socket is the one to end (and whose creds to flush) on shutdown
+        if (isReconnect && activeClients.has(sessionId)) {
+            activeClients.set(sessionId, { ...activeClients.get(sessionId), client: waClient, saveCreds });
+        }
+
+        // Fan socket events out to the process-wide bus
+        for (const event of FORWARDED_EVENTS) {
+            waClient.ev.on(event, payload => sessionEvents.emit(event, sessionId, payload));
+        }
+
         // Enhanced connection update handler
         waClient.ev.on("connection.update", async (update) => {
             const { connection, lastDisconnect, qr } = update;
 
-            console.log([sessionId], "Connection update:", connection);
+            if (connection) log.debug({ connection }, "Connection update");
 
             if (connection === "open") {
-                console.log(`✅ WhatsApp CONNECTED for ${phoneNumber} | Session: ${sessionId}`);
+                log.info({ number: phoneNumber }, "WhatsApp connected");
 
                 // Update client in active clients
                 activeClients.set(sessionId, {
+                    ...activeClients.get(sessionId),
                     client: waClient,
                     number: phoneNumber,
                     authPath: sessionPath,
                     connected: true,
                     lastConnected: new Date(),
-                    retryCount: 0
+                    retryCount: 0,
+                    nextRetryAt: null
                 });
+                sessionRegistry.update(sessionId, { paired: true, halted: null, lastConnected: new Date().toISOString() });
+
+                // Start what queued up or was interrupted while this session was away
+                resumeTasksForSession(sessionId);
 
             } else if (connection === "close") {
-                const statusCode = lastDisconnect?.error?.output?.statusCode;
-                const shouldReconnect =
-                    statusCode !== DisconnectReason.loggedOut &&
-                    statusCode !== 401;
-
-                if (shouldReconnect) {
-                    const clientInfo = activeClients.get(sessionId) || {};
-                    const retryCount = clientInfo.retryCount || 0;
-
-                    if (retryCount < MAX_RETRIES) {
-                        console.log(`🔄 Reconnecting... Attempt ${retryCount + 1} for ${sessionId}`);
-
-                        activeClients.set(sessionId, {
-                            ...clientInfo,
-                            connected: false,
-                            retryCount: retryCount + 1
-                        });
-
-                        // Reconnect after delay
-                        setTimeout(() => {
-                            initializeClient(sessionId, phoneNumber, true)
-                                .catch(err => console.error(`Re-init error for ${sessionId}:`, err));
-                        }, RECONNECT_INTERVAL);
-
-                    } else {
-                        console.log(`❌ Max retries reached for ${sessionId}`);
-                    }
-                } else {
-                    console.log(`❌ Session logged out: ${sessionId}`);
+                // Logged out or deleted through the API, or shutting down: nothing to reconnect
+                if (isSessionRetired(sessionId)) {
+                    log.info("Session closed (retired)");
                     activeClients.delete(sessionId);
+                    return;
                 }
+                if (shuttingDown) return;
+
+                handleDisconnect(sessionId, phoneNumber, lastDisconnect?.error?.output?.statusCode, DisconnectReason);
             }
 
             // Handle QR code for new connections
             if (qr && !isReconnect) {
-                console.log(`📱 QR Code received for ${phoneNumber}`);
-                // You might want to emit or save the QR to a file for user to scan.
+                // The pairing tracker renders it for the browser (GET /api/v1/sessions/{id}/events)
+                log.info({ number: phoneNumber }, "QR code received");
             }
         });
 
-        // Minimal messages.upsert handler (so Baileys works properly)
-        waClient.ev.on("messages.upsert", () => {
-            // No-op keep-alive for message events here
-        });
-
         // Store client information if first initialization
         if (!isReconnect) {
             activeClients.set(sessionId, {
                 client: waClient,
                 number: phoneNumber,
+                owner,
                 authPath: sessionPath,
                 connected: false,
                 lastConnected: null,
-                retryCount: 0
+                retryCount: 0,
+                saveCreds
             });
         }
 
         return waClient;
 
     } catch (error) {
-        console.error(`❌ Error initializing client ${sessionId}:`, error);
+        logger.error({ err: error, sessionId }, "Could not initialize client");
 
         // Retry on initialization error if we have a clientInfo
-        const clientInfo = activeClients.get(sessionId);
-        if (clientInfo) {
-            const retryCount = clientInfo.retryCount || 0;
-            if (retryCount < MAX_RETRIES) {
-                console.log(`🔄 Retrying initialization for ${sessionId}...`);
-                setTimeout(() => {
-                    initializeClient(sessionId, phoneNumber, true)
-                        .catch(err => console.error(`Retry init error for ${sessionId}:`, err));
-                }, RECONNECT_INTERVAL);
-            }
+        if (activeClients.has(sessionId) && !shuttingDown) {
+            scheduleReconnect(sessionId, phoneNumber);
         }
 
         throw error;
     }
 }
 
-// Keep alive mechanism - Ping every 5 minutes
-setInterval(() => {
-    activeClients.forEach((clientInfo, sessionId) => {
-        if (clientInfo.connected && clientInfo.client) {
-            try {
-                // Send a small presence update to keep connection alive
-                clientInfo.client.sendPresenceUpdate('available');
-                console.log(`❤️  Keep-alive ping for ${sessionId}`);
-            } catch (error) {
-                console.log(`❌ Keep-alive failed for ${sessionId}`, error?.message || "");
-            }
+// Next reconnect attempt with backoff; gives up after RECONNECT_MAX_ATTEMPTS (if set)
+function scheduleReconnect(sessionId, phoneNumber) {
+    const clientInfo = activeClients.get(sessionId) || {};
+    const attempt = (clientInfo.retryCount || 0) + 1;
+    if (retriesExhausted(attempt)) {
+        logger.error({ sessionId, retries: attempt - 1 }, "Max reconnect attempts reached");
+        haltSession(sessionId, "max reconnect attempts reached");
+        return;
+    }
+
+    const wait = reconnectDelayMs(attempt);
+    logger.warn({ sessionId, attempt, retryInMs: wait }, "Reconnecting");
+    metrics.recordReconnect(sessionId);
+    activeClients.set(sessionId, {
+        ...clientInfo,
+        connected: false,
+        retryCount: attempt,
+        nextRetryAt: new Date(Date.now() + wait)
+    });
+
+    clearTimeout(reconnectTimers.get(sessionId));
+    reconnectTimers.set(sessionId, setTimeout(() => {
+        reconnectTimers.delete(sessionId);
+        if (isSessionRetired(sessionId) || shuttingDown) return;
+        initializeClient(sessionId, phoneNumber, true)
+            .catch(err => logger.error({ err, sessionId }, "Reconnect failed"));
+    }, wait));
+}
+
+// Stop reconnecting until someone reconnects the session by hand (POST /api/v1/sessions/{id}/reconnect)
+function haltSession(sessionId, reason) {
+    clearTimeout(reconnectTimers.get(sessionId));
+    reconnectTimers.delete(sessionId);
+    activeClients.delete(sessionId);
+    sessionRegistry.update(sessionId, { halted: { reason, at: new Date().toISOString() } });
+}
+
+// A socket closed: reconnect, re-pair or stay down depending on why (see lib/reconnect.js)
+function handleDisconnect(sessionId, phoneNumber, statusCode, DisconnectReason) {
+    const { action, reason } = classifyDisconnect(statusCode, DisconnectReason);
+    const log = logger.child({ sessionId });
+    sessionRegistry.update(sessionId, {
+        lastDisconnect: { reason, statusCode: statusCode ?? null, action, at: new Date().toISOString() }
+    });
+
+    switch (action) {
+    case DISCONNECT_ACTIONS.RESTART:
+        log.info({ reason }, "WhatsApp asked for a restart, reconnecting now");
+        // Down until the new socket opens, so nothing is sent through it before then
+        if (activeClients.has(sessionId)) {
+            activeClients.set(sessionId, { ...activeClients.get(sessionId), connected: false });
+        }
+        initializeClient(sessionId, phoneNumber, true)
+            .catch(err => log.error({ err }, "Restart failed"));
+        break;
+    case DISCONNECT_ACTIONS.LOGOUT:
+        // The credentials are dead; the number can be paired again through /code
+        log.warn({ reason, statusCode }, "Session logged out by WhatsApp");
+        sessionRegistry.update(sessionId, { loggedOut: true, paired: false, loggedOutAt: new Date().toISOString() });
+        stopTasksForSession(sessionId);
+        activeClients.delete(sessionId);
+        fs.rmSync(path.join("sessions", sessionId), { recursive: true, force: true });
+        break;
+    case DISCONNECT_ACTIONS.HALT:
+        log.error({ reason, statusCode }, "Session closed and will not reconnect on its own");
+        haltSession(sessionId, reason);
+        break;
+    default:
+        log.warn({ reason, statusCode }, "Connection closed");
+        scheduleReconnect(sessionId, phoneNumber);
+    }
+}
+
+// Bring a halted or dropped session back by hand
+async function reconnectSession(sessionId) {
+    const record = sessionRegistry.get(sessionId);
+    const live = activeClients.get(sessionId);
+    if (live && live.connected) return false;
+    clearTimeout(reconnectTimers.get(sessionId));
+    reconnectTimers.delete(sessionId);
+    sessionRegistry.update(sessionId, { halted: null });
+    if (live) {
+        activeClients.set(sessionId, { ...live, retryCount: 0, nextRetryAt: null });
+        await initializeClient(sessionId, record.number, true);
+    } else {
+        await initializeClient(sessionId, record.number, false, record.owner);
+    }
+    return true;
+}
+
+// A session is retired once it is deleted or logged out through the API
+function isSessionRetired(sessionId) {
+    const record = sessionRegistry.get(sessionId);
+    return !record || Boolean(record.loggedOut);
+}
+
+// Registry entry merged with the live connection state
+function describeSession(record) {
+    const live = activeClients.get(record.sessionId);
+    return {
+        ...record,
+        connected: Boolean(live && live.connected),
+        lastConnected: (live && live.lastConnected) || record.lastConnected || null,
+        retryCount: live ? live.retryCount : 0,
+        nextRetryAt: (live && live.nextRetryAt) || null
+    };
+}
+
+// Resolve the session a request acts on: an explicit sessionId, or the caller's only session
+function resolveSession(user, sessionId) {
+    if (sessionId) {
+        const clientInfo = activeClients.get(sessionId);
+        if (!clientInfo || !clientInfo.client || !ownsResource(user, clientInfo)) {
+            return { error: `Session ${sessionId} not found` };
+        }
+        return { sessionId, clientInfo };
+    }
+
+    const own = [...activeClients.entries()].filter(([, c]) => c.client && ownsResource(user, c));
+    if (own.length === 1) {
+        return { sessionId: own[0][0], clientInfo: own[0][1] };
+    }
+    return {
+        error: own.length === 0
+            ? "No active WhatsApp session found"
+            : "You have several sessions - choose one with sessionId"
+    };
+}
+
+// Stop the session's running tasks; they cannot continue without it
+function stopTasksForSession(sessionId) {
+    activeTasks.forEach(task => {
+        if (task.sessionId === sessionId) requestStop(task);
+    });
+}
+
+// Unlink the device and drop its credentials; the registry entry stays so the number can re-pair
+async function logoutSession(sessionId) {
+    sessionRegistry.update(sessionId, { loggedOut: true, paired: false, loggedOutAt: new Date().toISOString() });
+    stopTasksForSession(sessionId);
+
+    const clientInfo = activeClients.get(sessionId);
+    activeClients.delete(sessionId);
+    if (clientInfo && clientInfo.client) {
+        try {
+            await clientInfo.client.logout();
+        } catch (err) {
+            logger.warn({ err, sessionId }, "Logout failed, closing the socket instead");
+            clientInfo.client.end(undefined);
+        }
+    }
+    fs.rmSync(path.join("sessions", sessionId), { recursive: true, force: true });
+}
+
+// Log out and forget the session entirely, including its sessions/<id> auth folder
+async function deleteSession(sessionId) {
+    await logoutSession(sessionId);
+    scheduler.list({ sessionId }).forEach(schedule => scheduler.cancel(schedule.id));
+    webhooks.removeForSession(sessionId);
+    messageStore.removeSession(sessionId);
+    sessionRegistry.remove(sessionId);
+    pairing.forget(sessionId);
+}
+
+// The session's credentials sealed with `passphrase` (see lib/authState.js), for
+// POST /api/v1/sessions/{id}/export. Registry settings travel along; the owner does not.
+async function exportSession(sessionId, passphrase) {
+    const record = sessionRegistry.get(sessionId);
+    if (record.loggedOut) {
+        throw new ApiError(409, "session_logged_out", "Session is logged out - there is nothing to export");
+    }
+    const clientInfo = activeClients.get(sessionId);
+    if (clientInfo && clientInfo.saveCreds) await clientInfo.saveCreds();
+
+    const files = readAuthFiles(path.join("sessions", sessionId), authCipher);
+    if (!files["creds.json"]) {
+        throw new ApiError(409, "no_credentials", "Session has no stored credentials - pair it first");
+    }
+    const { number, label, policy, history } = record;
+    try {
+        return await sealBundle({ session: { sessionId, number, label, policy, history }, files }, passphrase);
+    } catch (err) {
+        throw new ApiError(400, "validation_failed", err.message);
+    }
+}
+
+// Recreate an exported session for `user` and connect it. The same credentials
+// must not stay online on the old host too: WhatsApp would replace one of them.
+async function importSession(user, bundle, passphrase) {
+    let contents;
+    try {
+        contents = await openBundle(bundle, passphrase);
+    } catch (err) {
+        throw new ApiError(400, "invalid_bundle", err.message);
+    }
+    const { session, files } = contents;
+    const number = String(session.number || "").replace(/[^0-9]/g, "") || null;
+    const sessionId = /^[\w-]+$/.test(session.sessionId || "")
+        ? session.sessionId
+        : `perm_${number || "imported"}_${Date.now()}`;
+
+    if (sessionRegistry.get(sessionId)) {
+        throw new ApiError(409, "session_exists", `Session ${sessionId} already exists on this server`);
+    }
+    const sameNumber = number && sessionRegistry.findByNumber(user.id, number);
+    if (sameNumber && !sameNumber.loggedOut) {
+        throw new ApiError(409, "session_exists", `Number ${number} is already paired as ${sameNumber.sessionId}`);
+    }
+    // The bundle may come from anywhere: its policy gets the checks of PUT /policy
+    let policy = null;
+    if (session.policy) {
+        try {
+            policy = validatePolicy(session.policy, toTargetJid);
+        } catch (err) {
+            throw new ApiError(400, "invalid_policy", `Bundle policy: ${err.message}`);
         }
+    }
+
+    writeAuthFiles(path.join("sessions", sessionId), files, authCipher);
+    sessionRegistry.register({ sessionId, number, owner: user.id, label: session.label || null });
+    sessionRegistry.update(sessionId, {
+        paired: true,
+        importedAt: new Date().toISOString(),
+        ...(policy ? { policy } : {}),
+        ...(session.history ? { history: session.history } : {})
     });
-}, 300000); // 5 minutes
+
+    try {
+        await initializeClient(sessionId, number, false, user.id);
+    } catch (err) {
+        // The credentials are in place; startup or POST /api/v1/sessions/{id}/reconnect retries
+        logger.warn({ err, sessionId }, "Imported session could not connect yet");
+    }
+    return sessionRegistry.get(sessionId);
+}
+
+// Startup: reconnect every paired session from the registry, and adopt
+// sessions/<id> folders created before the registry existed
+async function restoreSessions() {
+    const legacyOwner = process.env.LEGACY_SESSION_OWNER
+        || (userStore.list().find(u => u.admin) || {}).id
+        || null;
+
+    if (fs.existsSync("sessions")) {
+        for (const sessionId of fs.readdirSync("sessions")) {
+            const dir = path.join("sessions", sessionId);
+            if (!fs.statSync(dir).isDirectory()) continue;
+            // Also covers sessions that will not be loaded now (halted, never paired)
+            if (authCipher) {
+                const converted = encryptPlainFiles(dir, authCipher);
+                if (converted > 0) logger.info({ sessionId, files: converted }, "Encrypted session credentials");
+            }
+            if (sessionRegistry.get(sessionId)) continue;
+            if (!fs.existsSync(path.join(dir, "creds.json"))) continue;
+
+            const match = sessionId.match(/^perm_(\d+)_/);
+            sessionRegistry.register({ sessionId, number: match ? match[1] : null, owner: legacyOwner });
+            sessionRegistry.update(sessionId, { paired: true });
+            logger.info({ sessionId }, "Adopted legacy session folder");
+        }
+    }
+
+    // Halted sessions (replaced elsewhere, forbidden) wait for POST /api/v1/sessions/{id}/reconnect
+    const restorable = sessionRegistry.list().filter(s => s.paired && !s.loggedOut && !s.halted);
+    for (const record of restorable) {
+        if (activeClients.has(record.sessionId)) continue;
+        try {
+            await initializeClient(record.sessionId, record.number, false, record.owner);
+            logger.info({ sessionId: record.sessionId }, "Restoring session");
+        } catch (err) {
+            logger.error({ err, sessionId: record.sessionId }, "Could not restore session");
+        }
+    }
+    startupComplete = true;
+    return restorable.length;
+}
+
+// Keep alive mechanism - Ping every 5 minutes
+function startKeepAlive() {
+    return setInterval(() => {
+        activeClients.forEach((clientInfo, sessionId) => {
+            if (!clientInfo.connected || !clientInfo.client) return;
+            // Send a small presence update to keep connection alive
+            Promise.resolve()
+                .then(() => clientInfo.client.sendPresenceUpdate("available"))
+                .then(() => logger.debug({ sessionId }, "Keep-alive ping"))
+                .catch(err => logger.warn({ err, sessionId }, "Keep-alive failed"));
+        });
+    }, KEEP_ALIVE_INTERVAL_MS);
+}
 
 // Home page (your HTML)
-app.get("/", (req, res) => {
+app.get("/", optionalAuth, (req, res) => {
+    const user = req.user;
+    const mySessions = [...activeClients.values()].filter(c => ownsResource(user, c)).length;
+    const myTasks = [...activeTasks.values()].filter(t => ownsResource(user, t)).length;
+    const sessionOptions = (user ? sessionRegistry.list({ owner: user.id }) : [])
+        .filter(s => !s.loggedOut)
+        .map(s => `<option value="${escapeHtml(s.sessionId)}">${escapeHtml(s.label || s.number)} (${escapeHtml(s.sessionId)})</option>`)
+        .join("");
+
     res.send(`
     <html>
     <head>
@@ -222,6 +687,31 @@ app.get("/", (req, res) => {
         margin: 0;
     }
     /* kept minimal here for brevity; use original CSS if you want full styling */
+    .task-row {
+        text-align: left;
+        font-size: 16px;
+        padding: 10px 0;
+        border-bottom: 1px solid rgba(116, 238, 21, 0.3);
+    }
+    .progress {
+        height: 10px;
+        margin: 6px 0;
+        background: rgba(255, 255, 255, 0.1);
+        border-radius: 5px;
+        overflow: hidden;
+    }
+    .progress-bar {
+        height: 100%;
+        background: #74ee15;
+        transition: width 0.3s;
+    }
+    .field-label {
+        display: block;
+        text-align: left;
+        font-size: 14px;
+        margin-top: 8px;
+        color: #cfe8ff;
+    }
     </style>
     </head>
     <body>
@@ -229,6 +719,18 @@ app.get("/", (req, res) => {
         <h1>WP NON LODER❤️YADAV RULEXX INXIDE 💙</h1>
         <div class="permanent-badge">🔰 PERMANENT CONNECTION - 24/7 ONLINE</div>
 
+        <div class="box">
+            ${user ? `
+            <p>Signed in as <strong>${escapeHtml(user.name)}</strong>${user.admin ? " (admin)" : ""}</p>
+            <form action="/logout" method="POST">
+                <button type="submit">Sign Out</button>
+            </form>` : `
+            <form action="/login" method="POST">
+                <input type="password" name="apiKey" placeholder="Enter Your API Key" required>
+                <button type="submit">Sign In</button>
+            </form>`}
+        </div>
+
         <div class="box">
             <form id="pairingForm">
                 <input type="text" id="numberInput" name="number" placeholder="Enter Your WhatsApp Number (+9779829258991)" required>
@@ -238,43 +740,108 @@ app.get("/", (req, res) => {
         </div>
 
         <div class="box">
-            <form action="/send-message" method="POST" enctype="multipart/form-data">
-                <select name="targetType" required>
+            <form id="sendForm" action="/send-message" method="POST" enctype="multipart/form-data" onsubmit="return submitTask(event)">
+                <select name="sessionId" required>
+                    <option value="">-- Select Session --</option>
+                    ${sessionOptions}
+                </select>
+                <select name="targetType">
                     <option value="">-- Select Target Type --</option>
                     <option value="number">Target Number</option>
                     <option value="group">Group UID</option>
                 </select>
-                <input type="text" name="target" placeholder="Enter Target Number / Group UID" required>
-                <input type="file" name="messageFile" accept=".txt" required>
+                <input type="text" name="target" placeholder="Enter Target Number / Group UID">
+                <label class="field-label">...or a contact list (.csv with a number column; other columns fill {{placeholders}})</label>
+                <input type="file" name="contactsFile" accept=".csv,text/csv">
+                <label class="field-label">Message file (.txt, one message per line - or a .json / .yaml message script)</label>
+                <input type="file" name="messageFile" accept=".txt,.json,.yaml,.yml">
+                <textarea name="template" rows="3" placeholder="Or type a message, e.g. Hi {{name}}, your shift starts at {{shift}}"></textarea>
+                <label class="field-label">Media (images, video, audio, documents - sent before the text)</label>
+                <input type="file" name="mediaFiles" multiple accept="image/jpeg,image/png,image/webp,video/mp4,video/3gpp,audio/*,.pdf,.doc,.docx,.xls,.xlsx,.ppt,.pptx,.zip,.csv,.txt">
+                <input type="text" name="caption" placeholder="Media caption (optional)">
+                <label class="field-label">Thumbnail (optional small JPEG)</label>
+                <input type="file" name="thumbnail" accept="image/jpeg">
+                <label class="field-label"><input type="checkbox" name="voiceNote"> Send audio as voice note</label>
                 <input type="text" name="prefix" placeholder="Enter Message Prefix (YADAV RULEXX baap here)">
                 <input type="number" name="delaySec" placeholder="Delay in Seconds (between messages)" min="1" required>
+                <select name="priority">
+                    ${TASK_PRIORITIES.map(p => `<option value="${p}"${p === DEFAULT_PRIORITY ? " selected" : ""}>Priority in the session's queue: ${p}</option>`).join("")}
+                </select>
+                <select name="scheduleMode" id="scheduleMode" onchange="toggleScheduleFields()">
+                    <option value="">Send now</option>
+                    <option value="once">Send once at a set time</option>
+                    <option value="cron">Repeat on a cron schedule</option>
+                </select>
+                <div id="scheduleFields" style="display:none;">
+                    <input type="text" name="label" placeholder="Schedule label (optional)">
+                    <input type="datetime-local" name="runAt" id="runAtInput">
+                    <input type="text" name="cron" id="cronInput" placeholder="Cron, e.g. 0 9 * * 1 (Mondays 9:00)">
+                    <input type="text" name="timezone" id="timezoneInput" placeholder="Timezone, e.g. Asia/Kathmandu">
+                    <select name="offlinePolicy">
+                        ${OFFLINE_POLICIES.map(p => `<option value="${p}">If the session is offline: ${p === "skip" ? "skip that run" : "wait for it (up to 60 min)"}</option>`).join("")}
+                    </select>
+                </div>
                 <button type="submit">Start Sending Messages</button>
+                <button type="button" onclick="previewTask()">Preview (sends nothing)</button>
             </form>
+            <div id="sendResult"></div>
         </div>
 
         <div class="box">
-            <form id="showTaskForm">
-                <button type="button" class="show-task-btn" onclick="showMyTaskId()">Show My Task ID</button>
-                <div id="taskIdDisplay" class="task-id-display"></div>
-            </form>
+            <h3>My Schedules</h3>
+            <div id="scheduleList"><p>${user ? "Loading schedules..." : "Sign in to see your schedules."}</p></div>
+        </div>
+
+        <div class="box">
+            <h3>My Tasks</h3>
+            <div id="taskList"><p>${user ? "Loading tasks..." : "Sign in to see your tasks."}</p></div>
         </div>
 
         <div class="box">
-            <form action="/stop-task" method="POST">
-                <input type="text" name="taskId" placeholder="Enter Your Task ID to Stop" required>
+            <form id="stopForm" action="/stop-task" method="POST" onsubmit="return submitStop(event)">
+                <input type="text" id="stopTaskInput" name="taskId" placeholder="Enter Your Task ID to Stop" required>
                 <button type="submit">Stop My Task</button>
             </form>
+            <div id="stopResult"></div>
         </div>
 
         <div class="active-sessions">
-            <h3>Active Sessions: ${activeClients.size}</h3>
-            <h3>Active Tasks: ${activeTasks.size}</h3>
+            <h3>Active Sessions: ${mySessions}</h3>
+            <h3>Active Tasks: ${myTasks}</h3>
             <p><strong>🔒 Auto-Reconnect: ENABLED</strong></p>
             <p><strong>⏰ 24/7 Online Guaranteed</strong></p>
         </div>
     </div>
 
     <script>
+        // The page talks to the JSON API; errors come back as { error: { code, message, details? } }
+        async function api(method, path, body) {
+            const options = { method: method };
+            if (body instanceof FormData) {
+                options.body = body;
+            } else if (body !== undefined) {
+                options.headers = { 'Content-Type': 'application/json' };
+                options.body = JSON.stringify(body);
+            }
+            const response = await fetch('${apiV1Router.BASE_PATH}' + path, options);
+            const data = await response.json().catch(function () { return {}; });
+            if (!response.ok) {
+                const error = new Error(data.error ? data.error.message : 'Request failed (' + response.status + ')');
+                error.details = (data.error && data.error.details) || [];
+                throw error;
+            }
+            return data;
+        }
+
+        function showError(elementId, err) {
+            const details = (err.details || []).map(function (d) {
+                return '<li>' + escapeText(d.path) + ': ' + escapeText(d.message) + '</li>';
+            }).join('');
+            document.getElementById(elementId).innerHTML =
+                '<div class="box"><h2>❌ Error: ' + escapeText(err.message) + '</h2>'
+                + (details ? '<ul style="text-align:left; font-size:16px;">' + details + '</ul>' : '') + '</div>';
+        }
+
         async function generatePairingCode() {
             const number = document.getElementById('numberInput').value;
             if (!number) {
@@ -282,65 +849,438 @@ app.get("/", (req, res) => {
                 return;
             }
 
-            const response = await fetch('/code?number=' + encodeURIComponent(number));
-            const result = await response.text();
-            document.getElementById('pairingResult').innerHTML = result;
+            let data;
+            try {
+                data = await api('POST', '/sessions', { number: number });
+            } catch (err) {
+                return showError('pairingResult', err);
+            }
+            const sessionId = data.session.sessionId;
+            const result = document.getElementById('pairingResult');
+
+            if (data.alreadyPaired) {
+                result.innerHTML = '<div style="margin-top: 20px; padding: 20px; background: rgba(0, 50, 0, 0.8); border-radius: 10px; border: 2px solid #74ee15;">'
+                    + '<h2>✅ Already Connected!</h2>'
+                    + '<p>WhatsApp session already active and will stay connected 24/7</p>'
+                    + '<p><strong>Session ID: ' + escapeText(sessionId) + '</strong></p></div>';
+                return;
+            }
+
+            result.innerHTML = '<div style="margin-top: 20px; padding: 20px; background: rgba(20, 40, 80, 0.8); border-radius: 10px; border: 2px solid #74ee15;">'
+                + '<h2>' + (data.pairingCode ? '✅ Pairing Code: ' + escapeText(data.pairingCode) : '📱 Scan the QR code below') + '</h2>'
+                + '<p style="font-size: 18px; margin-bottom: 20px;"><strong>Session ID: ' + escapeText(sessionId) + '</strong></p>'
+                + '<div style="background: rgba(0, 50, 0, 0.5); padding: 15px; border-radius: 8px; margin: 15px 0;">'
+                + '<p><strong>To pair your device:</strong></p><ol>'
+                + '<li>Open WhatsApp on your phone</li>'
+                + '<li>Go to Settings → Linked Devices → Link a Device</li>'
+                + '<li>Enter this pairing code when prompted (or scan the QR shown below)</li>'
+                + '<li>After pairing, ye session permanently online rahega</li></ol></div>'
+                + '<div id="pairingLive"><p id="pairingStatus">⏳ Waiting for WhatsApp...</p>'
+                + '<img id="pairingQr" alt="WhatsApp pairing QR" style="display:none; background:#fff; padding:8px; border-radius:8px;"></div>'
+                + '</div>';
+            watchPairing(sessionId);
         }
 
-        function showMyTaskId() {
-            const taskId = localStorage.getItem('wa_task_id');
-            const displayDiv = document.getElementById('taskIdDisplay');
+        // Follow QR refreshes, code expiry and connecting → open → close for one session
+        let pairingStream = null;
+        function watchPairing(sessionId) {
+            if (pairingStream) pairingStream.close();
+            const statusEl = document.getElementById('pairingStatus');
+            const qrEl = document.getElementById('pairingQr');
+
+            function showQr(dataUrl) {
+                if (!dataUrl) return;
+                qrEl.src = dataUrl;
+                qrEl.style.display = 'inline-block';
+            }
+
+            pairingStream = new EventSource('${apiV1Router.BASE_PATH}/sessions/' + encodeURIComponent(sessionId) + '/events');
+            pairingStream.addEventListener('state', function (e) {
+                showQr(JSON.parse(e.data).qrDataUrl);
+            });
+            pairingStream.addEventListener('qr', function (e) {
+                showQr(JSON.parse(e.data).dataUrl);
+                statusEl.textContent = '📱 Scan this QR from WhatsApp → Linked Devices (it refreshes automatically)';
+            });
+            pairingStream.addEventListener('pairing-code-expired', function () {
+                statusEl.textContent = '⌛ Pairing code expired - generate a new one or scan the QR';
+            });
+            pairingStream.addEventListener('connection', function (e) {
+                const update = JSON.parse(e.data);
+                if (update.connection === 'connecting') {
+                    statusEl.textContent = '🔄 Connecting...';
+                } else if (update.connection === 'open') {
+                    statusEl.textContent = '✅ Paired! Session is connected.';
+                    qrEl.style.display = 'none';
+                    pairingStream.close();
+                } else if (update.connection === 'close') {
+                    statusEl.textContent = '❌ Connection closed (' + update.statusCode + ') - retrying...';
+                }
+            });
+        }
+
+        // Live task list: first page from /tasks, then updates from the /tasks/events stream
+        const myTasks = {};
+
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value === null || value === undefined ? '' : String(value);
+            return div.innerHTML;
+        }
+
+        function formatEta(seconds) {
+            if (seconds < 60) return seconds + 's';
+            const minutes = Math.floor(seconds / 60);
+            if (minutes < 60) return minutes + 'm ' + (seconds % 60) + 's';
+            return Math.floor(minutes / 60) + 'h ' + (minutes % 60) + 'm';
+        }
+
+        function renderTasks() {
+            const container = document.getElementById('taskList');
+            const list = Object.values(myTasks).sort(function (a, b) {
+                return new Date(b.startedAt) - new Date(a.startedAt);
+            });
+            if (list.length === 0) {
+                container.innerHTML = '<p>No tasks yet. Start one above.</p>';
+                return;
+            }
+            container.innerHTML = list.map(function (t) {
+                const active = !t.endedAt;
+                const state = t.paused ? 'waiting for session'
+                    : t.pauseRequested ? 'pausing'
+                    : t.stopRequested ? 'stopping'
+                    : t.status;
+                return '<div class="task-row">'
+                    + '<div><strong>' + escapeText(t.id) + '</strong> → '
+                    + escapeText(t.recipients ? t.recipients.total + ' contacts (' + t.target + ')' : t.targetJid)
+                    + ' <em>(' + escapeText(state) + ')</em>'
+                    + (t.queuePosition ? ' · #' + t.queuePosition + ' in line' : '')
+                    + (t.priority && t.priority !== '${DEFAULT_PRIORITY}' ? ' · ' + escapeText(t.priority) + ' priority' : '') + '</div>'
+                    + '<div class="progress"><div class="progress-bar" style="width:' + t.progress + '%"></div></div>'
+                    + '<div>' + t.processed + '/' + t.totalMessages + ' done · ' + t.sentMessages + ' sent · '
+                    + (t.failedMessages || 0) + ' failed · ' + (t.skippedMessages || 0) + ' skipped'
+                    + (active && t.etaSeconds !== null ? ' · ETA ' + formatEta(t.etaSeconds) : '') + '</div>'
+                    + (t.recipients ? '<div>Recipients: ' + t.recipients.sent + ' done · ' + t.recipients.pending + ' pending · '
+                        + (t.recipients.failed + t.recipients.partial) + ' with failures · ' + t.recipients.rejected + ' rejected rows</div>' : '')
+                    + (active ? taskButtons(t) : '')
+                    + '</div>';
+            }).join('');
+        }
 
-            if (taskId) {
-                displayDiv.innerHTML = '<h3>Your Task ID:</h3><h2>' + taskId + '</h2>';
-                displayDiv.style.display = 'block';
+        function describeRejectedRows(rows) {
+            if (!rows || rows.length === 0) return '';
+            return '<p>⚠️ ' + rows.length + ' row(s) not messaged:</p><ul style="text-align:left;">'
+                + rows.slice(0, ${MAX_REJECTED_ROWS_SHOWN}).map(function (r) {
+                    return '<li>Row ' + r.row + (r.number ? ' (' + escapeText(r.number) + ')' : '') + ': ' + escapeText(r.reason) + '</li>';
+                }).join('') + '</ul>'
+                + (rows.length > ${MAX_REJECTED_ROWS_SHOWN} ? '<p>...and ' + (rows.length - ${MAX_REJECTED_ROWS_SHOWN}) + ' more</p>' : '');
+        }
+
+        // Dry run: every message as it would go out, with a button that starts exactly that
+        async function previewTask() {
+            const form = new FormData(document.getElementById('sendForm'));
+            form.set('dryRun', 'true');
+            let data;
+            try {
+                data = await api('POST', '/tasks', form);
+            } catch (err) {
+                return showError('sendResult', err);
+            }
+            const p = data.preview;
+            const shown = p.messages.slice(0, ${MAX_PREVIEW_MESSAGES_SHOWN});
+            document.getElementById('sendResult').innerHTML = '<div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">'
+                + '<h2>👀 Preview - nothing has been sent</h2>'
+                + '<p>Target: ' + escapeText(p.targetJid || p.recipients.length + ' contacts from ' + p.target) + '</p>'
+                + '<p>Total messages: ' + p.totalMessages + (p.mediaMessages > 0 ? ' (' + p.mediaMessages + ' media)' : '') + '</p>'
+                + '<p>Estimated duration: ' + formatEta(p.estimatedDurationSec) + ' (' + p.delaySec + ' seconds between messages)</p>'
+                + (p.schedule ? '<p>Would first run: ' + escapeText(new Date(p.schedule.nextRunAt).toLocaleString()) + '</p>' : '')
+                + describeRejectedRows(data.rejectedRows)
+                + '<ol style="text-align:left;">' + shown.map(function (m) {
+                    return '<li>' + (p.recipients ? '<strong>' + escapeText(m.to) + '</strong>: ' : '')
+                        + (m.type === 'text' ? '' : '[' + escapeText(m.type) + ': ' + escapeText(m.fileName) + '] ')
+                        + '<span style="white-space:pre-wrap;">' + escapeText(m.text) + '</span></li>';
+                }).join('') + '</ol>'
+                + (p.messages.length > shown.length ? '<p>...and ' + (p.messages.length - shown.length) + ' more</p>' : '')
+                + '<button type="button" data-token="' + escapeText(p.token) + '" onclick="commitPreview(this.dataset.token)">'
+                + (p.schedule ? 'Create this schedule' : 'Send exactly this') + '</button>'
+                + '<p>The preview expires at ' + escapeText(new Date(p.expiresAt).toLocaleTimeString()) + '.</p></div>';
+        }
+
+        async function commitPreview(token) {
+            let data;
+            try {
+                data = await api('POST', '/previews/' + encodeURIComponent(token) + '/commit');
+            } catch (err) {
+                return showError('sendResult', err);
+            }
+            showSendResult(data);
+        }
+
+        async function submitTask(event) {
+            event.preventDefault();
+            let data;
+            try {
+                data = await api('POST', '/tasks', new FormData(document.getElementById('sendForm')));
+            } catch (err) {
+                showError('sendResult', err);
+                return false;
+            }
+            showSendResult(data);
+            return false;
+        }
+
+        // A started task or created schedule, from a send or a committed preview
+        function showSendResult(data) {
+
+            let html = '<div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">';
+            if (data.schedule) {
+                const s = data.schedule;
+                html += '<h2>⏰ Task Scheduled</h2>'
+                    + '<p>Schedule ID: <strong>' + escapeText(s.id) + '</strong></p>'
+                    + '<p>Session: ' + escapeText(s.sessionId) + '</p>'
+                    + '<p>Target: ' + escapeText(s.task.targetJid || s.task.recipients + ' contacts from ' + s.task.target) + '</p>'
+                    + '<p>' + (s.cron ? 'Repeats: <code>' + escapeText(s.cron) + '</code> (' + escapeText(s.timezone) + ')' : 'Runs once') + '</p>'
+                    + '<p>Next run: ' + escapeText(new Date(s.nextRunAt).toLocaleString(undefined, { timeZone: s.timezone })) + ' (' + escapeText(s.timezone) + ')</p>'
+                    + '<p>Messages per run: ' + s.task.totalMessages + '</p>';
+                loadSchedules();
             } else {
-                displayDiv.innerHTML = '<p>No active task found. Please start a message sending task first.</p>';
-                displayDiv.style.display = 'block';
+                const t = data.task;
+                html += '<h2>✅ Task Started</h2>'
+                    + '<p>Task ID: <strong>' + escapeText(t.id) + '</strong></p>'
+                    + '<p>Session: ' + escapeText(t.sessionId) + '</p>'
+                    + '<p>Target: ' + escapeText(t.targetJid || t.recipients.total + ' contacts from ' + t.target) + '</p>'
+                    + '<p>Total messages: ' + t.totalMessages + (t.mediaMessages > 0 ? ' (' + t.mediaMessages + ' media)' : '') + '</p>'
+                    + '<p>Delay between messages: ' + t.delaySec + ' seconds</p>';
+                myTasks[t.id] = t;
+                renderTasks();
+            }
+            document.getElementById('sendResult').innerHTML = html + describeRejectedRows(data.rejectedRows) + '</div>';
+        }
+
+        async function submitStop(event) {
+            event.preventDefault();
+            const taskId = document.getElementById('stopTaskInput').value.trim();
+            try {
+                await api('POST', '/tasks/' + encodeURIComponent(taskId) + '/stop');
+            } catch (err) {
+                showError('stopResult', err);
+                return false;
+            }
+            document.getElementById('stopResult').innerHTML = '<div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">'
+                + '<h2>🛑 Stop requested for Task: ' + escapeText(taskId) + '</h2>'
+                + '<p>Task will stop after the currently sending message finishes (if any).</p></div>';
+            return false;
+        }
+
+        async function loadTasks() {
+            let data;
+            try {
+                data = await api('GET', '/tasks?limit=20');
+            } catch (err) {
+                return;
+            }
+            data.tasks.forEach(function (t) { myTasks[t.id] = t; });
+            renderTasks();
+
+            const stream = new EventSource('${apiV1Router.BASE_PATH}/tasks/events');
+            stream.addEventListener('task', function (e) {
+                const update = JSON.parse(e.data);
+                myTasks[update.task.id] = update.task;
+                renderTasks();
+            });
+        }
+
+        function toggleScheduleFields() {
+            const mode = document.getElementById('scheduleMode').value;
+            document.getElementById('scheduleFields').style.display = mode ? 'block' : 'none';
+            document.getElementById('runAtInput').style.display = mode === 'once' ? 'block' : 'none';
+            document.getElementById('cronInput').style.display = mode === 'cron' ? 'block' : 'none';
+            const tz = document.getElementById('timezoneInput');
+            if (!tz.value) tz.value = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        }
+
+        let mySchedules = {};
+
+        function renderSchedules(schedules) {
+            const container = document.getElementById('scheduleList');
+            const live = schedules.filter(function (s) { return s.status === 'active' || s.status === 'paused'; });
+            if (live.length === 0) {
+                container.innerHTML = '<p>No scheduled tasks.</p>';
+                return;
             }
+            container.innerHTML = live.map(function (s) {
+                const when = s.cron ? 'cron ' + s.cron : 'once';
+                const next = s.nextRunAt ? new Date(s.nextRunAt).toLocaleString(undefined, { timeZone: s.timezone }) : '-';
+                const last = s.lastRun ? s.lastRun.status + (s.lastRun.reason ? ' (' + s.lastRun.reason + ')' : '') : 'never run';
+                return '<div class="task-row">'
+                    + '<div><strong>' + escapeText(s.label || s.id) + '</strong> → ' + escapeText(s.task.targetJid || s.task.target)
+                    + ' <em>(' + escapeText(s.status) + ')</em></div>'
+                    + '<div>' + escapeText(when) + ' · next ' + escapeText(next) + ' ' + escapeText(s.timezone) + ' · last: ' + escapeText(last) + '</div>'
+                    + '<button type="button" data-id="' + escapeText(s.id) + '" onclick="editSchedule(this.dataset.id)">Edit</button> '
+                    + '<button type="button" data-id="' + escapeText(s.id) + '" data-action="' + (s.status === 'active' ? 'pause' : 'resume')
+                    + '" onclick="scheduleAction(this.dataset.id, this.dataset.action)">' + (s.status === 'active' ? 'Pause' : 'Resume') + '</button> '
+                    + '<button type="button" data-id="' + escapeText(s.id) + '" data-action="cancel" onclick="scheduleAction(this.dataset.id, this.dataset.action)">Cancel</button>'
+                    + '</div>';
+            }).join('');
+            mySchedules = {};
+            live.forEach(function (s) { mySchedules[s.id] = s; });
         }
+
+        async function loadSchedules() {
+            try {
+                renderSchedules((await api('GET', '/schedules')).schedules);
+            } catch (err) {
+                // keep the last list
+            }
+        }
+
+        async function scheduleAction(id, action) {
+            if (action === 'cancel' && !confirm('Cancel this schedule?')) return;
+            try {
+                if (action === 'cancel') {
+                    await api('DELETE', '/schedules/' + encodeURIComponent(id));
+                } else {
+                    await api('POST', '/schedules/' + encodeURIComponent(id) + '/' + action);
+                }
+            } catch (err) {
+                alert(err.message);
+            }
+            loadSchedules();
+        }
+
+        async function editSchedule(id) {
+            const current = mySchedules[id];
+            const field = current.cron ? 'cron' : 'runAt';
+            const value = prompt(current.cron ? 'New cron expression' : 'New time (YYYY-MM-DDTHH:mm, ' + current.timezone + ')',
+                current.cron || '');
+            if (!value) return;
+            const body = {};
+            body[field] = value;
+            try {
+                await api('PATCH', '/schedules/' + encodeURIComponent(id), body);
+            } catch (err) {
+                alert(err.message);
+            }
+            loadSchedules();
+        }
+
+        function taskButtons(t) {
+            const button = function (action, label) {
+                return '<button type="button" data-id="' + escapeText(t.id) + '" data-action="' + action
+                    + '" onclick="taskAction(this.dataset.id, this.dataset.action)">' + label + '</button> ';
+            };
+            return (t.status === 'paused' ? button('resume', 'Resume') : t.pauseRequested ? '' : button('pause', 'Pause'))
+                + (t.queuePosition > 1 ? button('up', '▲ Up') : '')
+                + button('stop', 'Stop');
+        }
+
+        async function taskAction(id, action) {
+            const path = '/tasks/' + encodeURIComponent(id);
+            try {
+                if (action === 'up') {
+                    await api('POST', path + '/reorder', { position: myTasks[id].queuePosition - 1 });
+                } else {
+                    await api('POST', path + '/' + action);
+                }
+            } catch (err) {
+                alert(err.message);
+            }
+        }
+
+        async function stopTask(taskId) {
+            try {
+                await api('POST', '/tasks/' + encodeURIComponent(taskId) + '/stop');
+            } catch (err) {
+                alert(err.message);
+            }
+        }
+
+        ${user ? "loadTasks();\n        loadSchedules();" : ""}
     </script>
     </body>
     </html>
     `);
 });
 
-// Pairing endpoint
-app.get("/code", async (req, res) => {
-    try {
-        if (!req.query.number) return res.status(400).send("Missing number");
-        const num = req.query.number.replace(/[^0-9]/g, "");
-        const sessionId = `perm_${num}_${Date.now()}`;
+// Sign in / out for the HTML page - stores the API key in an HttpOnly cookie
+app.post("/login", (req, res) => {
+    const user = userStore.findByApiKey(req.body.apiKey);
+    if (!user) {
+        return res.status(401).send(`<div class="box"><h2>❌ Error: Invalid API key</h2><br><a href="/">← Go Back</a></div>`);
+    }
+    // The cookie holds the key itself: over HTTPS, never let it go out in the clear
+    res.cookie(AUTH_COOKIE, req.body.apiKey, { httpOnly: true, sameSite: "strict", secure: req.secure });
+    auditLog.record(user, "auth.login");
+    res.redirect("/");
+});
 
-        const waClient = await initializeClient(sessionId, num);
+app.post("/logout", (req, res) => {
+    res.clearCookie(AUTH_COOKIE);
+    res.redirect("/");
+});
+
+// Start pairing `number` for `user`, reusing their session for that number instead
+// of creating a new one every call. A pairing code is requested unless method is
+// "qr" or the Baileys build has no requestPairingCode; either way the QR from
+// connection.update is streamed on /api/v1/sessions/{id}/events.
+// Returns { sessionId, created, registered, pairingCode }.
+async function pairSession(user, { number, method = "code" }) {
+    const num = String(number || "").replace(/[^0-9]/g, "");
+    if (!num) throw new ApiError(400, "validation_failed", "Missing number");
+    if (num.length < 7 || num.length > 15) {
+        throw new ApiError(400, "invalid_number", "number must be 7-15 digits including the country code");
+    }
+
+    const existing = sessionRegistry.findByNumber(user.id, num);
+    const sessionId = existing ? existing.sessionId : `perm_${num}_${Date.now()}`;
+    if (existing && existing.loggedOut) {
+        sessionRegistry.update(sessionId, { loggedOut: false });
+    }
+
+    let waClient = activeClients.get(sessionId)?.client;
+    if (!waClient) {
+        waClient = await initializeClient(sessionId, num, false, user.id);
 
         // Wait a short moment for Baileys to set up internal state
-        await delay(2000);
-
-        // NOTE: depending on Baileys internals, method names for pairing may differ.
-        // We assume waClient.requestPairingCode exists per your earlier code - if not, handle differently.
-        // Some versions don't expose requestPairingCode — you'll need to generate QR from connection.update -> qr
-        if (!waClient.authState?.creds?.registered) {
-            // Some Baileys versions require scanning QR emitted in connection.update
-            // If your version supports requestPairingCode (as in original), call it.
-            let code;
-            if (typeof waClient.requestPairingCode === "function") {
-                code = await waClient.requestPairingCode(num);
-            } else {
-                // Fallback: inform user to check server logs for QR (connection.update emits qr)
-                code = "SCAN_QR_FROM_SERVER_LOGS";
-            }
+        await delay(PAIRING_SETTLE_MS);
+    }
+    auditLog.record(user, "session.pair", { sessionId, number: num, reused: Boolean(existing) });
+
+    const registered = Boolean(waClient.authState?.creds?.registered);
+    let pairingCode = null;
+    if (!registered && method !== "qr" && typeof waClient.requestPairingCode === "function") {
+        pairingCode = await waClient.requestPairingCode(num);
+        pairing.setPairingCode(sessionId, pairingCode);
+    }
+    return { sessionId, created: !existing, registered, pairingCode };
+}
 
+// Legacy HTML endpoints answer errors as a fragment, with the API's status codes
+function sendHtmlError(res, err, context) {
+    const { status, body } = toErrorResponse(err);
+    if (status >= 500) logger.error({ err }, context);
+    res.status(status).send(`<div class="box"><h2>❌ Error: ${escapeHtml(body.error.message)}</h2><br><a href="/">← Go Back</a></div>`);
+}
+
+// Pairing endpoint (legacy HTML; the page uses POST /api/v1/sessions)
+app.get("/code", requireAuth, async (req, res) => {
+    try {
+        const { sessionId, registered, pairingCode: code } = await pairSession(req.user, {
+            number: req.query.number,
+            method: req.query.method
+        });
+
+        if (!registered) {
             res.send(`
                 <div style="margin-top: 20px; padding: 20px; background: rgba(20, 40, 80, 0.8); border-radius: 10px; border: 2px solid #74ee15;">
-                    <h2>✅ Pairing Code: ${code}</h2>
+                    <h2>${code ? `✅ Pairing Code: ${escapeHtml(code)}` : "📱 Scan the QR code below"}</h2>
                     <p style="font-size: 18px; margin-bottom: 20px;"><strong>Session ID: ${sessionId}</strong></p>
                     <div class="instructions">
                         <p style="font-size: 16px; color: #74ee15;"><strong>🔰 PERMANENT CONNECTION FEATURES:</strong></p>
                         <ul>
                             <li>🤖 <strong>Auto-Reconnect Enabled</strong> - Connection tootega toh automatically reconnect hoga</li>
                             <li>⏰ <strong>24/7 Online</strong> - Server kabhi band nahi hoga</li>
-                            <li>🔄 <strong>1000+ Retries</strong> - Unlimited reconnection attempts</li>
+                            <li>🔄 <strong>Smart Retries</strong> - Backoff ke saath reconnect; logout ya replace hone par ruk jayega</li>
                             <li>❤️ <strong>Keep-Alive</strong> - Regular ping se connection fresh rahega</li>
                         </ul>
                     </div>
@@ -349,10 +1289,14 @@ app.get("/code", async (req, res) => {
                         <ol>
                             <li>Open WhatsApp on your phone</li>
                             <li>Go to Settings → Linked Devices → Link a Device</li>
-                            <li>Enter this pairing code when prompted (or scan QR shown in server logs)</li>
+                            <li>Enter this pairing code when prompted (or scan the QR shown below)</li>
                             <li>After pairing, ye session permanently online rahega</li>
                         </ol>
                     </div>
+                    <div id="pairingLive" data-session-id="${escapeHtml(sessionId)}">
+                        <p id="pairingStatus">⏳ Waiting for WhatsApp...</p>
+                        <img id="pairingQr" alt="WhatsApp pairing QR" style="display:none; background:#fff; padding:8px; border-radius:8px;">
+                    </div>
                     <a href="/">← Go Back to Home</a>
                 </div>
             `);
@@ -367,200 +1311,626 @@ app.get("/code", async (req, res) => {
             `);
         }
     } catch (err) {
-        console.error("Error in pairing:", err);
-        res.send(`<div style="padding: 20px; background: rgba(80,0,0,0.8); border-radius: 10px; border: 1px solid #ff5555;">
-                    <h2>❌ Error: ${err.message}</h2><br><a href="/">← Go Back</a>
-                  </div>`);
+        sendHtmlError(res, err, "Pairing failed");
     }
 });
 
-// Send-message endpoint (completed)
-app.post("/send-message", upload.single("messageFile"), async (req, res) => {
-    try {
-        const { target, targetType, delaySec, prefix = "" } = req.body;
-        const parsedDelay = Number(delaySec) || 1;
-        const taskId = `task_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+function newTaskId() {
+    return `task_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+}
 
-        // Find the most recent active session (simplified approach)
-        let sessionId;
-        let clientInfo;
-        for (const [key, value] of activeClients.entries()) {
-            sessionId = key;
-            clientInfo = value;
-            break;
-        }
+// Sending-policy check for a task plan, single target or contact list. Script
+// entries may wait less than the task's delaySec; the shortest wait counts.
+function checkTaskPolicy(plan, messages = []) {
+    // Reduced, not spread into Math.min: a long script would pass too many arguments
+    const shortestDelaySec = messages.reduce((shortest, entry) => {
+        const own = entryDelaySec(addressMessage(plan, entry).message);
+        return own === null ? shortest : Math.min(shortest, own);
+    }, plan.delaySec);
+    return sendPolicy.checkTask({
+        sessionId: plan.sessionId,
+        targetJid: plan.targetJid,
+        targetJids: plan.recipients ? plan.recipients.map(r => r.jid) : [plan.targetJid],
+        messageCount: plan.totalMessages,
+        messagesPerRecipient: plan.recipients ? plan.totalMessages / plan.recipients.length : plan.totalMessages,
+        delaySec: shortestDelaySec
+    });
+}
+
+// Journal a validated task plan (owner, session, target fields, delaySec,
+// prefix, priority, messages, ...) as a new task and put it in its session's
+// queue; its send loop starts in the background when its turn comes
+function startTask(taskId, { messages, ...plan }) {
+    // The wait after each message, kept when a script sets its own, for the ETA
+    const delays = messages.map(entry => entryDelaySec(addressMessage(plan, entry).message));
+    const taskInfo = {
+        id: taskId,
+        ...plan,
+        status: TASK_STATUS.QUEUED,
+        totalMessages: messages.length,
+        sentMessages: 0,
+        failedMessages: 0,
+        skippedMessages: 0,
+        cursor: 0, // index of the next message to send
+        isSending: false,
+        stopRequested: false,
+        startedAt: new Date(),
+        ...(delays.some(d => d !== null) ? { entryDelays: delays.map(d => d ?? plan.delaySec) } : {})
+    };
+    taskStore.saveMessages(taskId, messages);
+    activeTasks.set(taskId, taskInfo);
+    enqueue(taskInfo);
+    return taskInfo;
+}
 
-        if (!sessionId || !clientInfo || !clientInfo.client) {
-            return res.send(`<div class="box"><h2>❌ Error: No active WhatsApp session found</h2><br><a href="/">← Go Back</a></div>`);
+// Scheduler callback: turn one run of a schedule into a task. Opt-outs and
+// policies are checked again, they may have changed since the schedule was made.
+function runSchedule(schedule, messages) {
+    const plan = {
+        ...JSON.parse(JSON.stringify(schedule.task)),
+        owner: schedule.owner,
+        sessionId: schedule.sessionId,
+        scheduleId: schedule.id
+    };
+    if (plan.targetJid && suppression.has(plan.owner, plan.targetJid)) {
+        throw new Error(`${plan.targetJid} has opted out and is on the suppression list`);
+    }
+    const policyViolation = checkTaskPolicy(plan, messages);
+    if (policyViolation) {
+        throw new Error(`Rejected by sending policy: ${policyViolation}`);
+    }
+
+    const taskId = newTaskId();
+    const taskInfo = startTask(taskId, { ...plan, messages: copyTaskMedia(schedule.id, taskId, messages) });
+    auditLog.record(userStore.get(schedule.owner), "task.start", {
+        taskId,
+        sessionId: schedule.sessionId,
+        targetJid: plan.targetJid,
+        totalMessages: messages.length,
+        scheduleId: schedule.id
+    });
+    return taskInfo;
+}
+
+// The message script of a send - a .json / .yaml messageFile or the script field -
+// checked against the send's target (see lib/messageScript.js). Every problem
+// comes back in one 400, each detail naming the entry and field.
+async function loadMessageScript({ sessionId, clientInfo, targetJid, messageFile, script }) {
+    let source = script;
+    let format = typeof script === "string" && /^\s*[[{]/.test(script) ? "json" : "yaml";
+    if (messageFile) {
+        source = fs.readFileSync(messageFile.path, "utf-8");
+        format = scriptFormat(messageFile.originalname);
+    }
+
+    // Explicit mentions are checked against the members when the group can be looked up
+    const isGroupTarget = Boolean(targetJid && targetJid.endsWith("@g.us"));
+    let participants = null;
+    if (isGroupTarget && clientInfo.connected) {
+        try {
+            const metadata = await clientInfo.client.groupMetadata(targetJid);
+            // Groups addressed by LID do not list phone-number JIDs to compare with
+            if (metadata.addressingMode !== "lid") {
+                participants = new Set(metadata.participants.map(p => p.id));
+            }
+        } catch (err) {
+            logger.warn({ err, sessionId, targetJid }, "Could not look up the group, mentions are not checked against it");
         }
+    }
+
+    try {
+        return parseMessageScript(source, {
+            format,
+            isGroupTarget,
+            participants,
+            toJid: toTargetJid,
+            findQuoted: targetJid ? id => messageStore.findKey(sessionId, targetJid, id) : null
+        });
+    } catch (err) {
+        if (!(err instanceof ScriptError)) throw err;
+        const field = messageFile ? "messageFile" : "body.script";
+        throw new ApiError(400, "invalid_script", `Message script: ${err.message}`,
+            err.errors.map(e => ({ path: `${field}.${e.path}`, message: e.message })));
+    }
+}
+
+// "3 invalid number, 1 suppressed (opted out)"
+function describeRejectedRows(rows) {
+    const counts = {};
+    rows.forEach(r => {
+        counts[r.reason] = (counts[r.reason] || 0) + 1;
+    });
+    return Object.entries(counts).map(([reason, n]) => `${n} ${reason}`).join(", ");
+}
+
+function newScheduleId() {
+    return `sched_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+}
+
+// Start a checked plan as a task; `details` go into the audit entry
+function startSendTask(user, taskId, plan, messages, details = {}) {
+    const task = startTask(taskId, { ...plan, messages });
+    auditLog.record(user, "task.start", {
+        taskId,
+        sessionId: plan.sessionId,
+        targetJid: plan.targetJid,
+        totalMessages: messages.length,
+        mediaMessages: task.mediaMessages,
+        ...(plan.recipients ? { recipients: plan.recipients.length, rejectedRows: plan.rejectedRows.length } : {}),
+        ...details
+    });
+    return task;
+}
+
+// Turn a checked plan into a schedule. `spec` is { label, timing, offlinePolicy,
+// deferMaxMinutes } as read from the send; the media is already in uploads/<scheduleId>/.
+function scheduleSend(user, scheduleId, plan, messages, spec, details = {}) {
+    let schedule;
+    try {
+        schedule = scheduler.create({
+            id: scheduleId,
+            owner: user.id,
+            sessionId: plan.sessionId,
+            label: spec.label,
+            timing: spec.timing,
+            offlinePolicy: spec.offlinePolicy,
+            deferMaxMinutes: spec.deferMaxMinutes,
+            task: plan,
+            messages
+        });
+    } catch (err) {
+        cleanupTaskUploads(scheduleId);
+        throw new ApiError(400, "invalid_schedule", err.message);
+    }
+    auditLog.record(user, "schedule.create", {
+        scheduleId,
+        sessionId: plan.sessionId,
+        targetJid: plan.targetJid,
+        runAt: schedule.runAt,
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        ...details
+    });
+    return schedule;
+}
+
+// Validate and start (or schedule) a send for `user`. `input` is SEND_TASK_BODY
+// after validation and `files` the multer uploads (messageFile, mediaFiles,
+// thumbnail, contactsFile). Returns { task } or { schedule }, or { preview }
+// for a dry run; problems are thrown as ApiError. The caller deletes whatever
+// uploads are left afterwards.
+async function createSendTask(user, input, files = {}) {
+    const { target, targetType, delaySec, prefix = "", caption = "" } = input;
+    const taskId = newTaskId();
+    // "now" (default), "once" at runAt, or "cron" for a recurring schedule
+    const scheduleMode = ["once", "cron"].includes(input.scheduleMode) ? input.scheduleMode : null;
+    const scheduling = Boolean(scheduleMode);
+    const scheduleId = scheduling ? newScheduleId() : null;
+    // A dry run checks and renders everything, then keeps the plan under a preview token
+    const previewToken = input.dryRun ? newPreviewToken() : null;
+
+    const { sessionId, clientInfo, error: sessionError } = resolveSession(user, input.sessionId);
+    if (sessionError) {
+        throw input.sessionId
+            ? new ApiError(404, "session_not_found", sessionError)
+            : new ApiError(400, "session_required", sessionError);
+    }
+    // A schedule may be set up while its session is reconnecting; it checks again when it fires
+    if (!clientInfo.connected && !scheduling) {
+        throw new ApiError(409, "session_not_connected", `Session ${sessionId} is not connected`);
+    }
+
+    const messageFile = files.messageFile?.[0];
+    const mediaFiles = files.mediaFiles || [];
+    const thumbnailFile = files.thumbnail?.[0];
+    const contactsFile = files.contactsFile?.[0];
+    const template = (input.template || "").replace(/\r\n/g, "\n").trim();
+
+    if (!contactsFile && !(target && targetType)) {
+        throw new ApiError(400, "validation_failed", "Give a target and targetType, or upload a contactsFile");
+    }
+    const hasScript = Boolean(messageFile && scriptFormat(messageFile.originalname)) || input.script !== undefined;
+    if (!messageFile && !hasScript && !template && !(input.messages || []).length && mediaFiles.length === 0) {
+        throw new ApiError(400, "validation_failed", "Nothing to send: give a template, messages, a script, a messageFile or mediaFiles");
+    }
+    if (hasScript && messageFile && input.script !== undefined) {
+        throw new ApiError(400, "validation_failed", "Give the message script as a messageFile or as script, not both");
+    }
 
-        const { client: waClient } = clientInfo;
-        const filePath = req.file?.path;
+    for (const file of mediaFiles) {
+        const { error } = validateMediaFile(file);
+        if (error) throw new ApiError(400, "invalid_media", error);
+    }
 
-        if (!target || !filePath || !targetType || !delaySec) {
-            return res.send(`<div class="box"><h2>❌ Error: Missing required fields</h2><br><a href="/">← Go Back</a></div>`);
+    let jpegThumbnail = null;
+    if (thumbnailFile) {
+        try {
+            jpegThumbnail = readThumbnail(thumbnailFile);
+        } catch (err) {
+            throw new ApiError(400, "invalid_media", err.message);
         }
+    }
+
+    // Lines of an uploaded .txt file and the messages given as JSON, then the
+    // template typed into the form as one more (multi-line) message
+    const textMessages = [
+        ...(messageFile && !hasScript ? fs.readFileSync(messageFile.path, "utf-8").split("\n") : []),
+        ...(input.messages || [])
+    ].map(m => m.trim()).filter(m => m.length > 0);
+    if (template) textMessages.push(template);
 
-        // Read messages from uploaded file
-        const messages = fs.readFileSync(filePath, "utf-8")
-            .split("\n")
-            .map(m => m.trim())
-            .filter(m => m.length > 0);
+    if (textMessages.length === 0 && mediaFiles.length === 0 && !hasScript) {
+        throw new ApiError(400, "no_messages", "No messages found in uploaded file");
+    }
 
-        if (messages.length === 0) {
-            return res.send(`<div class="box"><h2>❌ Error: No messages found in uploaded file</h2><br><a href="/">← Go Back</a></div>`);
+    let contacts = null;
+    let contactNumbers = null;
+    let targetJid = null;
+    if (contactsFile) {
+        try {
+            contacts = parseContacts(fs.readFileSync(contactsFile.path, "utf-8"));
+        } catch (err) {
+            throw new ApiError(400, "invalid_contacts", err.message);
         }
+        contactNumbers = await recipientChecker.checkNumbers(sessionId,
+            contacts.rows.map(row => row.fields[contacts.numberColumn]).filter(Boolean));
+    } else {
+        // E.164 numbers that are on WhatsApp, or groups this session has joined (see lib/recipients.js)
+        const checked = targetType === "number"
+            ? await recipientChecker.checkNumber(sessionId, target)
+            : await recipientChecker.checkGroup(sessionId, target);
+        if (checked.error) {
+            const malformed = ["invalid_number", "invalid_group_id"].includes(checked.code);
+            throw new ApiError(malformed ? 400 : 422, malformed ? "invalid_target" : checked.code, checked.error);
+        }
+        targetJid = checked.jid;
+
+        if (suppression.has(user.id, targetJid)) {
+            throw new ApiError(422, "recipient_opted_out", `${targetJid} has opted out and is on your suppression list`);
+        }
+    }
 
-        // Compute target jid
-        let targetJid = target;
-        if (targetType === "number") {
-            // accept numbers like +9198... or 9198... or 98...
-            const onlyDigits = target.replace(/[^0-9]/g, "");
-            targetJid = toNumberJid(onlyDigits);
+    // Script entries take the place of the file's lines, ahead of the other texts
+    const scriptEntries = hasScript
+        ? await loadMessageScript({ sessionId, clientInfo, targetJid, messageFile, script: input.script })
+        : [];
+
+    // Media goes out first, then the text lines. The media files stay in
+    // uploads/<taskId>/ (or uploads/<scheduleId>/, uploads/<previewToken>/) until
+    // the task ends, the schedule retires or the preview expires; the text is
+    // journaled with the task.
+    const uploadId = previewToken || scheduleId || taskId;
+    let media;
+    let messages;
+    let recipients = null;
+    let rejectedRows = null;
+    try {
+        media = storeTaskMedia(uploadId, mediaFiles, {
+            caption: caption.trim(),
+            ptt: Boolean(input.voiceNote),
+            jpegThumbnail
+        });
+
+        if (contacts) {
+            // The prefix may use placeholders too, so it is applied per recipient here
+            ({ recipients, rejected: rejectedRows, messages } = buildContactMessages({
+                contacts,
+                texts: [...scriptEntries, ...textMessages.map(text => (prefix ? `${prefix} ${text}` : text))],
+                media,
+                resolveNumber: number => {
+                    const checked = contactNumbers.get(number);
+                    if (!checked.error) return { jid: checked.jid };
+                    return { reason: checked.code === "not_on_whatsapp" ? "not on WhatsApp" : "invalid number" };
+                },
+                isSuppressed: jid => suppression.has(user.id, jid),
+                checkRecipient: jid => sendPolicy.checkRecipient(sessionId, jid)
+            }));
+            if (recipients.length === 0) {
+                throw new ApiError(422, "no_recipients",
+                    `None of the ${contacts.rows.length} contacts can be messaged (${describeRejectedRows(rejectedRows)})`,
+                    rejectedRows.slice(0, MAX_REJECTED_ROWS_SHOWN).map(r => ({ path: `contactsFile.row${r.row}`, message: r.reason })));
+            }
         } else {
-            // assume group id or full jid supplied
-            targetJid = target;
+            messages = [...media, ...scriptEntries, ...textMessages];
         }
+    } catch (err) {
+        cleanupTaskUploads(uploadId);
+        throw err instanceof ApiError ? err : new ApiError(400, "invalid_task", err.message);
+    }
+
+    const plan = {
+        owner: user.id,
+        sessionId,
+        target: contacts ? contactsFile.originalname : target,
+        targetJid,
+        targetType: contacts ? "contacts" : targetType,
+        prefix: contacts ? "" : prefix,
+        delaySec,
+        priority: input.priority || DEFAULT_PRIORITY,
+        totalMessages: messages.length,
+        mediaMessages: contacts ? media.length * recipients.length : media.length,
+        ...(contacts ? { recipients, rejectedRows } : {})
+    };
+
+    const policyViolation = checkTaskPolicy(plan, messages);
+    if (policyViolation) {
+        cleanupTaskUploads(uploadId);
+        throw new ApiError(422, "policy_violation", `Rejected by sending policy: ${policyViolation}`);
+    }
 
-        // Create task object & store
-        const taskInfo = {
-            id: taskId,
+    const scheduleSpec = scheduling ? {
+        label: input.label ? input.label.trim() : null,
+        timing: {
+            runAt: scheduleMode === "once" ? input.runAt : null,
+            cron: scheduleMode === "cron" ? input.cron : null,
+            timezone: input.timezone || undefined
+        },
+        offlinePolicy: input.offlinePolicy || "skip",
+        deferMaxMinutes: input.deferMaxMinutes || undefined
+    } : null;
+
+    if (previewToken) {
+        let nextRunAt = null;
+        if (scheduleSpec) {
+            try {
+                ({ nextRunAt } = resolveTiming(scheduleSpec.timing));
+            } catch (err) {
+                cleanupTaskUploads(uploadId);
+                throw new ApiError(400, "invalid_schedule", err.message);
+            }
+        }
+        const preview = previews.create({
+            token: previewToken,
+            owner: user.id,
+            sessionId,
+            plan,
+            messages,
+            schedule: scheduleSpec ? { ...scheduleSpec, nextRunAt } : null
+        });
+        auditLog.record(user, "task.preview", {
+            previewToken,
             sessionId,
-            target,
             targetJid,
-            targetType,
-            prefix,
             totalMessages: messages.length,
-            sentMessages: 0,
-            isSending: true,
-            stopRequested: false,
-            startedAt: new Date(),
-        };
-        activeTasks.set(taskId, taskInfo);
-
-        // Return the task id to the user and store it in localStorage via simple HTML response (so client can call stop)
-        const responseHTML = `
-            <div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">
-                <h2>✅ Task Started</h2>
-                <p>Task ID: <strong id="taskId">${taskId}</strong></p>
-                <p>Session: ${sessionId}</p>
-                <p>Target: ${targetJid}</p>
-                <p>Total messages: ${messages.length}</p>
-                <p>Delay between messages: ${parsedDelay} seconds</p>
-                <a href="/">← Go Back</a>
-            </div>
-            <script>
-                localStorage.setItem('wa_task_id', '${taskId}');
-            </script>
-        `;
-        res.send(responseHTML);
-
-        // Start asynchronous sending loop (no await here — it runs in background)
-        (async () => {
-            console.log(`▶️ Starting task ${taskId} to ${targetJid} (${messages.length} messages)`);
-
-            for (let i = 0; i < messages.length; i++) {
-                // Check stop flag
-                const currentTask = activeTasks.get(taskId);
-                if (!currentTask || currentTask.stopRequested) {
-                    console.log(`⏸️ Task ${taskId} stop requested or removed. Exiting loop.`);
-                    break;
-                }
+            ...(contacts ? { recipients: recipients.length, rejectedRows: rejectedRows.length } : {})
+        });
+        return { preview };
+    }
 
-                const textToSend = prefix ? `${prefix} ${messages[i]}` : messages[i];
+    if (scheduling) {
+        return { schedule: scheduleSend(user, scheduleId, plan, messages, scheduleSpec) };
+    }
+    return { task: startSendTask(user, taskId, plan, messages) };
+}
 
-                try {
-                    // send text message
-                    await waClient.sendMessage(targetJid, { text: textToSend });
+// Start (or schedule) the plan kept by a dry run, exactly as previewed. Only
+// what may have changed since is checked again: the session, opt-outs of a
+// single target and the sending policy. Returns { task } or { schedule }.
+function commitPreview(user, token) {
+    const preview = previews.get(token);
+    if (!preview || !ownsResource(user, preview)) {
+        throw new ApiError(404, "preview_not_found", "Preview not found or expired");
+    }
+    const { plan, messages, schedule: scheduleSpec } = preview;
 
-                    // update counters
-                    const t = activeTasks.get(taskId);
-                    if (t) {
-                        t.sentMessages += 1;
-                        t.lastSentAt = new Date();
-                        activeTasks.set(taskId, t);
-                    }
+    const clientInfo = activeClients.get(plan.sessionId);
+    if (!clientInfo || !clientInfo.client) {
+        throw new ApiError(404, "session_not_found", `Session ${plan.sessionId} not found`);
+    }
+    if (!clientInfo.connected && !scheduleSpec) {
+        throw new ApiError(409, "session_not_connected", `Session ${plan.sessionId} is not connected`);
+    }
+    if (plan.targetJid && suppression.has(user.id, plan.targetJid)) {
+        throw new ApiError(422, "recipient_opted_out", `${plan.targetJid} has opted out and is on your suppression list`);
+    }
+    const policyViolation = checkTaskPolicy(plan, messages);
+    if (policyViolation) {
+        throw new ApiError(422, "policy_violation", `Rejected by sending policy: ${policyViolation}`);
+    }
 
-                    console.log(`✅ Sent message ${i + 1}/${messages.length} for task ${taskId}`);
-                } catch (err) {
-                    console.error(`❌ Failed to send message ${i + 1} for task ${taskId}:`, err?.message || err);
-                    // you may want to add retries per message. For now we continue to next message.
-                }
+    // A one-off time may have passed since the preview was made
+    if (scheduleSpec) {
+        try {
+            resolveTiming(scheduleSpec.timing);
+        } catch (err) {
+            throw new ApiError(400, "invalid_schedule", err.message);
+        }
+    }
 
-                // delay between messages
-                await delay(parsedDelay * 1000);
-            }
+    // The preview and its media are only given up once the task or schedule
+    // exists, so a commit that fails here can be retried
+    const uploadId = scheduleSpec ? newScheduleId() : newTaskId();
+    let moved;
+    try {
+        moved = copyTaskMedia(token, uploadId, messages);
+    } catch (err) {
+        cleanupTaskUploads(uploadId);
+        throw err;
+    }
+    const result = scheduleSpec
+        ? { schedule: scheduleSend(user, uploadId, plan, moved, scheduleSpec, { previewToken: token }) }
+        : { task: startSendTask(user, uploadId, plan, moved, { previewToken: token }) };
+    previews.take(token);
+    cleanupTaskUploads(token);
+    return result;
+}
 
-            // finish
-            const finishedTask = activeTasks.get(taskId);
-            if (finishedTask) {
-                finishedTask.isSending = false;
-                finishedTask.endedAt = new Date();
-                activeTasks.set(taskId, finishedTask);
-            }
+// Multer rejects oversized or surplus files before the handler runs; answer like the handler would
+function handleSendUpload(req, res, next) {
+    sendMessageUpload(req, res, err => {
+        if (!err) return next();
+        Object.values(req.files || {}).flat().forEach(file => removeFile(file.path));
+        const message = err.code === "LIMIT_FILE_SIZE"
+            ? `File is larger than the ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))} MB upload limit`
+            : err.code === "LIMIT_UNEXPECTED_FILE"
+                ? `Too many files (at most ${MAX_MEDIA_FILES} media files, one message file and one contact list)`
+                : err.message;
+        res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400)
+            .send(`<div class="box"><h2>❌ Error: ${escapeHtml(message)}</h2><br><a href="/">← Go Back</a></div>`);
+    });
+}
 
-            console.log(`⏹️ Task ${taskId} completed. Sent ${finishedTask?.sentMessages || 0}/${messages.length}`);
-            // Cleanup: remove uploaded file
-            try {
-                if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-            } catch (e) {
-                // ignore
-            }
+// "2h 5m", "3m 20s", "45s"
+function formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
 
-            // Optionally remove task after short grace period
-            setTimeout(() => {
-                activeTasks.delete(taskId);
-            }, 1000 * 60 * 5); // keep for 5 mins for status checking
-        })();
+// Send-message endpoint (legacy HTML; the page uses POST /api/v1/tasks). A dry
+// run answers with the preview and a button that posts its previewToken back here.
+app.post("/send-message", requireAuth, handleSendUpload, async (req, res) => {
+    // Whatever is not moved into the task's upload folder is deleted when the request ends
+    const uploaded = Object.values(req.files || {}).flat();
+    try {
+        let result;
+        if (req.body.previewToken) {
+            result = commitPreview(req.user, String(req.body.previewToken));
+        } else {
+            const input = validate(SEND_TASK_BODY, req.body, { coerce: true });
+            result = await createSendTask(req.user, input, req.files || {});
+        }
+        const { task, schedule, preview } = result;
+        const plan = preview ? preview.plan : task ? task : schedule.task;
+
+        const targetLabel = escapeHtml(plan.targetJid || `${plan.recipients.length} contacts from ${plan.target}`);
+        const rejectedRows = plan.rejectedRows || [];
+        const rejectedHtml = rejectedRows.length > 0 ? `
+                <p>⚠️ ${rejectedRows.length} row(s) not messaged:</p>
+                <ul style="text-align:left;">${rejectedRows.slice(0, MAX_REJECTED_ROWS_SHOWN).map(r => `<li>Row ${r.row}${r.number ? ` (${escapeHtml(r.number)})` : ""}: ${escapeHtml(r.reason)}</li>`).join("")}</ul>${rejectedRows.length > MAX_REJECTED_ROWS_SHOWN ? `
+                <p>...and ${rejectedRows.length - MAX_REJECTED_ROWS_SHOWN} more</p>` : ""}` : "";
+
+        if (preview) {
+            const shown = describePreview(preview);
+            const messagesHtml = shown.messages.slice(0, MAX_PREVIEW_MESSAGES_SHOWN).map(m => `<li>${plan.recipients ? `<strong>${escapeHtml(m.to)}</strong>: ` : ""}${m.type === "text" ? "" : `[${escapeHtml(m.type)}: ${escapeHtml(m.fileName)}] `}<span style="white-space:pre-wrap;">${escapeHtml(m.text)}</span></li>`).join("");
+            return res.send(`
+            <div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">
+                <h2>👀 Preview - nothing has been sent</h2>
+                <p>Session: ${escapeHtml(shown.sessionId)}</p>
+                <p>Target: ${targetLabel}</p>
+                <p>Total messages: ${shown.totalMessages}${shown.mediaMessages > 0 ? ` (${shown.mediaMessages} media)` : ""}</p>
+                <p>Estimated duration: ${formatDuration(shown.estimatedDurationSec)} (${shown.delaySec} seconds between messages)</p>${shown.schedule ? `
+                <p>Would first run: ${escapeHtml(shown.schedule.nextRunAt)}</p>` : ""}${rejectedHtml}
+                <ol style="text-align:left;">${messagesHtml}</ol>${shown.messages.length > MAX_PREVIEW_MESSAGES_SHOWN ? `
+                <p>...and ${shown.messages.length - MAX_PREVIEW_MESSAGES_SHOWN} more</p>` : ""}
+                <form action="/send-message" method="POST">
+                    <input type="hidden" name="previewToken" value="${escapeHtml(shown.token)}">
+                    <button type="submit">${shown.schedule ? "Create this schedule" : "Send exactly this"}</button>
+                </form>
+                <p>The preview expires at ${escapeHtml(shown.expiresAt)}.</p>
+                <a href="/">← Go Back</a>
+            </div>
+        `);
+        }
 
+        if (schedule) {
+            return res.status(201).send(`
+            <div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">
+                <h2>⏰ Task Scheduled</h2>
+                <p>Schedule ID: <strong>${schedule.id}</strong></p>
+                <p>Session: ${schedule.sessionId}</p>
+                <p>Target: ${targetLabel}</p>
+                <p>${schedule.cron ? `Repeats: <code>${escapeHtml(schedule.cron)}</code> (${escapeHtml(schedule.timezone)})` : "Runs once"}</p>
+                <p>Next run: ${new Date(schedule.nextRunAt).toLocaleString("en-GB", { timeZone: schedule.timezone })} (${escapeHtml(schedule.timezone)})</p>
+                <p>Messages per run: ${plan.totalMessages}</p>${rejectedHtml}
+                <a href="/">← Go Back</a>
+            </div>
+        `);
+        }
+
+        // Return the task id to the user; the home page lists the task with live progress
+        res.status(201).send(`
+            <div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">
+                <h2>✅ Task Started</h2>
+                <p>Task ID: <strong id="taskId">${task.id}</strong></p>
+                <p>Session: ${task.sessionId}</p>
+                <p>Target: ${targetLabel}</p>
+                <p>Total messages: ${task.totalMessages}${task.mediaMessages > 0 ? ` (${task.mediaMessages} media)` : ""}</p>${rejectedHtml}
+                <p>Delay between messages: ${task.delaySec} seconds</p>
+                <a href="/">← Go Back</a>
+            </div>
+        `);
     } catch (err) {
-        console.error("Error in /send-message:", err);
-        res.send(`<div class="box"><h2>❌ Error: ${err.message}</h2><br><a href="/">← Go Back</a></div>`);
+        sendHtmlError(res, err, "Error in /send-message");
+    } finally {
+        uploaded.forEach(file => removeFile(file.path));
     }
 });
 
-// Stop-task endpoint
-app.post("/stop-task", (req, res) => {
+// Stop-task endpoint (legacy HTML; the page uses POST /api/v1/tasks/{id}/stop)
+app.post("/stop-task", requireAuth, (req, res) => {
     try {
         const { taskId } = req.body;
         if (!taskId) {
-            return res.send(`<div class="box"><h2>❌ Error: Missing taskId</h2><br><a href="/">← Go Back</a></div>`);
+            throw new ApiError(400, "validation_failed", "Missing taskId");
         }
 
+        // Someone else's task is reported exactly like a missing one
         const task = activeTasks.get(taskId);
-        if (!task) {
-            return res.send(`<div class="box"><h2>❌ Error: Task not found or already finished</h2><br><a href="/">← Go Back</a></div>`);
+        if (!task || !ownsResource(req.user, task) || !requestStop(task)) {
+            throw new ApiError(404, "task_not_found", "Task not found or already finished");
         }
 
-        task.stopRequested = true;
-        task.isSending = false;
-        activeTasks.set(taskId, task);
+        auditLog.record(req.user, "task.stop", { taskId, sessionId: task.sessionId });
+        logger.info({ taskId, sessionId: task.sessionId }, "Stop requested");
 
-        console.log(`🛑 Stop requested for task ${taskId}`);
-
-        // Remove localStorage item on client via HTML response (client will run the inline script)
         res.send(`
             <div style="padding:20px;background:rgba(20,40,80,0.9);border-radius:10px;color:#e0e0ff;">
                 <h2>🛑 Stop requested for Task: ${taskId}</h2>
                 <p>Task will stop after the currently sending message finishes (if any).</p>
                 <a href="/">← Go Back</a>
             </div>
-            <script>
-                const t = localStorage.getItem('wa_task_id');
-                if (t === '${taskId}') localStorage.removeItem('wa_task_id');
-            </script>
         `);
+    } catch (err) {
+        sendHtmlError(res, err, "Error in /stop-task");
+    }
+});
+
+// Liveness: the process is up and serving requests
+app.get("/healthz", (req, res) => {
+    res.json({ status: "ok", uptimeSec: Math.round(process.uptime()) });
+});
+
+// Readiness: sessions restored, data directory writable and not shutting down
+app.get("/readyz", (req, res) => {
+    let storage = true;
+    try {
+        fs.accessSync(DATA_DIR, fs.constants.W_OK);
+    } catch {
+        storage = false;
+    }
+    const checks = { startup: startupComplete, storage, acceptingTasks: !shuttingDown };
+    const ready = Object.values(checks).every(Boolean);
+    const live = [...activeClients.values()];
+    res.status(ready ? 200 : 503).json({
+        status: ready ? "ready" : "not ready",
+        checks,
+        sessions: { active: live.length, connected: live.filter(c => c.connected).length }
+    });
+});
 
+// Prometheus scrape endpoint. With METRICS_TOKEN set, "Authorization: Bearer <token>"
+// is accepted as well as an admin API key, so the scraper needs no account.
+app.get("/metrics", (req, res, next) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.get("Authorization") === `Bearer ${token}`) return next();
+    requireAdmin(req, res, next);
+}, async (req, res) => {
+    try {
+        res.set("Content-Type", metrics.contentType);
+        res.send(await metrics.render());
     } catch (err) {
-        console.error("Error in /stop-task:", err);
-        res.send(`<div class="box"><h2>❌ Error: ${err.message}</h2><br><a href="/">← Go Back</a></div>`);
+        logger.error({ err }, "Could not render metrics");
+        res.status(500).end();
     }
 });
 
 // Simple endpoint to list active sessions and tasks (JSON)
-app.get("/status", (req, res) => {
+app.get("/status", requireAuth, (req, res) => {
     const sessions = [];
     activeClients.forEach((v, k) => {
+        if (!ownsResource(req.user, v)) return;
         sessions.push({
             sessionId: k,
             number: v.number,
@@ -572,12 +1942,20 @@ app.get("/status", (req, res) => {
 
     const tasks = [];
     activeTasks.forEach((v, k) => {
+        if (!ownsResource(req.user, v)) return;
         tasks.push({
             taskId: k,
             target: v.target,
             targetJid: v.targetJid,
+            status: v.status,
             totalMessages: v.totalMessages,
             sentMessages: v.sentMessages,
+            failedMessages: v.failedMessages,
+            skippedMessages: v.skippedMessages,
+            skipReason: v.skipReason,
+            blockedReason: v.blockedReason,
+            paused: Boolean(v.paused),
+            delivery: reports.summary(k),
             isSending: v.isSending,
             stopRequested: v.stopRequested,
             startedAt: v.startedAt,
@@ -592,19 +1970,18 @@ app.get("/status", (req, res) => {
 });
 
 // ✅ Endpoint to fetch all WhatsApp Groups + Group UID (JID)
-app.get("/groups", async (req, res) => {
+app.get("/groups", requireAuth, async (req, res) => {
     try {
-        let waClient;
-        for (const [_, clientInfo] of activeClients.entries()) {
-            if (clientInfo.connected && clientInfo.client) {
-                waClient = clientInfo.client;
-                break;
-            }
+        const { sessionId, clientInfo, error: sessionError } = resolveSession(req.user, req.query.sessionId);
+        // Same statuses as /api/v1: a named session that is missing is a 404,
+        // leaving the choice ambiguous a 400, a known one that is down a 409
+        if (sessionError) {
+            return res.status(req.query.sessionId ? 404 : 400).json({ error: sessionError });
         }
-
-        if (!waClient) {
-            return res.status(400).json({ error: "No active WhatsApp session connected" });
+        if (!clientInfo.connected) {
+            return res.status(409).json({ error: `Session ${sessionId} is not connected` });
         }
+        const waClient = clientInfo.client;
 
         const chats = await waClient.groupFetchAllParticipating();
         const groups = Object.values(chats).map(g => ({
@@ -617,20 +1994,151 @@ app.get("/groups", async (req, res) => {
             return res.json({ message: "No groups found on this session." });
         }
 
-        fs.writeFileSync("group_list.json", JSON.stringify(groups, null, 2));
-        console.log(`📦 Found ${groups.length} groups. Saved to group_list.json`);
+        logger.debug({ sessionId, groups: groups.length }, "Fetched groups");
 
         res.json({
             total: groups.length,
             groups
         });
     } catch (err) {
-        console.error("❌ Error fetching groups:", err);
+        logger.error({ err }, "Error fetching groups");
         res.status(500).json({ error: err.message });
     }
 });
 
-// 👇 Keep this at the end — nothing after it
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-});
+// Versioned JSON API with its OpenAPI document at /api/v1/openapi.json; the home page
+// and the command-line tool are clients of it
+app.use(apiV1Router.BASE_PATH, apiV1Router({
+    userStore,
+    auditLog,
+    sessionRegistry,
+    activeClients,
+    describeSession,
+    pairSession,
+    logoutSession,
+    deleteSession,
+    reconnectSession,
+    exportSession,
+    importSession,
+    pairing,
+    sendPolicy,
+    toTargetJid,
+    messageStore,
+    bot,
+    webhooks,
+    suppression,
+    activeTasks,
+    taskStore,
+    reports,
+    taskEvents,
+    requestStop,
+    pauseTask,
+    resumeTask,
+    moveTask,
+    queueOf,
+    createSendTask,
+    previews,
+    commitPreview,
+    scheduler,
+    authenticate: optionalAuth,
+    upload,
+    uploadLimits: { fileSize: MAX_UPLOAD_BYTES }
+}));
+app.use(apiV1Router.BASE_PATH, apiErrorHandler);
+
+let server = null;
+let keepAliveTimer = null;
+
+// Graceful stop: refuse new work, let send loops save their place, flush
+// credentials and close the sockets without triggering reconnects
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info({ signal }, "Shutting down");
+    // Never hang forever on a stuck socket
+    setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS + 5000).unref();
+
+    scheduler.stop();
+    messageStore.stop();
+    webhooks.stop();
+    previews.stop();
+    clearInterval(keepAliveTimer);
+    reconnectTimers.forEach(timer => clearTimeout(timer));
+    reconnectTimers.clear();
+    const httpClosed = new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+
+    const stuck = await suspendAll(SHUTDOWN_TIMEOUT_MS);
+    if (stuck > 0) {
+        logger.warn({ tasks: stuck }, "Some send loops did not stop in time; their progress is saved");
+    }
+
+    for (const [sessionId, clientInfo] of activeClients) {
+        try {
+            if (clientInfo.saveCreds) await clientInfo.saveCreds();
+            if (clientInfo.client) clientInfo.client.end(undefined);
+        } catch (err) {
+            logger.warn({ err, sessionId }, "Could not close session cleanly");
+        }
+    }
+
+    // Open SSE streams would keep the server from closing
+    if (server && server.closeAllConnections) server.closeAllConnections();
+    await httpClosed;
+    logger.info("Shutdown complete");
+    process.exit(0);
+}
+
+// 👇 Keep this at the end — nothing after it but the exports
+if (require.main === module) {
+    if (!authCipher) {
+        logger.warn("AUTH_ENCRYPTION_KEY is not set - session credentials are stored unencrypted");
+    }
+    restoreTasks();
+    sweepUploads(new Set([
+        ...activeTasks.keys(),
+        ...scheduler.list().filter(s => s.nextRunAt).map(s => s.id),
+        ...previews.tokens()
+    ]));
+    reports.trackRecent(taskStore.list({ limit: Infinity }));
+    restoreSessions().catch(err => {
+        logger.error({ err }, "Error restoring sessions");
+        startupComplete = true;
+    });
+    keepAliveTimer = startKeepAlive();
+    scheduler.start();
+    messageStore.start();
+    previews.start();
+    server = app.listen(PORT, () => {
+        logger.info({ port: PORT, transport: getTransport().name }, `Server running on http://localhost:${PORT}`);
+    });
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+    process.on("SIGINT", () => shutdown("SIGINT"));
+}
+
+module.exports = {
+    app,
+    activeClients,
+    activeTasks,
+    userStore,
+    auditLog,
+    taskStore,
+    sessionRegistry,
+    sessionEvents,
+    pairing,
+    suppression,
+    sendPolicy,
+    reports,
+    taskEvents,
+    scheduler,
+    webhooks,
+    messageStore,
+    bot,
+    metrics,
+    initializeClient,
+    reconnectSession,
+    shutdown,
+    restoreTasks,
+    restoreSessions,
+    getTransport,
+    setTransport
+};
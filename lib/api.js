@@ -0,0 +1,361 @@
+// lib/api.js
+//
+// Building blocks of the versioned JSON API (see routes/apiV1.js). Every
+// endpoint is a plain definition
+//   { method, path: "/tasks/{id}", operationId, summary, description?, tags?,
+//     auth? (default true), admin?, params?, query?, body?, files?: { [field]: { maxCount, description } },
+//     stream?, responses: { [status]: { description, schema?, contentType? } }, handler(input, req, res) }
+// from which both the Express routes and the OpenAPI document are built, so
+// the document cannot drift from what the server accepts. params / query /
+// body are JSON-schema objects (the subset validate() understands). handler()
+// gets { user, params, query, body, files } with the validated values and
+// returns { status?, body } - sent as JSON, or as is with { type, fileName? }
+// for downloads. A `stream` route answers on `res` itself (server-sent events).
+// Failures are thrown as ApiError and leave as
+//   { "error": { "code": "...", "message": "...", "details"?: [...] } }
+// with a matching HTTP status.
+const express = require("express");
+const { removeFile } = require("./media");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "api" });
+
+class ApiError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.code = code;
+        if (details) this.details = details;
+    }
+}
+
+const ERROR_SCHEMA = {
+    type: "object",
+    required: ["error"],
+    properties: {
+        error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+                code: { type: "string", example: "validation_failed" },
+                message: { type: "string" },
+                details: {
+                    type: "array",
+                    items: {
+                        type: "object",
+                        properties: { path: { type: "string" }, message: { type: "string" } }
+                    }
+                }
+            }
+        }
+    }
+};
+
+function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    if (Number.isInteger(value)) return "integer";
+    return typeof value;
+}
+
+// Path parameters, query strings and form fields arrive as strings; turn
+// them into what the schema asks for. An empty form field counts as absent.
+function coerceValue(schema, value) {
+    if (typeof value !== "string") {
+        return schema.type === "array" && value !== undefined && !Array.isArray(value) ? [value] : value;
+    }
+    if (value === "") return undefined;
+    switch (schema.type) {
+        case "integer":
+        case "number":
+            return value.trim() !== "" && !Number.isNaN(Number(value)) ? Number(value) : value;
+        case "boolean":
+            if (["true", "on", "1"].includes(value)) return true;
+            if (["false", "off", "0"].includes(value)) return false;
+            return value;
+        case "array":
+            return [value];
+        default:
+            return value;
+    }
+}
+
+function checkValue(schema, value, path, errors, coerce) {
+    if (coerce) value = coerceValue(schema, value);
+    if (value === undefined) return undefined;
+
+    const actual = typeOf(value);
+    const expected = schema.type;
+    const typeMatches = !expected
+        || actual === expected
+        || (expected === "number" && actual === "integer")
+        || (actual === "null" && schema.nullable);
+    if (!typeMatches) {
+        errors.push({ path, message: `must be ${expected === "integer" ? "an integer" : `a${/^[aeiou]/.test(expected) ? "n" : ""} ${expected}`}` });
+        return value;
+    }
+    if (value === null) return value;
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(", ")}` });
+    }
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be at least ${schema.minimum}` });
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path, message: schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters` });
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path, message: `must match ${schema.pattern}` });
+        }
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+        if (schema.items) value = value.map((item, i) => checkValue(schema.items, item, `${path}[${i}]`, errors, coerce));
+    }
+    if (actual === "object") value = checkObject(schema, value, path, errors, coerce);
+    return value;
+}
+
+function checkObject(schema, value, path, errors, coerce) {
+    const properties = schema.properties || {};
+    const result = {};
+    const join = key => (path ? `${path}.${key}` : key);
+
+    for (const [key, propertySchema] of Object.entries(properties)) {
+        let propertyValue = checkValue(propertySchema, value[key], join(key), errors, coerce);
+        if (propertyValue === undefined && propertySchema.default !== undefined) propertyValue = propertySchema.default;
+        if (propertyValue !== undefined) result[key] = propertyValue;
+    }
+    for (const key of schema.required || []) {
+        if (result[key] === undefined) errors.push({ path: join(key), message: "is required" });
+    }
+    for (const key of Object.keys(value)) {
+        if (key in properties) continue;
+        if (schema.additionalProperties === false) {
+            errors.push({ path: join(key), message: "is not a known field" });
+        } else {
+            result[key] = value[key];
+        }
+    }
+    return result;
+}
+
+// Check `value` against `schema`; returns the value with coercions and
+// defaults applied, or throws a 400 validation_failed ApiError listing every problem
+function validate(schema, value, { coerce = false, where = "body" } = {}) {
+    if (!schema) return value;
+    const errors = [];
+    const input = value === undefined || value === null ? {} : value;
+    if (schema.type === "object" && typeOf(input) !== "object") {
+        throw new ApiError(400, "validation_failed", `The request ${where} must be a JSON object`);
+    }
+    const result = checkValue(schema, input, "", errors, coerce);
+    if (errors.length > 0) {
+        const details = errors.map(e => ({ path: e.path ? `${where}.${e.path}` : where, message: e.message }));
+        throw new ApiError(400, "validation_failed", `Invalid request ${where}: ${details.map(d => `${d.path} ${d.message}`).join("; ")}`, details);
+    }
+    return result;
+}
+
+// Any error -> { status, body } in the API's error format
+function toErrorResponse(err) {
+    if (err instanceof ApiError) {
+        return {
+            status: err.status,
+            body: { error: { code: err.code, message: err.message, ...(err.details ? { details: err.details } : {}) } }
+        };
+    }
+    // body-parser failures carry their own status
+    if (err && err.type === "entity.parse.failed") {
+        return { status: 400, body: { error: { code: "invalid_json", message: "The request body is not valid JSON" } } };
+    }
+    if (err && err.type === "entity.too.large") {
+        return { status: 413, body: { error: { code: "payload_too_large", message: "The request body is too large" } } };
+    }
+    return { status: 500, body: { error: { code: "internal_error", message: "Internal server error" } } };
+}
+
+// Error middleware for everything under the API prefix, including body parsing
+function apiErrorHandler(err, req, res, next) {
+    if (res.headersSent) return next(err);
+    const { status, body } = toErrorResponse(err);
+    if (status >= 500) log.error({ err, method: req.method, path: req.originalUrl }, "API request failed");
+    res.status(status).json(body);
+}
+
+function uploadError(err, limits) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+        return new ApiError(413, "file_too_large", `File is larger than the ${Math.round(limits.fileSize / (1024 * 1024))} MB upload limit`);
+    }
+    if (err.code === "LIMIT_UNEXPECTED_FILE") {
+        return new ApiError(400, "unexpected_file", `Unexpected or surplus file in field ${err.field}`);
+    }
+    return new ApiError(400, "upload_rejected", err.message);
+}
+
+// Shared pieces of route definitions
+const ID_PARAMS = {
+    type: "object",
+    required: ["id"],
+    properties: { id: { type: "string", minLength: 1 } }
+};
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const wrap = (key, schema) => ({ type: "object", properties: { [key]: schema } });
+const list = (key, schema) => ({ type: "object", properties: { total: { type: "integer" }, [key]: { type: "array", items: schema } } });
+
+function expressPath(path) {
+    return path.replace(/\{(\w+)\}/g, ":$1");
+}
+
+// Express router for a list of route definitions. `authenticate` attaches
+// req.user (or leaves it empty); `upload` is the multer instance used for
+// routes that accept files.
+function createApiRouter(routes, { authenticate, upload, uploadLimits }) {
+    const router = express.Router();
+
+    for (const route of routes) {
+        const middleware = [authenticate];
+        if (route.files) {
+            const fields = upload.fields(Object.entries(route.files).map(([name, f]) => ({ name, maxCount: f.maxCount || 1 })));
+            middleware.push((req, res, next) => fields(req, res, err => {
+                if (!err) return next();
+                Object.values(req.files || {}).flat().forEach(file => removeFile(file.path));
+                next(uploadError(err, uploadLimits));
+            }));
+        }
+
+        router[route.method](expressPath(route.path), ...middleware, async (req, res, next) => {
+            try {
+                if (route.auth !== false && !req.user) {
+                    throw new ApiError(401, "unauthorized", "Authentication required: send a valid API key");
+                }
+                if (route.admin && !req.user.admin) {
+                    throw new ApiError(403, "forbidden", "Admin privileges required");
+                }
+                const input = {
+                    user: req.user,
+                    params: validate(route.params, req.params, { coerce: true, where: "path" }),
+                    query: validate(route.query, req.query, { coerce: true, where: "query" }),
+                    // Form and multipart fields are strings, like a query string
+                    body: validate(route.body, req.body, { coerce: !req.is("application/json"), where: "body" }),
+                    files: req.files || {}
+                };
+                if (route.stream) return await route.handler(input, req, res);
+                const { status = 200, body, type, fileName } = await route.handler(input, req, res);
+                if (fileName) res.attachment(fileName);
+                if (type) return res.status(status).type(type).send(body);
+                res.status(status).json(body);
+            } catch (err) {
+                next(err);
+            } finally {
+                // Handlers move the uploads they keep; the rest is temporary
+                Object.values(req.files || {}).flat().forEach(file => removeFile(file.path));
+            }
+        });
+    }
+
+    router.use((req, res, next) => next(new ApiError(404, "not_found", `No route for ${req.method} ${req.path}`)));
+    return router;
+}
+
+function describeParameters(schema, location) {
+    if (!schema) return [];
+    return Object.entries(schema.properties || {}).map(([name, propertySchema]) => {
+        const { description, ...rest } = propertySchema;
+        return {
+            name,
+            in: location,
+            required: location === "path" || (schema.required || []).includes(name),
+            ...(description ? { description } : {}),
+            schema: rest
+        };
+    });
+}
+
+function describeRequestBody(route) {
+    if (!route.body && !route.files) return undefined;
+    const content = {};
+    if (route.body) content["application/json"] = { schema: route.body };
+    if (route.files) {
+        const schema = route.body ? JSON.parse(JSON.stringify(route.body)) : { type: "object", properties: {} };
+        schema.properties = schema.properties || {};
+        for (const [name, file] of Object.entries(route.files)) {
+            const binary = { type: "string", format: "binary" };
+            schema.properties[name] = (file.maxCount || 1) > 1
+                ? { type: "array", maxItems: file.maxCount, items: binary, description: file.description }
+                : { ...binary, description: file.description };
+        }
+        content["multipart/form-data"] = { schema };
+    }
+    return { required: Boolean(route.body && route.body.required && route.body.required.length > 0), content };
+}
+
+// OpenAPI 3.0 document for the route definitions
+function buildOpenApi(routes, { title, version, description, basePath, schemas = {}, cookieName }) {
+    const paths = {};
+    for (const route of routes) {
+        const responses = {};
+        for (const [status, response] of Object.entries(route.responses || {})) {
+            const contentType = response.contentType || "application/json";
+            const schema = response.schema || (response.contentType ? { type: "string" } : null);
+            responses[status] = {
+                description: response.description,
+                ...(schema ? { content: { [contentType]: { schema } } } : {})
+            };
+        }
+        responses.default = {
+            description: "Error",
+            content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+        };
+
+        const requestBody = describeRequestBody(route);
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = {
+            operationId: route.operationId,
+            summary: route.summary,
+            ...(route.description ? { description: route.description } : {}),
+            ...(route.tags ? { tags: route.tags } : {}),
+            ...(route.auth === false ? { security: [] } : {}),
+            parameters: [...describeParameters(route.params, "path"), ...describeParameters(route.query, "query")],
+            ...(requestBody ? { requestBody } : {}),
+            responses
+        };
+    }
+
+    return {
+        openapi: "3.0.3",
+        info: { title, version, ...(description ? { description } : {}) },
+        servers: [{ url: basePath }],
+        security: [{ ApiKeyHeader: [] }, { BearerAuth: [] }, { CookieAuth: [] }],
+        paths,
+        components: {
+            securitySchemes: {
+                ApiKeyHeader: { type: "apiKey", in: "header", name: "X-API-Key" },
+                BearerAuth: { type: "http", scheme: "bearer" },
+                CookieAuth: { type: "apiKey", in: "cookie", name: cookieName }
+            },
+            schemas: { Error: ERROR_SCHEMA, ...schemas }
+        }
+    };
+}
+
+module.exports = {
+    ID_PARAMS,
+    ApiError,
+    apiErrorHandler,
+    buildOpenApi,
+    createApiRouter,
+    list,
+    ref,
+    toErrorResponse,
+    validate,
+    wrap
+};
@@ -0,0 +1,192 @@
+// lib/apiClient.js
+//
+// Client for a running server, used by the command-line tool (bin/wa-cli.js).
+// It speaks the same HTTP API as the home page: /api/v1 for sessions, tasks and
+// the SSE streams of pairing and task progress, plus the older /groups listing.
+// Requests carry the API key as X-API-Key.
+//
+// Failed requests throw ApiClientError with the HTTP status and, for /api/v1,
+// the error code from { error: { code, message } }.
+const fs = require("fs");
+const path = require("path");
+
+const REQUEST_TIMEOUT_MS = Number(process.env.WA_CLI_TIMEOUT_MS) || 60000;
+
+// Upload types by extension, so the server's media checks see what a browser would send
+const MIMETYPES = {
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".png": "image/png",
+    ".webp": "image/webp",
+    ".mp4": "video/mp4",
+    ".3gp": "video/3gpp",
+    ".mp3": "audio/mpeg",
+    ".ogg": "audio/ogg",
+    ".opus": "audio/ogg",
+    ".m4a": "audio/mp4",
+    ".aac": "audio/aac",
+    ".amr": "audio/amr",
+    ".pdf": "application/pdf",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xls": "application/vnd.ms-excel",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".ppt": "application/vnd.ms-powerpoint",
+    ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ".zip": "application/zip",
+    ".csv": "text/csv",
+    ".txt": "text/plain",
+    ".json": "application/json",
+    ".yaml": "application/yaml",
+    ".yml": "application/yaml"
+};
+
+class ApiClientError extends Error {
+    constructor(status, code, message) {
+        super(message);
+        this.name = "ApiClientError";
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// A local file as a multipart part, named like the original
+function fileBlob(filePath) {
+    const type = MIMETYPES[path.extname(filePath).toLowerCase()] || "application/octet-stream";
+    return new Blob([fs.readFileSync(filePath)], { type });
+}
+
+function createApiClient({ baseUrl, apiKey }) {
+    const root = baseUrl.replace(/\/+$/, "");
+
+    async function request(method, urlPath, { json, form, query } = {}) {
+        const url = new URL(root + urlPath);
+        for (const [key, value] of Object.entries(query || {})) {
+            if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+        }
+        const headers = { "X-API-Key": apiKey, Accept: "application/json" };
+        let body;
+        if (json !== undefined) {
+            headers["Content-Type"] = "application/json";
+            body = JSON.stringify(json);
+        } else if (form) {
+            body = form;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        } catch (err) {
+            throw new ApiClientError(null, "unreachable", `Cannot reach ${root}: ${err.cause?.message || err.message}`);
+        }
+        if (response.status === 204) return null;
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (err) {
+            data = null;
+        }
+        if (!response.ok) {
+            // /api/v1 answers { error: { code, message } }, the older routes { error: "message" }
+            const error = data && data.error;
+            const message = (error && (error.message || error)) || `HTTP ${response.status}`;
+            throw new ApiClientError(response.status, (error && error.code) || null, String(message));
+        }
+        if (data === null) {
+            throw new ApiClientError(response.status, "bad_response", `Expected JSON from ${method} ${urlPath}`);
+        }
+        return data;
+    }
+
+    // Read an SSE stream, calling onEvent(event, data) for every event until
+    // onEvent returns true, the server ends the stream or `signal` aborts
+    async function stream(urlPath, onEvent, { signal } = {}) {
+        let response;
+        try {
+            response = await fetch(root + urlPath, {
+                headers: { "X-API-Key": apiKey, Accept: "text/event-stream" },
+                signal
+            });
+        } catch (err) {
+            if (signal && signal.aborted) return;
+            throw new ApiClientError(null, "unreachable", `Cannot reach ${root}: ${err.cause?.message || err.message}`);
+        }
+        if (!response.ok) {
+            const data = await response.json().catch(() => null);
+            const message = (data && data.error && (data.error.message || data.error)) || `HTTP ${response.status}`;
+            throw new ApiClientError(response.status, (data && data.error && data.error.code) || null, String(message));
+        }
+
+        const decoder = new TextDecoder();
+        let buffer = "";
+        try {
+            for await (const chunk of response.body) {
+                buffer += decoder.decode(chunk, { stream: true });
+                let end;
+                while ((end = buffer.indexOf("\n\n")) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    let event = "message";
+                    const dataLines = [];
+                    for (const line of block.split("\n")) {
+                        if (line.startsWith("event:")) event = line.slice(6).trim();
+                        else if (line.startsWith("data:")) dataLines.push(line.slice(5).trimStart());
+                    }
+                    if (dataLines.length === 0) continue; // heartbeat comment
+                    if (await onEvent(event, JSON.parse(dataLines.join("\n")))) {
+                        await response.body.cancel().catch(() => {});
+                        return;
+                    }
+                }
+            }
+        } catch (err) {
+            if (signal && signal.aborted) return;
+            throw err;
+        }
+    }
+
+    return {
+        listSessions: () => request("GET", "/api/v1/sessions").then(data => data.sessions),
+
+        // { session, pairingCode, alreadyPaired }; method is "code" or "qr"
+        pairSession: (number, method) => request("POST", "/api/v1/sessions", { json: { number, method } }),
+
+        // Pairing state changes: "state", "qr", "pairing-code", "pairing-code-expired", "connection"
+        streamPairing: (sessionId, onEvent, options) =>
+            stream(`/api/v1/sessions/${encodeURIComponent(sessionId)}/events`, onEvent, options),
+
+        // Groups of the session (or of the caller's only session)
+        listGroups: sessionId => request("GET", "/groups", { query: { sessionId } }).then(data => data.groups || []),
+
+        listTasks: query => request("GET", "/api/v1/tasks", { query }).then(data => data.tasks),
+
+        getTask: taskId => request("GET", `/api/v1/tasks/${encodeURIComponent(taskId)}`),
+
+        // `fields` are the POST /api/v1/tasks body fields (arrays repeat the
+        // field); `files` maps SEND_TASK_FILES names to a path or list of paths
+        createTask(fields, files = {}) {
+            const form = new FormData();
+            for (const [key, value] of Object.entries(fields)) {
+                if (value === undefined || value === null) continue;
+                for (const item of [].concat(value)) form.append(key, String(item));
+            }
+            for (const [field, paths] of Object.entries(files)) {
+                for (const filePath of [].concat(paths || [])) {
+                    form.append(field, fileBlob(filePath), path.basename(filePath));
+                }
+            }
+            return request("POST", "/api/v1/tasks", { form });
+        },
+
+        // action: stop, pause or resume
+        controlTask: (taskId, action) => request("POST", `/api/v1/tasks/${encodeURIComponent(taskId)}/${action}`),
+
+        // Task changes: "state" once, then started, sent, failed, ..., finished
+        streamTask: (taskId, onEvent, options) =>
+            stream(`/api/v1/tasks/${encodeURIComponent(taskId)}/events`, onEvent, options)
+    };
+}
+
+module.exports = { ApiClientError, createApiClient };
@@ -0,0 +1,45 @@
+// lib/audit.js
+//
+// Append-only audit trail, one JSON object per line in <DATA_DIR>/audit.log.
+// Entries are never rewritten; reading just filters the file and returns the
+// latest matches, newest first.
+const fs = require("fs");
+const path = require("path");
+
+function createAuditLog(filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    return {
+        record(user, action, details = {}) {
+            const entry = {
+                at: new Date().toISOString(),
+                userId: user ? user.id : null,
+                userName: user ? user.name : null,
+                action,
+                ...details
+            };
+            fs.appendFileSync(filePath, JSON.stringify(entry) + "\n", { flag: "a" });
+            return entry;
+        },
+
+        read({ userId, action, limit = 200 } = {}) {
+            if (!fs.existsSync(filePath)) return [];
+            const entries = fs.readFileSync(filePath, "utf-8")
+                .split("\n")
+                .filter(line => line.trim().length > 0)
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        return null;
+                    }
+                })
+                .filter(entry => entry
+                    && (!userId || entry.userId === userId)
+                    && (!action || entry.action === action));
+            return entries.slice(-limit).reverse();
+        }
+    };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,180 @@
+// lib/auth.js
+//
+// API-key accounts. Keys are only ever shown once (on creation) and stored as
+// SHA-256 hashes in <DATA_DIR>/users.json. Requests authenticate with any of:
+//   X-API-Key: <key>
+//   Authorization: Bearer <key>
+//   Cookie: wa_api_key=<key>   (set by POST /login for the HTML page)
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const AUTH_COOKIE = "wa_api_key";
+
+function hashApiKey(apiKey) {
+    return crypto.createHash("sha256").update(String(apiKey)).digest("hex");
+}
+
+function generateApiKey() {
+    return `wak_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// Strip the key hash before a user object leaves this module
+function publicUser(user) {
+    if (!user) return null;
+    const { keyHash, ...rest } = user;
+    return rest;
+}
+
+function createUserStore(filePath) {
+    let users = [];
+
+    if (fs.existsSync(filePath)) {
+        users = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(users, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        get size() {
+            return users.length;
+        },
+
+        list() {
+            return users.map(publicUser);
+        },
+
+        get(id) {
+            return publicUser(users.find(u => u.id === id));
+        },
+
+        findByApiKey(apiKey) {
+            if (!apiKey) return null;
+            const keyHash = hashApiKey(apiKey);
+            return publicUser(users.find(u => u.keyHash === keyHash));
+        },
+
+        // Returns the plaintext key - the only time it is available
+        create({ name, admin = false, apiKey = generateApiKey() }) {
+            if (!name) throw new Error("User name is required");
+            if (users.some(u => u.name === name)) {
+                throw new Error(`User "${name}" already exists`);
+            }
+            const user = {
+                id: `usr_${crypto.randomBytes(6).toString("hex")}`,
+                name,
+                admin: Boolean(admin),
+                keyHash: hashApiKey(apiKey),
+                createdAt: new Date()
+            };
+            users.push(user);
+            save();
+            return { user: publicUser(user), apiKey };
+        },
+
+        rotateKey(id) {
+            const user = users.find(u => u.id === id);
+            if (!user) return null;
+            const apiKey = generateApiKey();
+            user.keyHash = hashApiKey(apiKey);
+            save();
+            return { user: publicUser(user), apiKey };
+        },
+
+        remove(id) {
+            const before = users.length;
+            users = users.filter(u => u.id !== id);
+            if (users.length !== before) save();
+            return users.length !== before;
+        },
+
+        // Make sure a fixed admin key (ADMIN_API_KEY) always maps to an admin account
+        ensureAdmin(apiKey, name = "admin") {
+            const existing = this.findByApiKey(apiKey);
+            if (existing) return existing;
+            const taken = users.find(u => u.name === name);
+            if (taken) {
+                taken.keyHash = hashApiKey(apiKey);
+                taken.admin = true;
+                save();
+                return publicUser(taken);
+            }
+            return this.create({ name, admin: true, apiKey }).user;
+        }
+    };
+}
+
+function parseCookies(header = "") {
+    const cookies = {};
+    header.split(";").forEach(part => {
+        const index = part.indexOf("=");
+        if (index < 0) return;
+        const key = part.slice(0, index).trim();
+        if (!key) return;
+        // Other apps on the host may set cookies we cannot decode; skip those
+        try {
+            cookies[key] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch {
+            // malformed percent-encoding
+        }
+    });
+    return cookies;
+}
+
+function readApiKey(req) {
+    const header = req.get("x-api-key");
+    if (header) return header.trim();
+
+    const authorization = req.get("authorization") || "";
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+
+    return parseCookies(req.get("cookie"))[AUTH_COOKIE] || null;
+}
+
+function createAuthMiddleware(userStore) {
+    // Attach req.user when a valid key is present, but never reject
+    function optionalAuth(req, res, next) {
+        req.user = userStore.findByApiKey(readApiKey(req));
+        next();
+    }
+
+    function requireAuth(req, res, next) {
+        req.user = userStore.findByApiKey(readApiKey(req));
+        if (!req.user) {
+            return res.status(401).json({ error: "Authentication required: send a valid API key" });
+        }
+        next();
+    }
+
+    function requireAdmin(req, res, next) {
+        requireAuth(req, res, () => {
+            if (!req.user.admin) {
+                return res.status(403).json({ error: "Admin privileges required" });
+            }
+            next();
+        });
+    }
+
+    return { optionalAuth, requireAuth, requireAdmin };
+}
+
+// Sessions and tasks carry the id of the user who created them
+function ownsResource(user, resource) {
+    return Boolean(user && resource && resource.owner === user.id);
+}
+
+module.exports = {
+    AUTH_COOKIE,
+    createUserStore,
+    createAuthMiddleware,
+    generateApiKey,
+    hashApiKey,
+    ownsResource,
+    readApiKey
+};
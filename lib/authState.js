@@ -0,0 +1,302 @@
+// lib/authState.js
+//
+// Session credentials at rest, and the portable backup bundle.
+//
+// With AUTH_ENCRYPTION_KEY set (32 bytes as hex or base64, e.g. the output of
+// `openssl rand -hex 32`) every file in sessions/<sessionId> - creds.json and
+// the signal keys - is written as an AES-256-GCM envelope:
+//   { "enc": "aes-256-gcm", "kid": <key fingerprint>, "iv", "tag", "data" }
+// Plaintext files left from before the key was set are encrypted when the
+// session is next loaded. Without a key the files stay plain JSON, exactly as
+// Baileys' useMultiFileAuthState writes them.
+//
+// A backup bundle carries every auth file of one session plus its registry
+// entry, sealed with a passphrase (scrypt + AES-256-GCM), so it can be
+// imported on another host whatever key that host uses at rest.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const CIPHER = "aes-256-gcm";
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+
+const BUNDLE_FORMAT = "wa-session-bundle";
+const BUNDLE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 12;
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+// Largest cost a bundle may ask for: scrypt needs 128 * N * r bytes, 128 MiB here
+const MAX_BUNDLE_SCRYPT_N = 2 ** 17;
+
+// AUTH_ENCRYPTION_KEY -> 32-byte Buffer; anything else is a configuration error
+function parseKey(secret) {
+    const text = String(secret).trim();
+    const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, "hex") : Buffer.from(text, "base64");
+    if (key.length !== KEY_BYTES) {
+        throw new Error("AUTH_ENCRYPTION_KEY must be 32 bytes as hex or base64 (openssl rand -hex 32)");
+    }
+    return key;
+}
+
+function encrypt(key, plaintext) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(plaintext, "utf-8"), cipher.final()]);
+    return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+// Throws when the key is wrong or the data was tampered with
+function decrypt(key, { iv, tag, data }) {
+    const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(iv, "base64"));
+    decipher.setAuthTag(Buffer.from(tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf-8");
+}
+
+// Encrypts and decrypts auth files with the at-rest key; null when no key is configured
+function createAuthCipher(secret = process.env.AUTH_ENCRYPTION_KEY) {
+    if (!secret) return null;
+    const key = parseKey(secret);
+    const keyId = crypto.createHash("sha256").update(key).digest("hex").slice(0, 8);
+
+    return {
+        keyId,
+
+        seal(plaintext) {
+            return JSON.stringify({ enc: CIPHER, kid: keyId, ...encrypt(key, plaintext) });
+        },
+
+        open(envelope) {
+            if (envelope.kid && envelope.kid !== keyId) {
+                throw new Error(`Encrypted with another key (${envelope.kid}), not the configured one (${keyId})`);
+            }
+            return decrypt(key, envelope);
+        }
+    };
+}
+
+// The envelope of an encrypted file, or null for plain JSON
+function readEnvelope(text) {
+    try {
+        const value = JSON.parse(text);
+        return value && value.enc === CIPHER && typeof value.data === "string" ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+// File contents as plain JSON text, decrypting when needed; null if the file does not exist
+function readAuthFile(filePath, cipher) {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, "utf-8");
+    } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+    }
+    const envelope = readEnvelope(raw);
+    if (!envelope) return raw;
+    if (!cipher) {
+        throw new Error(`${filePath} is encrypted - set AUTH_ENCRYPTION_KEY to load it`);
+    }
+    return cipher.open(envelope);
+}
+
+// Atomic write, so a crash never leaves half an envelope behind
+function writeAuthFile(filePath, plaintext, cipher) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, cipher ? cipher.seal(plaintext) : plaintext);
+    fs.renameSync(tmpPath, filePath);
+}
+
+function authFileNames(folder) {
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder).filter(name => name.endsWith(".json"));
+}
+
+// Same file names Baileys uses, so plain folders stay interchangeable with useMultiFileAuthState
+function fixFileName(file) {
+    return file.replace(/\//g, "__").replace(/:/g, "-");
+}
+
+// Drop-in replacement for Baileys' useMultiFileAuthState that goes through `cipher`.
+// `baileys` supplies initAuthCreds, BufferJSON and proto. Unlike the original,
+// a file that exists but cannot be read is an error instead of "no creds":
+// a wrong key must not quietly replace the stored identity with a fresh one.
+async function useEncryptedAuthState(folder, cipher, { initAuthCreds, BufferJSON, proto }) {
+    fs.mkdirSync(folder, { recursive: true });
+    if (cipher) encryptPlainFiles(folder, cipher);
+
+    // Writes of one file are serialized; different files go in parallel
+    const locks = new Map();
+    function withLock(filePath, work) {
+        const previous = locks.get(filePath) || Promise.resolve();
+        const next = previous.then(work, work);
+        locks.set(filePath, next);
+        return next.finally(() => {
+            if (locks.get(filePath) === next) locks.delete(filePath);
+        });
+    }
+
+    function readData(file) {
+        const text = readAuthFile(path.join(folder, fixFileName(file)), cipher);
+        return text === null ? null : JSON.parse(text, BufferJSON.reviver);
+    }
+
+    function writeData(data, file) {
+        const filePath = path.join(folder, fixFileName(file));
+        return withLock(filePath, () => writeAuthFile(filePath, JSON.stringify(data, BufferJSON.replacer), cipher));
+    }
+
+    function removeData(file) {
+        const filePath = path.join(folder, fixFileName(file));
+        return withLock(filePath, () => fs.rmSync(filePath, { force: true }));
+    }
+
+    const creds = readData("creds.json") || initAuthCreds();
+
+    return {
+        state: {
+            creds,
+            keys: {
+                async get(type, ids) {
+                    const data = {};
+                    for (const id of ids) {
+                        let value = readData(`${type}-${id}.json`);
+                        if (type === "app-state-sync-key" && value) {
+                            value = proto.Message.AppStateSyncKeyData.fromObject(value);
+                        }
+                        data[id] = value;
+                    }
+                    return data;
+                },
+
+                async set(data) {
+                    const writes = [];
+                    for (const category of Object.keys(data)) {
+                        for (const id of Object.keys(data[category])) {
+                            const value = data[category][id];
+                            const file = `${category}-${id}.json`;
+                            writes.push(value ? writeData(value, file) : removeData(file));
+                        }
+                    }
+                    await Promise.all(writes);
+                }
+            }
+        },
+        saveCreds: () => writeData(creds, "creds.json")
+    };
+}
+
+// Encrypt the plain JSON files of a folder in place; returns how many were converted
+function encryptPlainFiles(folder, cipher) {
+    let converted = 0;
+    for (const name of authFileNames(folder)) {
+        const filePath = path.join(folder, name);
+        const raw = fs.readFileSync(filePath, "utf-8");
+        if (readEnvelope(raw)) continue;
+        writeAuthFile(filePath, raw, cipher);
+        converted++;
+    }
+    return converted;
+}
+
+// Every auth file of a folder as { [name]: plain JSON text }
+function readAuthFiles(folder, cipher) {
+    const files = {};
+    for (const name of authFileNames(folder)) {
+        files[name] = readAuthFile(path.join(folder, name), cipher);
+    }
+    return files;
+}
+
+// Write { [name]: plain JSON text } into a folder, encrypted when there is a cipher
+function writeAuthFiles(folder, files, cipher) {
+    fs.mkdirSync(folder, { recursive: true });
+    for (const [name, text] of Object.entries(files)) {
+        writeAuthFile(path.join(folder, name), text, cipher);
+    }
+}
+
+function checkPassphrase(passphrase) {
+    if (typeof passphrase !== "string" || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        throw new Error(`passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+}
+
+function deriveBundleKey(passphrase, salt, { N, r, p }) {
+    return new Promise((resolve, reject) => {
+        crypto.scrypt(passphrase, salt, KEY_BYTES, { N, r, p, maxmem: 256 * N * r }, (err, key) => {
+            if (err) reject(err);
+            else resolve(key);
+        });
+    });
+}
+
+// { session, files } -> bundle object, safe to store or send anywhere
+async function sealBundle(payload, passphrase) {
+    checkPassphrase(passphrase);
+    const salt = crypto.randomBytes(16);
+    const key = await deriveBundleKey(passphrase, salt, SCRYPT);
+    return {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        kdf: { name: "scrypt", salt: salt.toString("base64"), ...SCRYPT },
+        cipher: CIPHER,
+        ...encrypt(key, JSON.stringify(payload))
+    };
+}
+
+// Bundle object -> { session, files }; throws on a wrong passphrase or a damaged bundle
+async function openBundle(bundle, passphrase) {
+    checkPassphrase(passphrase);
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        throw new Error("Not a session bundle");
+    }
+    if (bundle.version !== BUNDLE_VERSION || bundle.cipher !== CIPHER || !bundle.kdf || bundle.kdf.name !== "scrypt") {
+        throw new Error(`Unsupported bundle version ${bundle.version}`);
+    }
+    const { salt, N, r, p } = bundle.kdf;
+    // Only what sealBundle writes (allowing a higher N): the parameters come
+    // from the upload and decide how much memory scrypt takes
+    const powerOfTwo = Number.isInteger(N) && N > 1 && (N & (N - 1)) === 0;
+    if (!powerOfTwo || N > MAX_BUNDLE_SCRYPT_N || r !== SCRYPT.r || p !== SCRYPT.p) {
+        throw new Error("Unsupported bundle key parameters");
+    }
+    const key = await deriveBundleKey(passphrase, Buffer.from(salt, "base64"), { N, r, p });
+
+    let payload;
+    try {
+        payload = JSON.parse(decrypt(key, bundle));
+    } catch {
+        throw new Error("Wrong passphrase or damaged bundle");
+    }
+
+    const files = payload.files || {};
+    if (typeof files["creds.json"] !== "string") {
+        throw new Error("Bundle has no creds.json");
+    }
+    for (const [name, text] of Object.entries(files)) {
+        if (!/^[\w.@+=-]+\.json$/.test(name) || typeof text !== "string") {
+            throw new Error(`Bundle contains an invalid file: ${name}`);
+        }
+        try {
+            JSON.parse(text);
+        } catch {
+            throw new Error(`Bundle file ${name} is not valid JSON`);
+        }
+    }
+    return { session: payload.session || {}, files };
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    MIN_PASSPHRASE_LENGTH,
+    createAuthCipher,
+    encryptPlainFiles,
+    openBundle,
+    readAuthFiles,
+    sealBundle,
+    useEncryptedAuthState,
+    writeAuthFiles
+};
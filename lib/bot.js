@@ -0,0 +1,311 @@
+// lib/bot.js
+//
+// Chat-command bot. Incoming messages that start with a session's command
+// prefix ("!help", "!faq hours") are matched against the commands of the
+// plugins enabled on that session, and the answer is sent back as a reply
+// quoting the command. Unknown commands are ignored, so ordinary chat that
+// happens to start with "!" gets no answer.
+//
+// Configuration lives in the session registry (`bot` field):
+//   { enabled, prefix, plugins: [name], admins: [jid], cooldownSec, settings: { [plugin]: {...} } }
+//
+// A plugin module exports
+//   { name, description, defaultSettings?, validateSettings?(settings), commands: [{
+//       name, aliases?, description, usage?, adminOnly?, groupOnly?, cooldownSec?, run(ctx) }] }
+// run() returns the reply (a string or Baileys message content) or nothing.
+// Admin-only commands are open to group admins in groups and to the numbers
+// listed in `admins` everywhere. Cooldowns are per chat and command, in memory.
+const fs = require("fs");
+const path = require("path");
+const { extractText, isGroupJid, normalizeJid, senderJid } = require("./waMessage");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "bot" });
+
+const BUILTIN_PLUGINS_DIR = path.join(__dirname, "botPlugins");
+
+const DEFAULT_BOT_CONFIG = {
+    enabled: false,
+    prefix: "!",
+    plugins: ["help", "status"],
+    admins: [],
+    cooldownSec: 5,
+    settings: {}
+};
+
+const CONFIG_FIELDS = Object.keys(DEFAULT_BOT_CONFIG);
+const MAX_PREFIX_LENGTH = 3;
+const MAX_COOLDOWN_SEC = 3600;
+const MAX_COOLDOWN_ENTRIES = 10000;
+
+// "!faq  \"opening hours\" now" with prefix "!" -> { name: "faq", args: ["opening hours", "now"], argText }
+function parseCommand(text, prefix) {
+    const trimmed = String(text || "").trim();
+    if (!trimmed.startsWith(prefix)) return null;
+    const body = trimmed.slice(prefix.length);
+    const match = body.match(/^(\S+)\s*([\s\S]*)$/);
+    if (!match) return null;
+
+    const argText = match[2].trim();
+    const args = [];
+    for (const [, doubleQuoted, singleQuoted, bare] of argText.matchAll(/"([^"]*)"|'([^']*)'|(\S+)/g)) {
+        args.push(doubleQuoted ?? singleQuoted ?? bare);
+    }
+    return { name: match[1].toLowerCase(), args, argText };
+}
+
+function validatePlugin(plugin, source) {
+    if (!plugin || typeof plugin.name !== "string" || !/^[a-z0-9_-]+$/.test(plugin.name)) {
+        throw new Error(`${source}: a plugin needs a lower-case name`);
+    }
+    if (!Array.isArray(plugin.commands) || plugin.commands.length === 0) {
+        throw new Error(`${source}: plugin ${plugin.name} has no commands`);
+    }
+    for (const command of plugin.commands) {
+        if (typeof command.name !== "string" || !/^\S+$/.test(command.name) || typeof command.run !== "function") {
+            throw new Error(`${source}: every command of ${plugin.name} needs a name and a run() function`);
+        }
+    }
+    return plugin;
+}
+
+// Every .js file in `dir` is one plugin
+function loadPluginDir(dir) {
+    if (!dir || !fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith(".js"))
+        .sort()
+        .map(file => validatePlugin(require(path.resolve(dir, file)), file));
+}
+
+// The session's bot settings with the defaults filled in
+function botConfig(sessionRecord) {
+    return { ...DEFAULT_BOT_CONFIG, ...((sessionRecord && sessionRecord.bot) || {}) };
+}
+
+// Validate a (partial) bot config from the API; returns only the fields given
+function validateBotConfig(input, { plugins, toTargetJid }) {
+    if (!input || typeof input !== "object") throw new Error("Bot config must be an object");
+
+    const config = {};
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== "boolean") throw new Error("enabled must be true or false");
+        config.enabled = input.enabled;
+    }
+    if (input.prefix !== undefined) {
+        if (typeof input.prefix !== "string" || !/^\S+$/.test(input.prefix) || input.prefix.length > MAX_PREFIX_LENGTH) {
+            throw new Error(`prefix must be 1-${MAX_PREFIX_LENGTH} characters without spaces`);
+        }
+        config.prefix = input.prefix;
+    }
+    if (input.plugins !== undefined) {
+        if (!Array.isArray(input.plugins)) throw new Error("plugins must be an array of plugin names");
+        const unknown = input.plugins.filter(name => !plugins.has(name));
+        if (unknown.length > 0) throw new Error(`Unknown plugin(s): ${unknown.join(", ")}`);
+        config.plugins = [...new Set(input.plugins)];
+    }
+    if (input.admins !== undefined) {
+        if (!Array.isArray(input.admins)) throw new Error("admins must be an array of numbers / JIDs");
+        config.admins = input.admins.map(entry => {
+            const jid = toTargetJid(entry);
+            if (!jid || isGroupJid(jid)) throw new Error(`Invalid admin: ${entry}`);
+            return jid;
+        });
+    }
+    if (input.cooldownSec !== undefined) {
+        if (!Number.isInteger(input.cooldownSec) || input.cooldownSec < 0 || input.cooldownSec > MAX_COOLDOWN_SEC) {
+            throw new Error(`cooldownSec must be an integer between 0 and ${MAX_COOLDOWN_SEC}`);
+        }
+        config.cooldownSec = input.cooldownSec;
+    }
+    if (input.settings !== undefined) {
+        if (!input.settings || typeof input.settings !== "object" || Array.isArray(input.settings)) {
+            throw new Error("settings must be an object keyed by plugin name");
+        }
+        config.settings = {};
+        for (const [name, settings] of Object.entries(input.settings)) {
+            const plugin = plugins.get(name);
+            if (!plugin) throw new Error(`settings: unknown plugin ${name}`);
+            config.settings[name] = plugin.validateSettings ? plugin.validateSettings(settings) : settings;
+        }
+    }
+
+    const unknown = Object.keys(input).filter(k => !CONFIG_FIELDS.includes(k));
+    if (unknown.length > 0) throw new Error(`Unknown bot field(s): ${unknown.join(", ")}`);
+
+    return config;
+}
+
+function describePlugin(plugin) {
+    return {
+        name: plugin.name,
+        description: plugin.description || null,
+        defaultSettings: plugin.defaultSettings || null,
+        commands: plugin.commands.map(c => ({
+            name: c.name,
+            aliases: c.aliases || [],
+            description: c.description || null,
+            usage: c.usage || null,
+            adminOnly: Boolean(c.adminOnly),
+            groupOnly: Boolean(c.groupOnly),
+            cooldownSec: c.cooldownSec ?? null
+        }))
+    };
+}
+
+function createBot({ sessionEvents, sessionRegistry, activeClients, getSessionStatus, plugins: pluginList }) {
+    const plugins = new Map();
+    for (const plugin of pluginList) {
+        if (plugins.has(plugin.name)) throw new Error(`Bot plugin ${plugin.name} is registered twice`);
+        plugins.set(plugin.name, plugin);
+    }
+
+    // `${sessionId}|${chat}|${command}` -> time the command may run again
+    const cooldowns = new Map();
+
+    // Commands of the enabled plugins by name and alias; the first plugin listed wins a clash
+    function commandsFor(config) {
+        const commands = new Map();
+        for (const name of config.plugins) {
+            const plugin = plugins.get(name);
+            if (!plugin) continue;
+            for (const command of plugin.commands) {
+                for (const key of [command.name, ...(command.aliases || [])]) {
+                    if (!commands.has(key.toLowerCase())) commands.set(key.toLowerCase(), { plugin, command });
+                }
+            }
+        }
+        return commands;
+    }
+
+    async function isAdmin(client, config, chat, sender) {
+        if (config.admins.includes(sender)) return true;
+        if (!isGroupJid(chat)) return false;
+        const metadata = await client.groupMetadata(chat);
+        const participant = (metadata.participants || []).find(p => normalizeJid(p.id) === sender);
+        return Boolean(participant && (participant.admin === "admin" || participant.admin === "superadmin"));
+    }
+
+    // true when the command ran in this chat less than its cooldown ago; starts a new cooldown otherwise
+    function onCooldown(key, seconds) {
+        const now = Date.now();
+        if ((cooldowns.get(key) || 0) > now) return true;
+        if (seconds > 0) {
+            if (cooldowns.size >= MAX_COOLDOWN_ENTRIES) {
+                for (const [k, until] of cooldowns) if (until <= now) cooldowns.delete(k);
+            }
+            cooldowns.set(key, now + seconds * 1000);
+        }
+        return false;
+    }
+
+    function saveSettings(sessionId, plugin, settings) {
+        const validated = plugin.validateSettings ? plugin.validateSettings(settings) : settings;
+        const current = sessionRegistry.get(sessionId).bot || {};
+        sessionRegistry.update(sessionId, {
+            bot: { ...current, settings: { ...(current.settings || {}), [plugin.name]: validated } }
+        });
+        return validated;
+    }
+
+    async function handleMessage(sessionId, config, msg) {
+        const parsed = parseCommand(extractText(msg), config.prefix);
+        if (!parsed) return;
+        const entry = commandsFor(config).get(parsed.name);
+        if (!entry) return;
+        const { plugin, command } = entry;
+
+        const client = activeClients.get(sessionId)?.client;
+        if (!client) return;
+
+        const chat = msg.key.remoteJid;
+        const sender = senderJid(msg);
+        const isGroup = isGroupJid(chat);
+        const reply = content => client.sendMessage(
+            chat,
+            typeof content === "string" ? { text: content } : content,
+            { quoted: msg }
+        );
+
+        const cooldownKey = `${sessionId}|${chat}|${command.name}`;
+        const cooldownSec = command.cooldownSec ?? config.cooldownSec;
+        // Refusals have their own cooldown, so they cannot be used to spam the chat either
+        const refuse = text => (onCooldown(`${cooldownKey}|refused`, cooldownSec) ? null : reply(text));
+
+        if (command.groupOnly && !isGroup) {
+            return refuse(`${config.prefix}${command.name} only works in groups.`);
+        }
+        if (command.adminOnly && !(await isAdmin(client, config, chat, sender))) {
+            return refuse(`${config.prefix}${command.name} is for group admins only.`);
+        }
+        if (onCooldown(cooldownKey, cooldownSec)) return;
+
+        const ctx = {
+            sessionId,
+            client,
+            msg,
+            chat,
+            sender,
+            isGroup,
+            prefix: config.prefix,
+            command: command.name,
+            args: parsed.args,
+            argText: parsed.argText,
+            settings: { ...(plugin.defaultSettings || {}), ...(config.settings[plugin.name] || {}) },
+            commands: [...new Set([...commandsFor(config).values()].map(e => e.command))],
+            getSessionStatus: () => getSessionStatus(sessionId),
+            // Replace this plugin's settings on the session, e.g. from an admin command
+            saveSettings: settings => saveSettings(sessionId, plugin, settings),
+            reply
+        };
+
+        log.info({ sessionId, chat, sender, command: command.name }, "Bot command");
+        try {
+            const answer = await command.run(ctx);
+            if (answer) await reply(answer);
+        } catch (err) {
+            log.error({ sessionId, chat, command: command.name, err }, "Bot command failed");
+            await reply("⚠️ Something went wrong running that command.").catch(() => {});
+        }
+    }
+
+    sessionEvents.on("messages.upsert", (sessionId, { messages, type }) => {
+        if (type !== "notify") return;
+
+        const record = sessionRegistry.get(sessionId);
+        const config = botConfig(record);
+        if (!record || !config.enabled) return;
+
+        for (const msg of messages || []) {
+            if (!msg.key || msg.key.fromMe) continue;
+            handleMessage(sessionId, config, msg).catch(err => {
+                log.error({ sessionId, err }, "Bot could not answer");
+            });
+        }
+    });
+
+    return {
+        plugins,
+
+        listPlugins() {
+            return [...plugins.values()].map(describePlugin);
+        },
+
+        configFor(sessionRecord) {
+            return botConfig(sessionRecord);
+        },
+
+        validateConfig(input, toTargetJid) {
+            return validateBotConfig(input, { plugins, toTargetJid });
+        }
+    };
+}
+
+module.exports = {
+    BUILTIN_PLUGINS_DIR,
+    DEFAULT_BOT_CONFIG,
+    botConfig,
+    createBot,
+    loadPluginDir,
+    parseCommand
+};
@@ -0,0 +1,83 @@
+// lib/botPlugins/faq.js
+// !faq <topic> answers from the session's FAQ entries; !faq alone lists the topics.
+// Admins maintain the list from the chat with !faqset and !faqdel.
+// Settings: { entries: { [topic]: answer } }, topics are matched case-insensitively.
+
+const MAX_ENTRIES = 200;
+const MAX_ANSWER_LENGTH = 4096;
+
+module.exports = {
+    name: "faq",
+    description: "Answers questions from a per-session list of topics",
+    defaultSettings: { entries: {} },
+
+    validateSettings(settings) {
+        const entries = settings && settings.entries;
+        if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+            throw new Error("faq settings must be { entries: { topic: answer } }");
+        }
+        const topics = Object.keys(entries);
+        if (topics.length > MAX_ENTRIES) throw new Error(`faq can hold at most ${MAX_ENTRIES} topics`);
+
+        // No prototype: a topic like "__proto__" is just a topic
+        const normalized = Object.create(null);
+        for (const topic of topics) {
+            const answer = entries[topic];
+            if (typeof answer !== "string" || !answer.trim() || answer.length > MAX_ANSWER_LENGTH) {
+                throw new Error(`faq answer for "${topic}" must be 1-${MAX_ANSWER_LENGTH} characters`);
+            }
+            const key = topic.trim().toLowerCase();
+            if (!key) throw new Error("faq topics cannot be empty");
+            normalized[key] = answer.trim();
+        }
+        return { entries: normalized };
+    },
+
+    commands: [{
+        name: "faq",
+        description: "Answer a frequently asked question",
+        usage: "[topic]",
+        run({ prefix, argText, settings }) {
+            const topics = Object.keys(settings.entries);
+            if (topics.length === 0) return "No FAQ topics have been set up yet.";
+
+            const wanted = argText.toLowerCase();
+            // Own topics only - "constructor" is not one
+            if (wanted && Object.hasOwn(settings.entries, wanted)) return settings.entries[wanted];
+
+            // Fall back to the topics that contain the words asked for
+            const matches = wanted ? topics.filter(t => wanted.split(/\s+/).every(word => t.includes(word))) : [];
+            if (matches.length === 1) return settings.entries[matches[0]];
+
+            const list = (matches.length > 1 ? matches : topics).map(t => `• ${t}`).join("\n");
+            const intro = wanted && matches.length === 0 ? `No FAQ topic matches "${argText}".\n` : "";
+            return `${intro}Send ${prefix}faq <topic>:\n${list}`;
+        }
+    }, {
+        name: "faqset",
+        description: "Add or change a FAQ answer",
+        usage: "<topic> = <answer>",
+        adminOnly: true,
+        run({ prefix, argText, settings, saveSettings }) {
+            const separator = argText.indexOf("=");
+            const topic = separator < 0 ? "" : argText.slice(0, separator).trim();
+            const answer = separator < 0 ? "" : argText.slice(separator + 1).trim();
+            if (!topic || !answer) return `Usage: ${prefix}faqset <topic> = <answer>`;
+            saveSettings({ entries: { ...settings.entries, [topic]: answer } });
+            return `Saved the answer for "${topic.toLowerCase()}".`;
+        }
+    }, {
+        name: "faqdel",
+        description: "Remove a FAQ topic",
+        usage: "<topic>",
+        adminOnly: true,
+        run({ prefix, argText, settings, saveSettings }) {
+            const topic = argText.toLowerCase();
+            if (!topic) return `Usage: ${prefix}faqdel <topic>`;
+            if (!Object.hasOwn(settings.entries, topic)) return `There is no FAQ topic "${topic}".`;
+            const { [topic]: removed, ...entries } = settings.entries;
+            saveSettings({ entries });
+            return `Removed "${topic}".`;
+        }
+    }]
+};
@@ -0,0 +1,33 @@
+// lib/botPlugins/help.js
+// !help lists the commands enabled on the session; !help <command> explains one
+
+function usageLine(prefix, command) {
+    return `${prefix}${command.name}${command.usage ? ` ${command.usage}` : ""}`;
+}
+
+module.exports = {
+    name: "help",
+    description: "Lists the available commands",
+    commands: [{
+        name: "help",
+        aliases: ["commands"],
+        description: "Show the available commands, or details of one",
+        usage: "[command]",
+        run({ prefix, args, commands }) {
+            if (args[0]) {
+                const wanted = (args[0].startsWith(prefix) ? args[0].slice(prefix.length) : args[0]).toLowerCase();
+                const command = commands.find(c => c.name === wanted || (c.aliases || []).includes(wanted));
+                if (!command) return `No command called ${prefix}${wanted}. Send ${prefix}help for the list.`;
+                const lines = [usageLine(prefix, command), command.description || ""];
+                if (command.aliases && command.aliases.length > 0) {
+                    lines.push(`Also: ${command.aliases.map(a => prefix + a).join(", ")}`);
+                }
+                if (command.adminOnly) lines.push("Group admins only.");
+                return lines.filter(Boolean).join("\n");
+            }
+
+            const lines = commands.map(c => `${usageLine(prefix, c)}${c.adminOnly ? " (admins)" : ""} - ${c.description || ""}`);
+            return ["*Commands*", ...lines].join("\n");
+        }
+    }]
+};
@@ -0,0 +1,30 @@
+// lib/botPlugins/status.js
+// !status answers with the session's connection state and running tasks
+
+function formatDuration(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 48) return `${hours} h ${minutes % 60} min`;
+    return `${Math.floor(hours / 24)} days`;
+}
+
+module.exports = {
+    name: "status",
+    description: "Reports whether the session is connected and busy",
+    commands: [{
+        name: "status",
+        aliases: ["ping"],
+        description: "Connection state and running tasks of this number",
+        run({ getSessionStatus }) {
+            const { session, runningTasks } = getSessionStatus();
+            const since = session.lastConnected ? new Date(session.lastConnected) : null;
+            return [
+                `✅ ${session.label || session.number} is online`,
+                since ? `Connected for ${formatDuration(Date.now() - since.getTime())}` : null,
+                `Running tasks: ${runningTasks}`,
+                `Server uptime: ${formatDuration(process.uptime() * 1000)}`
+            ].filter(Boolean).join("\n");
+        }
+    }]
+};
@@ -0,0 +1,189 @@
+// lib/contacts.js
+//
+// Personalised tasks from a CSV contact list. The first row names the columns;
+// `number` (or `phone`) is required, everything else - name, shift, ... - is a
+// custom field. Message texts and media captions use {{column}} placeholders,
+// filled in per row.
+//
+// Such a task has one entry per recipient in `task.recipients` and addresses
+// every message explicitly:  { to, recipient, message }  where `message` is a
+// plain text or media entry as in a single-target task, and `recipient` the
+// index into task.recipients.
+const { parseCsv } = require("./csv");
+
+const NUMBER_COLUMNS = ["number", "phone"];
+const MAX_CONTACTS = Number(process.env.MAX_CONTACTS) || 5000;
+
+const PLACEHOLDER = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const RECIPIENT_STATUS = {
+    PENDING: "pending",
+    SENT: "sent",
+    PARTIAL: "partial",  // some of the recipient's messages failed
+    FAILED: "failed",
+    SKIPPED: "skipped"   // opted out after the task started
+};
+
+const normalizeColumn = name => name.trim().toLowerCase();
+
+function placeholdersIn(text) {
+    return [...String(text).matchAll(PLACEHOLDER)].map(match => normalizeColumn(match[1]));
+}
+
+function renderTemplate(text, fields) {
+    return String(text).replace(PLACEHOLDER, (_, name) => fields[normalizeColumn(name)] ?? "");
+}
+
+// Texts are plain strings or message-script entries ({ type: "text", text, ... })
+const textOf = message => (typeof message === "string" ? message : message.text);
+
+function renderMessage(message, fields) {
+    return typeof message === "string"
+        ? renderTemplate(message, fields)
+        : { ...message, text: renderTemplate(message.text, fields) };
+}
+
+// CSV text -> { columns, numberColumn, rows: [{ row, fields }] }; row is the 1-based line of the sheet
+function parseContacts(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) throw new Error("Contact list is empty");
+
+    const columns = header.map(normalizeColumn);
+    const numberColumn = NUMBER_COLUMNS.find(name => columns.includes(name));
+    if (!numberColumn) throw new Error("Contact list needs a \"number\" column");
+    const duplicate = columns.find((name, i) => name && columns.indexOf(name) !== i);
+    if (duplicate) throw new Error(`Contact list has the column "${duplicate}" twice`);
+    if (lines.length === 0) throw new Error("Contact list has no rows");
+    if (lines.length > MAX_CONTACTS) throw new Error(`Contact list has more than ${MAX_CONTACTS} rows`);
+
+    const rows = lines.map(cells => {
+        const fields = {};
+        columns.forEach((name, c) => {
+            if (name) fields[name] = (cells[c] || "").trim();
+        });
+        return { row: cells.line, fields };
+    });
+    return { columns, numberColumn, rows };
+}
+
+// Turn contact rows into recipients and addressed messages. Rows that cannot be
+// messaged end up in `rejected` with a reason instead of disappearing:
+//   resolveNumber(number) -> { jid }, or { reason } (invalid, not on WhatsApp, ...)
+//   isSuppressed(jid)     -> true when the contact opted out
+//   checkRecipient(jid)   -> reason string (e.g. not on the allowlist) or null
+function buildContactMessages({ contacts, texts, media, resolveNumber, isSuppressed, checkRecipient }) {
+    const { columns, numberColumn, rows } = contacts;
+
+    const used = [...new Set([
+        ...texts.map(textOf).flatMap(placeholdersIn),
+        ...media.flatMap(entry => placeholdersIn(entry.caption || ""))
+    ])];
+    const unknown = used.filter(name => !columns.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown placeholder(s): ${unknown.map(name => `{{${name}}}`).join(", ")}`);
+    }
+
+    const recipients = [];
+    const rejected = [];
+    const messages = [];
+    const seen = new Set();
+
+    for (const { row, fields } of rows) {
+        const number = fields[numberColumn];
+        const reject = reason => rejected.push({ row, number, name: fields.name || null, reason });
+
+        if (!number) {
+            reject("missing number");
+            continue;
+        }
+        const { jid, reason } = resolveNumber(number);
+        if (!jid) {
+            reject(reason || "invalid number");
+            continue;
+        }
+        if (seen.has(jid)) {
+            reject("duplicate number");
+            continue;
+        }
+        const missing = used.filter(name => !fields[name]);
+        if (missing.length > 0) {
+            reject(`missing value for ${missing.map(name => `{{${name}}}`).join(", ")}`);
+            continue;
+        }
+        if (isSuppressed(jid)) {
+            reject("suppressed (opted out)");
+            continue;
+        }
+        const notAllowed = checkRecipient(jid);
+        if (notAllowed) {
+            reject(notAllowed);
+            continue;
+        }
+        seen.add(jid);
+
+        const recipient = recipients.length;
+        const own = [
+            ...media.map(entry => (entry.caption ? { ...entry, caption: renderTemplate(entry.caption, fields) } : entry)),
+            ...texts.map(text => renderMessage(text, fields))
+        ];
+        own.forEach(message => messages.push({ to: jid, recipient, message }));
+        recipients.push({
+            row,
+            name: fields.name || null,
+            number,
+            jid,
+            fields,
+            status: RECIPIENT_STATUS.PENDING,
+            messages: own.length,
+            sent: 0,
+            failed: 0,
+            skipped: 0
+        });
+    }
+
+    return { recipients, rejected, messages };
+}
+
+// Where one entry of a task's message list goes, and what it is
+function addressMessage(task, entry) {
+    if (entry && typeof entry === "object" && entry.to) {
+        return { to: entry.to, recipient: entry.recipient, message: entry.message };
+    }
+    return { to: task.targetJid, recipient: null, message: entry };
+}
+
+// Count one processed message against its recipient; `outcome` is sent, failed or skipped
+function recordRecipientOutcome(task, recipientIndex, outcome) {
+    const recipient = task.recipients?.[recipientIndex];
+    if (!recipient) return;
+    recipient[outcome] += 1;
+    if (recipient.sent + recipient.failed + recipient.skipped < recipient.messages) return;
+    recipient.status = recipient.skipped > 0 && recipient.sent === 0 && recipient.failed === 0
+        ? RECIPIENT_STATUS.SKIPPED
+        : recipient.failed === 0 ? RECIPIENT_STATUS.SENT
+            : recipient.sent === 0 ? RECIPIENT_STATUS.FAILED : RECIPIENT_STATUS.PARTIAL;
+}
+
+function summarizeRecipients(task) {
+    if (!task.recipients) return null;
+    const summary = { total: task.recipients.length, rejected: (task.rejectedRows || []).length };
+    Object.values(RECIPIENT_STATUS).forEach(status => {
+        summary[status] = 0;
+    });
+    task.recipients.forEach(r => {
+        summary[r.status] += 1;
+    });
+    return summary;
+}
+
+module.exports = {
+    MAX_CONTACTS,
+    RECIPIENT_STATUS,
+    addressMessage,
+    buildContactMessages,
+    parseContacts,
+    placeholdersIn,
+    recordRecipientOutcome,
+    renderTemplate,
+    summarizeRecipients
+};
@@ -0,0 +1,78 @@
+// lib/csv.js
+// RFC 4180-style CSV writing for report downloads, and parsing for uploads
+
+// Texts a spreadsheet would run as a formula. Group subjects and message texts
+// come from other people, so such cells are written with a leading ' instead.
+// A + or - that only starts a number ("+977 981-2345678", "-12.5") is left be.
+const FORMULA_START = /^(?:[=@\t\r]|[+\-](?![\d\s().-]*$))/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) return "";
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: array of objects; columns: keys to export, in order (also the header)
+function toCsv(rows, columns) {
+    const lines = [columns.map(csvCell).join(",")];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvCell(row[column])).join(","));
+    }
+    return lines.join("\r\n") + "\r\n";
+}
+
+// Split CSV text into rows of cells. Quoted cells may contain commas, quotes ("")
+// and line breaks; a leading BOM and blank lines are ignored. Each row also
+// carries `line`: the 1-based line of the file it starts on.
+function parseCsv(text) {
+    const input = text.replace(/^\uFEFF/, "");
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(cell);
+        row.line = rowLine;
+        rows.push(row);
+        row = [];
+        cell = "";
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+                // A line break inside the cell: \r\n counts once, at its \n
+                if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) line++;
+            }
+        } else if (char === '"' && cell === "") {
+            quoted = true;
+        } else if (char === ",") {
+            row.push(cell);
+            cell = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && input[i + 1] === "\n") i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) throw new Error("Unterminated quoted field in CSV");
+    if (cell !== "" || row.length > 0) endRow();
+
+    return rows.filter(cells => cells.some(c => c.trim() !== ""));
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,244 @@
+// lib/fakeTransport.js
+//
+// In-process stand-in for the Baileys transport. Nothing touches the network
+// or the disk: sockets are plain emitters that record every call made on them
+// and expose helpers to drive connection.update / creds.update /
+// messages.upsert from a test or a local dev run (WA_TRANSPORT=fake).
+const { EventEmitter } = require("events");
+
+// Same numeric codes Baileys uses, so index.js can treat both transports alike
+const DisconnectReason = {
+    connectionClosed: 428,
+    connectionLost: 408,
+    connectionReplaced: 440,
+    timedOut: 408,
+    loggedOut: 401,
+    badSession: 500,
+    restartRequired: 515,
+    multideviceMismatch: 411,
+    forbidden: 403,
+    unavailableService: 503
+};
+
+function disconnectError(statusCode, message = "Connection Closed") {
+    const error = new Error(message);
+    error.output = { statusCode, payload: { statusCode, message } };
+    return error;
+}
+
+class FakeSocket {
+    constructor(sessionId, options = {}) {
+        this.sessionId = sessionId;
+        this.ev = new EventEmitter();
+        this.authState = { creds: { registered: Boolean(options.registered) } };
+        this.user = null;
+        this.groups = options.groups || {};
+        // Numbers (digits) onWhatsApp reports as not registered; every other number is
+        this.notOnWhatsApp = new Set(options.notOnWhatsApp || []);
+        this.pairingCode = options.pairingCode || "FAKE-CODE";
+        this.calls = [];        // every method call, in order: { method, args, at }
+        this.sent = [];         // sendMessage calls only: { jid, content, options, key }
+        this.failures = [];     // queued errors thrown by the next sendMessage calls
+        this.ended = false;
+        this.messageCounter = 0;
+        // What the transport was given to look up stored messages, as Baileys would call it
+        this.getMessage = options.getMessage || (async () => undefined);
+    }
+
+    record(method, args) {
+        this.calls.push({ method, args, at: new Date() });
+    }
+
+    async sendMessage(jid, content, options) {
+        this.record("sendMessage", [jid, content, options]);
+        if (this.failures.length > 0) {
+            throw this.failures.shift();
+        }
+        const key = {
+            remoteJid: jid,
+            fromMe: true,
+            id: `FAKE${Date.now()}${++this.messageCounter}`
+        };
+        this.sent.push({ jid, content, options, key });
+        return { key, message: content, messageTimestamp: Math.floor(Date.now() / 1000) };
+    }
+
+    // Like Baileys: only registered numbers come back
+    async onWhatsApp(...jids) {
+        this.record("onWhatsApp", jids);
+        return jids
+            .map(jid => jid.split("@")[0])
+            .filter(number => !this.notOnWhatsApp.has(number))
+            .map(number => ({ exists: true, jid: `${number}@s.whatsapp.net` }));
+    }
+
+    async groupFetchAllParticipating() {
+        this.record("groupFetchAllParticipating", []);
+        return this.groups;
+    }
+
+    // Group administration works on `groups` ({ [jid]: GroupMetadata }) and emits
+    // the same groups.update / group-participants.update events Baileys does
+
+    findGroup(jid) {
+        const group = this.groups[jid];
+        if (!group) throw Object.assign(new Error("item-not-found"), { output: { statusCode: 404 } });
+        return group;
+    }
+
+    async groupMetadata(jid) {
+        this.record("groupMetadata", [jid]);
+        return this.findGroup(jid);
+    }
+
+    async groupUpdateSubject(jid, subject) {
+        this.record("groupUpdateSubject", [jid, subject]);
+        this.findGroup(jid).subject = subject;
+        this.ev.emit("groups.update", [{ id: jid, subject }]);
+    }
+
+    async groupUpdateDescription(jid, description) {
+        this.record("groupUpdateDescription", [jid, description]);
+        this.findGroup(jid).desc = description;
+        this.ev.emit("groups.update", [{ id: jid, desc: description }]);
+    }
+
+    async groupSettingUpdate(jid, setting) {
+        this.record("groupSettingUpdate", [jid, setting]);
+        const group = this.findGroup(jid);
+        if (setting === "announcement" || setting === "not_announcement") group.announce = setting === "announcement";
+        if (setting === "locked" || setting === "unlocked") group.restrict = setting === "locked";
+        this.ev.emit("groups.update", [{ id: jid, announce: group.announce, restrict: group.restrict }]);
+    }
+
+    async groupParticipantsUpdate(jid, participants, action) {
+        this.record("groupParticipantsUpdate", [jid, participants, action]);
+        const group = this.findGroup(jid);
+        group.participants = group.participants || [];
+        const results = participants.map(participant => {
+            const existing = group.participants.find(p => p.id === participant);
+            if (action === "add") {
+                if (existing) return { status: "409", jid: participant };
+                group.participants.push({ id: participant, admin: null });
+            } else {
+                if (!existing) return { status: "404", jid: participant };
+                if (action === "remove") group.participants = group.participants.filter(p => p !== existing);
+                if (action === "promote") existing.admin = "admin";
+                if (action === "demote") existing.admin = null;
+            }
+            return { status: "200", jid: participant };
+        });
+        const changed = results.filter(r => r.status === "200").map(r => r.jid);
+        if (changed.length > 0) {
+            this.ev.emit("group-participants.update", { id: jid, author: this.user?.id, participants: changed, action });
+        }
+        return results;
+    }
+
+    async groupInviteCode(jid) {
+        this.record("groupInviteCode", [jid]);
+        const group = this.findGroup(jid);
+        if (!group.inviteCode) group.inviteCode = `FAKEINVITE${++this.messageCounter}`;
+        return group.inviteCode;
+    }
+
+    async groupRevokeInvite(jid) {
+        this.record("groupRevokeInvite", [jid]);
+        const group = this.findGroup(jid);
+        group.inviteCode = `FAKEINVITE${++this.messageCounter}`;
+        return group.inviteCode;
+    }
+
+    async requestPairingCode(number) {
+        this.record("requestPairingCode", [number]);
+        return this.pairingCode;
+    }
+
+    async sendPresenceUpdate(type, jid) {
+        this.record("sendPresenceUpdate", [type, jid]);
+    }
+
+    end(error) {
+        this.record("end", [error]);
+        this.ended = true;
+    }
+
+    async logout() {
+        this.record("logout", []);
+        this.close(DisconnectReason.loggedOut, "Intentional Logout");
+    }
+
+    // ---- simulation helpers -------------------------------------------------
+
+    // Make the next `count` sendMessage calls reject with `error`
+    failNextSend(error = new Error("fake send failure"), count = 1) {
+        for (let i = 0; i < count; i++) this.failures.push(error);
+    }
+
+    emitQr(qr = `fake-qr-${Date.now()}`) {
+        this.ev.emit("connection.update", { qr });
+    }
+
+    open(user = { id: `${this.sessionId}@s.whatsapp.net` }) {
+        this.user = user;
+        this.authState.creds.registered = true;
+        this.ev.emit("connection.update", { connection: "connecting" });
+        this.ev.emit("connection.update", { connection: "open" });
+    }
+
+    close(statusCode = DisconnectReason.connectionClosed, message) {
+        this.ev.emit("connection.update", {
+            connection: "close",
+            lastDisconnect: { error: disconnectError(statusCode, message), date: new Date() }
+        });
+    }
+
+    updateCreds(patch = {}) {
+        Object.assign(this.authState.creds, patch);
+        this.ev.emit("creds.update", patch);
+    }
+
+    receive(messages, type = "notify") {
+        this.ev.emit("messages.upsert", { messages: [].concat(messages), type });
+    }
+}
+
+function createFakeTransport(options = {}) {
+    const sockets = new Map(); // sessionId -> FakeSocket[] (one per (re)connect)
+    const savedCreds = new Map(); // sessionId -> number of saveCreds calls
+
+    return {
+        name: "fake",
+        DisconnectReason,
+        sockets,
+        savedCreds,
+
+        async createSocket({ sessionId, getMessage }) {
+            const previous = this.lastSocket(sessionId);
+            const socket = new FakeSocket(sessionId, {
+                ...options,
+                getMessage,
+                // A reconnecting socket keeps the registration of the one it replaces
+                registered: previous ? previous.authState.creds.registered : options.registered
+            });
+            if (!sockets.has(sessionId)) sockets.set(sessionId, []);
+            sockets.get(sessionId).push(socket);
+
+            if (options.autoOpen) {
+                setImmediate(() => socket.open());
+            }
+
+            const saveCreds = async () => {
+                savedCreds.set(sessionId, (savedCreds.get(sessionId) || 0) + 1);
+            };
+            return { socket, saveCreds };
+        },
+
+        lastSocket(sessionId) {
+            const list = sockets.get(sessionId);
+            return list ? list[list.length - 1] : undefined;
+        }
+    };
+}
+
+module.exports = { createFakeTransport, FakeSocket, DisconnectReason };
@@ -0,0 +1,29 @@
+// lib/logger.js
+//
+// Process-wide pino logger. Lines are JSON by default so they can be shipped
+// to a log pipeline as they are; LOG_PRETTY=true prints readable lines through
+// pino-pretty instead. Modules log through child loggers that carry their
+// context, e.g. logger.child({ sessionId }) or logger.child({ taskId, sessionId }).
+//
+//   LOG_LEVEL          trace | debug | info | warn | error | fatal (default info)
+//   BAILEYS_LOG_LEVEL  level of the Baileys socket logs (default warn)
+//   LOG_PRETTY         true for human-readable output
+const pino = require("pino");
+
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+const BAILEYS_LOG_LEVEL = process.env.BAILEYS_LOG_LEVEL || "warn";
+
+const logger = pino({
+    level: LOG_LEVEL,
+    timestamp: pino.stdTimeFunctions.isoTime,
+    transport: process.env.LOG_PRETTY === "true"
+        ? { target: "pino-pretty", options: { translateTime: "SYS:standard", ignore: "pid,hostname" } }
+        : undefined
+});
+
+// Logger handed to a Baileys socket; its lines carry the session id
+function baileysLogger(sessionId) {
+    return logger.child({ module: "baileys", sessionId }, { level: BAILEYS_LOG_LEVEL });
+}
+
+module.exports = { logger, baileysLogger };
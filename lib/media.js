@@ -0,0 +1,264 @@
+// lib/media.js
+//
+// Media attachments for send tasks. An upload is checked against the allowed
+// MIME types - both the type the browser declared and, where the format has a
+// recognisable signature, the file's first bytes - and against a size limit for
+// its kind. Accepted files are moved to uploads/<taskId>/ and stay there until
+// the task ends; cleanupTaskUploads() removes the folder again. Scheduled tasks
+// keep theirs in uploads/<scheduleId>/ and copy them for every run.
+//
+// A task's message list mixes plain strings (text messages) with media entries:
+//   { type: "image" | "video" | "audio" | "document", path, mimetype, fileName,
+//     size, caption?, ptt?, jpegThumbnail? }
+// and, from message scripts, { type: "text", ... } entries (see lib/messageScript.js).
+const fs = require("fs");
+const path = require("path");
+const { isScriptEntry } = require("./messageScript");
+const { logger } = require("./logger");
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || "uploads";
+
+const MB = 1024 * 1024;
+
+const MEDIA_TYPES = {
+    image: ["image/jpeg", "image/png", "image/webp"],
+    video: ["video/mp4", "video/3gpp"],
+    audio: ["audio/mpeg", "audio/ogg", "audio/mp4", "audio/aac", "audio/amr"],
+    document: [
+        "application/pdf",
+        "application/msword",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        "application/vnd.ms-excel",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "application/vnd.ms-powerpoint",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+        "application/zip",
+        "text/csv",
+        "text/plain"
+    ]
+};
+
+const MEDIA_LIMITS = {
+    image: (Number(process.env.MEDIA_MAX_IMAGE_MB) || 5) * MB,
+    video: (Number(process.env.MEDIA_MAX_VIDEO_MB) || 16) * MB,
+    audio: (Number(process.env.MEDIA_MAX_AUDIO_MB) || 16) * MB,
+    document: (Number(process.env.MEDIA_MAX_DOCUMENT_MB) || 100) * MB
+};
+
+// Largest upload multer should accept at all; the per-kind limit is checked afterwards
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_LIMITS));
+// Media files one task may carry
+const MAX_MEDIA_FILES = 10;
+
+const MAX_THUMBNAIL_BYTES = 64 * 1024;
+const MAX_CAPTION_LENGTH = 1024;
+
+// File signatures of the formats we can recognise: [mimetypes, offset, bytes]
+const SIGNATURES = [
+    [["image/jpeg"], 0, [0xff, 0xd8, 0xff]],
+    [["image/png"], 0, [0x89, 0x50, 0x4e, 0x47]],
+    [["image/webp"], 8, [0x57, 0x45, 0x42, 0x50]],
+    [["application/pdf"], 0, [0x25, 0x50, 0x44, 0x46]],
+    [["audio/ogg"], 0, [0x4f, 0x67, 0x67, 0x53]],
+    [["audio/amr"], 0, [0x23, 0x21, 0x41, 0x4d, 0x52]],
+    [["audio/mpeg"], 0, [0x49, 0x44, 0x33]],
+    [["video/mp4", "video/3gpp", "audio/mp4", "audio/aac"], 4, [0x66, 0x74, 0x79, 0x70]],
+    [[
+        "application/zip",
+        "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        "application/vnd.openxmlformats-officedocument.presentationml.presentation"
+    ], 0, [0x50, 0x4b, 0x03, 0x04]]
+];
+
+function mediaKind(mimetype) {
+    return Object.keys(MEDIA_TYPES).find(kind => MEDIA_TYPES[kind].includes(mimetype)) || null;
+}
+
+function readHead(filePath, length = 16) {
+    const fd = fs.openSync(filePath, "r");
+    try {
+        const buffer = Buffer.alloc(length);
+        const read = fs.readSync(fd, buffer, 0, length, 0);
+        return buffer.subarray(0, read);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Does the file start the way its declared type says it should? Types without a
+// signature (plain text, CSV, legacy Office files, ADTS audio) pass unchecked.
+function matchesSignature(filePath, mimetype) {
+    const candidates = SIGNATURES.filter(([types]) => types.includes(mimetype));
+    if (candidates.length === 0) return true;
+    const head = readHead(filePath);
+    // MP3 without an ID3 tag starts with a frame sync instead
+    if (mimetype === "audio/mpeg" && head[0] === 0xff && (head[1] & 0xe0) === 0xe0) return true;
+    return candidates.some(([, offset, bytes]) => bytes.every((b, i) => head[offset + i] === b));
+}
+
+// Validate one multer file; returns { kind } or { error }
+function validateMediaFile(file) {
+    const kind = mediaKind(file.mimetype);
+    if (!kind) {
+        return { error: `${file.originalname}: unsupported file type ${file.mimetype}` };
+    }
+    if (file.size === 0) {
+        return { error: `${file.originalname} is empty` };
+    }
+    if (file.size > MEDIA_LIMITS[kind]) {
+        return { error: `${file.originalname} is larger than the ${MEDIA_LIMITS[kind] / MB} MB limit for ${kind} files` };
+    }
+    if (!matchesSignature(file.path, file.mimetype)) {
+        return { error: `${file.originalname} does not look like a ${file.mimetype} file` };
+    }
+    return { kind };
+}
+
+// Optional preview for image, video and document messages: a small JPEG, sent base64-encoded
+function readThumbnail(file) {
+    if (file.mimetype !== "image/jpeg" || !matchesSignature(file.path, "image/jpeg")) {
+        throw new Error("Thumbnail must be a JPEG image");
+    }
+    if (file.size > MAX_THUMBNAIL_BYTES) {
+        throw new Error(`Thumbnail must be at most ${MAX_THUMBNAIL_BYTES / 1024} KB`);
+    }
+    return fs.readFileSync(file.path).toString("base64");
+}
+
+function taskUploadDir(taskId) {
+    return path.join(UPLOADS_DIR, taskId);
+}
+
+// Move validated uploads into the task's folder and turn them into message entries
+function storeTaskMedia(taskId, files, { caption = "", ptt = false, jpegThumbnail = null } = {}) {
+    if (caption.length > MAX_CAPTION_LENGTH) {
+        throw new Error(`Caption must be at most ${MAX_CAPTION_LENGTH} characters`);
+    }
+    const dir = taskUploadDir(taskId);
+    if (files.length > 0) fs.mkdirSync(dir, { recursive: true });
+
+    return files.map((file, index) => {
+        const kind = mediaKind(file.mimetype);
+        const storedPath = path.join(dir, `${index}${path.extname(file.originalname).toLowerCase()}`);
+        fs.renameSync(file.path, storedPath);
+
+        const entry = { type: kind, path: storedPath, mimetype: file.mimetype, fileName: file.originalname, size: file.size };
+        // Audio messages carry no caption in WhatsApp
+        if (caption && kind !== "audio") entry.caption = caption;
+        if (kind === "audio" && ptt) entry.ptt = true;
+        if (jpegThumbnail && kind !== "audio") entry.jpegThumbnail = jpegThumbnail;
+        return entry;
+    });
+}
+
+function isMediaEntry(entry) {
+    return Boolean(entry) && typeof entry === "object" && Boolean(MEDIA_TYPES[entry.type]);
+}
+
+// Baileys message content for one entry of a task's message list
+function buildMessageContent(entry, prefix = "") {
+    if (!isMediaEntry(entry)) {
+        return { text: prefix ? `${prefix} ${entry}` : entry };
+    }
+
+    const media = { url: entry.path };
+    switch (entry.type) {
+    case "image":
+        return { image: media, mimetype: entry.mimetype, caption: entry.caption, jpegThumbnail: entry.jpegThumbnail };
+    case "video":
+        return { video: media, mimetype: entry.mimetype, caption: entry.caption, jpegThumbnail: entry.jpegThumbnail };
+    case "audio":
+        return { audio: media, mimetype: entry.mimetype, ptt: Boolean(entry.ptt) };
+    default:
+        return {
+            document: media,
+            mimetype: entry.mimetype,
+            fileName: entry.fileName,
+            caption: entry.caption,
+            jpegThumbnail: entry.jpegThumbnail
+        };
+    }
+}
+
+// One-line description of an entry for reports and the task API
+function describeMessage(entry, prefix = "") {
+    if (isScriptEntry(entry)) {
+        return { type: "text", text: entry.text };
+    }
+    if (!isMediaEntry(entry)) {
+        return { type: "text", text: prefix ? `${prefix} ${entry}` : entry };
+    }
+    return {
+        type: entry.type,
+        text: entry.caption || "",
+        fileName: entry.fileName,
+        mimetype: entry.mimetype,
+        size: entry.size
+    };
+}
+
+// Copy the media of one upload folder (e.g. a schedule's) to a new task's folder
+// and point the message entries - plain or addressed { to, message } - at the copies
+function copyTaskMedia(fromId, toId, messages) {
+    const fromDir = taskUploadDir(fromId);
+    const toDir = taskUploadDir(toId);
+    if (!fs.existsSync(fromDir)) return messages;
+    fs.cpSync(fromDir, toDir, { recursive: true });
+
+    const relocate = entry => (isMediaEntry(entry)
+        ? { ...entry, path: path.join(toDir, path.relative(fromDir, entry.path)) }
+        : entry);
+    return messages.map(entry => (entry && entry.to ? { ...entry, message: relocate(entry.message) } : relocate(entry)));
+}
+
+function removeFile(filePath) {
+    try {
+        fs.unlinkSync(filePath);
+    } catch (err) {
+        if (err.code !== "ENOENT") logger.warn({ err, path: filePath }, "Could not remove upload");
+    }
+}
+
+function cleanupTaskUploads(taskId) {
+    try {
+        fs.rmSync(taskUploadDir(taskId), { recursive: true, force: true });
+    } catch (err) {
+        logger.warn({ err, taskId }, "Could not remove task uploads");
+    }
+}
+
+// Boot: drop anything in uploads/ that no unfinished task or live schedule still
+// needs - stray multer temp files from a crash mid-request and ended tasks' folders
+function sweepUploads(keepIds) {
+    if (!fs.existsSync(UPLOADS_DIR)) return 0;
+    let removed = 0;
+    for (const name of fs.readdirSync(UPLOADS_DIR)) {
+        if (keepIds.has(name)) continue;
+        fs.rmSync(path.join(UPLOADS_DIR, name), { recursive: true, force: true });
+        removed++;
+    }
+    if (removed > 0) {
+        logger.info({ removed }, "Removed leftover uploads");
+    }
+    return removed;
+}
+
+module.exports = {
+    MAX_MEDIA_FILES,
+    MAX_UPLOAD_BYTES,
+    MEDIA_LIMITS,
+    MEDIA_TYPES,
+    UPLOADS_DIR,
+    buildMessageContent,
+    cleanupTaskUploads,
+    copyTaskMedia,
+    describeMessage,
+    isMediaEntry,
+    mediaKind,
+    readThumbnail,
+    removeFile,
+    storeTaskMedia,
+    sweepUploads,
+    validateMediaFile
+};
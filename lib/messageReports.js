@@ -0,0 +1,160 @@
+// lib/messageReports.js
+//
+// Message-level state for every task: one entry per message, stored next to
+// the task as <taskId>.report.json. The send loop moves entries through
+//   queued -> sent -> delivered -> read      (or failed / skipped)
+// and WhatsApp receipts (messages.update / message-receipt.update) move them
+// forward by message key. States never go backwards.
+//
+// Reports are kept in memory (and indexed by message id for the receipts) while
+// their task runs and for RECEIPT_TRACKING_MS after it ends; after that they
+// are only read from disk when asked for.
+
+const { logger } = require("./logger");
+
+// Baileys proto.WebMessageInfo.Status
+const WA_STATUS = { ERROR: 0, PENDING: 1, SERVER_ACK: 2, DELIVERY_ACK: 3, READ: 4, PLAYED: 5 };
+
+const MESSAGE_STATE = {
+    QUEUED: "queued",
+    SENT: "sent",
+    DELIVERED: "delivered",
+    READ: "read",
+    FAILED: "failed",
+    SKIPPED: "skipped"
+};
+
+const STATE_RANK = { queued: 0, skipped: 1, failed: 1, sent: 2, delivered: 3, read: 4 };
+
+// Receipts for messages older than this are not tracked after a restart
+const RECEIPT_TRACKING_MS = 3 * 24 * 60 * 60 * 1000;
+
+function createMessageReports({ taskStore, sessionEvents }) {
+    const reports = new Map();   // taskId -> entries[], for the tracked tasks
+    const byMessageId = new Map(); // WhatsApp message id -> { taskId, index }
+    const trackedUntil = new Map(); // taskId -> ms timestamp (Infinity while it runs)
+
+    // Keep the task's report in memory, receiving receipts, until `until`
+    function track(taskId, until) {
+        if (!reports.has(taskId)) {
+            const entries = taskStore.loadReport(taskId);
+            reports.set(taskId, entries);
+            entries.forEach((entry, index) => {
+                if (entry.messageId) byMessageId.set(entry.messageId, { taskId, index });
+            });
+        }
+        trackedUntil.set(taskId, until);
+        return reports.get(taskId);
+    }
+
+    function untrack(taskId) {
+        for (const entry of reports.get(taskId) || []) {
+            if (entry.messageId) byMessageId.delete(entry.messageId);
+        }
+        reports.delete(taskId);
+        trackedUntil.delete(taskId);
+    }
+
+    // Drop the reports whose tracking window is over
+    function prune() {
+        const now = Date.now();
+        for (const [taskId, until] of trackedUntil) {
+            if (until <= now) untrack(taskId);
+        }
+    }
+
+    // The tracked copy, or else the one on disk
+    const load = taskId => reports.get(taskId) || taskStore.loadReport(taskId);
+
+    function save(taskId) {
+        try {
+            taskStore.saveReport(taskId, reports.get(taskId) || []);
+        } catch (err) {
+            logger.error({ err, taskId }, "Could not persist message report");
+        }
+    }
+
+    // Apply a receipt-driven state if it moves the entry forward
+    function advance(messageId, state, at) {
+        const ref = byMessageId.get(messageId);
+        if (!ref) return;
+        const entry = load(ref.taskId)[ref.index];
+        if (!entry || STATE_RANK[state] <= STATE_RANK[entry.status]) return;
+        entry.status = state;
+        entry[`${state}At`] = at;
+        save(ref.taskId);
+    }
+
+    sessionEvents.on("messages.update", (sessionId, updates) => {
+        for (const { key, update } of updates || []) {
+            if (!key || !key.fromMe || !update || update.status === undefined || update.status === null) continue;
+            const at = new Date().toISOString();
+            if (update.status >= WA_STATUS.READ) advance(key.id, MESSAGE_STATE.READ, at);
+            else if (update.status === WA_STATUS.DELIVERY_ACK) advance(key.id, MESSAGE_STATE.DELIVERED, at);
+            else if (update.status === WA_STATUS.SERVER_ACK) advance(key.id, MESSAGE_STATE.SENT, at);
+        }
+    });
+
+    // Group messages: one receipt per participant; the first one counts
+    sessionEvents.on("message-receipt.update", (sessionId, receipts) => {
+        for (const { key, receipt } of receipts || []) {
+            if (!key || !receipt) continue;
+            const toIso = ts => new Date(Number(ts) * 1000).toISOString();
+            if (receipt.readTimestamp || receipt.playedTimestamp) {
+                advance(key.id, MESSAGE_STATE.READ, toIso(receipt.readTimestamp || receipt.playedTimestamp));
+            } else if (receipt.receiptTimestamp) {
+                advance(key.id, MESSAGE_STATE.DELIVERED, toIso(receipt.receiptTimestamp));
+            }
+        }
+    });
+
+    return {
+        // Create the queued entries for a new task (no-op when resuming)
+        init(taskId, count) {
+            prune();
+            const entries = track(taskId, Infinity);
+            if (entries.length === 0) {
+                for (let index = 0; index < count; index++) {
+                    entries.push({ index, status: MESSAGE_STATE.QUEUED, attempts: 0 });
+                }
+                save(taskId);
+            }
+            return entries;
+        },
+
+        update(taskId, index, patch) {
+            const entries = reports.has(taskId) ? reports.get(taskId) : track(taskId, Infinity);
+            entries[index] = { ...entries[index], index, ...patch };
+            if (patch.messageId) byMessageId.set(patch.messageId, { taskId, index });
+            save(taskId);
+            return entries[index];
+        },
+
+        get(taskId) {
+            return load(taskId);
+        },
+
+        summary(taskId) {
+            const counts = { queued: 0, sent: 0, delivered: 0, read: 0, failed: 0, skipped: 0 };
+            for (const entry of load(taskId)) counts[entry.status] = (counts[entry.status] || 0) + 1;
+            return counts;
+        },
+
+        // The task ended: its receipts are still taken for RECEIPT_TRACKING_MS
+        finish(taskId) {
+            if (trackedUntil.has(taskId)) trackedUntil.set(taskId, Date.now() + RECEIPT_TRACKING_MS);
+            prune();
+        },
+
+        // Boot: make receipts for recent tasks land in the right report again
+        trackRecent(tasks) {
+            const now = Date.now();
+            for (const task of tasks) {
+                const until = task.endedAt ? new Date(task.endedAt).getTime() + RECEIPT_TRACKING_MS : Infinity;
+                if (until > now) track(task.id, until);
+            }
+        }
+    };
+}
+
+module.exports = { createMessageReports, MESSAGE_STATE, WA_STATUS };
@@ -0,0 +1,255 @@
+// lib/messageScript.js
+//
+// Message scripts: a JSON or YAML alternative to the one-message-per-line .txt
+// file. A script is a list of entries, or an object with `messages` and
+// optional `defaults`:
+//
+//   defaults:
+//     delaySec: 5                 # wait after each message (else the task's delaySec)
+//     linkPreview: false
+//   messages:
+//     - id: intro                 # name later entries can quote this one by
+//       text: |
+//         *Hello team*
+//         _Several lines_, with WhatsApp formatting
+//     - text: "@919812345678 can you check?"
+//       mentions: ["919812345678"] # numbers written as @<number> in the text, or "all"
+//       quote: intro              # reply to an earlier entry of this script
+//       delaySec: 30
+//     - text: About your last message
+//       quoteMessageId: 3EB0C431C2F8  # a stored message of the target chat
+//     - A plain string is a text entry too
+//
+// The whole script is checked before anything is sent; every error names the
+// entry (messages[2], plus its line) and the field.
+//
+// Each entry becomes one task message
+//   { type: "text", text, ref?, mentions?, quote?, quoted?, linkPreview?, delaySec? }
+// which the send loop turns into Baileys content with buildScriptContent().
+// The task prefix is not applied to script entries.
+const YAML = require("yaml");
+
+const MAX_ENTRIES = 10000;
+const MAX_TEXT_LENGTH = 65536;
+const MAX_DELAY_SEC = 86400;
+const ENTRY_FIELDS = ["id", "text", "mentions", "quote", "quoteMessageId", "linkPreview", "delaySec"];
+const DEFAULT_FIELDS = ["delaySec", "linkPreview"];
+
+class ScriptError extends Error {
+    // errors: [{ path, message }]
+    constructor(errors) {
+        super(errors.length === 1
+            ? `${errors[0].path}: ${errors[0].message}`
+            : `${errors.length} problems in the message script, first ${errors[0].path}: ${errors[0].message}`);
+        this.name = "ScriptError";
+        this.errors = errors;
+    }
+}
+
+// "script.json" / "script.yml" -> "json" / "yaml"; null for anything else (a .txt file)
+function scriptFormat(fileName) {
+    const match = /\.(json|ya?ml)$/i.exec(fileName || "");
+    if (!match) return null;
+    return match[1].toLowerCase() === "json" ? "json" : "yaml";
+}
+
+function isScriptEntry(entry) {
+    return Boolean(entry) && typeof entry === "object" && entry.type === "text";
+}
+
+// Seconds to wait after this message, or null for the task's delaySec
+function entryDelaySec(entry) {
+    return isScriptEntry(entry) && entry.delaySec !== undefined ? entry.delaySec : null;
+}
+
+// Text → document with line positions. JSON goes through JSON.parse first for
+// its clearer syntax errors; it is valid YAML, so positions come from the same parser.
+function parseSource(text, format) {
+    if (format === "json") {
+        try {
+            JSON.parse(text);
+        } catch (err) {
+            throw new ScriptError([{ path: "script", message: `is not valid JSON (${err.message})` }]);
+        }
+    }
+    const lineCounter = new YAML.LineCounter();
+    const doc = YAML.parseDocument(text, { lineCounter });
+    if (doc.errors.length > 0) {
+        throw new ScriptError(doc.errors.map(err => ({
+            path: err.linePos ? `script (line ${err.linePos[0].line})` : "script",
+            // The first line, without the " at line 2, column 11:" the path already tells
+            message: err.message.split("\n")[0].replace(/ at line \d+, column \d+:?$/, "")
+        })));
+    }
+    return { value: doc.toJS(), doc, lineCounter };
+}
+
+// Line of messages[index] in the source, when there is a source
+function entryLine(parsed, index) {
+    if (!parsed) return null;
+    const root = parsed.doc.contents;
+    const list = YAML.isSeq(root) ? root : YAML.isMap(root) ? root.get("messages", true) : null;
+    const node = YAML.isSeq(list) ? list.items[index] : null;
+    return node && node.range ? parsed.lineCounter.linePos(node.range[0]).line : null;
+}
+
+function isDelay(value) {
+    return Number.isInteger(value) && value >= 0 && value <= MAX_DELAY_SEC;
+}
+
+// A script - text (`format` "json" or "yaml") or an already parsed value - as
+// task messages. Throws a ScriptError listing every problem. Options:
+//   isGroupTarget          mentions are only allowed when this is true
+//   participants           Set of participant JIDs, to check explicit mentions against (optional)
+//   toJid(value)           number / JID -> JID or null
+//   findQuoted(messageId)  -> key of that message in the target chat, or null;
+//                          leave out when quoteMessageId cannot be used (contact lists)
+function parseMessageScript(source, { format = "yaml", isGroupTarget = false, participants = null, toJid, findQuoted = null } = {}) {
+    const parsed = typeof source === "string" ? parseSource(source, format) : null;
+    const script = parsed ? parsed.value : source;
+    const errors = [];
+
+    let list;
+    let defaults = {};
+    if (Array.isArray(script)) {
+        list = script;
+    } else if (script && typeof script === "object" && Array.isArray(script.messages)) {
+        list = script.messages;
+        defaults = script.defaults ?? {};
+        const unknown = Object.keys(script).filter(key => !["messages", "defaults"].includes(key));
+        unknown.forEach(key => errors.push({ path: key, message: "is not a known field" }));
+        if (!defaults || typeof defaults !== "object" || Array.isArray(defaults)) {
+            errors.push({ path: "defaults", message: "must be an object" });
+            defaults = {};
+        }
+        for (const key of Object.keys(defaults)) {
+            if (!DEFAULT_FIELDS.includes(key)) errors.push({ path: `defaults.${key}`, message: "is not a known field" });
+        }
+        if (defaults.delaySec !== undefined && !isDelay(defaults.delaySec)) {
+            errors.push({ path: "defaults.delaySec", message: `must be an integer from 0 to ${MAX_DELAY_SEC}` });
+        }
+        if (defaults.linkPreview !== undefined && typeof defaults.linkPreview !== "boolean") {
+            errors.push({ path: "defaults.linkPreview", message: "must be true or false" });
+        }
+    } else {
+        throw new ScriptError([{ path: "script", message: "must be a list of messages or an object with a messages list" }]);
+    }
+    if (list.length === 0) throw new ScriptError([{ path: "messages", message: "has no entries" }]);
+    if (list.length > MAX_ENTRIES) throw new ScriptError([{ path: "messages", message: `has more than ${MAX_ENTRIES} entries` }]);
+
+    const ids = new Map(); // id -> index of its entry
+    const entries = list.map((raw, index) => {
+        const line = entryLine(parsed, index);
+        const at = field => `messages[${index}]${field ? `.${field}` : ""}${line ? ` (line ${line})` : ""}`;
+        const fail = (field, message) => errors.push({ path: at(field), message });
+
+        const item = typeof raw === "string" ? { text: raw } : raw;
+        if (!item || typeof item !== "object" || Array.isArray(item)) {
+            fail(null, "must be a text or an object with text");
+            return null;
+        }
+        Object.keys(item).filter(key => !ENTRY_FIELDS.includes(key)).forEach(key => fail(key, "is not a known field"));
+
+        const entry = { type: "text", text: typeof item.text === "string" ? item.text.trim() : "" };
+        if (typeof item.text !== "string") {
+            fail("text", item.text === undefined ? "is required" : "must be a string");
+        } else if (!entry.text) {
+            fail("text", "must not be empty");
+        } else if (entry.text.length > MAX_TEXT_LENGTH) {
+            fail("text", `must be at most ${MAX_TEXT_LENGTH} characters`);
+        }
+
+        if (item.id !== undefined) {
+            if (typeof item.id !== "string" || !/^[\w-]{1,64}$/.test(item.id)) {
+                fail("id", "must be 1-64 letters, digits, _ or -");
+            } else if (ids.has(item.id)) {
+                fail("id", `"${item.id}" is already used by messages[${ids.get(item.id)}]`);
+            } else {
+                ids.set(item.id, index);
+                entry.ref = item.id;
+            }
+        }
+
+        if (item.mentions !== undefined) {
+            if (!isGroupTarget) {
+                fail("mentions", "only work when sending to a group");
+            } else if (item.mentions === "all") {
+                entry.mentions = "all";
+            } else if (!Array.isArray(item.mentions) || item.mentions.length === 0) {
+                fail("mentions", "must be \"all\" or a list of numbers");
+            } else {
+                entry.mentions = [];
+                item.mentions.forEach((value, i) => {
+                    const jid = typeof value === "string" || typeof value === "number" ? toJid(String(value)) : null;
+                    if (!jid || !jid.endsWith("@s.whatsapp.net")) {
+                        return fail(`mentions[${i}]`, `${JSON.stringify(value)} is not a phone number`);
+                    }
+                    const number = jid.split("@")[0];
+                    if (participants && !participants.has(jid)) {
+                        return fail(`mentions[${i}]`, `${number} is not a participant of the group`);
+                    }
+                    if (!entry.text.includes(`@${number}`)) {
+                        return fail(`mentions[${i}]`, `the text must contain @${number} where the mention goes`);
+                    }
+                    entry.mentions.push(jid);
+                });
+            }
+        }
+
+        if (item.quote !== undefined && item.quoteMessageId !== undefined) {
+            fail("quote", "cannot be combined with quoteMessageId");
+        } else if (item.quote !== undefined) {
+            if (typeof item.quote !== "string") {
+                fail("quote", "must be the id of an earlier entry");
+            } else if (!ids.has(item.quote) || ids.get(item.quote) === index) {
+                fail("quote", `"${item.quote}" is not the id of an earlier entry`);
+            } else {
+                entry.quote = item.quote;
+            }
+        } else if (item.quoteMessageId !== undefined) {
+            if (!findQuoted) {
+                fail("quoteMessageId", "can only be used when sending to a single chat");
+            } else if (typeof item.quoteMessageId !== "string" || !item.quoteMessageId) {
+                fail("quoteMessageId", "must be a message id");
+            } else {
+                const key = findQuoted(item.quoteMessageId);
+                if (key) entry.quoted = { key };
+                else fail("quoteMessageId", `${item.quoteMessageId} is not in the stored history of the target chat`);
+            }
+        }
+
+        const linkPreview = item.linkPreview ?? defaults.linkPreview;
+        if (linkPreview !== undefined) {
+            if (typeof linkPreview !== "boolean") fail("linkPreview", "must be true or false");
+            else entry.linkPreview = linkPreview;
+        }
+        const delaySec = item.delaySec ?? defaults.delaySec;
+        if (delaySec !== undefined) {
+            if (!isDelay(delaySec)) fail("delaySec", `must be an integer from 0 to ${MAX_DELAY_SEC}`);
+            else entry.delaySec = delaySec;
+        }
+        return entry;
+    });
+
+    if (errors.length > 0) throw new ScriptError(errors);
+    return entries;
+}
+
+// Baileys content and send options for one script entry. `mentions` are the
+// JIDs to mention (already resolved for "all"), `quoted` the message to reply to.
+function buildScriptContent(entry, { mentions = null, quoted = null } = {}) {
+    const content = { text: entry.text };
+    if (mentions && mentions.length > 0) content.mentions = mentions;
+    // null tells Baileys not to generate a preview; leaving it out lets it
+    if (entry.linkPreview === false) content.linkPreview = null;
+    return { content, options: quoted ? { quoted } : undefined };
+}
+
+module.exports = {
+    ScriptError,
+    buildScriptContent,
+    entryDelaySec,
+    isScriptEntry,
+    parseMessageScript,
+    scriptFormat
+};
@@ -0,0 +1,644 @@
+// lib/messageStore.js
+//
+// Disk-backed chat history per session, built from the socket events on
+// sessionEvents (messaging-history.set, chats.*, contacts.*, messages.*). It
+// answers Baileys' getMessage - needed to re-send a message the other side
+// could not decrypt and to decrypt poll votes - and backs the history and
+// search endpoints. Files under <dir>/<sessionId>/:
+//   chats.json             { [jid]: { id, name, unreadCount, archived, pinned, muteEndTime, lastMessageAt } }
+//   contacts.json          { [jid]: { id, name, notify, verifiedName } }
+//   messages/<jid>.json    the chat's messages, oldest first
+// A stored message is the describeIncomingMessage() summary plus its status,
+// edited / deleted flags and the raw key and content (binary fields as base64,
+// the same encoding as Baileys' BufferJSON). Writes are batched and flushed
+// every FLUSH_INTERVAL_MS.
+//
+// Retention is set per session (registry field `history`, unset fields fall
+// back to DEFAULT_HISTORY) and applied as messages arrive and once an hour:
+//   enabled        false stops recording; what is stored stays until it expires
+//   retentionDays  messages older than this are dropped (null keeps them)
+//   maxPerChat     newest messages kept per chat (null for no cap)
+const fs = require("fs");
+const path = require("path");
+const { describeIncomingMessage, normalizeJid, senderJid } = require("./waMessage");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "messageStore" });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLUSH_INTERVAL_MS = 2000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Chats whose messages are kept in memory; clean ones beyond this are dropped first
+const MAX_CACHED_CHATS = 200;
+const MAX_PAGE_SIZE = 500;
+
+function envLimit(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined) return fallback;
+    return value === "" || value === "none" ? null : Number(value);
+}
+
+const DEFAULT_HISTORY = {
+    enabled: process.env.MESSAGE_STORE !== "off",
+    retentionDays: envLimit("MESSAGE_RETENTION_DAYS", 30),
+    maxPerChat: envLimit("MESSAGE_MAX_PER_CHAT", 5000)
+};
+
+// Baileys proto.WebMessageInfo.Status, by value
+const STATUS_NAMES = ["error", "pending", "sent", "delivered", "read", "played"];
+
+// proto.Message.ProtocolMessage.Type
+const PROTOCOL_REVOKE = 0;
+const PROTOCOL_MESSAGE_EDIT = 14;
+
+const CHAT_FIELDS = ["name", "unreadCount", "archived", "pinned", "muteEndTime", "readOnly"];
+const CONTACT_FIELDS = ["name", "notify", "verifiedName"];
+
+function resolveHistory(sessionRecord) {
+    return { ...DEFAULT_HISTORY, ...((sessionRecord && sessionRecord.history) || {}) };
+}
+
+// Validate a (partial) history config from the API
+function validateHistoryConfig(input) {
+    if (!input || typeof input !== "object") throw new Error("History settings must be an object");
+
+    const config = {};
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== "boolean") throw new Error("enabled must be true or false");
+        config.enabled = input.enabled;
+    }
+    for (const field of ["retentionDays", "maxPerChat"]) {
+        if (input[field] === undefined) continue;
+        const value = input[field];
+        if (value !== null && (!Number.isInteger(value) || value < 1)) {
+            throw new Error(`${field} must be a positive integer or null`);
+        }
+        config[field] = value;
+    }
+
+    const unknown = Object.keys(input).filter(k => !["enabled", "retentionDays", "maxPerChat"].includes(k));
+    if (unknown.length > 0) throw new Error(`Unknown history field(s): ${unknown.join(", ")}`);
+
+    return config;
+}
+
+// Binary fields as { type: "Buffer", data: base64 }, like Baileys' BufferJSON
+function bufferReplacer(key, value) {
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array || (value && value.type === "Buffer")) {
+        return { type: "Buffer", data: Buffer.from((value && value.data) || value).toString("base64") };
+    }
+    return value;
+}
+
+function bufferReviver(key, value) {
+    if (value && typeof value === "object" && value.type === "Buffer") {
+        return typeof value.data === "string" ? Buffer.from(value.data, "base64") : Buffer.from(value.data || []);
+    }
+    return value;
+}
+
+function writeJsonAtomic(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, bufferReplacer));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function readJson(filePath, fallback) {
+    if (!fs.existsSync(filePath)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(filePath, "utf-8"), bufferReviver);
+    } catch (err) {
+        log.warn({ err, file: filePath }, "Ignoring unreadable history file");
+        return fallback;
+    }
+}
+
+// Seconds since the epoch from a number, numeric string or protobuf Long
+function toSeconds(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === "number" || typeof value === "string") return Number(value) || null;
+    if (typeof value.toNumber === "function") return value.toNumber();
+    if (typeof value.low === "number") return (value.high || 0) * 2 ** 32 + (value.low >>> 0);
+    return null;
+}
+
+function pick(source, fields) {
+    const result = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) result[field] = source[field];
+    }
+    return result;
+}
+
+// Lower-case without accents, so "cafe" finds "Café"
+function foldText(text) {
+    return String(text || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function chatFileName(jid) {
+    return `${jid.replace(/[^\w.@-]/g, "_")}.json`;
+}
+
+// Stored message -> API shape (no raw content)
+function describeStored(record) {
+    const { key, message, ...rest } = record;
+    return { ...rest, timestamp: new Date(record.timestamp * 1000).toISOString() };
+}
+
+function createMessageStore({ dir, sessionEvents, sessionRegistry }) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const sessions = new Map(); // sessionId -> { chats, contacts, dirty }
+    const chatCache = new Map(); // `${sessionId}|${jid}` -> { sessionId, jid, list, byId, dirty }, least recently used first
+    let flushTimer = null;
+    let pruneTimer = null;
+
+    const sessionDir = sessionId => path.join(dir, sessionId);
+    const chatPath = (sessionId, jid) => path.join(sessionDir(sessionId), "messages", chatFileName(jid));
+
+    function sessionState(sessionId) {
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, {
+                chats: readJson(path.join(sessionDir(sessionId), "chats.json"), {}),
+                contacts: readJson(path.join(sessionDir(sessionId), "contacts.json"), {}),
+                dirty: false
+            });
+        }
+        return sessions.get(sessionId);
+    }
+
+    function chatState(sessionId, jid) {
+        const cacheKey = `${sessionId}|${jid}`;
+        let chat = chatCache.get(cacheKey);
+        if (chat) {
+            // Move to the most recently used end
+            chatCache.delete(cacheKey);
+        } else {
+            const list = readJson(chatPath(sessionId, jid), []);
+            chat = { sessionId, jid, list, byId: new Map(list.map(r => [r.id, r])), dirty: false };
+        }
+        chatCache.set(cacheKey, chat);
+
+        if (chatCache.size > MAX_CACHED_CHATS) {
+            for (const [k, cached] of chatCache) {
+                if (chatCache.size <= MAX_CACHED_CHATS) break;
+                if (!cached.dirty && cached !== chat) chatCache.delete(k);
+            }
+        }
+        return chat;
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush();
+        }, FLUSH_INTERVAL_MS);
+        flushTimer.unref();
+    }
+
+    function markChat(chat) {
+        chat.dirty = true;
+        scheduleFlush();
+    }
+
+    function markSession(state) {
+        state.dirty = true;
+        scheduleFlush();
+    }
+
+    function flush() {
+        for (const chat of chatCache.values()) {
+            if (!chat.dirty) continue;
+            try {
+                const filePath = chatPath(chat.sessionId, chat.jid);
+                if (chat.list.length === 0) {
+                    fs.rmSync(filePath, { force: true });
+                } else {
+                    writeJsonAtomic(filePath, chat.list);
+                }
+                chat.dirty = false;
+            } catch (err) {
+                log.error({ err, sessionId: chat.sessionId, chat: chat.jid }, "Could not save chat history");
+            }
+        }
+        for (const [sessionId, state] of sessions) {
+            if (!state.dirty) continue;
+            try {
+                writeJsonAtomic(path.join(sessionDir(sessionId), "chats.json"), state.chats);
+                writeJsonAtomic(path.join(sessionDir(sessionId), "contacts.json"), state.contacts);
+                state.dirty = false;
+            } catch (err) {
+                log.error({ err, sessionId }, "Could not save chats and contacts");
+            }
+        }
+    }
+
+    function historyFor(sessionId) {
+        return resolveHistory(sessionRegistry.get(sessionId));
+    }
+
+    function cutoffSeconds(history, now = Date.now()) {
+        return history.retentionDays ? Math.floor((now - history.retentionDays * DAY_MS) / 1000) : null;
+    }
+
+    // Drop what the retention policy no longer allows; true when anything went
+    function applyRetention(chat, history, now = Date.now()) {
+        const cutoff = cutoffSeconds(history, now);
+        let drop = 0;
+        if (cutoff !== null) {
+            while (drop < chat.list.length && chat.list[drop].timestamp < cutoff) drop++;
+        }
+        if (history.maxPerChat && chat.list.length - drop > history.maxPerChat) {
+            drop = chat.list.length - history.maxPerChat;
+        }
+        if (drop === 0) return false;
+        chat.list.splice(0, drop).forEach(r => chat.byId.delete(r.id));
+        markChat(chat);
+        return true;
+    }
+
+    function touchChat(sessionId, jid, timestamp) {
+        const state = sessionState(sessionId);
+        const entry = state.chats[jid] || { id: jid };
+        if (!entry.lastMessageAt || timestamp > entry.lastMessageAt) entry.lastMessageAt = timestamp;
+        state.chats[jid] = entry;
+        markSession(state);
+    }
+
+    function findRecord(sessionId, key) {
+        if (!key || !key.remoteJid || !key.id) return null;
+        return chatState(sessionId, normalizeJid(key.remoteJid)).byId.get(key.id) || null;
+    }
+
+    function applyEdit(chat, record, content) {
+        const summary = describeIncomingMessage({ key: record.key, message: content });
+        Object.assign(record, { message: content, type: summary.type, text: summary.text, media: summary.media, edited: true });
+        markChat(chat);
+    }
+
+    function applyDelete(chat, record) {
+        Object.assign(record, { message: null, text: null, media: null, deleted: true });
+        markChat(chat);
+    }
+
+    // Edits and deletes for everyone arrive as protocol messages that point at the original
+    function applyProtocolMessage(sessionId, protocolMessage) {
+        const record = findRecord(sessionId, protocolMessage.key);
+        if (!record) return;
+        const chat = chatState(sessionId, record.chat);
+        if (protocolMessage.type === PROTOCOL_REVOKE) {
+            applyDelete(chat, record);
+        } else if (protocolMessage.type === PROTOCOL_MESSAGE_EDIT && protocolMessage.editedMessage) {
+            applyEdit(chat, record, protocolMessage.editedMessage);
+        }
+    }
+
+    function upsertMessage(sessionId, msg, history) {
+        const key = msg && msg.key;
+        if (!key || !key.remoteJid || !key.id || !msg.message) return;
+        const jid = normalizeJid(key.remoteJid);
+        if (jid.endsWith("@broadcast")) return;
+
+        if (msg.message.protocolMessage) {
+            applyProtocolMessage(sessionId, msg.message.protocolMessage);
+            return;
+        }
+
+        const timestamp = toSeconds(msg.messageTimestamp) || Math.floor(Date.now() / 1000);
+        const cutoff = cutoffSeconds(history);
+        if (cutoff !== null && timestamp < cutoff) return;
+
+        const chat = chatState(sessionId, jid);
+        const existing = chat.byId.get(key.id);
+        const record = {
+            ...describeIncomingMessage(msg),
+            chat: jid,
+            fromMe: Boolean(key.fromMe),
+            timestamp,
+            status: msg.status !== undefined && msg.status !== null ? STATUS_NAMES[msg.status] || null : null,
+            edited: false,
+            deleted: false,
+            key,
+            message: msg.message
+        };
+
+        if (existing) {
+            Object.assign(existing, record, {
+                status: record.status || existing.status,
+                edited: existing.edited,
+                deleted: existing.deleted,
+                ...(existing.deleted ? { message: null, text: null, media: null } : {})
+            });
+        } else {
+            // Usually newest; history sync may deliver older messages later
+            let index = chat.list.length;
+            while (index > 0 && chat.list[index - 1].timestamp > timestamp) index--;
+            chat.list.splice(index, 0, record);
+            chat.byId.set(record.id, record);
+            applyRetention(chat, history);
+        }
+        markChat(chat);
+        touchChat(sessionId, jid, timestamp);
+
+        const sender = senderJid(msg);
+        if (!key.fromMe && msg.pushName && sender) {
+            const state = sessionState(sessionId);
+            if (!state.contacts[sender] || state.contacts[sender].notify !== msg.pushName) {
+                state.contacts[sender] = { ...(state.contacts[sender] || { id: sender }), notify: msg.pushName };
+                markSession(state);
+            }
+        }
+    }
+
+    function upsertChats(sessionId, chats) {
+        const state = sessionState(sessionId);
+        for (const chat of chats || []) {
+            if (!chat || !chat.id) continue;
+            const jid = normalizeJid(chat.id);
+            const entry = { ...(state.chats[jid] || { id: jid }), ...pick(chat, CHAT_FIELDS) };
+            const conversationAt = toSeconds(chat.conversationTimestamp);
+            if (conversationAt && (!entry.lastMessageAt || conversationAt > entry.lastMessageAt)) {
+                entry.lastMessageAt = conversationAt;
+            }
+            state.chats[jid] = entry;
+        }
+        markSession(state);
+    }
+
+    function upsertContacts(sessionId, contacts) {
+        const state = sessionState(sessionId);
+        for (const contact of contacts || []) {
+            if (!contact || !contact.id) continue;
+            const jid = normalizeJid(contact.id);
+            state.contacts[jid] = { ...(state.contacts[jid] || { id: jid }), ...pick(contact, CONTACT_FIELDS) };
+        }
+        markSession(state);
+    }
+
+    function clearChat(sessionId, jid) {
+        const chat = chatState(sessionId, jid);
+        chat.list = [];
+        chat.byId.clear();
+        markChat(chat);
+    }
+
+    // A throwing listener must not break the socket that emitted the event
+    function on(event, handler) {
+        sessionEvents.on(event, (sessionId, payload) => {
+            try {
+                handler(sessionId, payload);
+            } catch (err) {
+                log.error({ err, sessionId, event }, "Could not record event");
+            }
+        });
+    }
+
+    function recording(sessionId) {
+        const history = historyFor(sessionId);
+        return history.enabled ? history : null;
+    }
+
+    on("messaging-history.set", (sessionId, { chats, contacts, messages }) => {
+        const history = recording(sessionId);
+        if (!history) return;
+        upsertChats(sessionId, chats);
+        upsertContacts(sessionId, contacts);
+        for (const msg of messages || []) upsertMessage(sessionId, msg, history);
+    });
+
+    on("messages.upsert", (sessionId, { messages }) => {
+        const history = recording(sessionId);
+        if (!history) return;
+        for (const msg of messages || []) upsertMessage(sessionId, msg, history);
+    });
+
+    on("messages.update", (sessionId, updates) => {
+        for (const { key, update } of updates || []) {
+            const record = update && findRecord(sessionId, key);
+            if (!record) continue;
+            const chat = chatState(sessionId, record.chat);
+            if (update.status !== undefined && update.status !== null) {
+                const status = STATUS_NAMES[update.status] || record.status;
+                // Receipts can arrive out of order; a status never goes back
+                if (STATUS_NAMES.indexOf(status) > STATUS_NAMES.indexOf(record.status)) {
+                    record.status = status;
+                    markChat(chat);
+                }
+            }
+            const edited = update.message?.editedMessage?.message || update.message?.protocolMessage?.editedMessage;
+            if (edited) {
+                applyEdit(chat, record, edited);
+            } else if (update.message === null || update.messageStubType === 1) {
+                applyDelete(chat, record);
+            }
+        }
+    });
+
+    on("messages.delete", (sessionId, payload) => {
+        if (payload && payload.all && payload.jid) {
+            clearChat(sessionId, normalizeJid(payload.jid));
+            return;
+        }
+        for (const key of (payload && payload.keys) || []) {
+            const record = findRecord(sessionId, key);
+            if (record) applyDelete(chatState(sessionId, record.chat), record);
+        }
+    });
+
+    on("chats.upsert", upsertChats);
+    on("chats.update", upsertChats);
+
+    on("chats.delete", (sessionId, ids) => {
+        const state = sessionState(sessionId);
+        for (const id of ids || []) {
+            const jid = normalizeJid(id);
+            delete state.chats[jid];
+            clearChat(sessionId, jid);
+        }
+        markSession(state);
+    });
+
+    on("contacts.upsert", upsertContacts);
+    on("contacts.update", upsertContacts);
+
+    function pruneAll() {
+        let dropped = 0;
+        for (const sessionId of fs.readdirSync(dir)) {
+            if (!fs.statSync(path.join(dir, sessionId)).isDirectory()) continue;
+            const history = historyFor(sessionId);
+            for (const jid of Object.keys(sessionState(sessionId).chats)) {
+                const chat = chatState(sessionId, jid);
+                const before = chat.list.length;
+                if (applyRetention(chat, history)) dropped += before - chat.list.length;
+            }
+        }
+        flush();
+        if (dropped > 0) log.info({ dropped }, "Pruned stored messages past their retention");
+    }
+
+    function contactName(state, jid) {
+        const contact = state.contacts[jid];
+        return (contact && (contact.name || contact.verifiedName || contact.notify)) || null;
+    }
+
+    function matcher({ q, from, fromMe, since, until }) {
+        const terms = foldText(q).split(/\s+/).filter(Boolean);
+        const sinceSec = since ? new Date(since).getTime() / 1000 : null;
+        const untilSec = until ? new Date(until).getTime() / 1000 : null;
+        return record => {
+            if (record.deleted) return false;
+            if (from && record.from !== from) return false;
+            if (fromMe !== undefined && record.fromMe !== fromMe) return false;
+            if (sinceSec !== null && record.timestamp < sinceSec) return false;
+            if (untilSec !== null && record.timestamp > untilSec) return false;
+            if (terms.length === 0) return true;
+            const text = foldText(`${record.text || ""} ${(record.media && record.media.fileName) || ""}`);
+            return terms.every(term => text.includes(term));
+        };
+    }
+
+    return {
+        historyFor,
+
+        // For Baileys' getMessage: the stored content of a message, or undefined
+        getMessage(sessionId, key) {
+            const record = findRecord(sessionId, key);
+            return (record && record.message) || undefined;
+        },
+
+        // A stored message as sendMessage's `quoted` option wants it, or null
+        getQuotable(sessionId, key) {
+            const record = findRecord(sessionId, key);
+            return record && record.message ? { key: record.key, message: record.message } : null;
+        },
+
+        // Key of message `id` in chat `jid`, or null when the store does not have it
+        findKey(sessionId, jid, id) {
+            const record = findRecord(sessionId, { remoteJid: jid, id });
+            return record && !record.deleted ? record.key : null;
+        },
+
+        // Chats newest first; `q` filters on the chat / contact name and JID
+        listChats(sessionId, { q, limit = 50, offset = 0 } = {}) {
+            const state = sessionState(sessionId);
+            const needle = foldText(q);
+            const chats = Object.values(state.chats)
+                .map(chat => ({
+                    ...chat,
+                    name: chat.name || contactName(state, chat.id),
+                    lastMessageAt: chat.lastMessageAt ? new Date(chat.lastMessageAt * 1000).toISOString() : null
+                }))
+                .filter(chat => !needle || foldText(`${chat.name || ""} ${chat.id}`).includes(needle))
+                .sort((a, b) => String(b.lastMessageAt || "").localeCompare(String(a.lastMessageAt || "")));
+            limit = Math.min(limit, MAX_PAGE_SIZE);
+            return { total: chats.length, offset, limit, chats: chats.slice(offset, offset + limit) };
+        },
+
+        listContacts(sessionId) {
+            return Object.values(sessionState(sessionId).contacts);
+        },
+
+        hasChat(sessionId, jid) {
+            return Boolean(sessionState(sessionId).chats[jid]);
+        },
+
+        // One page of a chat, newest first, older than the message `before` (an id).
+        // Pass the returned nextBefore to get the next (older) page.
+        history(sessionId, jid, { before, limit = 50, q, from, fromMe, since, until } = {}) {
+            const chat = chatState(sessionId, jid);
+            let end = chat.list.length;
+            if (before) {
+                const index = chat.list.findIndex(r => r.id === before);
+                if (index < 0) return null;
+                end = index;
+            }
+            limit = Math.min(limit, MAX_PAGE_SIZE);
+            const matches = matcher({ q, from, fromMe, since, until });
+            const page = [];
+            let index = end - 1;
+            for (; index >= 0 && page.length < limit; index--) {
+                if (matches(chat.list[index])) page.push(chat.list[index]);
+            }
+            const hasMore = index >= 0 && chat.list.slice(0, index + 1).some(matches);
+            return {
+                chat: jid,
+                messages: page.map(describeStored),
+                hasMore,
+                nextBefore: hasMore && page.length > 0 ? page[page.length - 1].id : null
+            };
+        },
+
+        // Full-text search over every chat of the session (or one `chat`), newest first.
+        // All words of `q` must occur, case- and accent-insensitive.
+        search(sessionId, { q, chat, from, fromMe, since, until, limit = 50, offset = 0 } = {}) {
+            const matches = matcher({ q, from, fromMe, since, until });
+            const jids = chat ? [chat] : Object.keys(sessionState(sessionId).chats);
+            const found = [];
+            for (const jid of jids) {
+                for (const record of chatState(sessionId, jid).list) {
+                    if (matches(record)) found.push(record);
+                }
+            }
+            found.sort((a, b) => b.timestamp - a.timestamp);
+            limit = Math.min(limit, MAX_PAGE_SIZE);
+            return { total: found.length, offset, limit, messages: found.slice(offset, offset + limit).map(describeStored) };
+        },
+
+        // Forget the stored history of one chat, or of the whole session
+        purge(sessionId, jid = null) {
+            const state = sessionState(sessionId);
+            const jids = jid ? [jid] : Object.keys(state.chats);
+            let removed = 0;
+            for (const chatJid of jids) {
+                removed += chatState(sessionId, chatJid).list.length;
+                clearChat(sessionId, chatJid);
+                delete state.chats[chatJid];
+            }
+            if (!jid) state.contacts = {};
+            markSession(state);
+            flush();
+            return removed;
+        },
+
+        // Drop everything of a deleted session
+        removeSession(sessionId) {
+            for (const [cacheKey, chat] of chatCache) {
+                if (chat.sessionId === sessionId) chatCache.delete(cacheKey);
+            }
+            sessions.delete(sessionId);
+            fs.rmSync(sessionDir(sessionId), { recursive: true, force: true });
+        },
+
+        flush,
+
+        start() {
+            if (pruneTimer) return;
+            pruneAll();
+            pruneTimer = setInterval(() => {
+                try {
+                    pruneAll();
+                } catch (err) {
+                    log.error({ err }, "Retention sweep failed");
+                }
+            }, PRUNE_INTERVAL_MS);
+            pruneTimer.unref();
+        },
+
+        stop() {
+            clearInterval(pruneTimer);
+            pruneTimer = null;
+            clearTimeout(flushTimer);
+            flushTimer = null;
+            flush();
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_HISTORY,
+    createMessageStore,
+    resolveHistory,
+    validateHistoryConfig
+};
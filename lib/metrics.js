@@ -0,0 +1,141 @@
+// lib/metrics.js
+//
+// Prometheus metrics, served by GET /metrics. Session and queue gauges are
+// computed at scrape time from the live maps; counters and the task duration
+// histogram follow taskEvents. Besides the process defaults (CPU, memory,
+// event loop lag) the registry exposes
+//   whatsapp_sessions{state}                      registered sessions by connected / disconnected / logged_out
+//   whatsapp_session_connected{session_id,...}    1 while a session is online - alert on 0
+//   whatsapp_reconnect_attempts_total{session_id}
+//   whatsapp_messages_sent_total{session_id}
+//   whatsapp_messages_failed_total{session_id}
+//   whatsapp_messages_skipped_total{session_id}
+//   whatsapp_tasks{status}                        tasks held in memory by status
+//   whatsapp_queue_depth{session_id}              messages still to send in running / interrupted tasks
+//   whatsapp_task_duration_seconds{status}        start to end of finished tasks
+const client = require("prom-client");
+const { TASK_STATUS } = require("./taskStore");
+
+const TASK_DURATION_BUCKETS = [10, 30, 60, 300, 900, 1800, 3600, 4 * 3600, 12 * 3600, 24 * 3600];
+
+function createMetrics({ activeClients, activeTasks, sessionRegistry, taskEvents }) {
+    const registry = new client.Registry();
+    client.collectDefaultMetrics({ register: registry });
+    const registers = [registry];
+
+    new client.Gauge({
+        name: "whatsapp_sessions",
+        help: "Registered sessions by connection state",
+        labelNames: ["state"],
+        registers,
+        collect() {
+            const counts = { connected: 0, disconnected: 0, logged_out: 0 };
+            for (const record of sessionRegistry.list()) {
+                if (record.loggedOut) counts.logged_out++;
+                else if (activeClients.get(record.sessionId)?.connected) counts.connected++;
+                else counts.disconnected++;
+            }
+            for (const [state, value] of Object.entries(counts)) this.set({ state }, value);
+        }
+    });
+
+    new client.Gauge({
+        name: "whatsapp_session_connected",
+        help: "1 while the session's socket is open, 0 otherwise",
+        labelNames: ["session_id", "number", "label"],
+        registers,
+        collect() {
+            this.reset();
+            for (const record of sessionRegistry.list()) {
+                if (record.loggedOut) continue;
+                const labels = { session_id: record.sessionId, number: record.number || "", label: record.label || "" };
+                this.set(labels, activeClients.get(record.sessionId)?.connected ? 1 : 0);
+            }
+        }
+    });
+
+    const reconnects = new client.Counter({
+        name: "whatsapp_reconnect_attempts_total",
+        help: "Reconnect attempts after a dropped connection",
+        labelNames: ["session_id"],
+        registers
+    });
+
+    const messageCounters = {
+        sent: new client.Counter({
+            name: "whatsapp_messages_sent_total",
+            help: "Task messages sent",
+            labelNames: ["session_id"],
+            registers
+        }),
+        failed: new client.Counter({
+            name: "whatsapp_messages_failed_total",
+            help: "Task messages that failed after all retries",
+            labelNames: ["session_id"],
+            registers
+        }),
+        skipped: new client.Counter({
+            name: "whatsapp_messages_skipped_total",
+            help: "Task messages skipped because the recipient opted out",
+            labelNames: ["session_id"],
+            registers
+        })
+    };
+
+    new client.Gauge({
+        name: "whatsapp_tasks",
+        help: "Tasks held in memory by status",
+        labelNames: ["status"],
+        registers,
+        collect() {
+            this.reset();
+            for (const status of Object.values(TASK_STATUS)) this.set({ status }, 0);
+            activeTasks.forEach(task => this.inc({ status: task.status }));
+        }
+    });
+
+    new client.Gauge({
+        name: "whatsapp_queue_depth",
+        help: "Messages still to send in unfinished tasks: running, queued, paused and interrupted",
+        labelNames: ["session_id"],
+        registers,
+        collect() {
+            this.reset();
+            activeTasks.forEach(task => {
+                if (task.endedAt) return;
+                this.inc({ session_id: task.sessionId }, Math.max(task.totalMessages - task.cursor, 0));
+            });
+        }
+    });
+
+    const taskDuration = new client.Histogram({
+        name: "whatsapp_task_duration_seconds",
+        help: "Time from start to end of finished tasks",
+        labelNames: ["status"],
+        buckets: TASK_DURATION_BUCKETS,
+        registers
+    });
+
+    taskEvents.on("task", ({ type, task }) => {
+        if (messageCounters[type]) {
+            messageCounters[type].inc({ session_id: task.sessionId });
+        } else if (type === "finished" && task.startedAt && task.endedAt) {
+            const seconds = (new Date(task.endedAt) - new Date(task.startedAt)) / 1000;
+            taskDuration.observe({ status: task.status }, Math.max(seconds, 0));
+        }
+    });
+
+    return {
+        contentType: registry.contentType,
+
+        recordReconnect(sessionId) {
+            reconnects.inc({ session_id: sessionId });
+        },
+
+        render() {
+            return registry.metrics();
+        }
+    };
+}
+
+module.exports = { createMetrics };
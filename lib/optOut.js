@@ -0,0 +1,66 @@
+// lib/optOut.js
+//
+// Watches incoming messages on every session for opt-out / opt-in keywords.
+// A message counts when its whole text (trimmed, case-insensitive) equals one
+// of the session's keywords. Keywords are configured per session in the
+// session registry (`optOut` field); sessions without config use the defaults.
+const { senderJid, extractText } = require("./waMessage");
+const { logger } = require("./logger");
+
+const DEFAULT_OPT_OUT_KEYWORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT"];
+const DEFAULT_OPT_IN_KEYWORDS = ["START", "SUBSCRIBE", "UNSTOP"];
+
+function keywordConfig(sessionRecord) {
+    const config = (sessionRecord && sessionRecord.optOut) || {};
+    return {
+        optOutKeywords: config.optOutKeywords || DEFAULT_OPT_OUT_KEYWORDS,
+        optInKeywords: config.optInKeywords || DEFAULT_OPT_IN_KEYWORDS
+    };
+}
+
+// Trim, upper-case, de-duplicate; rejects anything that is not a list of strings
+function normalizeKeywords(list) {
+    if (!Array.isArray(list) || list.some(k => typeof k !== "string")) {
+        throw new Error("Keywords must be an array of strings");
+    }
+    return [...new Set(list.map(k => k.trim().toUpperCase()).filter(Boolean))];
+}
+
+function attachOptOutHandler({ sessionEvents, sessionRegistry, suppression, auditLog }) {
+    sessionEvents.on("messages.upsert", (sessionId, { messages, type }) => {
+        if (type !== "notify") return;
+
+        const record = sessionRegistry.get(sessionId);
+        if (!record || !record.owner) return;
+        const { optOutKeywords, optInKeywords } = keywordConfig(record);
+
+        for (const msg of messages || []) {
+            if (!msg.key || msg.key.fromMe) continue;
+
+            const text = extractText(msg).trim().toUpperCase();
+            if (!text) continue;
+
+            const jid = senderJid(msg);
+            if (!jid) continue;
+
+            if (optOutKeywords.includes(text)) {
+                if (suppression.has(record.owner, jid)) continue;
+                suppression.add({ owner: record.owner, jid, reason: "keyword", keyword: text, sessionId });
+                auditLog.record(null, "suppression.opt_out", { owner: record.owner, sessionId, jid, keyword: text });
+                logger.info({ sessionId, jid, keyword: text }, "Recipient opted out");
+            } else if (optInKeywords.includes(text)) {
+                if (!suppression.remove(record.owner, jid)) continue;
+                auditLog.record(null, "suppression.opt_in", { owner: record.owner, sessionId, jid, keyword: text });
+                logger.info({ sessionId, jid, keyword: text }, "Recipient opted back in");
+            }
+        }
+    });
+}
+
+module.exports = {
+    attachOptOutHandler,
+    keywordConfig,
+    normalizeKeywords,
+    DEFAULT_OPT_OUT_KEYWORDS,
+    DEFAULT_OPT_IN_KEYWORDS
+};
@@ -0,0 +1,125 @@
+// lib/pairing.js
+//
+// Tracks where each session is in the pairing flow - QR shown, pairing code
+// issued, connecting, open, closed - and pushes every change to subscribers
+// (the per-session SSE stream). QR strings are rendered to PNG data URLs here
+// so the browser never needs a QR library.
+const { EventEmitter } = require("events");
+const QRCode = require("qrcode");
+const { logger } = require("./logger");
+
+const PAIRING_CODE_TTL_MS = Number(process.env.PAIRING_CODE_TTL_MS) || 60000;
+
+function createPairingTracker(sessionEvents) {
+    const states = new Map(); // sessionId -> current pairing state
+    const emitter = new EventEmitter();
+    const expiryTimers = new Map();
+    emitter.setMaxListeners(0);
+
+    function stateOf(sessionId) {
+        if (!states.has(sessionId)) {
+            states.set(sessionId, {
+                sessionId,
+                connection: null,
+                qr: null,
+                qrDataUrl: null,
+                qrAt: null,
+                pairingCode: null,
+                pairingCodeExpiresAt: null,
+                lastDisconnectCode: null,
+                updatedAt: null
+            });
+        }
+        return states.get(sessionId);
+    }
+
+    function publish(sessionId, event, data) {
+        const state = stateOf(sessionId);
+        state.updatedAt = new Date().toISOString();
+        emitter.emit(sessionId, event, { sessionId, ...data });
+    }
+
+    function clearPairingCode(sessionId) {
+        clearTimeout(expiryTimers.get(sessionId));
+        expiryTimers.delete(sessionId);
+        const state = stateOf(sessionId);
+        state.pairingCode = null;
+        state.pairingCodeExpiresAt = null;
+    }
+
+    async function handleQr(sessionId, qr) {
+        const state = stateOf(sessionId);
+        let dataUrl = null;
+        try {
+            dataUrl = await QRCode.toDataURL(qr, { margin: 1, width: 280 });
+        } catch (err) {
+            logger.warn({ err, sessionId }, "Could not render QR code");
+        }
+        state.qr = qr;
+        state.qrDataUrl = dataUrl;
+        state.qrAt = new Date().toISOString();
+        publish(sessionId, "qr", { qr, dataUrl, at: state.qrAt });
+    }
+
+    sessionEvents.on("connection.update", (sessionId, update) => {
+        const { connection, lastDisconnect, qr } = update;
+        const state = stateOf(sessionId);
+
+        if (qr) {
+            handleQr(sessionId, qr);
+        }
+
+        if (connection) {
+            state.connection = connection;
+            if (connection === "open") {
+                state.qr = null;
+                state.qrDataUrl = null;
+                clearPairingCode(sessionId);
+            }
+            if (connection === "close") {
+                state.lastDisconnectCode = lastDisconnect?.error?.output?.statusCode ?? null;
+            }
+            publish(sessionId, "connection", {
+                connection,
+                statusCode: connection === "close" ? state.lastDisconnectCode : undefined,
+                at: new Date().toISOString()
+            });
+        }
+    });
+
+    return {
+        get(sessionId) {
+            return { ...stateOf(sessionId) };
+        },
+
+        // Called by /code once WhatsApp hands out a pairing code
+        setPairingCode(sessionId, code) {
+            clearPairingCode(sessionId);
+            const state = stateOf(sessionId);
+            state.pairingCode = code;
+            state.pairingCodeExpiresAt = new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString();
+            publish(sessionId, "pairing-code", { code, expiresAt: state.pairingCodeExpiresAt });
+
+            const timer = setTimeout(() => {
+                if (stateOf(sessionId).connection === "open") return;
+                clearPairingCode(sessionId);
+                publish(sessionId, "pairing-code-expired", { code });
+            }, PAIRING_CODE_TTL_MS);
+            timer.unref();
+            expiryTimers.set(sessionId, timer);
+        },
+
+        // listener(event, data); returns an unsubscribe function
+        subscribe(sessionId, listener) {
+            emitter.on(sessionId, listener);
+            return () => emitter.off(sessionId, listener);
+        },
+
+        forget(sessionId) {
+            clearPairingCode(sessionId);
+            states.delete(sessionId);
+        }
+    };
+}
+
+module.exports = { createPairingTracker, PAIRING_CODE_TTL_MS };
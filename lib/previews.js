@@ -0,0 +1,186 @@
+// lib/previews.js
+//
+// Dry runs of a send. With dryRun set, /send-message (and POST /api/v1/tasks)
+// goes through everything a real send does - reading the files, prefix and
+// {{placeholders}}, target lookup, sending policy - and the resulting plan is
+// kept here under a random token instead of being started. Committing the token
+// starts exactly that plan: nothing is parsed or rendered again.
+//
+// Each preview is <dir>/<token>.json:
+//   { token, owner, sessionId, createdAt, expiresAt, plan, messages, schedule }
+// where plan and messages are what startTask() takes and schedule, for a
+// scheduled send, the timing to create the schedule with. Its media waits in
+// uploads/<token>/. Previews expire after PREVIEW_TTL_MIN minutes (default 60).
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { addressMessage } = require("./contacts");
+const { describeMessage } = require("./media");
+const { entryDelaySec } = require("./messageScript");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "previews" });
+
+const PREVIEW_TTL_MS = (Number(process.env.PREVIEW_TTL_MIN) || 60) * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function writeJsonAtomic(filePath, value) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function newPreviewToken() {
+    return `prv_${crypto.randomBytes(16).toString("hex")}`;
+}
+
+// Seconds the send loop spends waiting: after every message but the last, the
+// entry's own delaySec (script entries) or the task's
+function estimateDurationSec(plan, messages) {
+    return messages.slice(0, -1).reduce(
+        (total, entry) => total + (entryDelaySec(addressMessage(plan, entry).message) ?? plan.delaySec),
+        0
+    );
+}
+
+// What a preview will send, for the API and the HTML page: every rendered
+// message in order, with its recipient for contact lists
+function describePreview(preview) {
+    const { token, sessionId, createdAt, expiresAt, plan, messages, schedule } = preview;
+    return {
+        token,
+        sessionId,
+        createdAt,
+        expiresAt,
+        target: plan.target,
+        targetJid: plan.targetJid,
+        targetType: plan.targetType,
+        delaySec: plan.delaySec,
+        totalMessages: plan.totalMessages,
+        mediaMessages: plan.mediaMessages,
+        estimatedDurationSec: estimateDurationSec(plan, messages),
+        schedule: schedule
+            ? { label: schedule.label, ...schedule.timing, nextRunAt: schedule.nextRunAt, offlinePolicy: schedule.offlinePolicy }
+            : null,
+        recipients: plan.recipients
+            ? plan.recipients.map(({ row, name, number, jid, messages: count }) => ({ row, name, number, jid, messages: count }))
+            : null,
+        messages: messages.map((entry, index) => {
+            const { to, message } = addressMessage(plan, entry);
+            return { index, to, ...describeMessage(message, plan.prefix) };
+        })
+    };
+}
+
+// onExpired(preview) runs for every preview that expires or is discarded
+// unused, to remove its media
+function createPreviewStore(dir, { onExpired = () => {} } = {}) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const previews = new Map(); // token -> preview
+    let sweepTimer = null;
+
+    const filePath = token => path.join(dir, `${token}.json`);
+    const isExpired = preview => new Date(preview.expiresAt).getTime() <= Date.now();
+
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+            const preview = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+            previews.set(preview.token, preview);
+        } catch (err) {
+            log.warn({ err, file }, "Skipping unreadable preview");
+        }
+    }
+
+    function remove(token) {
+        previews.delete(token);
+        fs.rmSync(filePath(token), { force: true });
+    }
+
+    function discard(preview) {
+        remove(preview.token);
+        try {
+            onExpired(preview);
+        } catch (err) {
+            log.error({ err, token: preview.token }, "Preview cleanup failed");
+        }
+    }
+
+    // The preview, or null when there is none or it expired
+    function get(token) {
+        const preview = previews.get(token);
+        if (!preview) return null;
+        if (isExpired(preview)) {
+            discard(preview);
+            return null;
+        }
+        return preview;
+    }
+
+    function sweep() {
+        let removed = 0;
+        for (const preview of [...previews.values()]) {
+            if (!isExpired(preview)) continue;
+            discard(preview);
+            removed++;
+        }
+        return removed;
+    }
+
+    return {
+        // Keep a checked plan; returns the stored preview
+        create({ token, owner, sessionId, plan, messages, schedule = null }) {
+            const now = Date.now();
+            const preview = {
+                token,
+                owner,
+                sessionId,
+                createdAt: new Date(now).toISOString(),
+                expiresAt: new Date(now + PREVIEW_TTL_MS).toISOString(),
+                plan,
+                messages,
+                schedule
+            };
+            writeJsonAtomic(filePath(token), preview);
+            previews.set(token, preview);
+            return preview;
+        },
+
+        get,
+
+        // Committed: forget the preview; the caller moves its media on
+        take(token) {
+            const preview = get(token);
+            if (preview) remove(token);
+            return preview;
+        },
+
+        // Dropped unused, like an expired one
+        discard(token) {
+            const preview = previews.get(token);
+            if (!preview) return false;
+            discard(preview);
+            return true;
+        },
+
+        // Tokens whose uploads must survive a restart
+        tokens() {
+            return [...previews.keys()];
+        },
+
+        start() {
+            if (sweepTimer) return;
+            sweep();
+            sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+            sweepTimer.unref();
+        },
+
+        stop() {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    };
+}
+
+module.exports = { PREVIEW_TTL_MS, createPreviewStore, describePreview, estimateDurationSec, newPreviewToken };
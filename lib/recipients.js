@@ -0,0 +1,220 @@
+// lib/recipients.js
+//
+// What users type as a recipient, turned into a WhatsApp address and checked
+// before a task is created.
+//
+// Numbers are parsed as E.164 (libphonenumber-js): "+977 981-2345678",
+// "009779812345678" or, as before, digits that start with the country code.
+// With DEFAULT_COUNTRY set (an ISO 3166 code such as NP or IN) a number typed
+// without its country code is read as a national number of that country.
+// Group ids are <digits>[-<digits>], with or without "@g.us".
+//
+// createRecipientChecker() adds the checks that need the session: numbers are
+// looked up with onWhatsApp (cached, in batches for contact lists) and group
+// targets must be groups the session has joined and may write to. While the
+// session is offline, or with RECIPIENT_LOOKUP=off, only the format is checked.
+const { isSupportedCountry, parsePhoneNumberFromString } = require("libphonenumber-js");
+const { normalizeJid } = require("./waMessage");
+const { logger } = require("./logger");
+
+const DEFAULT_COUNTRY = readDefaultCountry(process.env.DEFAULT_COUNTRY);
+const LOOKUP_ENABLED = process.env.RECIPIENT_LOOKUP !== "off";
+
+const LOOKUP_BATCH_SIZE = 50;
+const LOOKUP_CACHE_SIZE = 10000;
+// Numbers on WhatsApp rarely leave it; a miss is retried sooner
+const FOUND_TTL_MS = 24 * 60 * 60 * 1000;
+const MISSING_TTL_MS = 60 * 60 * 1000;
+const GROUPS_TTL_MS = 60 * 1000;
+
+function readDefaultCountry(value) {
+    if (!value) return null;
+    const country = value.trim().toUpperCase();
+    if (!isSupportedCountry(country)) {
+        throw new Error(`DEFAULT_COUNTRY must be an ISO 3166 country code such as NP or IN, not ${value}`);
+    }
+    return country;
+}
+
+// Phone number -> { e164, digits, jid }, or null when it is not a valid number
+function parseNumber(input, defaultCountry = DEFAULT_COUNTRY) {
+    let text = String(input ?? "").trim();
+    if (text.endsWith("@s.whatsapp.net")) text = `+${text.split("@")[0]}`;
+    if (!/^[+\d\s().-]+$/.test(text)) return null;
+    if (text.startsWith("00")) text = `+${text.slice(2)}`;
+
+    const candidates = text.startsWith("+")
+        ? [parsePhoneNumberFromString(text)]
+        : [
+            // National first when there is a default country, then digits that carry their country code
+            defaultCountry ? parsePhoneNumberFromString(text, defaultCountry) : null,
+            parsePhoneNumberFromString(`+${text.replace(/\D/g, "")}`)
+        ];
+    const phone = candidates.find(candidate => candidate && candidate.isValid());
+    if (!phone) return null;
+    const digits = phone.number.slice(1);
+    return { e164: phone.number, digits, jid: `${digits}@s.whatsapp.net` };
+}
+
+// "1203630xxxx" or "1203630xxxx@g.us" -> "1203630xxxx@g.us"; null for anything else
+function toGroupJid(id) {
+    const value = String(id || "").trim();
+    const bare = value.endsWith("@g.us") ? value.slice(0, -"@g.us".length) : value;
+    return /^\d+(-\d+)?$/.test(bare) ? `${bare}@g.us` : null;
+}
+
+function createRecipientChecker({ activeClients, lookup = LOOKUP_ENABLED }) {
+    const numberCache = new Map(); // digits -> { jid, at } (jid null: not on WhatsApp)
+    const groupCache = new Map();  // sessionId -> { groups, at }
+
+    function onlineClient(sessionId) {
+        const clientInfo = activeClients.get(sessionId);
+        return clientInfo && clientInfo.connected && clientInfo.client ? clientInfo.client : null;
+    }
+
+    function cached(digits) {
+        const entry = numberCache.get(digits);
+        if (!entry) return undefined;
+        if (Date.now() - entry.at > (entry.jid ? FOUND_TTL_MS : MISSING_TTL_MS)) {
+            numberCache.delete(digits);
+            return undefined;
+        }
+        return entry.jid;
+    }
+
+    function remember(digits, jid) {
+        numberCache.delete(digits);
+        numberCache.set(digits, { jid, at: Date.now() });
+        if (numberCache.size > LOOKUP_CACHE_SIZE) {
+            numberCache.delete(numberCache.keys().next().value);
+        }
+    }
+
+    // digits -> JID WhatsApp knows the number by, or null when it is not on
+    // WhatsApp. Numbers that could not be looked up are left out of the result.
+    async function lookupNumbers(sessionId, digitsList) {
+        const result = new Map();
+        const client = lookup ? onlineClient(sessionId) : null;
+        if (!client || typeof client.onWhatsApp !== "function") return result;
+
+        const pending = [];
+        for (const digits of new Set(digitsList)) {
+            const known = cached(digits);
+            if (known === undefined) pending.push(digits);
+            else result.set(digits, known);
+        }
+        const batches = [];
+        for (let i = 0; i < pending.length; i += LOOKUP_BATCH_SIZE) {
+            batches.push(pending.slice(i, i + LOOKUP_BATCH_SIZE));
+        }
+        while (batches.length > 0) {
+            const batch = batches.shift();
+            let found;
+            try {
+                found = await client.onWhatsApp(...batch.map(digits => `${digits}@s.whatsapp.net`));
+            } catch (err) {
+                logger.warn({ err, sessionId, numbers: batch.length }, "WhatsApp number lookup failed, sending unverified");
+                continue;
+            }
+            // Only registered numbers come back, unordered, and their JID may differ
+            // from the number asked for (e.g. an extra or missing mobile prefix)
+            const existing = (found || []).filter(item => item.exists).map(item => normalizeJid(item.jid));
+            if (batch.length === 1) {
+                remember(batch[0], existing[0] || null);
+                result.set(batch[0], existing[0] || null);
+                continue;
+            }
+            const byDigits = new Map(existing.map(jid => [jid.split("@")[0], jid]));
+            const unmatched = batch.filter(digits => !byDigits.has(digits));
+            const strays = existing.length - (batch.length - unmatched.length);
+            for (const digits of batch) {
+                if (byDigits.has(digits)) {
+                    remember(digits, byDigits.get(digits));
+                    result.set(digits, byDigits.get(digits));
+                } else if (strays === 0) {
+                    remember(digits, null);
+                    result.set(digits, null);
+                }
+            }
+            // Some answer did not match its number: ask for the unmatched ones one by one
+            if (strays > 0) unmatched.forEach(digits => batches.push([digits]));
+        }
+        return result;
+    }
+
+    // The session's joined groups by JID; null when they cannot be listed right now
+    async function joinedGroups(sessionId) {
+        const client = onlineClient(sessionId);
+        if (!client) return null;
+        const entry = groupCache.get(sessionId);
+        if (entry && Date.now() - entry.at < GROUPS_TTL_MS) return entry.groups;
+        try {
+            const groups = await client.groupFetchAllParticipating();
+            groupCache.set(sessionId, { groups, at: Date.now() });
+            return groups;
+        } catch (err) {
+            logger.warn({ err, sessionId }, "Could not list the session's groups, group target unverified");
+            return null;
+        }
+    }
+
+    // Every input number -> { jid, e164, verified } or { error, code }
+    async function checkNumbers(sessionId, inputs) {
+        const parsed = new Map(inputs.map(input => [input, parseNumber(input)]));
+        const found = await lookupNumbers(sessionId, [...parsed.values()].filter(Boolean).map(p => p.digits));
+        const results = new Map();
+        for (const [input, phone] of parsed) {
+            if (!phone) {
+                const hint = DEFAULT_COUNTRY ? "" : " - include the country code";
+                results.set(input, { error: `${input} is not a valid phone number${hint}`, code: "invalid_number" });
+            } else if (!found.has(phone.digits)) {
+                results.set(input, { jid: phone.jid, e164: phone.e164, verified: false });
+            } else if (found.get(phone.digits) === null) {
+                results.set(input, { error: `${phone.e164} is not on WhatsApp`, code: "not_on_whatsapp" });
+            } else {
+                results.set(input, { jid: found.get(phone.digits), e164: phone.e164, verified: true });
+            }
+        }
+        return results;
+    }
+
+    // Group id -> { jid, subject, verified } or { error, code }
+    async function checkGroup(sessionId, input) {
+        const jid = toGroupJid(input);
+        if (!jid) {
+            return { error: `${input} is not a group id (expected digits, e.g. 120363012345678901@g.us)`, code: "invalid_group_id" };
+        }
+        const groups = await joinedGroups(sessionId);
+        if (!groups) return { jid, subject: null, verified: false };
+
+        const group = groups[jid];
+        if (!group) {
+            return { error: `This session is not a member of ${jid}`, code: "not_group_member" };
+        }
+        if (group.announce) {
+            const selfJid = normalizeJid(onlineClient(sessionId)?.user?.id || "");
+            const self = (group.participants || []).find(p => normalizeJid(p.id) === selfJid);
+            if (!self || !self.admin) {
+                return { error: `Only admins can send messages to ${group.subject || jid}`, code: "group_announce_only" };
+            }
+        }
+        return { jid, subject: group.subject || null, verified: true };
+    }
+
+    return {
+        checkNumbers,
+
+        async checkNumber(sessionId, input) {
+            return (await checkNumbers(sessionId, [input])).get(input);
+        },
+
+        checkGroup,
+
+        // Group membership changed (joined, left, removed): look it up again next time
+        forgetGroups(sessionId) {
+            groupCache.delete(sessionId);
+        }
+    };
+}
+
+module.exports = { DEFAULT_COUNTRY, createRecipientChecker, parseNumber, toGroupJid };
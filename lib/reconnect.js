@@ -0,0 +1,61 @@
+// lib/reconnect.js
+//
+// What to do when a socket closes. WhatsApp tells us why through the Boom
+// status code of lastDisconnect.error, which Baileys names in DisconnectReason:
+//   restart    restartRequired - normal right after pairing; reconnect at once
+//   retry      connection closed / lost / timed out, service unavailable and
+//              anything unknown; reconnect with exponential backoff and jitter
+//   logout     loggedOut, badSession, multideviceMismatch; the credentials are
+//              no good any more and the number has to be paired again
+//   halt       connectionReplaced (the session was opened somewhere else) and
+//              forbidden; reconnecting would only fight over the session or
+//              hammer a refusal, so we wait for someone to reconnect it by hand
+const RECONNECT_BASE_MS = Number(process.env.RECONNECT_BASE_MS || process.env.RECONNECT_INTERVAL_MS) || 2000;
+const RECONNECT_MAX_MS = Number(process.env.RECONNECT_MAX_MS) || 5 * 60 * 1000;
+// 0 = keep retrying; the backoff cap keeps that cheap
+const RECONNECT_MAX_ATTEMPTS = Number(process.env.RECONNECT_MAX_ATTEMPTS) || 0;
+
+const DISCONNECT_ACTIONS = {
+    RESTART: "restart",
+    RETRY: "retry",
+    LOGOUT: "logout",
+    HALT: "halt"
+};
+
+const ACTION_BY_REASON = {
+    restartRequired: DISCONNECT_ACTIONS.RESTART,
+    loggedOut: DISCONNECT_ACTIONS.LOGOUT,
+    badSession: DISCONNECT_ACTIONS.LOGOUT,
+    multideviceMismatch: DISCONNECT_ACTIONS.LOGOUT,
+    connectionReplaced: DISCONNECT_ACTIONS.HALT,
+    forbidden: DISCONNECT_ACTIONS.HALT
+};
+
+// statusCode -> { action, reason } where reason is the DisconnectReason name.
+// Several names share a code (connectionLost / timedOut are both 408); the first wins.
+function classifyDisconnect(statusCode, DisconnectReason) {
+    const reason = Object.keys(DisconnectReason).find(name => DisconnectReason[name] === statusCode) || null;
+    return {
+        action: ACTION_BY_REASON[reason] || DISCONNECT_ACTIONS.RETRY,
+        reason: reason || (statusCode ? `status ${statusCode}` : "unknown")
+    };
+}
+
+// Exponential backoff with "equal jitter": half the delay is fixed, the other
+// half random, so sessions dropped together do not all come back at once
+function reconnectDelayMs(attempt, random = Math.random) {
+    const ceiling = Math.min(RECONNECT_BASE_MS * 2 ** (Math.max(attempt, 1) - 1), RECONNECT_MAX_MS);
+    return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+function retriesExhausted(attempt) {
+    return RECONNECT_MAX_ATTEMPTS > 0 && attempt > RECONNECT_MAX_ATTEMPTS;
+}
+
+module.exports = {
+    DISCONNECT_ACTIONS,
+    RECONNECT_MAX_ATTEMPTS,
+    classifyDisconnect,
+    reconnectDelayMs,
+    retriesExhausted
+};
@@ -0,0 +1,374 @@
+// lib/scheduler.js
+//
+// Scheduled and recurring tasks. A schedule holds everything /send-message
+// validated - target, delay, prefix, the message list in
+// <messagesDir>/<scheduleId>.messages.json and any media in uploads/<scheduleId>/ -
+// plus when to run it: once at `runAt`, or on a five-field `cron` expression
+// evaluated in `timezone`. Every run creates a normal task via `runSchedule`.
+//
+// When the session is offline at fire time the run is skipped, or with
+// offlinePolicy "defer" retried every DEFER_RETRY_MS until the session is
+// back or deferMaxMinutes have passed. Overdue schedules (the process was
+// down) fire once on the next tick; recurring ones then continue from now.
+const fs = require("fs");
+const path = require("path");
+const cronParser = require("cron-parser");
+const { logger } = require("./logger");
+
+const SCHEDULE_STATUS = {
+    ACTIVE: "active",
+    PAUSED: "paused",
+    COMPLETED: "completed", // one-off schedule that has fired
+    CANCELLED: "cancelled"
+};
+
+const OFFLINE_POLICIES = ["skip", "defer"];
+
+const SCHEDULER_TICK_MS = Number(process.env.SCHEDULER_TICK_MS) || 15000;
+const DEFER_RETRY_MS = Number(process.env.SCHEDULE_DEFER_RETRY_MS) || 60000;
+const DEFAULT_DEFER_MAX_MINUTES = 60;
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const MAX_RUN_HISTORY = 20;
+
+function validateTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+        return timezone;
+    } catch (err) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+    }
+}
+
+// Offset of `timezone` from UTC at the instant `ts`, in milliseconds
+function zoneOffsetMs(ts, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit"
+    }).formatToParts(new Date(ts)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(ts / 1000) * 1000;
+}
+
+// "2026-03-02T09:00" is wall-clock time in `timezone`; anything with Z or an offset is absolute
+function parseRunAt(value, timezone) {
+    const text = String(value).trim();
+    if (/(Z|[+-]\d\d:?\d\d)$/i.test(text)) {
+        const at = new Date(text);
+        if (Number.isNaN(at.getTime())) throw new Error(`Invalid runAt: ${value}`);
+        return at;
+    }
+    const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)$/.exec(text);
+    if (!match) throw new Error(`Invalid runAt: ${value} (expected YYYY-MM-DDTHH:mm)`);
+    const asUtc = Date.parse(`${match[1]}T${match[2]}Z`);
+    if (Number.isNaN(asUtc)) throw new Error(`Invalid runAt: ${value}`);
+    // Correct for the zone's offset; a second pass settles runs next to a DST switch
+    let at = asUtc - zoneOffsetMs(asUtc, timezone);
+    at = asUtc - zoneOffsetMs(at, timezone);
+    return new Date(at);
+}
+
+function nextCronRun(cron, timezone, after = new Date()) {
+    return cronParser.parseExpression(cron, { tz: timezone, currentDate: after }).next().toDate();
+}
+
+// Validate the timing part of a schedule: exactly one of runAt / cron
+function resolveTiming({ runAt, cron, timezone = DEFAULT_TIMEZONE }, now = new Date()) {
+    validateTimezone(timezone);
+    if (Boolean(runAt) === Boolean(cron)) {
+        throw new Error("Give either runAt (one-off) or cron (recurring)");
+    }
+    if (cron) {
+        const expression = String(cron).trim();
+        if (expression.split(/\s+/).length !== 5) {
+            throw new Error("cron must have five fields: minute hour day-of-month month day-of-week");
+        }
+        let nextRunAt;
+        try {
+            nextRunAt = nextCronRun(expression, timezone, now);
+        } catch (err) {
+            throw new Error(`Invalid cron expression: ${err.message}`);
+        }
+        return { runAt: null, cron: expression, timezone, nextRunAt: nextRunAt.toISOString() };
+    }
+    const at = parseRunAt(runAt, timezone);
+    if (at <= now) throw new Error("runAt must be in the future");
+    return { runAt: at.toISOString(), cron: null, timezone, nextRunAt: at.toISOString() };
+}
+
+function validateOfflinePolicy({ offlinePolicy, deferMaxMinutes }) {
+    const result = {};
+    if (offlinePolicy !== undefined) {
+        if (!OFFLINE_POLICIES.includes(offlinePolicy)) {
+            throw new Error(`offlinePolicy must be one of ${OFFLINE_POLICIES.join(", ")}`);
+        }
+        result.offlinePolicy = offlinePolicy;
+    }
+    if (deferMaxMinutes !== undefined) {
+        const minutes = Number(deferMaxMinutes);
+        if (!Number.isInteger(minutes) || minutes < 1) {
+            throw new Error("deferMaxMinutes must be a positive integer");
+        }
+        result.deferMaxMinutes = minutes;
+    }
+    return result;
+}
+
+function scheduleLogger(schedule) {
+    return logger.child({ scheduleId: schedule.id, sessionId: schedule.sessionId });
+}
+
+function writeJsonAtomic(filePath, value) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+// runSchedule(schedule, messages) starts the task and returns it, or throws
+// with the reason the run cannot happen; isSessionOnline(sessionId) -> boolean;
+// onRetired(schedule) runs once a schedule completes or is cancelled
+function createScheduler({ file, messagesDir, runSchedule, isSessionOnline, onRetired = () => {} }) {
+    let schedules = {};
+    let timer = null;
+    let ticking = false;
+
+    if (fs.existsSync(file)) {
+        schedules = JSON.parse(fs.readFileSync(file, "utf-8"));
+    }
+
+    const messagesPath = id => path.join(messagesDir, `${id}.messages.json`);
+
+    function save() {
+        writeJsonAtomic(file, schedules);
+    }
+
+    // A schedule that will never run again no longer needs its messages
+    function retire(schedule) {
+        if (fs.existsSync(messagesPath(schedule.id))) fs.unlinkSync(messagesPath(schedule.id));
+        try {
+            onRetired(schedule);
+        } catch (err) {
+            scheduleLogger(schedule).error({ err }, "Schedule cleanup failed");
+        }
+    }
+
+    function recordRun(schedule, run) {
+        schedule.lastRun = { at: new Date().toISOString(), ...run };
+        schedule.runs = [schedule.lastRun, ...(schedule.runs || [])].slice(0, MAX_RUN_HISTORY);
+    }
+
+    // After a run (or a skipped run): next cron slot from now, or done for one-offs
+    function advance(schedule, now) {
+        schedule.pendingSince = null;
+        if (schedule.cron) {
+            schedule.nextRunAt = nextCronRun(schedule.cron, schedule.timezone, new Date(now)).toISOString();
+        } else {
+            schedule.status = SCHEDULE_STATUS.COMPLETED;
+            schedule.nextRunAt = null;
+            retire(schedule);
+        }
+    }
+
+    function fire(schedule, now) {
+        const slot = schedule.pendingSince || schedule.nextRunAt;
+
+        if (!isSessionOnline(schedule.sessionId)) {
+            const deferLimitMs = (schedule.deferMaxMinutes || DEFAULT_DEFER_MAX_MINUTES) * 60 * 1000;
+            if (schedule.offlinePolicy === "defer" && now - Date.parse(slot) < deferLimitMs) {
+                if (!schedule.pendingSince) {
+                    scheduleLogger(schedule).warn("Session is offline, schedule run deferred");
+                    recordRun(schedule, { status: "deferred", slot, reason: "session offline" });
+                    schedule.pendingSince = slot;
+                }
+                schedule.nextRunAt = new Date(now + DEFER_RETRY_MS).toISOString();
+                return;
+            }
+            scheduleLogger(schedule).warn("Session is offline, schedule run skipped");
+            recordRun(schedule, { status: "skipped", slot, reason: "session offline" });
+            advance(schedule, now);
+            return;
+        }
+
+        try {
+            const task = runSchedule(schedule, JSON.parse(fs.readFileSync(messagesPath(schedule.id), "utf-8")));
+            scheduleLogger(schedule).info({ taskId: task.id }, "Schedule started its task");
+            recordRun(schedule, { status: "started", slot, taskId: task.id });
+        } catch (err) {
+            scheduleLogger(schedule).error({ err }, "Schedule could not start its task");
+            recordRun(schedule, { status: "failed", slot, reason: err.message });
+        }
+        advance(schedule, now);
+    }
+
+    function tick(now = Date.now()) {
+        if (ticking) return;
+        ticking = true;
+        try {
+            let changed = false;
+            for (const schedule of Object.values(schedules)) {
+                if (schedule.status !== SCHEDULE_STATUS.ACTIVE || !schedule.nextRunAt) continue;
+                if (Date.parse(schedule.nextRunAt) > now) continue;
+                fire(schedule, now);
+                schedule.updatedAt = new Date(now).toISOString();
+                changed = true;
+            }
+            if (changed) save();
+        } finally {
+            ticking = false;
+        }
+    }
+
+
+    return {
+        tick,
+
+        start() {
+            if (timer) return;
+            timer = setInterval(() => {
+                try {
+                    tick();
+                } catch (err) {
+                    logger.error({ err }, "Scheduler tick failed");
+                }
+            }, SCHEDULER_TICK_MS);
+            timer.unref();
+        },
+
+        stop() {
+            clearInterval(timer);
+            timer = null;
+        },
+
+        get(id) {
+            return schedules[id] || null;
+        },
+
+        // Newest first
+        list({ owner, sessionId, status } = {}) {
+            return Object.values(schedules)
+                .filter(s => (!owner || s.owner === owner)
+                    && (!sessionId || s.sessionId === sessionId)
+                    && (!status || s.status === status))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        },
+
+        // `task` describes the task every run creates; `messages` its message list
+        create({ id, owner, sessionId, label = null, timing, offlinePolicy = "skip", deferMaxMinutes, task, messages }) {
+            const now = new Date().toISOString();
+            const schedule = {
+                id,
+                owner,
+                sessionId,
+                label,
+                ...resolveTiming(timing),
+                offlinePolicy,
+                deferMaxMinutes: deferMaxMinutes || DEFAULT_DEFER_MAX_MINUTES,
+                status: SCHEDULE_STATUS.ACTIVE,
+                pendingSince: null,
+                lastRun: null,
+                runs: [],
+                task,
+                createdAt: now,
+                updatedAt: now
+            };
+            validateOfflinePolicy(schedule);
+            writeJsonAtomic(messagesPath(id), messages);
+            schedules[id] = schedule;
+            save();
+            return schedule;
+        },
+
+        // Body fields that may change: label, runAt / cron / timezone, offlinePolicy,
+        // deferMaxMinutes, delaySec. A new timing replaces the old one entirely.
+        update(id, patch) {
+            const schedule = schedules[id];
+            if (!schedule) return null;
+            if (schedule.status === SCHEDULE_STATUS.CANCELLED || schedule.status === SCHEDULE_STATUS.COMPLETED) {
+                throw new Error(`Schedule is ${schedule.status}`);
+            }
+
+            const changes = validateOfflinePolicy(patch);
+            if (patch.runAt !== undefined || patch.cron !== undefined || patch.timezone !== undefined) {
+                Object.assign(changes, resolveTiming({
+                    runAt: patch.runAt !== undefined ? patch.runAt : patch.cron ? null : schedule.runAt,
+                    cron: patch.cron !== undefined ? patch.cron : patch.runAt ? null : schedule.cron,
+                    timezone: patch.timezone || schedule.timezone
+                }));
+                changes.pendingSince = null;
+            }
+            if (patch.label !== undefined) {
+                if (patch.label !== null && typeof patch.label !== "string") throw new Error("label must be a string or null");
+                changes.label = patch.label ? patch.label.trim() : null;
+            }
+            if (patch.delaySec !== undefined) {
+                const delaySec = Number(patch.delaySec);
+                if (!Number.isFinite(delaySec) || delaySec < 1) throw new Error("delaySec must be at least 1");
+                changes.task = { ...schedule.task, delaySec };
+            }
+            const unknown = Object.keys(patch).filter(k => !["label", "runAt", "cron", "timezone", "offlinePolicy", "deferMaxMinutes", "delaySec"].includes(k));
+            if (unknown.length > 0) throw new Error(`Unknown schedule field(s): ${unknown.join(", ")}`);
+
+            Object.assign(schedule, changes, { updatedAt: new Date().toISOString() });
+            save();
+            return schedule;
+        },
+
+        pause(id) {
+            const schedule = schedules[id];
+            if (!schedule || schedule.status !== SCHEDULE_STATUS.ACTIVE) return null;
+            schedule.status = SCHEDULE_STATUS.PAUSED;
+            schedule.pendingSince = null;
+            schedule.updatedAt = new Date().toISOString();
+            save();
+            return schedule;
+        },
+
+        // A paused recurring schedule continues with its next slot; a one-off
+        // whose time passed while paused needs a new runAt first
+        resume(id) {
+            const schedule = schedules[id];
+            if (!schedule || schedule.status !== SCHEDULE_STATUS.PAUSED) return null;
+            if (schedule.cron) {
+                schedule.nextRunAt = nextCronRun(schedule.cron, schedule.timezone).toISOString();
+            } else if (Date.parse(schedule.runAt) <= Date.now()) {
+                throw new Error("runAt has passed; set a new runAt to resume this schedule");
+            }
+            schedule.status = SCHEDULE_STATUS.ACTIVE;
+            schedule.updatedAt = new Date().toISOString();
+            save();
+            return schedule;
+        },
+
+        // The record stays for history; its messages go
+        cancel(id) {
+            const schedule = schedules[id];
+            if (!schedule || schedule.status === SCHEDULE_STATUS.CANCELLED) return null;
+            schedule.status = SCHEDULE_STATUS.CANCELLED;
+            schedule.nextRunAt = null;
+            schedule.pendingSince = null;
+            schedule.updatedAt = new Date().toISOString();
+            retire(schedule);
+            save();
+            return schedule;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    OFFLINE_POLICIES,
+    SCHEDULE_STATUS,
+    createScheduler,
+    nextCronRun,
+    parseRunAt,
+    resolveTiming
+};
@@ -0,0 +1,240 @@
+// lib/sendPolicy.js
+//
+// Server-side sending limits, configured per session (registry field `policy`,
+// anything unset falls back to DEFAULT_POLICY):
+//   minIntervalSec       shortest gap between two sends on the session
+//   perRecipientHourly   messages to one recipient in any rolling hour
+//   perRecipientDaily    ... in any rolling 24 hours
+//   perSessionHourly     messages from the session in any rolling hour
+//   perSessionDaily      ... in any rolling 24 hours
+//   allowlist            null, or the only JIDs the session may message
+// A limit of null means "no limit". Sends are counted in a small ledger on disk
+// so the caps survive restarts.
+const fs = require("fs");
+const path = require("path");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function envLimit(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined) return fallback;
+    return value === "" || value === "none" ? null : Number(value);
+}
+
+const DEFAULT_POLICY = {
+    minIntervalSec: envLimit("POLICY_MIN_INTERVAL_SEC", 3),
+    perRecipientHourly: envLimit("POLICY_PER_RECIPIENT_HOURLY", 60),
+    perRecipientDaily: envLimit("POLICY_PER_RECIPIENT_DAILY", 300),
+    perSessionHourly: envLimit("POLICY_PER_SESSION_HOURLY", 500),
+    perSessionDaily: envLimit("POLICY_PER_SESSION_DAILY", 2000),
+    allowlist: null
+};
+
+const LIMIT_FIELDS = [
+    "minIntervalSec",
+    "perRecipientHourly",
+    "perRecipientDaily",
+    "perSessionHourly",
+    "perSessionDaily"
+];
+
+function resolvePolicy(sessionRecord) {
+    return { ...DEFAULT_POLICY, ...((sessionRecord && sessionRecord.policy) || {}) };
+}
+
+// Validate a (partial) policy from the API. `toTargetJid` turns allowlist
+// entries - numbers or JIDs - into normalized JIDs.
+function validatePolicy(input, toTargetJid) {
+    if (!input || typeof input !== "object") throw new Error("Policy must be an object");
+
+    const policy = {};
+    for (const field of LIMIT_FIELDS) {
+        if (input[field] === undefined) continue;
+        const value = input[field];
+        if (value !== null && (!Number.isInteger(value) || value < 0)) {
+            throw new Error(`${field} must be a non-negative integer or null`);
+        }
+        policy[field] = value;
+    }
+
+    if (input.allowlist !== undefined) {
+        if (input.allowlist === null) {
+            policy.allowlist = null;
+        } else if (!Array.isArray(input.allowlist)) {
+            throw new Error("allowlist must be an array of numbers / JIDs, or null");
+        } else {
+            policy.allowlist = input.allowlist.map(entry => {
+                const jid = toTargetJid(entry);
+                if (!jid) throw new Error(`Invalid allowlist entry: ${entry}`);
+                return jid;
+            });
+        }
+    }
+
+    const unknown = Object.keys(input).filter(k => !LIMIT_FIELDS.includes(k) && k !== "allowlist");
+    if (unknown.length > 0) throw new Error(`Unknown policy field(s): ${unknown.join(", ")}`);
+
+    return policy;
+}
+
+// Rolling record of successful sends: { [sessionId]: [{ jid, at }] }, pruned to 24h
+function createSendLedger(filePath) {
+    let sends = {};
+
+    if (fs.existsSync(filePath)) {
+        sends = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    function prune(sessionId, now = Date.now()) {
+        const list = sends[sessionId] || [];
+        const firstFresh = list.findIndex(s => now - s.at < DAY_MS);
+        sends[sessionId] = firstFresh < 0 ? [] : list.slice(firstFresh);
+        return sends[sessionId];
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(sends));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        record(sessionId, jid, at = Date.now()) {
+            prune(sessionId, at).push({ jid, at });
+            save();
+        },
+
+        count(sessionId, { jid, windowMs, now = Date.now() }) {
+            return prune(sessionId, now)
+                .filter(s => now - s.at < windowMs && (!jid || s.jid === jid))
+                .length;
+        },
+
+        lastSentAt(sessionId) {
+            const list = sends[sessionId] || [];
+            return list.length > 0 ? list[list.length - 1].at : null;
+        }
+    };
+}
+
+function createSendPolicy({ sessionRegistry, ledger }) {
+    const slots = new Map(); // sessionId -> tail of the send chain
+
+    function policyFor(sessionId) {
+        return resolvePolicy(sessionRegistry.get(sessionId));
+    }
+
+    function allowlistViolation(policy, jid) {
+        if (Array.isArray(policy.allowlist) && !policy.allowlist.includes(jid)) {
+            return `${jid} is not on this session's allowlist`;
+        }
+        return null;
+    }
+
+    // Would sending `upcoming` more messages right now break a cap? Without a
+    // `jid` only the session-wide caps are checked.
+    function capViolation(sessionId, jid, policy, { hourly, daily }, { sessionCaps = true } = {}) {
+        const checks = [];
+        if (jid) {
+            checks.push(
+                ["perRecipientHourly", { jid, windowMs: HOUR_MS }, hourly, `to ${jid} per hour`],
+                ["perRecipientDaily", { jid, windowMs: DAY_MS }, daily, `to ${jid} per day`]
+            );
+        }
+        if (sessionCaps) {
+            checks.push(
+                ["perSessionHourly", { windowMs: HOUR_MS }, hourly, "from this session per hour"],
+                ["perSessionDaily", { windowMs: DAY_MS }, daily, "from this session per day"]
+            );
+        }
+        for (const [field, query, upcoming, label] of checks) {
+            const limit = policy[field];
+            if (limit === null || limit === undefined) continue;
+            const already = ledger.count(sessionId, query);
+            if (already + upcoming > limit) {
+                return `limit of ${limit} messages ${label} would be exceeded (${already} already sent, ${upcoming} more planned)`;
+            }
+        }
+        return null;
+    }
+
+    return {
+        policyFor,
+
+        // Up-front check for a whole task; returns a reason string or null. A task
+        // for a contact list passes `targetJids` and the message count per recipient.
+        checkTask({ sessionId, targetJid, targetJids = [targetJid], messageCount, messagesPerRecipient = messageCount, delaySec }) {
+            const policy = policyFor(sessionId);
+
+            if (policy.minIntervalSec && delaySec < policy.minIntervalSec) {
+                return `delaySec must be at least ${policy.minIntervalSec} seconds on this session`;
+            }
+
+            for (const jid of targetJids) {
+                const notAllowed = allowlistViolation(policy, jid);
+                if (notAllowed) return notAllowed;
+            }
+
+            // How many messages land inside one rolling hour / day at this pace
+            const perWindow = (count, windowMs) => Math.min(count, Math.floor(windowMs / (delaySec * 1000)) + 1);
+            for (const jid of targetJids) {
+                const perRecipient = capViolation(sessionId, jid, policy, {
+                    hourly: perWindow(messagesPerRecipient, HOUR_MS),
+                    daily: perWindow(messagesPerRecipient, DAY_MS)
+                }, { sessionCaps: false });
+                if (perRecipient) return perRecipient;
+            }
+            return capViolation(sessionId, null, policy, {
+                hourly: perWindow(messageCount, HOUR_MS),
+                daily: perWindow(messageCount, DAY_MS)
+            });
+        },
+
+        // Is this recipient allowed on the session at all? Returns a reason string or null
+        checkRecipient(sessionId, jid) {
+            return allowlistViolation(policyFor(sessionId), jid);
+        },
+
+        // Per-message check inside the send loop; returns a reason string or null
+        checkMessage(sessionId, jid) {
+            const policy = policyFor(sessionId);
+            return allowlistViolation(policy, jid)
+                || capViolation(sessionId, jid, policy, { hourly: 1, daily: 1 });
+        },
+
+        // Milliseconds to wait before the session may send again
+        msUntilAllowed(sessionId, now = Date.now()) {
+            const { minIntervalSec } = policyFor(sessionId);
+            const last = ledger.lastSentAt(sessionId);
+            if (!minIntervalSec || !last) return 0;
+            return Math.max(0, last + minIntervalSec * 1000 - now);
+        },
+
+        // Run fn() once every earlier send on this session has finished, so the interval
+        // and caps are never checked by two tasks at the same time
+        withSendSlot(sessionId, fn) {
+            const previous = slots.get(sessionId) || Promise.resolve();
+            const run = previous.then(fn, fn);
+            const tail = run.catch(() => {});
+            slots.set(sessionId, tail);
+            tail.then(() => {
+                if (slots.get(sessionId) === tail) slots.delete(sessionId);
+            });
+            return run;
+        },
+
+        recordSend(sessionId, jid) {
+            ledger.record(sessionId, jid);
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_POLICY,
+    createSendLedger,
+    createSendPolicy,
+    resolvePolicy,
+    validatePolicy
+};
@@ -0,0 +1,69 @@
+// lib/sessionRegistry.js
+//
+// Durable record of every session we have created: who owns it, which number
+// it pairs and an optional label. Baileys keeps the credentials themselves in
+// sessions/<sessionId>; this file is what lets us bring those folders back on
+// startup with the right owner instead of leaving them orphaned.
+const fs = require("fs");
+const path = require("path");
+
+function createSessionRegistry(filePath) {
+    let sessions = {};
+
+    if (fs.existsSync(filePath)) {
+        sessions = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(sessions, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    return {
+        get(sessionId) {
+            return sessions[sessionId] || null;
+        },
+
+        list({ owner } = {}) {
+            return Object.values(sessions).filter(s => !owner || s.owner === owner);
+        },
+
+        // First session of `owner` for `number`, used to avoid duplicate pairings
+        findByNumber(owner, number) {
+            return Object.values(sessions).find(s => s.owner === owner && s.number === number) || null;
+        },
+
+        register({ sessionId, number, owner, label = null }) {
+            if (!sessions[sessionId]) {
+                sessions[sessionId] = {
+                    sessionId,
+                    number,
+                    owner,
+                    label,
+                    paired: false,
+                    createdAt: new Date().toISOString()
+                };
+                save();
+            }
+            return sessions[sessionId];
+        },
+
+        update(sessionId, patch) {
+            if (!sessions[sessionId]) return null;
+            Object.assign(sessions[sessionId], patch);
+            save();
+            return sessions[sessionId];
+        },
+
+        remove(sessionId) {
+            if (!sessions[sessionId]) return false;
+            delete sessions[sessionId];
+            save();
+            return true;
+        }
+    };
+}
+
+module.exports = { createSessionRegistry };
@@ -0,0 +1,29 @@
+// lib/sse.js
+// Minimal Server-Sent Events helper shared by the streaming endpoints
+
+const HEARTBEAT_MS = 25000;
+
+// Switch `res` into an event stream. Returns send(event, data) and calls
+// onClose once the client goes away.
+function openEventStream(req, res, onClose) {
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+    req.on("close", () => {
+        clearInterval(heartbeat);
+        if (onClose) onClose();
+    });
+
+    return function send(event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+module.exports = { openEventStream };
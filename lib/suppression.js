@@ -0,0 +1,70 @@
+// lib/suppression.js
+//
+// Persistent "do not message" list, kept per owner in <DATA_DIR>/suppression.json.
+// Entries come from opt-out keywords received on any of the owner's sessions,
+// or are added by hand through the API. The send loop checks it before every
+// message.
+const fs = require("fs");
+const path = require("path");
+const { normalizeJid } = require("./waMessage");
+
+function createSuppressionList(filePath) {
+    let entries = []; // { owner, jid, reason, keyword, sessionId, note, at }
+
+    if (fs.existsSync(filePath)) {
+        entries = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    }
+
+    function save() {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+        fs.renameSync(tmpPath, filePath);
+    }
+
+    function find(owner, jid) {
+        const normalized = normalizeJid(jid);
+        return entries.find(e => e.owner === owner && e.jid === normalized) || null;
+    }
+
+    return {
+        has(owner, jid) {
+            return Boolean(find(owner, jid));
+        },
+
+        get(owner, jid) {
+            return find(owner, jid);
+        },
+
+        list(owner) {
+            return entries.filter(e => e.owner === owner);
+        },
+
+        add({ owner, jid, reason = "manual", keyword = null, sessionId = null, note = null }) {
+            const existing = find(owner, jid);
+            if (existing) return existing;
+            const entry = {
+                owner,
+                jid: normalizeJid(jid),
+                reason,
+                keyword,
+                sessionId,
+                note,
+                at: new Date().toISOString()
+            };
+            entries.push(entry);
+            save();
+            return entry;
+        },
+
+        remove(owner, jid) {
+            const normalized = normalizeJid(jid);
+            const before = entries.length;
+            entries = entries.filter(e => !(e.owner === owner && e.jid === normalized));
+            if (entries.length !== before) save();
+            return entries.length !== before;
+        }
+    };
+}
+
+module.exports = { createSuppressionList };
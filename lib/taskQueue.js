@@ -0,0 +1,101 @@
+// lib/taskQueue.js
+//
+// The waiting line of each session: tasks that are queued, paused by their
+// owner or interrupted, in the order they will run. A new task goes behind
+// every waiting task of the same or a higher priority; after that the order
+// is whatever the owner makes it with move(). The task runner takes the first
+// runnable task whenever its session has a free slot (see lib/taskRunner.js).
+//
+// The order is kept on the tasks themselves as `queuePosition` (1 = next), so
+// it is journaled with them and rebuilt on start.
+const TASK_PRIORITIES = ["high", "normal", "low"];
+const DEFAULT_PRIORITY = "normal";
+
+// Lower rank runs first
+function priorityRank(priority) {
+    const rank = TASK_PRIORITIES.indexOf(priority);
+    return rank === -1 ? TASK_PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+}
+
+// onReordered(task) runs for every task another task's move pushed to a new place
+function createTaskQueue({ onReordered = () => {} } = {}) {
+    const lines = new Map(); // sessionId -> [task, ...] in running order
+
+    // Write the order onto the tasks; `subject` is the task being added, moved
+    // or removed, which the caller reports itself
+    function renumber(sessionId, subject) {
+        const line = lines.get(sessionId) || [];
+        line.forEach((task, index) => {
+            if (task.queuePosition === index + 1) return;
+            task.queuePosition = index + 1;
+            if (task !== subject) onReordered(task);
+        });
+        if (line.length === 0) lines.delete(sessionId);
+    }
+
+    // At `position` (1 = next, clamped to the line), or else behind every task
+    // of the same or a higher priority
+    function place(line, task, position) {
+        if (position !== undefined) {
+            line.splice(Math.min(Math.max(position, 1), line.length + 1) - 1, 0, task);
+            return;
+        }
+        const rank = priorityRank(task.priority);
+        const behind = line.findIndex(other => priorityRank(other.priority) > rank);
+        line.splice(behind === -1 ? line.length : behind, 0, task);
+    }
+
+    function remove(task) {
+        const line = lines.get(task.sessionId);
+        const index = line ? line.indexOf(task) : -1;
+        if (index === -1) return false;
+        line.splice(index, 1);
+        task.queuePosition = null;
+        renumber(task.sessionId, task);
+        return true;
+    }
+
+    return {
+        // Put a task in line: by its priority, or at `position` - 1 for a task
+        // that was already running (paused, interrupted)
+        add(task, { position } = {}) {
+            if (!lines.has(task.sessionId)) lines.set(task.sessionId, []);
+            const line = lines.get(task.sessionId);
+            if (line.includes(task)) return;
+            place(line, task, position);
+            renumber(task.sessionId, task);
+        },
+
+        remove,
+
+        has(task) {
+            return Boolean(lines.get(task.sessionId)?.includes(task));
+        },
+
+        // First task of the session that `isRunnable` accepts, taken out of the line
+        take(sessionId, isRunnable) {
+            const task = (lines.get(sessionId) || []).find(isRunnable);
+            if (task) remove(task);
+            return task || null;
+        },
+
+        // New place in line: `position` (1 = next) or, without one, by `priority`
+        // (which becomes the task's). Returns false when the task is not waiting.
+        move(task, { position, priority } = {}) {
+            const line = lines.get(task.sessionId);
+            if (!line || !line.includes(task)) return false;
+            if (priority !== undefined) task.priority = priority;
+            line.splice(line.indexOf(task), 1);
+            place(line, task, position);
+            renumber(task.sessionId, task);
+            return true;
+        },
+
+        // The session's waiting tasks, next first
+        list(sessionId) {
+            return [...(lines.get(sessionId) || [])];
+        }
+    };
+}
+
+module.exports = { DEFAULT_PRIORITY, TASK_PRIORITIES, createTaskQueue, priorityRank };
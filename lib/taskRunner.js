@@ -0,0 +1,555 @@
+// lib/taskRunner.js
+//
+// The background send loops and the per-session queue that feeds them. A new
+// task waits in its session's line (see lib/taskQueue.js) and gets a send loop
+// once the session is connected and has a free slot: TASKS_PER_SESSION loops
+// at a time (default 1), so tasks on one session do not interleave their sends.
+// While the session is disconnected the line holds. Owners can pause, resume,
+// reorder and cancel tasks; a running task pauses at the next safe point and
+// goes back to the front of the line.
+//
+// Progress is written to the task store after every message, so a task
+// interrupted by a restart can pick up at `cursor` once its session is
+// connected again. Each message is retried with exponential backoff on
+// transient errors, and the loop pauses while its session is reconnecting.
+// On shutdown suspendAll() lets every loop reach a safe point between messages
+// and leaves the tasks interrupted, to be resumed on the next start.
+// Every state change is published on `taskEvents` as a "task" event:
+//   { type, task, index? }  with type one of queued, started, sent, failed,
+//   skipped, paused, pause-requested, resumed, reordered, interrupted,
+//   stop-requested, finished
+const { delay } = require("./utils");
+const { TASK_STATUS } = require("./taskStore");
+const { MESSAGE_STATE } = require("./messageReports");
+const { buildMessageContent, cleanupTaskUploads } = require("./media");
+const { addressMessage, recordRecipientOutcome } = require("./contacts");
+const { buildScriptContent, entryDelaySec, isScriptEntry } = require("./messageScript");
+const { createTaskQueue } = require("./taskQueue");
+const { logger } = require("./logger");
+
+// How long a finished task stays in activeTasks for status checks
+const FINISHED_TASK_TTL_MS = 1000 * 60 * 5;
+
+// Per-message retry configuration
+const SEND_MAX_ATTEMPTS = Number(process.env.SEND_MAX_ATTEMPTS) || 3;
+const SEND_RETRY_BASE_MS = Number(process.env.SEND_RETRY_BASE_MS) || 2000;
+const SEND_RETRY_MAX_MS = Number(process.env.SEND_RETRY_MAX_MS) || 60000;
+
+// How often a paused task looks at its session again
+const SESSION_POLL_MS = Number(process.env.SESSION_POLL_MS) || 1000;
+
+// Send loops that may run at once on one session
+const TASKS_PER_SESSION = Math.max(Number(process.env.TASKS_PER_SESSION) || 1, 1);
+
+// Unfinished tasks that are not running: they wait in their session's line
+const WAITING_STATUSES = [TASK_STATUS.QUEUED, TASK_STATUS.PAUSED, TASK_STATUS.INTERRUPTED];
+
+// Status codes that will not go away by trying again (bad request, auth, not found, ...)
+const PERMANENT_STATUS_CODES = [400, 401, 403, 404, 406];
+
+function isTransientError(err) {
+    // A media file that is gone will not come back either
+    if (err?.code === "ENOENT") return false;
+    const statusCode = err?.output?.statusCode ?? err?.statusCode;
+    return !PERMANENT_STATUS_CODES.includes(statusCode);
+}
+
+function retryDelayMs(attempt) {
+    return Math.min(SEND_RETRY_BASE_MS * 2 ** (attempt - 1), SEND_RETRY_MAX_MS);
+}
+
+// Every line about a task carries its id and session
+function taskLogger(task) {
+    return logger.child({ taskId: task.id, sessionId: task.sessionId });
+}
+
+function createTaskRunner({ activeClients, activeTasks, taskStore, suppression, sendPolicy, reports, taskEvents, messageStore }) {
+    const loops = new Set(); // ids of tasks whose send loop is running
+    let suspending = false;
+
+    function persist(task) {
+        try {
+            taskStore.save(task);
+        } catch (err) {
+            taskLogger(task).error({ err }, "Could not persist task");
+        }
+    }
+
+    // A broken subscriber must never take the send loop down with it
+    function publish(type, task, extra = {}) {
+        try {
+            taskEvents.emit("task", { type, task, ...extra });
+        } catch (err) {
+            taskLogger(task).error({ err, type }, "Task event listener failed");
+        }
+    }
+
+    const queue = createTaskQueue({
+        onReordered: task => {
+            persist(task);
+            publish("reordered", task);
+        }
+    });
+
+    // Resolves with the session once it is connected; null when the task is
+    // stopped or paused, or the session disappears while we wait
+    async function waitForSession(task) {
+        for (;;) {
+            if (task.stopRequested || task.pauseRequested || suspending) return null;
+            const clientInfo = activeClients.get(task.sessionId);
+            if (!clientInfo || !clientInfo.client) return null;
+
+            if (clientInfo.connected) {
+                if (task.paused) {
+                    taskLogger(task).info("Session is back, task continues");
+                    task.paused = false;
+                    task.pauseReason = null;
+                    persist(task);
+                    publish("resumed", task);
+                }
+                return clientInfo;
+            }
+
+            if (!task.paused) {
+                taskLogger(task).warn("Session is reconnecting, task paused");
+                task.paused = true;
+                task.pauseReason = "session reconnecting";
+                persist(task);
+                publish("paused", task);
+            }
+            await delay(SESSION_POLL_MS);
+        }
+    }
+
+    // Send one message, retrying transient failures. Never throws.
+    async function sendWithRetry(task, index, to, content, options) {
+        for (let attempt = 1; ; attempt++) {
+            const clientInfo = await waitForSession(task);
+            if (!clientInfo) return { aborted: true, attempts: attempt - 1 };
+
+            try {
+                const sent = await clientInfo.client.sendMessage(to, content, options);
+                return { sent, attempts: attempt };
+            } catch (err) {
+                if (attempt >= SEND_MAX_ATTEMPTS || !isTransientError(err)) {
+                    return { error: err, attempts: attempt };
+                }
+                const wait = retryDelayMs(attempt);
+                taskLogger(task).warn(
+                    { index, attempt, retryInMs: wait, err },
+                    `Message failed, retry ${attempt}/${SEND_MAX_ATTEMPTS - 1}`
+                );
+                await pause(wait, task);
+                // Stopped or paused during the backoff: the message is sent again on resume
+                if (task.stopRequested || task.pauseRequested) return { aborted: true, attempts: attempt };
+            }
+        }
+    }
+
+    // Where script entries quote each other: "<recipient>:<id>" (recipient is empty for single-target tasks)
+    const refKey = (recipient, id) => `${recipient ?? ""}:${id}`;
+
+    // Content and send options of a message-script entry. Mentions of "all" are
+    // looked up when the message goes out; a quote whose message is unknown
+    // (it failed, or was purged from the store) is dropped rather than failing the send.
+    async function scriptMessage(task, entry, to, recipient) {
+        const log = taskLogger(task);
+        let mentions = Array.isArray(entry.mentions) ? entry.mentions : null;
+        if (entry.mentions === "all") {
+            try {
+                const metadata = await activeClients.get(task.sessionId).client.groupMetadata(to);
+                mentions = metadata.participants.map(p => p.id);
+            } catch (err) {
+                log.warn({ err, to }, "Could not list the group participants, sending without mentions");
+            }
+        }
+
+        let quoted = null;
+        if (entry.quote) {
+            const ref = task.sentRefs?.[refKey(recipient, entry.quote)];
+            quoted = ref ? { key: ref.key, message: { conversation: ref.text } } : null;
+        } else if (entry.quoted) {
+            quoted = messageStore ? messageStore.getQuotable(task.sessionId, entry.quoted.key) : null;
+        }
+        if ((entry.quote || entry.quoted) && !quoted) {
+            log.warn({ to, quote: entry.quote || entry.quoted.key.id }, "Quoted message is not available, sending without the quote");
+        }
+        return buildScriptContent(entry, { mentions, quoted });
+    }
+
+    // delay() that ends early when the runner is suspended, or - given a
+    // task - when the task is asked to stop or pause
+    async function pause(ms, task = null) {
+        const until = Date.now() + ms;
+        const interrupted = () => suspending || (task && (task.stopRequested || task.pauseRequested));
+        while (!interrupted() && Date.now() < until) {
+            await delay(Math.min(SESSION_POLL_MS, until - Date.now()));
+        }
+    }
+
+    // The finished task stays in activeTasks a little longer for status checks; history stays in the store
+    function forgetLater(taskId) {
+        setTimeout(() => {
+            activeTasks.delete(taskId);
+        }, FINISHED_TASK_TTL_MS).unref();
+    }
+
+    const isRunnable = task => !task.stopRequested
+        && (task.status === TASK_STATUS.QUEUED || task.status === TASK_STATUS.INTERRUPTED);
+
+    // Give the session's next tasks a send loop while it has free slots. Nothing
+    // starts while the session is disconnected: its line holds until it is back.
+    function dispatch(sessionId) {
+        if (suspending) return;
+        const clientInfo = activeClients.get(sessionId);
+        if (!clientInfo || !clientInfo.client || !clientInfo.connected) return;
+
+        let running = [...loops].filter(id => activeTasks.get(id)?.sessionId === sessionId).length;
+        while (running < TASKS_PER_SESSION) {
+            const task = queue.take(sessionId, isRunnable);
+            if (!task) break;
+            task.status = TASK_STATUS.RUNNING;
+            running++;
+            runTask(task.id)
+                .catch(err => taskLogger(task).error({ err }, "Task crashed"))
+                .finally(() => dispatch(sessionId));
+        }
+    }
+
+    // A new task (or a schedule's run): in line by its priority, started when its turn comes
+    function enqueue(task) {
+        task.status = TASK_STATUS.QUEUED;
+        task.isSending = false;
+        queue.add(task);
+        persist(task);
+        publish("queued", task);
+        dispatch(task.sessionId);
+    }
+
+    async function runTask(taskId) {
+        if (suspending || loops.has(taskId)) return;
+        loops.add(taskId);
+        try {
+            await sendLoop(taskId);
+        } finally {
+            loops.delete(taskId);
+        }
+    }
+
+    async function sendLoop(taskId) {
+        const task = activeTasks.get(taskId);
+        if (!task) return;
+
+        const log = taskLogger(task);
+        const messages = taskStore.loadMessages(taskId);
+        reports.init(taskId, messages.length);
+        task.status = TASK_STATUS.RUNNING;
+        task.isSending = true;
+        persist(task);
+
+        publish("started", task);
+        log.info(
+            { target: task.targetJid || task.target, messages: messages.length, cursor: task.cursor },
+            task.cursor > 0 ? "Resuming task" : "Starting task"
+        );
+
+        // Back from a pause or a restart: keep the gap after the last message sent
+        if (task.cursor > 0 && task.lastSentAt) {
+            const { message } = addressMessage(task, messages[task.cursor - 1]);
+            const gapMs = (entryDelaySec(message) ?? task.delaySec) * 1000;
+            await pause(new Date(task.lastSentAt).getTime() + gapMs - Date.now(), task);
+        }
+
+        for (let i = task.cursor; i < messages.length; i++) {
+            // Check stop flag
+            const currentTask = activeTasks.get(taskId);
+            if (!currentTask || currentTask.stopRequested) {
+                log.info("Task stop requested or removed, leaving the send loop");
+                break;
+            }
+            if (task.pauseRequested) {
+                log.info({ cursor: task.cursor }, "Task paused by its owner");
+                markPaused(task);
+                return;
+            }
+
+            const { to, recipient, message } = addressMessage(task, messages[i]);
+
+            // A recipient who opted out after the task started is skipped, never messaged
+            if (suppression.has(task.owner, to)) {
+                const firstSkip = recipient === null ? !task.skippedMessages : !task.recipients[recipient].skipped;
+                if (firstSkip) {
+                    log.info({ to }, "Recipient is on the suppression list, skipping their messages");
+                }
+                task.skippedMessages = (task.skippedMessages || 0) + 1;
+                task.skipReason = "recipient opted out";
+                recordRecipientOutcome(task, recipient, "skipped");
+                reports.update(taskId, i, { status: MESSAGE_STATE.SKIPPED, error: task.skipReason });
+                task.cursor = i + 1;
+                persist(task);
+                publish("skipped", task, { index: i });
+                continue;
+            }
+
+            const { content, options } = isScriptEntry(message)
+                ? await scriptMessage(task, message, to, recipient)
+                : { content: buildMessageContent(message, task.prefix) };
+
+            // Policies can change and other tasks share the session's caps, so every message is
+            // checked - inside the session's send slot, against an up-to-date ledger
+            const outcome = await sendPolicy.withSendSlot(task.sessionId, async () => {
+                const wait = sendPolicy.msUntilAllowed(task.sessionId);
+                if (wait > 0) {
+                    await delay(wait);
+                }
+
+                const blocked = sendPolicy.checkMessage(task.sessionId, to);
+                if (blocked) return { blocked };
+
+                const result = await sendWithRetry(task, i, to, content, options);
+                if (result.sent) {
+                    sendPolicy.recordSend(task.sessionId, to);
+                }
+                return result;
+            });
+
+            if (outcome.blocked) {
+                log.warn({ index: i, reason: outcome.blocked }, "Task blocked by sending policy");
+                task.blockedReason = outcome.blocked;
+                break;
+            }
+
+            if (outcome.aborted) {
+                // Stopped or paused before this message went out: it stays unsent,
+                // with the cursor on it
+                if (task.pauseRequested) {
+                    log.info({ cursor: task.cursor }, "Task paused by its owner");
+                    markPaused(task);
+                    return;
+                }
+                if (task.stopRequested) {
+                    log.info("Task stop requested, leaving the send loop");
+                    break;
+                }
+                // The session is gone (or we are shutting down); keep the cursor on this message so a resume resends it
+                log.warn({ index: i }, suspending ? "Shutting down, task interrupted" : "Session is gone, task interrupted");
+                markInterrupted(task);
+                publish("interrupted", task, { index: i });
+                return;
+            }
+
+            if (outcome.sent) {
+                // update counters
+                task.sentMessages += 1;
+                task.lastSentAt = new Date();
+                recordRecipientOutcome(task, recipient, "sent");
+                // Later script entries may quote this one
+                if (isScriptEntry(message) && message.ref && outcome.sent?.key) {
+                    task.sentRefs = { ...task.sentRefs, [refKey(recipient, message.ref)]: { key: outcome.sent.key, text: content.text } };
+                }
+                reports.update(taskId, i, {
+                    status: MESSAGE_STATE.SENT,
+                    messageId: outcome.sent?.key?.id || null,
+                    attempts: outcome.attempts,
+                    sentAt: task.lastSentAt.toISOString(),
+                    error: null
+                });
+                log.info({ index: i, to, attempts: outcome.attempts }, `Sent message ${i + 1}/${messages.length}`);
+            } else {
+                const error = outcome.error?.message || String(outcome.error);
+                task.failedMessages = (task.failedMessages || 0) + 1;
+                recordRecipientOutcome(task, recipient, "failed");
+                reports.update(taskId, i, { status: MESSAGE_STATE.FAILED, attempts: outcome.attempts, error });
+                log.error({ index: i, to, attempts: outcome.attempts, error }, `Failed to send message ${i + 1}/${messages.length}`);
+            }
+
+            task.cursor = i + 1;
+            persist(task);
+            publish(outcome.sent ? "sent" : "failed", task, { index: i });
+
+            // delay between messages; a script entry may set its own
+            if (i < messages.length - 1) {
+                await pause((entryDelaySec(message) ?? task.delaySec) * 1000, task);
+                if (suspending) {
+                    log.info({ cursor: task.cursor }, "Shutting down, task interrupted");
+                    markInterrupted(task);
+                    publish("interrupted", task, { index: i + 1 });
+                    return;
+                }
+            }
+        }
+
+        // finish
+        task.isSending = false;
+        task.paused = false;
+        task.pauseRequested = false;
+        task.status = task.stopRequested
+            ? TASK_STATUS.STOPPED
+            : task.blockedReason ? TASK_STATUS.BLOCKED : TASK_STATUS.COMPLETED;
+        task.endedAt = new Date();
+        persist(task);
+        publish("finished", task);
+        reports.finish(taskId);
+        cleanupTaskUploads(taskId);
+
+        log.info({
+            status: task.status,
+            sent: task.sentMessages,
+            failed: task.failedMessages,
+            skipped: task.skippedMessages,
+            total: messages.length
+        }, `Task ${task.status}`);
+
+        forgetLater(taskId);
+    }
+
+    // An interrupted task goes back to the front of the line, to carry on first
+    function markInterrupted(task) {
+        task.status = TASK_STATUS.INTERRUPTED;
+        task.isSending = false;
+        task.paused = false;
+        queue.add(task, { position: 1 });
+        persist(task);
+    }
+
+    function markPaused(task) {
+        task.status = TASK_STATUS.PAUSED;
+        task.pauseRequested = false;
+        task.isSending = false;
+        task.paused = false;
+        queue.add(task, { position: 1 });
+        persist(task);
+        publish("paused", task);
+    }
+
+    // Shutdown: no new loops; wait up to timeoutMs for the running ones to stop
+    // at a safe point. A loop still stuck in a send is saved as it stands - its
+    // cursor is already on disk. Resolves with the number of loops that did not stop.
+    async function suspendAll(timeoutMs) {
+        suspending = true;
+        const deadline = Date.now() + timeoutMs;
+        while (loops.size > 0 && Date.now() < deadline) {
+            await delay(100);
+        }
+        activeTasks.forEach(task => {
+            if (task.status === TASK_STATUS.RUNNING) markInterrupted(task);
+        });
+        return loops.size;
+    }
+
+    // Ask a task to stop (cancel it). The loop notices the flag before its next
+    // message; a task without a loop - waiting in line, paused or interrupted -
+    // is finished right here. Returns false when the task had already ended.
+    function requestStop(task) {
+        if (task.endedAt) return false;
+        task.stopRequested = true;
+        task.pauseRequested = false;
+        task.isSending = false;
+        if (!loops.has(task.id)) {
+            queue.remove(task);
+            task.status = TASK_STATUS.STOPPED;
+            task.endedAt = new Date();
+            reports.finish(task.id);
+            cleanupTaskUploads(task.id);
+            forgetLater(task.id);
+        }
+        persist(task);
+        publish(task.endedAt ? "finished" : "stop-requested", task);
+        return true;
+    }
+
+    // Hold a task until resumeTask(). A waiting task keeps its place in line; a
+    // running one stops before its next message and goes to the front. Returns
+    // false when the task is paused already, stopping or ended.
+    function pauseTask(task) {
+        if (task.endedAt || task.stopRequested || task.pauseRequested || task.status === TASK_STATUS.PAUSED) return false;
+        if (loops.has(task.id)) {
+            task.pauseRequested = true;
+            persist(task);
+            publish("pause-requested", task);
+            return true;
+        }
+        task.status = TASK_STATUS.PAUSED;
+        persist(task);
+        publish("paused", task);
+        return true;
+    }
+
+    // Back in line from a pause (or a pause that has not taken effect yet is
+    // called off). Returns false when the task is not paused.
+    function resumeTask(task) {
+        if (task.endedAt) return false;
+        if (task.pauseRequested) {
+            task.pauseRequested = false;
+        } else if (task.status === TASK_STATUS.PAUSED) {
+            task.status = TASK_STATUS.QUEUED;
+        } else {
+            return false;
+        }
+        persist(task);
+        publish("resumed", task);
+        dispatch(task.sessionId);
+        return true;
+    }
+
+    // New place in line, see taskQueue.move(). Returns false when the task is
+    // not waiting (running or ended).
+    function moveTask(task, change) {
+        if (!queue.move(task, change)) return false;
+        persist(task);
+        publish("reordered", task);
+        return true;
+    }
+
+    // A session's tasks with a send loop, and its line, next first
+    function queueOf(sessionId) {
+        return {
+            concurrency: TASKS_PER_SESSION,
+            running: [...loops].map(id => activeTasks.get(id)).filter(task => task && task.sessionId === sessionId),
+            waiting: queue.list(sessionId)
+        };
+    }
+
+    // Boot: every unfinished task goes back in line. What was running when the
+    // process died is interrupted and goes first; the rest keeps its place.
+    function restoreTasks() {
+        const wasRunning = task => task.status === TASK_STATUS.RUNNING || task.status === TASK_STATUS.INTERRUPTED;
+        const unfinished = taskStore.list({ limit: Infinity })
+            .filter(task => task.status === TASK_STATUS.RUNNING || WAITING_STATUSES.includes(task.status))
+            .sort((a, b) => (wasRunning(b) - wasRunning(a))
+                || ((a.queuePosition ?? Infinity) - (b.queuePosition ?? Infinity))
+                || (new Date(a.startedAt) - new Date(b.startedAt)));
+        for (const task of unfinished) {
+            if (wasRunning(task)) task.status = TASK_STATUS.INTERRUPTED;
+            task.isSending = false;
+            task.pauseRequested = false;
+            activeTasks.set(task.id, task);
+            queue.add(task, { position: Infinity });
+            persist(task);
+        }
+        if (unfinished.length > 0) {
+            logger.info({ tasks: unfinished.length }, "Unfinished tasks waiting for their sessions");
+        }
+        return unfinished.length;
+    }
+
+    // Called when a session opens: its line starts moving again
+    function resumeTasksForSession(sessionId) {
+        dispatch(sessionId);
+    }
+
+    return {
+        enqueue,
+        requestStop,
+        pauseTask,
+        resumeTask,
+        moveTask,
+        queueOf,
+        restoreTasks,
+        resumeTasksForSession,
+        suspendAll,
+        persist
+    };
+}
+
+module.exports = { createTaskRunner, isTransientError, FINISHED_TASK_TTL_MS, TASKS_PER_SESSION };
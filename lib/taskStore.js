@@ -0,0 +1,102 @@
+// lib/taskStore.js
+//
+// Journaled JSON task store. Every task lives in <dir>/<taskId>.json (metadata,
+// counters and the `cursor` of the next message to send) next to
+// <dir>/<taskId>.messages.json (the message list, written once) and
+// <dir>/<taskId>.report.json (per-message delivery state). Writes go to a
+// temp file first and are renamed into place, so a crash mid-write leaves the
+// previous snapshot intact.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("./logger");
+
+// Statuses a task can be in on disk
+const TASK_STATUS = {
+    QUEUED: "queued",    // waiting for a free slot on its session
+    RUNNING: "running",
+    PAUSED: "paused",    // held by its owner until resumed
+    INTERRUPTED: "interrupted",
+    COMPLETED: "completed",
+    STOPPED: "stopped",
+    BLOCKED: "blocked"  // ended early by a sending-policy violation
+};
+
+function writeJsonAtomic(filePath, value) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpPath, filePath);
+}
+
+function createTaskStore(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const tasks = new Map(); // taskId -> last saved snapshot
+
+    const metaPath = taskId => path.join(dir, `${taskId}.json`);
+    const messagesPath = taskId => path.join(dir, `${taskId}.messages.json`);
+    const reportPath = taskId => path.join(dir, `${taskId}.report.json`);
+
+    // Load every snapshot once; a half-written temp file is simply ignored
+    for (const file of fs.readdirSync(dir)) {
+        // Only <taskId>.json - not the .messages.json / .report.json companions
+        if (!file.endsWith(".json") || file.split(".").length !== 2) continue;
+        try {
+            const task = JSON.parse(fs.readFileSync(path.join(dir, file), "utf-8"));
+            if (task && task.id) tasks.set(task.id, task);
+        } catch (err) {
+            logger.warn({ err, file }, "Skipping unreadable task file");
+        }
+    }
+
+    return {
+        save(task) {
+            const snapshot = JSON.parse(JSON.stringify(task));
+            writeJsonAtomic(metaPath(task.id), snapshot);
+            tasks.set(task.id, snapshot);
+            return snapshot;
+        },
+
+        saveMessages(taskId, messages) {
+            writeJsonAtomic(messagesPath(taskId), messages);
+        },
+
+        loadMessages(taskId) {
+            const filePath = messagesPath(taskId);
+            if (!fs.existsSync(filePath)) return [];
+            return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        },
+
+        saveReport(taskId, entries) {
+            writeJsonAtomic(reportPath(taskId), entries);
+        },
+
+        loadReport(taskId) {
+            const filePath = reportPath(taskId);
+            if (!fs.existsSync(filePath)) return [];
+            return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+        },
+
+        get(taskId) {
+            return tasks.get(taskId) || null;
+        },
+
+        // Newest first
+        list({ owner, status, sessionId, limit = 100 } = {}) {
+            return [...tasks.values()]
+                .filter(t => (!owner || t.owner === owner)
+                    && (!status || t.status === status)
+                    && (!sessionId || t.sessionId === sessionId))
+                .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt))
+                .slice(0, limit);
+        },
+
+        remove(taskId) {
+            tasks.delete(taskId);
+            for (const filePath of [metaPath(taskId), messagesPath(taskId), reportPath(taskId)]) {
+                if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+            }
+        }
+    };
+}
+
+module.exports = { createTaskStore, TASK_STATUS };
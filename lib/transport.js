@@ -0,0 +1,81 @@
+// lib/transport.js
+//
+// A transport is the only thing that knows how to build a WhatsApp socket.
+// index.js talks to whatever transport is installed through this interface:
+//
+//   transport.name              -> short label used in logs
+//   transport.DisconnectReason  -> map of Baileys disconnect status codes
+//   transport.createSocket({ sessionId, sessionPath, getMessage? })
+//       -> Promise<{ socket, saveCreds }>
+//   getMessage(key) returns the stored content of a message the socket sent or
+//   received (or undefined); Baileys needs it for retries and poll decryption.
+//
+// `socket` must look like a Baileys socket: an `ev` emitter plus
+// sendMessage / groupFetchAllParticipating / onWhatsApp / requestPairingCode /
+// sendPresenceUpdate / end / logout and `authState.creds`.
+//
+// Credentials live in sessionPath, encrypted when `options.authCipher` is set
+// (see lib/authState.js).
+const { useEncryptedAuthState } = require("./authState");
+const { baileysLogger } = require("./logger");
+
+function createBaileysTransport(options = {}) {
+    // Required lazily so the fake transport works without Baileys installed
+    const {
+        initAuthCreds,
+        BufferJSON,
+        proto,
+        makeCacheableSignalKeyStore,
+        Browsers,
+        fetchLatestBaileysVersion,
+        makeWASocket,
+        isJidBroadcast,
+        DisconnectReason
+    } = require("@whiskeysockets/baileys");
+
+    return {
+        name: "baileys",
+        DisconnectReason,
+
+        async createSocket({ sessionId, sessionPath, getMessage = async () => undefined }) {
+            const { state, saveCreds } = await useEncryptedAuthState(sessionPath, options.authCipher || null, {
+                initAuthCreds,
+                BufferJSON,
+                proto
+            });
+            const { version } = await fetchLatestBaileysVersion();
+            const logger = baileysLogger(sessionId);
+
+            const socket = makeWASocket({
+                version,
+                auth: {
+                    creds: state.creds,
+                    keys: makeCacheableSignalKeyStore(state.keys, logger)
+                },
+                printQRInTerminal: false,
+                logger,
+                browser: Browsers.ubuntu('Chrome'),
+                syncFullHistory: true,
+                generateHighQualityLinkPreview: true,
+                shouldIgnoreJid: jid => isJidBroadcast(jid),
+                getMessage,
+                markOnlineOnConnect: true,
+                connectTimeoutMs: 60000,
+                keepAliveIntervalMs: 30000,
+                retryRequestDelayMs: 1000,
+                maxRetries: 10,
+                emitOwnEvents: true,
+                defaultQueryTimeoutMs: 60000,
+                transactionOpts: {
+                    maxCommitRetries: 10,
+                    delayBetweenTriesMs: 3000
+                },
+                ...options.socketConfig
+            });
+
+            return { socket, saveCreds };
+        }
+    };
+}
+
+module.exports = { createBaileysTransport };
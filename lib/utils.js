@@ -0,0 +1,6 @@
+// lib/utils.js
+// Small helpers shared by index.js and the lib/ modules
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { delay };
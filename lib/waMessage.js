@@ -0,0 +1,91 @@
+// lib/waMessage.js
+// Helpers for reading Baileys message objects and JIDs
+
+// "9198xxxx:12@s.whatsapp.net" -> "9198xxxx@s.whatsapp.net" (drops the device suffix)
+function normalizeJid(jid) {
+    if (!jid || typeof jid !== "string") return jid;
+    const [user, server] = jid.split("@");
+    if (!server) return jid;
+    return `${user.split(":")[0]}@${server}`;
+}
+
+function isGroupJid(jid) {
+    return typeof jid === "string" && jid.endsWith("@g.us");
+}
+
+// Who wrote the message: the participant in groups, the chat itself otherwise
+function senderJid(msg) {
+    const key = msg && msg.key;
+    if (!key) return null;
+    return normalizeJid(isGroupJid(key.remoteJid) ? key.participant : key.remoteJid);
+}
+
+// Plain text of a message, or "" for anything without text (captions count)
+function extractText(msg) {
+    const m = msg && msg.message;
+    if (!m) return "";
+    return m.conversation
+        || m.extendedTextMessage?.text
+        || m.imageMessage?.caption
+        || m.videoMessage?.caption
+        || m.documentMessage?.caption
+        || m.ephemeralMessage?.message?.conversation
+        || m.ephemeralMessage?.message?.extendedTextMessage?.text
+        || "";
+}
+
+const MEDIA_MESSAGE_TYPES = {
+    imageMessage: "image",
+    videoMessage: "video",
+    audioMessage: "audio",
+    documentMessage: "document",
+    stickerMessage: "sticker"
+};
+
+// Unwrap ephemeral / view-once envelopes to the actual message content
+function innerMessage(m) {
+    let message = m;
+    while (message) {
+        const wrapped = message.ephemeralMessage?.message
+            || message.viewOnceMessage?.message
+            || message.viewOnceMessageV2?.message
+            || message.documentWithCaptionMessage?.message;
+        if (!wrapped) break;
+        message = wrapped;
+    }
+    return message || null;
+}
+
+// Plain-JSON summary of an incoming message for webhooks: who, where, what.
+// Media is described by its metadata only; nothing is downloaded.
+function describeIncomingMessage(msg) {
+    const key = msg.key || {};
+    const content = innerMessage(msg.message) || {};
+    const type = Object.keys(content).find(k => k !== "messageContextInfo") || null;
+    const body = content[type] || {};
+    const mediaKind = MEDIA_MESSAGE_TYPES[type];
+    const contextInfo = body.contextInfo || null;
+
+    return {
+        id: key.id || null,
+        chat: key.remoteJid || null,
+        isGroup: isGroupJid(key.remoteJid),
+        from: senderJid(msg),
+        pushName: msg.pushName || null,
+        timestamp: msg.messageTimestamp ? Number(msg.messageTimestamp) : null,
+        type,
+        text: extractText({ message: content }) || null,
+        media: mediaKind ? {
+            kind: mediaKind,
+            mimetype: body.mimetype || null,
+            fileName: body.fileName || null,
+            fileLength: body.fileLength ? Number(body.fileLength) : null,
+            seconds: body.seconds || null,
+            ptt: Boolean(body.ptt)
+        } : null,
+        quotedMessageId: contextInfo?.stanzaId || null,
+        mentions: contextInfo?.mentionedJid || []
+    };
+}
+
+module.exports = { normalizeJid, isGroupJid, senderJid, extractText, describeIncomingMessage };
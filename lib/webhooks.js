@@ -0,0 +1,392 @@
+// lib/webhooks.js
+//
+// Per-session webhooks. Events from sessionEvents are turned into JSON
+// deliveries and POSTed to every enabled webhook of the session that asked
+// for that event type:
+//   message             incoming message (text, media metadata, sender, group)
+//   receipt             delivery / read state of messages we sent
+//   group.participants  members added, removed, promoted or demoted
+//   connection          the session connected, closed or started connecting
+//
+// Each request carries
+//   X-Webhook-Id         delivery id (stable across retries, for de-duplication)
+//   X-Webhook-Event      event type
+//   X-Webhook-Timestamp  unix seconds when this attempt was signed
+//   X-Webhook-Signature  "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret
+//
+// Network errors, timeouts, 408, 429 and 5xx answers are retried with
+// exponential backoff; anything else, or running out of attempts, writes the
+// delivery to the dead-letter log. Pending retries live in memory only.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { describeIncomingMessage, normalizeJid } = require("./waMessage");
+const { logger } = require("./logger");
+
+const WEBHOOK_EVENTS = ["message", "receipt", "group.participants", "connection"];
+
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 2000;
+const WEBHOOK_RETRY_MAX_MS = Number(process.env.WEBHOOK_RETRY_MAX_MS) || 5 * 60 * 1000;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Delivery results are written at most this often, unless a webhook starts or stops failing
+const RESULT_SAVE_DELAY_MS = 5000;
+
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+// Baileys proto.WebMessageInfo.Status -> receipt state
+const RECEIPT_STATES = { 0: "error", 1: "pending", 2: "sent", 3: "delivered", 4: "read", 5: "played" };
+
+function webhookLogger(webhook) {
+    return logger.child({ webhookId: webhook.id, sessionId: webhook.sessionId });
+}
+
+function sign(secret, timestamp, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function generateSecret() {
+    return "whsec_" + crypto.randomBytes(24).toString("hex");
+}
+
+function validateWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        throw new Error(`Invalid webhook URL: ${url}`);
+    }
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") {
+        throw new Error("Webhook URL must use http or https");
+    }
+    return parsed.toString();
+}
+
+function validateEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw new Error(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(", ")}`);
+    }
+    const unknown = events.filter(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length > 0) throw new Error(`Unknown webhook event(s): ${unknown.join(", ")}`);
+    return [...new Set(events)];
+}
+
+// Webhook as shown by the API: never the secret
+function describeWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return { ...rest, secretHint: `${secret.slice(0, 10)}…` };
+}
+
+function retryDelayMs(attempt) {
+    return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+}
+
+function isRetryable(statusCode) {
+    return statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode);
+}
+
+function createWebhooks({ file, deadLetterFile, sessionEvents }) {
+    let webhooks = {};
+    let saveTimer = null;
+
+    if (fs.existsSync(file)) {
+        webhooks = JSON.parse(fs.readFileSync(file, "utf-8"));
+    }
+
+    function save() {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmpPath = `${file}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(webhooks, null, 2));
+        fs.renameSync(tmpPath, file);
+    }
+
+    function deadLetter(webhook, delivery, attempts, error) {
+        const entry = {
+            at: new Date().toISOString(),
+            webhookId: webhook.id,
+            owner: webhook.owner,
+            sessionId: webhook.sessionId,
+            url: webhook.url,
+            attempts,
+            error,
+            delivery
+        };
+        try {
+            fs.mkdirSync(path.dirname(deadLetterFile), { recursive: true });
+            fs.appendFileSync(deadLetterFile, JSON.stringify(entry) + "\n");
+        } catch (err) {
+            webhookLogger(webhook).error({ err, deliveryId: delivery.id }, "Could not write webhook dead letter");
+        }
+        webhookLogger(webhook).error(
+            { deliveryId: delivery.id, event: delivery.type, attempts, error },
+            "Webhook delivery gave up"
+        );
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            try {
+                save();
+            } catch (err) {
+                logger.error({ err }, "Could not save webhook delivery results");
+            }
+        }, RESULT_SAVE_DELAY_MS);
+        saveTimer.unref();
+    }
+
+    // Kept in memory on every attempt; written at once only when the webhook
+    // goes from working to failing or back
+    function noteResult(webhook, result) {
+        const current = webhooks[webhook.id];
+        if (!current) return;
+        const wasFailing = (current.consecutiveFailures || 0) > 0;
+        current.lastDeliveryAt = new Date().toISOString();
+        current.lastResult = result;
+        current.consecutiveFailures = result.ok ? 0 : (current.consecutiveFailures || 0) + 1;
+        if (wasFailing === !result.ok) {
+            scheduleSave();
+        } else {
+            save();
+        }
+    }
+
+    // One attempt; resolves with { ok, statusCode?, error? }
+    async function post(webhook, body, delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        try {
+            const response = await fetch(webhook.url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "User-Agent": "wa-sender-webhooks/1",
+                    "X-Webhook-Id": delivery.id,
+                    "X-Webhook-Event": delivery.type,
+                    "X-Webhook-Timestamp": String(timestamp),
+                    "X-Webhook-Signature": sign(webhook.secret, timestamp, body)
+                },
+                body,
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+            return response.ok
+                ? { ok: true, statusCode: response.status }
+                : { ok: false, statusCode: response.status, error: `HTTP ${response.status}`, retryable: isRetryable(response.status) };
+        } catch (err) {
+            return { ok: false, statusCode: null, error: err.name === "TimeoutError" ? "timeout" : err.message, retryable: true };
+        }
+    }
+
+    async function deliver(webhook, delivery, attempt = 1) {
+        // The webhook may have been edited or removed while a retry was waiting
+        const current = webhooks[webhook.id];
+        if (!current || !current.enabled) return;
+
+        const body = JSON.stringify(delivery);
+        const result = await post(current, body, delivery);
+        noteResult(current, { ok: result.ok, statusCode: result.statusCode, error: result.error || null, attempt, deliveryId: delivery.id });
+        if (result.ok) return;
+
+        if (!result.retryable || attempt >= WEBHOOK_MAX_ATTEMPTS) {
+            deadLetter(current, delivery, attempt, result.error);
+            return;
+        }
+        const wait = retryDelayMs(attempt);
+        webhookLogger(current).warn(
+            { deliveryId: delivery.id, event: delivery.type, error: result.error, attempt, retryInMs: wait },
+            `Webhook delivery failed, retry ${attempt}/${WEBHOOK_MAX_ATTEMPTS - 1}`
+        );
+        setTimeout(() => {
+            deliver(current, delivery, attempt + 1).catch(err => webhookLogger(current).error({ err }, "Webhook delivery crashed"));
+        }, wait).unref();
+    }
+
+    // Queue `data` for every webhook of the session subscribed to `type`
+    function dispatch(sessionId, type, data) {
+        const targets = Object.values(webhooks).filter(w => w.sessionId === sessionId && w.enabled && w.events.includes(type));
+        for (const webhook of targets) {
+            const delivery = {
+                id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+                type,
+                sessionId,
+                createdAt: new Date().toISOString(),
+                data
+            };
+            deliver(webhook, delivery).catch(err => webhookLogger(webhook).error({ err }, "Webhook delivery crashed"));
+        }
+        return targets.length;
+    }
+
+    sessionEvents.on("messages.upsert", (sessionId, { messages, type }) => {
+        if (type !== "notify") return;
+        for (const msg of messages || []) {
+            if (!msg.key || msg.key.fromMe || !msg.message) continue;
+            dispatch(sessionId, "message", describeIncomingMessage(msg));
+        }
+    });
+
+    sessionEvents.on("messages.update", (sessionId, updates) => {
+        for (const { key, update } of updates || []) {
+            if (!key?.fromMe || update?.status === undefined || update?.status === null) continue;
+            dispatch(sessionId, "receipt", {
+                messageId: key.id,
+                chat: key.remoteJid,
+                participant: normalizeJid(key.participant) || null,
+                state: RECEIPT_STATES[update.status] || String(update.status)
+            });
+        }
+    });
+
+    // Per-recipient receipts (groups): who read or received which message
+    sessionEvents.on("message-receipt.update", (sessionId, receipts) => {
+        for (const { key, receipt } of receipts || []) {
+            if (!key?.fromMe || !receipt) continue;
+            dispatch(sessionId, "receipt", {
+                messageId: key.id,
+                chat: key.remoteJid,
+                participant: normalizeJid(receipt.userJid) || null,
+                state: receipt.playedTimestamp ? "played" : receipt.readTimestamp ? "read" : "delivered"
+            });
+        }
+    });
+
+    sessionEvents.on("group-participants.update", (sessionId, { id, author, participants, action }) => {
+        dispatch(sessionId, "group.participants", {
+            groupId: id,
+            author: normalizeJid(author) || null,
+            action,
+            participants: (participants || []).map(p => normalizeJid(typeof p === "string" ? p : p.id))
+        });
+    });
+
+    sessionEvents.on("connection.update", (sessionId, { connection, lastDisconnect }) => {
+        if (!connection) return;
+        const statusCode = lastDisconnect?.error?.output?.statusCode ?? null;
+        dispatch(sessionId, "connection", {
+            state: connection,
+            statusCode: connection === "close" ? statusCode : null,
+            reason: connection === "close" ? lastDisconnect?.error?.message || null : null
+        });
+    });
+
+    return {
+        get(id) {
+            return webhooks[id] || null;
+        },
+
+        list({ owner, sessionId } = {}) {
+            return Object.values(webhooks)
+                .filter(w => (!owner || w.owner === owner) && (!sessionId || w.sessionId === sessionId));
+        },
+
+        create({ owner, sessionId, url, events = WEBHOOK_EVENTS, secret = generateSecret() }) {
+            const webhook = {
+                id: `wh_${crypto.randomBytes(8).toString("hex")}`,
+                owner,
+                sessionId,
+                url: validateWebhookUrl(url),
+                events: validateEvents(events),
+                secret,
+                enabled: true,
+                createdAt: new Date().toISOString(),
+                lastDeliveryAt: null,
+                lastResult: null,
+                consecutiveFailures: 0
+            };
+            webhooks[webhook.id] = webhook;
+            save();
+            return webhook;
+        },
+
+        // Patch: url, events, enabled
+        update(id, patch) {
+            const webhook = webhooks[id];
+            if (!webhook) return null;
+            const changes = {};
+            if (patch.url !== undefined) changes.url = validateWebhookUrl(patch.url);
+            if (patch.events !== undefined) changes.events = validateEvents(patch.events);
+            if (patch.enabled !== undefined) {
+                if (typeof patch.enabled !== "boolean") throw new Error("enabled must be true or false");
+                changes.enabled = patch.enabled;
+            }
+            const unknown = Object.keys(patch).filter(k => !["url", "events", "enabled"].includes(k));
+            if (unknown.length > 0) throw new Error(`Unknown webhook field(s): ${unknown.join(", ")}`);
+            Object.assign(webhook, changes);
+            save();
+            return webhook;
+        },
+
+        rotateSecret(id) {
+            const webhook = webhooks[id];
+            if (!webhook) return null;
+            webhook.secret = generateSecret();
+            save();
+            return webhook;
+        },
+
+        remove(id) {
+            if (!webhooks[id]) return false;
+            delete webhooks[id];
+            save();
+            return true;
+        },
+
+        removeForSession(sessionId) {
+            const ids = Object.keys(webhooks).filter(id => webhooks[id].sessionId === sessionId);
+            ids.forEach(id => delete webhooks[id]);
+            if (ids.length > 0) save();
+            return ids.length;
+        },
+
+        // Send a "ping" to one webhook, bypassing its event filter
+        ping(id) {
+            const webhook = webhooks[id];
+            if (!webhook) return null;
+            const delivery = {
+                id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+                type: "ping",
+                sessionId: webhook.sessionId,
+                createdAt: new Date().toISOString(),
+                data: { webhookId: id }
+            };
+            deliver(webhook, delivery).catch(err => webhookLogger(webhook).error({ err }, "Webhook delivery crashed"));
+            return delivery;
+        },
+
+        // The latest entries, newest first, like the audit log
+        readDeadLetters({ owner, webhookId, limit = 100 } = {}) {
+            if (!fs.existsSync(deadLetterFile)) return [];
+            return fs.readFileSync(deadLetterFile, "utf-8")
+                .split("\n")
+                .filter(line => line.trim().length > 0)
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (e) {
+                        return null;
+                    }
+                })
+                .filter(entry => entry
+                    && (!owner || entry.owner === owner)
+                    && (!webhookId || entry.webhookId === webhookId))
+                .slice(-limit)
+                .reverse();
+        },
+
+        dispatch,
+
+        // Shutdown: write the results still waiting for their save
+        stop() {
+            if (saveTimer) save();
+        }
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    createWebhooks,
+    describeWebhook,
+    sign
+};
@@ -0,0 +1,78 @@
+// routes/apiV1.js
+// Versioned JSON API, mounted at /api/v1: accounts, sessions and their pairing,
+// groups, chat history, bot, webhooks and opt-out settings, sending tasks with
+// their reports, and schedules. The routes are definitions (see lib/api.js),
+// collected here from the other modules in routes/, so GET /api/v1/openapi.json
+// always describes exactly what is served. Errors are { error: { code, message, details? } }:
+//   400  validation_failed and other malformed input (invalid_number, invalid_media, ...)
+//   401  unauthorized            403  forbidden, not_group_admin, whatsapp_refused
+//   404  *_not_found
+//   409  the resource is in the wrong state (session_not_connected, task_finished,
+//        task_not_paused, task_not_queued, webhook_disabled, ...)
+//   413  file_too_large / payload_too_large
+//   422  refused by a rule (policy_violation, recipient_opted_out, no_recipients,
+//        not_on_whatsapp, not_group_member, group_announce_only)
+//   502  whatsapp_error          503  shutting_down
+const { AUTH_COOKIE, ownsResource } = require("../lib/auth");
+const { ApiError, buildOpenApi, createApiRouter } = require("../lib/api");
+const userRoutes = require("./users");
+const sessionRoutes = require("./sessions");
+const groupRoutes = require("./groups");
+const messageRoutes = require("./messages");
+const botRoutes = require("./bot");
+const webhookRoutes = require("./webhooks");
+const suppressionRoutes = require("./suppression");
+const taskRoutes = require("./tasks");
+const scheduleRoutes = require("./schedules");
+
+const BASE_PATH = "/api/v1";
+
+// `deps` carries what the route modules need from the server (stores, session
+// and task helpers, auditLog) plus authenticate, upload and uploadLimits
+module.exports = function apiV1Router(deps) {
+    const { sessionRegistry, authenticate, upload, uploadLimits } = deps;
+
+    // Someone else's session is reported like a missing one
+    function loadSession(user, id) {
+        const record = sessionRegistry.get(id);
+        if (!record || !ownsResource(user, record)) throw new ApiError(404, "session_not_found", "Session not found");
+        return record;
+    }
+
+    const shared = { ...deps, loadSession };
+    const routes = [
+        {
+            method: "get",
+            path: "/openapi.json",
+            operationId: "getOpenApi",
+            summary: "This document",
+            tags: ["meta"],
+            auth: false,
+            responses: { 200: { description: "OpenAPI 3 description of /api/v1" } },
+            handler: () => ({ body: openApi })
+        },
+        ...userRoutes(shared),
+        ...sessionRoutes(shared),
+        ...groupRoutes(shared),
+        ...messageRoutes(shared),
+        ...botRoutes(shared),
+        ...webhookRoutes(shared),
+        ...suppressionRoutes(shared),
+        ...taskRoutes(shared),
+        ...scheduleRoutes(shared)
+    ];
+
+    const openApi = buildOpenApi(routes, {
+        title: "WhatsApp sender API",
+        version: "1.0.0",
+        description: "Pair WhatsApp numbers and send, schedule and stop message tasks. "
+            + "Authenticate with X-API-Key, Authorization: Bearer <key> or the sign-in cookie.",
+        basePath: BASE_PATH,
+        schemas: { ...sessionRoutes.SCHEMAS, ...taskRoutes.SCHEMAS, ...scheduleRoutes.SCHEMAS },
+        cookieName: AUTH_COOKIE
+    });
+
+    return createApiRouter(routes, { authenticate, upload, uploadLimits });
+};
+
+module.exports.BASE_PATH = BASE_PATH;
@@ -0,0 +1,60 @@
+// routes/bot.js
+// Available chat-command plugins, and the bot settings of the caller's sessions
+const { ApiError, ID_PARAMS, list, wrap } = require("../lib/api");
+
+module.exports = function botRoutes({ bot, sessionRegistry, toTargetJid, auditLog, loadSession }) {
+    return [
+        {
+            method: "get",
+            path: "/bot/plugins",
+            operationId: "listBotPlugins",
+            summary: "Chat-command plugins the bot can run",
+            tags: ["bot"],
+            responses: { 200: { description: "Plugins", schema: list("plugins", { type: "object" }) } },
+            handler: () => {
+                const plugins = bot.listPlugins();
+                return { body: { total: plugins.length, plugins } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/bot",
+            operationId: "getSessionBot",
+            summary: "The session's bot settings",
+            tags: ["bot"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Bot settings", schema: wrap("bot", { type: "object" }) } },
+            handler: ({ user, params }) => ({ body: { bot: bot.configFor(loadSession(user, params.id)) } })
+        },
+        {
+            method: "put",
+            path: "/sessions/{id}/bot",
+            operationId: "updateSessionBot",
+            summary: "Change the session's bot settings",
+            description: "Any of enabled, prefix, plugins, admins, cooldownSec and settings; omitted fields are kept. "
+                + "settings is merged per plugin, so updating the FAQ leaves other plugins' settings alone.",
+            tags: ["bot"],
+            params: ID_PARAMS,
+            body: { type: "object" },
+            responses: { 200: { description: "Bot settings", schema: wrap("bot", { type: "object" }) } },
+            handler: ({ user, params, body }) => {
+                const record = loadSession(user, params.id);
+                let changes;
+                try {
+                    changes = bot.validateConfig(body, toTargetJid);
+                } catch (err) {
+                    throw new ApiError(400, "invalid_bot_config", err.message);
+                }
+                const current = record.bot || {};
+                const config = {
+                    ...current,
+                    ...changes,
+                    settings: { ...(current.settings || {}), ...(changes.settings || {}) }
+                };
+                sessionRegistry.update(record.sessionId, { bot: config });
+                auditLog.record(user, "session.bot", { sessionId: record.sessionId, changes });
+                return { body: { bot: bot.configFor(sessionRegistry.get(record.sessionId)) } };
+            }
+        }
+    ];
+};
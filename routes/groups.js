@@ -0,0 +1,362 @@
+// routes/groups.js
+// Group metadata, participant exports and administration for the caller's sessions.
+// Changes need the session's own account to be an admin of the group.
+const { ApiError, ID_PARAMS } = require("../lib/api");
+const { toCsv } = require("../lib/csv");
+const { normalizeJid } = require("../lib/waMessage");
+const { toGroupJid } = require("../lib/recipients");
+const { logger } = require("../lib/logger");
+
+const PARTICIPANT_ACTIONS = ["add", "remove", "promote", "demote"];
+const PARTICIPANT_COLUMNS = ["groupId", "groupName", "jid", "number", "admin"];
+const MAX_SUBJECT_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 2048;
+const MAX_PARTICIPANTS_PER_CALL = 50;
+
+const INVITE_LINK_PREFIX = "https://chat.whatsapp.com/";
+
+function describeParticipant(participant) {
+    const jid = normalizeJid(participant.id);
+    return {
+        jid,
+        number: jid.split("@")[0],
+        admin: participant.admin || null,
+        isAdmin: participant.admin === "admin" || participant.admin === "superadmin",
+        isSuperAdmin: participant.admin === "superadmin"
+    };
+}
+
+function describeGroup(metadata, selfJid) {
+    const participants = (metadata.participants || []).map(describeParticipant);
+    const self = participants.find(p => p.jid === selfJid);
+    return {
+        id: metadata.id,
+        subject: metadata.subject,
+        description: metadata.desc || null,
+        owner: metadata.owner || null,
+        createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+        size: metadata.size || participants.length,
+        settings: {
+            announce: Boolean(metadata.announce),             // only admins can send
+            restrict: Boolean(metadata.restrict),             // only admins can edit group info
+            memberAddMode: Boolean(metadata.memberAddMode),   // members may add participants
+            joinApprovalMode: Boolean(metadata.joinApprovalMode),
+            ephemeralDuration: metadata.ephemeralDuration || null
+        },
+        isCommunity: Boolean(metadata.isCommunity),
+        linkedParent: metadata.linkedParent || null,
+        isAdmin: Boolean(self && self.isAdmin),
+        participants
+    };
+}
+
+const GROUP_PARAMS = {
+    type: "object",
+    required: ["id", "groupId"],
+    properties: {
+        id: { type: "string", minLength: 1 },
+        groupId: { type: "string", minLength: 1, description: "Group JID, or the part before @g.us" }
+    }
+};
+
+const FORMAT_QUERY = {
+    type: "object",
+    properties: { format: { type: "string", enum: ["json", "csv"], default: "json" } }
+};
+
+const PARTICIPANTS_RESPONSE = {
+    description: "Participants as JSON, or a CSV download with format=csv",
+    schema: {
+        type: "object",
+        properties: { total: { type: "integer" }, participants: { type: "array", items: { type: "object" } } }
+    }
+};
+
+// WhatsApp answers with Boom errors; pass their status through where it means something to the caller
+function groupError(err, context) {
+    const statusCode = err?.output?.statusCode ?? err?.statusCode;
+    logger.error({ err, ...context }, "Group request failed");
+    if (statusCode === 404 || err?.message === "item-not-found") {
+        return new ApiError(404, "group_not_found", "Group not found on this session");
+    }
+    if (statusCode === 401 || statusCode === 403) {
+        return new ApiError(403, "whatsapp_refused", "WhatsApp refused the change: the session is not allowed to do this");
+    }
+    return new ApiError(502, "whatsapp_error", err?.message || String(err));
+}
+
+module.exports = function groupRoutes({ activeClients, toTargetJid, auditLog, loadSession }) {
+    // A session the caller owns with a connected socket
+    function loadClient(user, id) {
+        const record = loadSession(user, id);
+        const clientInfo = activeClients.get(record.sessionId);
+        if (!clientInfo || !clientInfo.client || !clientInfo.connected) {
+            throw new ApiError(409, "session_not_connected", `Session ${record.sessionId} is not connected`);
+        }
+        return {
+            sessionId: record.sessionId,
+            waClient: clientInfo.client,
+            selfJid: normalizeJid(clientInfo.client.user?.id)
+        };
+    }
+
+    // Client plus fresh metadata of :groupId
+    async function loadGroup(user, params) {
+        const client = loadClient(user, params.id);
+        const groupJid = toGroupJid(params.groupId);
+        if (!groupJid) {
+            throw new ApiError(400, "invalid_group_id", `Invalid group id: ${params.groupId}`);
+        }
+        try {
+            return { ...client, group: describeGroup(await client.waClient.groupMetadata(groupJid), client.selfJid) };
+        } catch (err) {
+            throw groupError(err, { sessionId: client.sessionId, groupId: params.groupId, action: "lookup" });
+        }
+    }
+
+    async function loadAdminGroup(user, params) {
+        const loaded = await loadGroup(user, params);
+        if (!loaded.group.isAdmin) {
+            throw new ApiError(403, "not_group_admin", "This session is not an admin of the group");
+        }
+        return loaded;
+    }
+
+    function participantsResponse(format, rows, name) {
+        if (format === "csv") {
+            return { type: "text/csv; charset=utf-8", fileName: `${name}-participants.csv`, body: toCsv(rows, PARTICIPANT_COLUMNS) };
+        }
+        return { body: { total: rows.length, participants: rows } };
+    }
+
+    const participantRows = group => group.participants.map(p => ({
+        groupId: group.id,
+        groupName: group.subject,
+        ...p
+    }));
+
+    return [
+        {
+            method: "get",
+            path: "/sessions/{id}/groups",
+            operationId: "listGroups",
+            summary: "Groups the session takes part in",
+            tags: ["groups"],
+            params: ID_PARAMS,
+            responses: {
+                200: {
+                    description: "Groups, without their participant lists",
+                    schema: { type: "object", properties: { total: { type: "integer" }, groups: { type: "array", items: { type: "object" } } } }
+                }
+            },
+            handler: async ({ user, params }) => {
+                const { sessionId, waClient, selfJid } = loadClient(user, params.id);
+                try {
+                    const groups = Object.values(await waClient.groupFetchAllParticipating())
+                        .map(metadata => {
+                            const { participants, ...summary } = describeGroup(metadata, selfJid);
+                            return { ...summary, participantsCount: participants.length };
+                        });
+                    return { body: { total: groups.length, groups } };
+                } catch (err) {
+                    throw groupError(err, { sessionId, action: "listing" });
+                }
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/participants",
+            operationId: "listSessionParticipants",
+            summary: "Every participant of every group on the session",
+            tags: ["groups"],
+            params: ID_PARAMS,
+            query: FORMAT_QUERY,
+            responses: { 200: PARTICIPANTS_RESPONSE },
+            handler: async ({ user, params, query }) => {
+                const { sessionId, waClient, selfJid } = loadClient(user, params.id);
+                let rows;
+                try {
+                    rows = Object.values(await waClient.groupFetchAllParticipating())
+                        .flatMap(metadata => participantRows(describeGroup(metadata, selfJid)));
+                } catch (err) {
+                    throw groupError(err, { sessionId, action: "participant export" });
+                }
+                return participantsResponse(query.format, rows, sessionId);
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/groups/{groupId}",
+            operationId: "getGroup",
+            summary: "Full group metadata",
+            description: "The invite link is included when the session is an admin, unless invite is false.",
+            tags: ["groups"],
+            params: GROUP_PARAMS,
+            query: { type: "object", properties: { invite: { type: "boolean", default: true } } },
+            responses: { 200: { description: "Group", schema: { type: "object", properties: { group: { type: "object" } } } } },
+            handler: async ({ user, params, query }) => {
+                const { sessionId, waClient, group } = await loadGroup(user, params);
+                let inviteLink = null;
+                if (group.isAdmin && query.invite) {
+                    try {
+                        const code = await waClient.groupInviteCode(group.id);
+                        inviteLink = code ? INVITE_LINK_PREFIX + code : null;
+                    } catch (err) {
+                        logger.warn({ err, sessionId, groupId: group.id }, "Could not read the invite code");
+                    }
+                }
+                return { body: { group: { ...group, inviteLink } } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/groups/{groupId}/participants",
+            operationId: "listGroupParticipants",
+            summary: "Participants of one group",
+            tags: ["groups"],
+            params: GROUP_PARAMS,
+            query: FORMAT_QUERY,
+            responses: { 200: PARTICIPANTS_RESPONSE },
+            handler: async ({ user, params, query }) => {
+                const { group } = await loadGroup(user, params);
+                return participantsResponse(query.format, participantRows(group), group.id.split("@")[0]);
+            }
+        },
+        {
+            method: "patch",
+            path: "/sessions/{id}/groups/{groupId}",
+            operationId: "updateGroup",
+            summary: "Change the subject, description or settings",
+            description: "Needs the session to be a group admin. A null or empty description removes it.",
+            tags: ["groups"],
+            params: GROUP_PARAMS,
+            body: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                    subject: { type: "string", minLength: 1, maxLength: MAX_SUBJECT_LENGTH },
+                    description: { type: "string", nullable: true, maxLength: MAX_DESCRIPTION_LENGTH },
+                    settings: {
+                        type: "object",
+                        additionalProperties: false,
+                        properties: {
+                            announce: { type: "boolean", description: "Only admins can send" },
+                            restrict: { type: "boolean", description: "Only admins can edit group info" }
+                        }
+                    }
+                }
+            },
+            responses: { 200: { description: "Updated group", schema: { type: "object", properties: { group: { type: "object" } } } } },
+            handler: async ({ user, params, body }) => {
+                const { subject, description, settings = {} } = body;
+                if (subject !== undefined && !subject.trim()) {
+                    throw new ApiError(400, "validation_failed", "subject must not be blank");
+                }
+                const { sessionId, waClient, selfJid, group } = await loadAdminGroup(user, params);
+                const groupJid = group.id;
+                try {
+                    if (subject !== undefined) await waClient.groupUpdateSubject(groupJid, subject.trim());
+                    // An empty description removes it
+                    if (description !== undefined) await waClient.groupUpdateDescription(groupJid, description || undefined);
+                    if (settings.announce !== undefined) {
+                        await waClient.groupSettingUpdate(groupJid, settings.announce ? "announcement" : "not_announcement");
+                    }
+                    if (settings.restrict !== undefined) {
+                        await waClient.groupSettingUpdate(groupJid, settings.restrict ? "locked" : "unlocked");
+                    }
+                    auditLog.record(user, "group.update", { sessionId, groupId: groupJid, subject, description, settings });
+                    return { body: { group: describeGroup(await waClient.groupMetadata(groupJid), selfJid) } };
+                } catch (err) {
+                    throw groupError(err, { sessionId, groupId: groupJid, action: "update" });
+                }
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/{id}/groups/{groupId}/participants",
+            operationId: "updateGroupParticipants",
+            summary: "Add, remove, promote or demote participants",
+            description: "Needs the session to be a group admin. Each participant gets its own result.",
+            tags: ["groups"],
+            params: GROUP_PARAMS,
+            body: {
+                type: "object",
+                required: ["action", "participants"],
+                additionalProperties: false,
+                properties: {
+                    action: { type: "string", enum: PARTICIPANT_ACTIONS },
+                    participants: {
+                        type: "array",
+                        minItems: 1,
+                        maxItems: MAX_PARTICIPANTS_PER_CALL,
+                        items: { type: "string" },
+                        description: "Numbers or JIDs"
+                    }
+                }
+            },
+            responses: {
+                200: {
+                    description: "Result per participant",
+                    schema: {
+                        type: "object",
+                        properties: {
+                            action: { type: "string" },
+                            results: {
+                                type: "array",
+                                items: {
+                                    type: "object",
+                                    properties: { jid: { type: "string" }, status: { type: "integer" }, ok: { type: "boolean" } }
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            handler: async ({ user, params, body }) => {
+                const { action, participants } = body;
+                const jids = participants.map(participant => {
+                    const jid = toTargetJid(participant);
+                    if (!jid || jid.endsWith("@g.us")) {
+                        throw new ApiError(400, "invalid_participant", `Invalid participant: ${participant}`);
+                    }
+                    return jid;
+                });
+                const { sessionId, waClient, group } = await loadAdminGroup(user, params);
+                try {
+                    const results = (await waClient.groupParticipantsUpdate(group.id, jids, action))
+                        .map(r => ({ jid: normalizeJid(r.jid), status: Number(r.status), ok: String(r.status) === "200" }));
+                    auditLog.record(user, `group.participants.${action}`, {
+                        sessionId,
+                        groupId: group.id,
+                        participants: jids,
+                        failed: results.filter(r => !r.ok).map(r => r.jid)
+                    });
+                    return { body: { action, results } };
+                } catch (err) {
+                    throw groupError(err, { sessionId, groupId: group.id, action: `participants ${action}` });
+                }
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/{id}/groups/{groupId}/invite/revoke",
+            operationId: "revokeGroupInvite",
+            summary: "Invalidate the invite link and answer with the new one",
+            tags: ["groups"],
+            params: GROUP_PARAMS,
+            responses: {
+                200: { description: "New invite link", schema: { type: "object", properties: { inviteLink: { type: "string", nullable: true } } } }
+            },
+            handler: async ({ user, params }) => {
+                const { sessionId, waClient, group } = await loadAdminGroup(user, params);
+                try {
+                    const code = await waClient.groupRevokeInvite(group.id);
+                    auditLog.record(user, "group.invite.revoke", { sessionId, groupId: group.id });
+                    return { body: { inviteLink: code ? INVITE_LINK_PREFIX + code : null } };
+                } catch (err) {
+                    throw groupError(err, { sessionId, groupId: group.id, action: "invite revoke" });
+                }
+            }
+        }
+    ];
+};
@@ -0,0 +1,212 @@
+// routes/messages.js
+// Stored chat history of the caller's sessions: chats, contacts, paginated
+// messages per chat, full-text search and the retention settings
+const { ApiError, ID_PARAMS, list, wrap } = require("../lib/api");
+const { validateHistoryConfig } = require("../lib/messageStore");
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Shared query filters: ?from= &fromMe=true|false &since= &until=
+const FILTER_QUERY = {
+    from: { type: "string", description: "Sender number or JID" },
+    fromMe: { type: "boolean" },
+    since: { type: "string", format: "date-time" },
+    until: { type: "string", format: "date-time" }
+};
+
+const PAGING_QUERY = {
+    limit: { type: "integer", minimum: 1, default: DEFAULT_PAGE_SIZE },
+    offset: { type: "integer", minimum: 0, default: 0 }
+};
+
+const CHAT_PARAMS = {
+    type: "object",
+    required: ["id", "chat"],
+    properties: {
+        id: { type: "string", minLength: 1 },
+        chat: { type: "string", minLength: 1, description: "Phone number or JID" }
+    }
+};
+
+const HISTORY = { type: "object" };
+
+function readFilters(query, toTargetJid) {
+    const filters = {};
+    if (query.from) {
+        filters.from = toTargetJid(query.from);
+        if (!filters.from) throw new ApiError(400, "invalid_filter", `Invalid from: ${query.from}`);
+    }
+    if (query.fromMe !== undefined) filters.fromMe = query.fromMe;
+    for (const field of ["since", "until"]) {
+        if (!query[field]) continue;
+        if (Number.isNaN(new Date(query[field]).getTime())) throw new ApiError(400, "invalid_filter", `${field} must be a date`);
+        filters[field] = query[field];
+    }
+    return filters;
+}
+
+module.exports = function messageRoutes({ messageStore, sessionRegistry, toTargetJid, auditLog, loadSession }) {
+    // A chat the store has seen, as a JID
+    function loadChat(sessionId, chat) {
+        const jid = toTargetJid(chat);
+        if (!jid || !messageStore.hasChat(sessionId, jid)) throw new ApiError(404, "chat_not_found", "Chat not found");
+        return jid;
+    }
+
+    function chatFilter(chat) {
+        if (!chat) return null;
+        const jid = toTargetJid(chat);
+        if (!jid) throw new ApiError(400, "invalid_chat", `Invalid chat: ${chat}`);
+        return jid;
+    }
+
+    return [
+        {
+            method: "get",
+            path: "/sessions/{id}/chats",
+            operationId: "listChats",
+            summary: "Chats the store has seen, most recent first",
+            tags: ["messages"],
+            params: ID_PARAMS,
+            query: {
+                type: "object",
+                properties: { q: { type: "string", description: "Name or JID" }, ...PAGING_QUERY }
+            },
+            responses: { 200: { description: "A page of chats", schema: { type: "object" } } },
+            handler: ({ user, params, query }) => ({
+                body: messageStore.listChats(loadSession(user, params.id).sessionId, {
+                    q: query.q,
+                    limit: query.limit,
+                    offset: query.offset
+                })
+            })
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/contacts",
+            operationId: "listContacts",
+            summary: "Contacts the store has seen",
+            tags: ["messages"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Contacts", schema: list("contacts", { type: "object" }) } },
+            handler: ({ user, params }) => {
+                const contacts = messageStore.listContacts(loadSession(user, params.id).sessionId);
+                return { body: { total: contacts.length, contacts } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/chats/{chat}/messages",
+            operationId: "getChatMessages",
+            summary: "A chat's messages, newest first",
+            description: "Page back with before = nextBefore of the previous page.",
+            tags: ["messages"],
+            params: CHAT_PARAMS,
+            query: {
+                type: "object",
+                properties: {
+                    before: { type: "string", description: "Message id to page back from" },
+                    limit: PAGING_QUERY.limit,
+                    q: { type: "string" },
+                    ...FILTER_QUERY
+                }
+            },
+            responses: { 200: { description: "A page of messages", schema: { type: "object" } } },
+            handler: ({ user, params, query }) => {
+                const { sessionId } = loadSession(user, params.id);
+                const page = messageStore.history(sessionId, loadChat(sessionId, params.chat), {
+                    before: query.before,
+                    limit: query.limit,
+                    q: query.q,
+                    ...readFilters(query, toTargetJid)
+                });
+                if (!page) throw new ApiError(400, "invalid_cursor", `Message ${query.before} is not in this chat`);
+                return { body: page };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/messages/search",
+            operationId: "searchMessages",
+            summary: "Full-text search over the stored messages",
+            description: "Every word of q must occur (case- and accent-insensitive); chat limits the search to one chat.",
+            tags: ["messages"],
+            params: ID_PARAMS,
+            query: {
+                type: "object",
+                required: ["q"],
+                properties: {
+                    q: { type: "string", minLength: 1 },
+                    chat: { type: "string", description: "Phone number or JID" },
+                    ...PAGING_QUERY,
+                    ...FILTER_QUERY
+                }
+            },
+            responses: { 200: { description: "A page of matches", schema: { type: "object" } } },
+            handler: ({ user, params, query }) => {
+                const { sessionId } = loadSession(user, params.id);
+                if (!query.q.trim()) throw new ApiError(400, "validation_failed", "q must not be blank");
+                return {
+                    body: messageStore.search(sessionId, {
+                        q: query.q,
+                        chat: chatFilter(query.chat),
+                        limit: query.limit,
+                        offset: query.offset,
+                        ...readFilters(query, toTargetJid)
+                    })
+                };
+            }
+        },
+        {
+            method: "delete",
+            path: "/sessions/{id}/messages",
+            operationId: "purgeMessages",
+            summary: "Forget stored history: all of it, or one chat",
+            tags: ["messages"],
+            params: ID_PARAMS,
+            query: { type: "object", properties: { chat: { type: "string", description: "Phone number or JID" } } },
+            responses: { 200: { description: "Messages removed", schema: { type: "object", properties: { removed: { type: "integer" } } } } },
+            handler: ({ user, params, query }) => {
+                const { sessionId } = loadSession(user, params.id);
+                const chat = chatFilter(query.chat);
+                const removed = messageStore.purge(sessionId, chat);
+                auditLog.record(user, "session.history.purge", { sessionId, chat, removed });
+                return { body: { removed } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/history",
+            operationId: "getHistorySettings",
+            summary: "Effective retention settings",
+            description: "The session's overrides merged over the defaults.",
+            tags: ["messages"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Retention settings", schema: wrap("history", HISTORY) } },
+            handler: ({ user, params }) => ({ body: { history: messageStore.historyFor(loadSession(user, params.id).sessionId) } })
+        },
+        {
+            method: "put",
+            path: "/sessions/{id}/history",
+            operationId: "updateHistorySettings",
+            summary: "Change the retention settings",
+            description: "Any of enabled, retentionDays and maxPerChat; null lifts a limit, omitted fields are kept.",
+            tags: ["messages"],
+            params: ID_PARAMS,
+            body: { type: "object" },
+            responses: { 200: { description: "Retention settings", schema: wrap("history", HISTORY) } },
+            handler: ({ user, params, body }) => {
+                const record = loadSession(user, params.id);
+                let changes;
+                try {
+                    changes = validateHistoryConfig(body);
+                } catch (err) {
+                    throw new ApiError(400, "invalid_history", err.message);
+                }
+                sessionRegistry.update(record.sessionId, { history: { ...(record.history || {}), ...changes } });
+                auditLog.record(user, "session.history", { sessionId: record.sessionId, history: changes });
+                return { body: { history: messageStore.historyFor(record.sessionId) } };
+            }
+        }
+    ];
+};
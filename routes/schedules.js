@@ -0,0 +1,177 @@
+// routes/schedules.js
+// List, edit, pause / resume and cancel the caller's scheduled tasks. Schedules
+// are created through POST /tasks (or /send-message) with scheduleMode once or cron.
+const { ApiError, ID_PARAMS, list, ref, wrap } = require("../lib/api");
+const { ownsResource } = require("../lib/auth");
+const { OFFLINE_POLICIES, SCHEDULE_STATUS } = require("../lib/scheduler");
+
+const SCHEDULE_PATCH_BODY = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        label: { type: "string", nullable: true, maxLength: 64 },
+        runAt: { type: "string" },
+        cron: { type: "string" },
+        timezone: { type: "string" },
+        offlinePolicy: { type: "string", enum: OFFLINE_POLICIES },
+        deferMaxMinutes: { type: "integer", minimum: 1 },
+        delaySec: { type: "integer", minimum: 1, maximum: 86400 }
+    }
+};
+
+// Response shapes; the objects carry more fields than listed
+const SCHEMAS = {
+    Schedule: {
+        type: "object",
+        properties: {
+            id: { type: "string" },
+            sessionId: { type: "string" },
+            label: { type: "string", nullable: true },
+            status: { type: "string", enum: Object.values(SCHEDULE_STATUS) },
+            runAt: { type: "string", format: "date-time", nullable: true },
+            cron: { type: "string", nullable: true },
+            timezone: { type: "string" },
+            nextRunAt: { type: "string", format: "date-time", nullable: true },
+            offlinePolicy: { type: "string", enum: OFFLINE_POLICIES },
+            task: { type: "object" }
+        }
+    }
+};
+
+// Schedule without its stored message list details, for listings
+function describeSchedule(schedule) {
+    const { task, ...rest } = schedule;
+    return {
+        ...rest,
+        task: {
+            target: task.target,
+            targetJid: task.targetJid,
+            targetType: task.targetType,
+            delaySec: task.delaySec,
+            totalMessages: task.totalMessages,
+            mediaMessages: task.mediaMessages,
+            recipients: task.recipients ? task.recipients.length : null
+        }
+    };
+}
+
+module.exports = function scheduleRoutes({ scheduler, auditLog }) {
+    function loadSchedule(user, id) {
+        const schedule = scheduler.get(id);
+        if (!schedule || !ownsResource(user, schedule)) throw new ApiError(404, "schedule_not_found", "Schedule not found");
+        return schedule;
+    }
+
+    return [
+        {
+            method: "get",
+            path: "/schedules",
+            operationId: "listSchedules",
+            summary: "List the caller's schedules",
+            tags: ["schedules"],
+            query: {
+                type: "object",
+                properties: {
+                    status: { type: "string", enum: Object.values(SCHEDULE_STATUS) },
+                    sessionId: { type: "string" }
+                }
+            },
+            responses: { 200: { description: "Schedules", schema: list("schedules", ref("Schedule")) } },
+            handler: ({ user, query }) => {
+                const schedules = scheduler.list({ owner: user.id, status: query.status, sessionId: query.sessionId })
+                    .map(describeSchedule);
+                return { body: { total: schedules.length, schedules } };
+            }
+        },
+        {
+            method: "get",
+            path: "/schedules/{id}",
+            operationId: "getSchedule",
+            summary: "One schedule",
+            tags: ["schedules"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Schedule", schema: wrap("schedule", ref("Schedule")) } },
+            handler: ({ user, params }) => ({ body: { schedule: describeSchedule(loadSchedule(user, params.id)) } })
+        },
+        {
+            method: "patch",
+            path: "/schedules/{id}",
+            operationId: "updateSchedule",
+            summary: "Change a schedule's label, timing, offline policy or delay",
+            description: "A new runAt or cron replaces the old timing entirely.",
+            tags: ["schedules"],
+            params: ID_PARAMS,
+            body: SCHEDULE_PATCH_BODY,
+            responses: { 200: { description: "Updated schedule", schema: wrap("schedule", ref("Schedule")) } },
+            handler: ({ user, params, body }) => {
+                const current = loadSchedule(user, params.id);
+                if (current.status === SCHEDULE_STATUS.CANCELLED || current.status === SCHEDULE_STATUS.COMPLETED) {
+                    throw new ApiError(409, "schedule_finished", `Schedule is ${current.status}`);
+                }
+                let schedule;
+                try {
+                    schedule = scheduler.update(current.id, body);
+                } catch (err) {
+                    throw new ApiError(400, "invalid_schedule", err.message);
+                }
+                auditLog.record(user, "schedule.update", { scheduleId: schedule.id, changes: body });
+                return { body: { schedule: describeSchedule(schedule) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/schedules/{id}/pause",
+            operationId: "pauseSchedule",
+            summary: "Pause an active schedule",
+            tags: ["schedules"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Paused schedule", schema: wrap("schedule", ref("Schedule")) } },
+            handler: ({ user, params }) => {
+                const current = loadSchedule(user, params.id);
+                const schedule = scheduler.pause(current.id);
+                if (!schedule) throw new ApiError(409, "schedule_not_active", `Schedule is ${current.status}`);
+                auditLog.record(user, "schedule.pause", { scheduleId: schedule.id });
+                return { body: { schedule: describeSchedule(schedule) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/schedules/{id}/resume",
+            operationId: "resumeSchedule",
+            summary: "Resume a paused schedule",
+            tags: ["schedules"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Resumed schedule", schema: wrap("schedule", ref("Schedule")) } },
+            handler: ({ user, params }) => {
+                const current = loadSchedule(user, params.id);
+                let schedule;
+                try {
+                    schedule = scheduler.resume(current.id);
+                } catch (err) {
+                    throw new ApiError(409, "schedule_not_paused", err.message);
+                }
+                if (!schedule) throw new ApiError(409, "schedule_not_paused", `Schedule is ${current.status}`);
+                auditLog.record(user, "schedule.resume", { scheduleId: schedule.id });
+                return { body: { schedule: describeSchedule(schedule) } };
+            }
+        },
+        {
+            method: "delete",
+            path: "/schedules/{id}",
+            operationId: "cancelSchedule",
+            summary: "Cancel a schedule",
+            tags: ["schedules"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Cancelled schedule", schema: wrap("schedule", ref("Schedule")) } },
+            handler: ({ user, params }) => {
+                const schedule = scheduler.cancel(loadSchedule(user, params.id).id);
+                if (!schedule) throw new ApiError(409, "schedule_finished", "Schedule already cancelled");
+                auditLog.record(user, "schedule.cancel", { scheduleId: schedule.id });
+                return { body: { schedule: describeSchedule(schedule) } };
+            }
+        }
+    ];
+};
+
+module.exports.SCHEMAS = SCHEMAS;
+module.exports.describeSchedule = describeSchedule;
@@ -0,0 +1,341 @@
+// routes/sessions.js
+// Pair, list, label, log out, reconnect, delete, export and import the caller's
+// WhatsApp sessions, follow their pairing state and edit their sending policy
+const fs = require("fs");
+const { ApiError, ID_PARAMS, list, ref, wrap } = require("../lib/api");
+const { ownsResource } = require("../lib/auth");
+const { MIN_PASSPHRASE_LENGTH } = require("../lib/authState");
+const { openEventStream } = require("../lib/sse");
+const { validatePolicy } = require("../lib/sendPolicy");
+const { describeTask } = require("./tasks");
+
+const MAX_LABEL_LENGTH = 64;
+
+// Response shapes; the objects carry more fields than listed
+const SCHEMAS = {
+    Session: {
+        type: "object",
+        properties: {
+            sessionId: { type: "string" },
+            number: { type: "string" },
+            label: { type: "string", nullable: true },
+            connected: { type: "boolean" },
+            loggedOut: { type: "boolean" },
+            lastConnected: { type: "string", format: "date-time", nullable: true },
+            retryCount: { type: "integer" },
+            nextRetryAt: { type: "string", format: "date-time", nullable: true }
+        }
+    }
+};
+
+// The bundle comes as a file upload (field "bundle") or as a body field
+function readBundle(body, files) {
+    try {
+        const file = files.bundle?.[0];
+        if (file) return JSON.parse(fs.readFileSync(file.path, "utf-8"));
+        if (body.bundle) return typeof body.bundle === "string" ? JSON.parse(body.bundle) : body.bundle;
+    } catch {
+        // not JSON
+    }
+    throw new ApiError(400, "invalid_bundle", "bundle must be an exported session file");
+}
+
+module.exports = function sessionRoutes({
+    sessionRegistry,
+    describeSession,
+    pairSession,
+    logoutSession,
+    deleteSession,
+    reconnectSession,
+    exportSession,
+    importSession,
+    queueOf,
+    pairing,
+    sendPolicy,
+    toTargetJid,
+    auditLog,
+    loadSession
+}) {
+    return [
+        {
+            method: "get",
+            path: "/sessions",
+            operationId: "listSessions",
+            summary: "List the caller's sessions",
+            tags: ["sessions"],
+            responses: { 200: { description: "Sessions", schema: list("sessions", ref("Session")) } },
+            handler: ({ user }) => {
+                const sessions = sessionRegistry.list({ owner: user.id }).map(describeSession);
+                return { body: { total: sessions.length, sessions } };
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions",
+            operationId: "pairSession",
+            summary: "Pair a WhatsApp number",
+            description: "Starts a session for the number, or reuses the caller's session for it. Unless method is qr "
+                + "a pairing code is returned; the QR and connection progress are streamed on GET /sessions/{id}/events.",
+            tags: ["sessions"],
+            body: {
+                type: "object",
+                required: ["number"],
+                additionalProperties: false,
+                properties: {
+                    number: { type: "string", minLength: 1, description: "Number with country code, e.g. +9779829258991" },
+                    method: { type: "string", enum: ["code", "qr"], default: "code" }
+                }
+            },
+            responses: {
+                200: { description: "Existing session reused" },
+                201: {
+                    description: "Session created",
+                    schema: {
+                        type: "object",
+                        properties: {
+                            session: ref("Session"),
+                            pairingCode: { type: "string", nullable: true },
+                            alreadyPaired: { type: "boolean" }
+                        }
+                    }
+                }
+            },
+            handler: async ({ user, body }) => {
+                const { sessionId, created, registered, pairingCode } = await pairSession(user, body);
+                return {
+                    status: created ? 201 : 200,
+                    body: { session: describeSession(sessionRegistry.get(sessionId)), pairingCode, alreadyPaired: registered }
+                };
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/import",
+            operationId: "importSession",
+            summary: "Import an exported session",
+            description: "The bundle from POST /sessions/{id}/export, as a file or a body field, with its passphrase. "
+                + "The session is registered to the caller and connected right away.",
+            tags: ["sessions"],
+            body: {
+                type: "object",
+                required: ["passphrase"],
+                properties: {
+                    passphrase: { type: "string", minLength: 1 },
+                    bundle: { description: "The exported bundle, when it is not uploaded as a file" }
+                }
+            },
+            files: { bundle: { maxCount: 1, description: "The exported .wasession.json file" } },
+            responses: { 201: { description: "Imported session", schema: wrap("session", ref("Session")) } },
+            handler: async ({ user, body, files }) => {
+                const record = await importSession(user, readBundle(body, files), body.passphrase);
+                auditLog.record(user, "session.import", { sessionId: record.sessionId, number: record.number });
+                return { status: 201, body: { session: describeSession(record) } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}",
+            operationId: "getSession",
+            summary: "One session with its connection state",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Session", schema: wrap("session", ref("Session")) } },
+            handler: ({ user, params }) => ({ body: { session: describeSession(loadSession(user, params.id)) } })
+        },
+        {
+            method: "patch",
+            path: "/sessions/{id}",
+            operationId: "labelSession",
+            summary: "Set or clear the session's label",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            body: {
+                type: "object",
+                required: ["label"],
+                additionalProperties: false,
+                properties: { label: { type: "string", nullable: true, maxLength: MAX_LABEL_LENGTH } }
+            },
+            responses: { 200: { description: "Updated session", schema: wrap("session", ref("Session")) } },
+            handler: ({ user, params, body }) => {
+                const record = loadSession(user, params.id);
+                const updated = sessionRegistry.update(record.sessionId, { label: body.label ? body.label.trim() : null });
+                auditLog.record(user, "session.label", { sessionId: record.sessionId, label: updated.label });
+                return { body: { session: describeSession(updated) } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/queue",
+            operationId: "getSessionQueue",
+            summary: "The session's running tasks and its queue, next first",
+            description: "Tasks of other users on a shared session are counted but not shown.",
+            tags: ["sessions", "tasks"],
+            params: ID_PARAMS,
+            responses: {
+                200: {
+                    description: "Queue",
+                    schema: {
+                        type: "object",
+                        properties: {
+                            concurrency: { type: "integer", description: "Tasks that run at once on the session" },
+                            held: { type: "boolean", description: "The session is disconnected, nothing new starts" },
+                            running: { type: "array", items: ref("Task") },
+                            waiting: { type: "array", items: ref("Task") },
+                            hidden: { type: "integer" }
+                        }
+                    }
+                }
+            },
+            handler: ({ user, params }) => {
+                const record = loadSession(user, params.id);
+                const { concurrency, running, waiting } = queueOf(record.sessionId);
+                const own = task => ownsResource(user, task);
+                return {
+                    body: {
+                        concurrency,
+                        held: !describeSession(record).connected,
+                        running: running.filter(own).map(describeTask),
+                        waiting: waiting.filter(own).map(describeTask),
+                        hidden: [...running, ...waiting].filter(task => !own(task)).length
+                    }
+                };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/pairing",
+            operationId: "getSessionPairing",
+            summary: "Current QR / pairing-code / connection state",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Pairing state", schema: wrap("pairing", { type: "object" }) } },
+            handler: ({ user, params }) => ({ body: { pairing: pairing.get(loadSession(user, params.id).sessionId) } })
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/events",
+            operationId: "streamSessionEvents",
+            summary: "Server-sent pairing events",
+            description: "\"state\" once, then \"qr\", \"pairing-code\", \"pairing-code-expired\" and \"connection\" as they happen.",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            stream: true,
+            responses: { 200: { description: "Event stream", contentType: "text/event-stream" } },
+            handler: ({ user, params }, req, res) => {
+                const { sessionId } = loadSession(user, params.id);
+                let unsubscribe = null;
+                const send = openEventStream(req, res, () => unsubscribe && unsubscribe());
+                send("state", pairing.get(sessionId));
+                unsubscribe = pairing.subscribe(sessionId, send);
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/policy",
+            operationId: "getSessionPolicy",
+            summary: "Effective sending policy",
+            description: "The session's overrides merged over the defaults.",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Policy", schema: wrap("policy", { type: "object" }) } },
+            handler: ({ user, params }) => ({ body: { policy: sendPolicy.policyFor(loadSession(user, params.id).sessionId) } })
+        },
+        {
+            method: "put",
+            path: "/sessions/{id}/policy",
+            operationId: "updateSessionPolicy",
+            summary: "Change the session's sending policy",
+            description: "Any subset of the policy fields; null lifts a limit, omitted fields are kept.",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            body: { type: "object" },
+            responses: { 200: { description: "Effective policy", schema: wrap("policy", { type: "object" }) } },
+            handler: ({ user, params, body }) => {
+                const record = loadSession(user, params.id);
+                let changes;
+                try {
+                    changes = validatePolicy(body, toTargetJid);
+                } catch (err) {
+                    throw new ApiError(400, "invalid_policy", err.message);
+                }
+                sessionRegistry.update(record.sessionId, { policy: { ...(record.policy || {}), ...changes } });
+                auditLog.record(user, "session.policy", { sessionId: record.sessionId, policy: changes });
+                return { body: { policy: sendPolicy.policyFor(record.sessionId) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/{id}/logout",
+            operationId: "logoutSession",
+            summary: "Unlink the device",
+            description: "Credentials are dropped; the session stays listed so the number can be paired again.",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Logged-out session", schema: wrap("session", ref("Session")) } },
+            handler: async ({ user, params }) => {
+                const { sessionId } = loadSession(user, params.id);
+                await logoutSession(sessionId);
+                auditLog.record(user, "session.logout", { sessionId });
+                return { body: { session: describeSession(sessionRegistry.get(sessionId)) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/{id}/reconnect",
+            operationId: "reconnectSession",
+            summary: "Reconnect now",
+            description: "For a session halted after a replaced / forbidden close, or one waiting out its backoff.",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            responses: { 202: { description: "Reconnecting", schema: wrap("session", ref("Session")) } },
+            handler: async ({ user, params }) => {
+                const { sessionId, loggedOut } = loadSession(user, params.id);
+                if (loggedOut) throw new ApiError(409, "session_logged_out", "Session is logged out - pair the number again");
+                if (!(await reconnectSession(sessionId))) {
+                    throw new ApiError(409, "session_connected", "Session is already connected");
+                }
+                auditLog.record(user, "session.reconnect", { sessionId });
+                return { status: 202, body: { session: describeSession(sessionRegistry.get(sessionId)) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/{id}/export",
+            operationId: "exportSession",
+            summary: "Download the session's credentials, encrypted",
+            description: "Anyone with the file and the passphrase can run this number; import it with POST /sessions/import.",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            body: {
+                type: "object",
+                required: ["passphrase"],
+                additionalProperties: false,
+                properties: { passphrase: { type: "string", minLength: MIN_PASSPHRASE_LENGTH } }
+            },
+            responses: { 200: { description: "Encrypted bundle, as a .wasession.json download", schema: { type: "object" } } },
+            handler: async ({ user, params, body }) => {
+                const { sessionId } = loadSession(user, params.id);
+                const bundle = await exportSession(sessionId, body.passphrase);
+                auditLog.record(user, "session.export", { sessionId });
+                return { body: bundle, fileName: `${sessionId}.wasession.json` };
+            }
+        },
+        {
+            method: "delete",
+            path: "/sessions/{id}",
+            operationId: "deleteSession",
+            summary: "Log out and forget the session",
+            tags: ["sessions"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Deleted", schema: { type: "object", properties: { deleted: { type: "string" } } } } },
+            handler: async ({ user, params }) => {
+                const { sessionId } = loadSession(user, params.id);
+                await deleteSession(sessionId);
+                auditLog.record(user, "session.delete", { sessionId });
+                return { body: { deleted: sessionId } };
+            }
+        }
+    ];
+};
+
+module.exports.SCHEMAS = SCHEMAS;
@@ -0,0 +1,110 @@
+// routes/suppression.js
+// View and edit the caller's suppression list, and each session's opt-out keywords
+const { ApiError, ID_PARAMS, list } = require("../lib/api");
+const { keywordConfig, normalizeKeywords } = require("../lib/optOut");
+
+const KEYWORDS = {
+    type: "object",
+    properties: {
+        optOutKeywords: { type: "array", items: { type: "string" } },
+        optInKeywords: { type: "array", items: { type: "string" } }
+    }
+};
+
+module.exports = function suppressionRoutes({ suppression, sessionRegistry, toTargetJid, auditLog, loadSession }) {
+    return [
+        {
+            method: "get",
+            path: "/suppression",
+            operationId: "listSuppression",
+            summary: "Numbers and groups the caller never sends to",
+            tags: ["suppression"],
+            responses: { 200: { description: "Suppression list", schema: list("entries", { type: "object" }) } },
+            handler: ({ user }) => {
+                const entries = suppression.list(user.id);
+                return { body: { total: entries.length, entries } };
+            }
+        },
+        {
+            method: "post",
+            path: "/suppression",
+            operationId: "addSuppression",
+            summary: "Add a number or JID to the suppression list",
+            tags: ["suppression"],
+            body: {
+                type: "object",
+                required: ["target"],
+                additionalProperties: false,
+                properties: {
+                    target: { type: "string", minLength: 1, description: "Phone number or full JID" },
+                    note: { type: "string", nullable: true }
+                }
+            },
+            responses: { 201: { description: "Entry", schema: { type: "object", properties: { entry: { type: "object" } } } } },
+            handler: ({ user, body }) => {
+                const jid = toTargetJid(body.target);
+                if (!jid) throw new ApiError(400, "invalid_target", `Invalid target: ${body.target}`);
+                const entry = suppression.add({ owner: user.id, jid, reason: "manual", note: body.note ?? null });
+                auditLog.record(user, "suppression.add", { jid });
+                return { status: 201, body: { entry } };
+            }
+        },
+        {
+            method: "delete",
+            path: "/suppression/{target}",
+            operationId: "removeSuppression",
+            summary: "Take a number or JID off the suppression list",
+            tags: ["suppression"],
+            params: { type: "object", required: ["target"], properties: { target: { type: "string", minLength: 1 } } },
+            responses: { 200: { description: "Removed", schema: { type: "object", properties: { removed: { type: "string" } } } } },
+            handler: ({ user, params }) => {
+                const jid = toTargetJid(params.target);
+                if (!jid || !suppression.remove(user.id, jid)) {
+                    throw new ApiError(404, "not_suppressed", "Not on the suppression list");
+                }
+                auditLog.record(user, "suppression.remove", { jid });
+                return { body: { removed: jid } };
+            }
+        },
+        {
+            method: "get",
+            path: "/sessions/{id}/opt-out",
+            operationId: "getOptOutKeywords",
+            summary: "The session's opt-out and opt-in keywords",
+            tags: ["suppression"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Keywords", schema: KEYWORDS } },
+            handler: ({ user, params }) => ({ body: keywordConfig(loadSession(user, params.id)) })
+        },
+        {
+            method: "put",
+            path: "/sessions/{id}/opt-out",
+            operationId: "updateOptOutKeywords",
+            summary: "Change the session's opt-out and opt-in keywords",
+            description: "Omitted lists keep their value.",
+            tags: ["suppression"],
+            params: ID_PARAMS,
+            body: { ...KEYWORDS, additionalProperties: false },
+            responses: { 200: { description: "Keywords", schema: KEYWORDS } },
+            handler: ({ user, params, body }) => {
+                const record = loadSession(user, params.id);
+                const current = keywordConfig(record);
+                let optOut;
+                try {
+                    optOut = {
+                        optOutKeywords: body.optOutKeywords !== undefined ? normalizeKeywords(body.optOutKeywords) : current.optOutKeywords,
+                        optInKeywords: body.optInKeywords !== undefined ? normalizeKeywords(body.optInKeywords) : current.optInKeywords
+                    };
+                } catch (err) {
+                    throw new ApiError(400, "invalid_keywords", err.message);
+                }
+                if (optOut.optOutKeywords.some(k => optOut.optInKeywords.includes(k))) {
+                    throw new ApiError(400, "invalid_keywords", "A keyword cannot be both an opt-out and an opt-in keyword");
+                }
+                sessionRegistry.update(record.sessionId, { optOut });
+                auditLog.record(user, "session.opt_out_keywords", { sessionId: record.sessionId, ...optOut });
+                return { body: optOut };
+            }
+        }
+    ];
+};
@@ -0,0 +1,610 @@
+// routes/tasks.js
+// Start, list, pause, resume, reorder and stop sending tasks, commit dry-run
+// previews, stream task progress and serve message-level delivery reports
+const { ApiError, ID_PARAMS, ref, wrap } = require("../lib/api");
+const { ownsResource } = require("../lib/auth");
+const { toCsv } = require("../lib/csv");
+const { describeMessage, MAX_MEDIA_FILES } = require("../lib/media");
+const { addressMessage, summarizeRecipients } = require("../lib/contacts");
+const { describePreview } = require("../lib/previews");
+const { OFFLINE_POLICIES } = require("../lib/scheduler");
+const { TASK_STATUS } = require("../lib/taskStore");
+const { DEFAULT_PRIORITY, TASK_PRIORITIES } = require("../lib/taskQueue");
+const { openEventStream } = require("../lib/sse");
+const { describeSchedule } = require("./schedules");
+const { logger } = require("../lib/logger");
+
+const REPORT_COLUMNS = ["index", "to", "type", "text", "fileName", "status", "attempts", "messageId", "sentAt", "deliveredAt", "readAt", "error"];
+const RECIPIENT_COLUMNS = ["row", "name", "number", "jid", "status", "messages", "sent", "failed", "skipped", "reason"];
+const CSV_TYPE = "text/csv; charset=utf-8";
+const MAX_PAGE_SIZE = 1000;
+
+const page = (key, schema) => ({
+    type: "object",
+    properties: { total: { type: "integer" }, offset: { type: "integer" }, limit: { type: "integer" }, [key]: { type: "array", items: schema } }
+});
+
+// Body of POST /tasks - as JSON, or as multipart/form-data together with the files.
+// Also used to validate the legacy /send-message form.
+const SEND_TASK_BODY = {
+    type: "object",
+    required: ["delaySec"],
+    properties: {
+        sessionId: { type: "string", description: "Session to send from; may be left out when the caller has exactly one" },
+        target: {
+            type: "string",
+            description: "Phone number (international, or national in DEFAULT_COUNTRY) or group id; not needed with a contactsFile"
+        },
+        targetType: { type: "string", enum: ["number", "group"] },
+        delaySec: { type: "integer", minimum: 1, maximum: 86400, description: "Seconds between messages" },
+        priority: {
+            type: "string",
+            enum: TASK_PRIORITIES,
+            default: DEFAULT_PRIORITY,
+            description: "Place in the session's queue: behind every waiting task of the same or a higher priority"
+        },
+        prefix: { type: "string", maxLength: 1000 },
+        template: { type: "string", description: "One (multi-line) message; {{placeholders}} are filled from the contact list" },
+        messages: { type: "array", items: { type: "string" }, maxItems: 10000, description: "Text messages, sent in order" },
+        script: {
+            description: "Message script: a list of entries or { defaults, messages }, as JSON or as its JSON / YAML text. "
+                + "Entries have text plus optional id, mentions, quote, quoteMessageId, linkPreview and delaySec"
+        },
+        caption: { type: "string", description: "Caption of the media messages" },
+        voiceNote: { type: "boolean", default: false, description: "Send audio as a voice note" },
+        scheduleMode: { type: "string", enum: ["now", "once", "cron"], default: "now" },
+        label: { type: "string", maxLength: 64 },
+        runAt: { type: "string", description: "With scheduleMode once: local time YYYY-MM-DDTHH:mm in `timezone`, or ISO 8601" },
+        cron: { type: "string", description: "With scheduleMode cron: five-field cron expression" },
+        timezone: { type: "string", description: "IANA time zone, e.g. Asia/Kathmandu" },
+        offlinePolicy: { type: "string", enum: OFFLINE_POLICIES },
+        deferMaxMinutes: { type: "integer", minimum: 1 },
+        dryRun: {
+            type: "boolean",
+            default: false,
+            description: "Check and render everything but send nothing; the preview's token starts it later"
+        }
+    }
+};
+
+const REORDER_BODY = {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+        position: { type: "integer", minimum: 1, description: "New place in line, 1 = next to run" },
+        priority: { type: "string", enum: TASK_PRIORITIES, description: "New priority; without position the task moves by it" }
+    }
+};
+
+const TOKEN_PARAMS = {
+    type: "object",
+    required: ["token"],
+    properties: { token: { type: "string", minLength: 1 } }
+};
+
+const SEND_TASK_FILES = {
+    messageFile: { maxCount: 1, description: "Text file, one message per line; a .json / .yaml file is a message script" },
+    mediaFiles: { maxCount: MAX_MEDIA_FILES, description: "Images, video, audio or documents, sent before the text" },
+    thumbnail: { maxCount: 1, description: "Small JPEG thumbnail for the media" },
+    contactsFile: { maxCount: 1, description: "CSV with a number column; other columns fill {{placeholders}}" }
+};
+
+// Response shapes; the objects carry more fields than listed
+const SCHEMAS = {
+    Task: {
+        type: "object",
+        properties: {
+            id: { type: "string" },
+            sessionId: { type: "string" },
+            target: { type: "string" },
+            targetJid: { type: "string", nullable: true },
+            targetType: { type: "string", enum: ["number", "group", "contacts"] },
+            status: { type: "string", enum: Object.values(TASK_STATUS) },
+            priority: { type: "string", enum: TASK_PRIORITIES },
+            queuePosition: { type: "integer", nullable: true, description: "Place in the session's queue while waiting, 1 = next" },
+            pauseRequested: { type: "boolean", description: "Pausing after the message being sent" },
+            delaySec: { type: "number" },
+            totalMessages: { type: "integer" },
+            sentMessages: { type: "integer" },
+            failedMessages: { type: "integer" },
+            skippedMessages: { type: "integer" },
+            processed: { type: "integer" },
+            progress: { type: "integer", minimum: 0, maximum: 100 },
+            etaSeconds: { type: "integer", nullable: true },
+            recipients: { type: "object", nullable: true },
+            startedAt: { type: "string", format: "date-time" },
+            endedAt: { type: "string", format: "date-time", nullable: true }
+        }
+    },
+    Preview: {
+        type: "object",
+        properties: {
+            token: { type: "string" },
+            sessionId: { type: "string" },
+            expiresAt: { type: "string", format: "date-time" },
+            target: { type: "string" },
+            targetJid: { type: "string", nullable: true },
+            targetType: { type: "string", enum: ["number", "group", "contacts"] },
+            delaySec: { type: "number" },
+            totalMessages: { type: "integer" },
+            mediaMessages: { type: "integer" },
+            estimatedDurationSec: { type: "integer", description: "Time the delays between the messages add up to" },
+            schedule: { type: "object", nullable: true },
+            recipients: { type: "array", nullable: true, items: { type: "object" } },
+            messages: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        index: { type: "integer" },
+                        to: { type: "string" },
+                        type: { type: "string" },
+                        text: { type: "string" },
+                        fileName: { type: "string" }
+                    }
+                }
+            }
+        }
+    },
+    RejectedRow: {
+        type: "object",
+        properties: {
+            row: { type: "integer" },
+            number: { type: "string", nullable: true },
+            reason: { type: "string" }
+        }
+    }
+};
+
+// Task snapshot plus derived progress fields for API consumers and the UI. The
+// per-recipient list of a contact-list task is summarised here and served by
+// /tasks/{id}/recipients.
+function describeTask(task) {
+    const { recipients, rejectedRows, entryDelays, ...rest } = task;
+    const processed = task.cursor || 0;
+    const remaining = Math.max(task.totalMessages - processed, 0);
+    // Script entries may set their own wait; other tasks wait delaySec after each message
+    const remainingWaitSec = entryDelays
+        ? entryDelays.slice(processed).reduce((total, delaySec) => total + delaySec, 0)
+        : remaining * (task.delaySec || 1);
+    return {
+        ...rest,
+        recipients: summarizeRecipients(task),
+        processed,
+        progress: task.totalMessages > 0 ? Math.round((processed / task.totalMessages) * 100) : 100,
+        // Remaining messages at the task's pace; unknown while it waits for its
+        // session or its owner, zero once it ended
+        etaSeconds: task.endedAt ? 0 : task.paused || task.status === TASK_STATUS.PAUSED ? null : remainingWaitSec
+    };
+}
+
+function matchesFilters(task, { status, sessionId, target, active, since, until }) {
+    if (status && !status.split(",").includes(task.status)) return false;
+    if (sessionId && task.sessionId !== sessionId) return false;
+    if (target && !`${task.target} ${task.targetJid}`.includes(target)) return false;
+    if (active === "true" && task.endedAt) return false;
+    if (active === "false" && !task.endedAt) return false;
+    const startedAt = new Date(task.startedAt).getTime();
+    if (since && startedAt < new Date(since).getTime()) return false;
+    if (until && startedAt > new Date(until).getTime()) return false;
+    return true;
+}
+
+module.exports = function taskRoutes({
+    activeTasks,
+    taskStore,
+    reports,
+    taskEvents,
+    requestStop,
+    pauseTask,
+    resumeTask,
+    moveTask,
+    createSendTask,
+    previews,
+    commitPreview,
+    auditLog
+}) {
+    // Live copy first, then the store; someone else's task is reported like a missing one
+    function loadTask(user, id) {
+        const task = activeTasks.get(id) || taskStore.get(id);
+        if (!task || !ownsResource(user, task)) throw new ApiError(404, "task_not_found", "Task not found");
+        return task;
+    }
+
+    function loadContactsTask(user, id) {
+        const task = loadTask(user, id);
+        if (!task.recipients) throw new ApiError(404, "no_contact_list", "Task has no contact list");
+        return task;
+    }
+
+    function loadPreview(user, token) {
+        const preview = previews.get(token);
+        if (!preview || !ownsResource(user, preview)) throw new ApiError(404, "preview_not_found", "Preview not found or expired");
+        return preview;
+    }
+
+    function messageRows(task) {
+        const messages = taskStore.loadMessages(task.id);
+        const entries = reports.get(task.id);
+        return messages.map((entry, index) => {
+            const { to, recipient, message } = addressMessage(task, entry);
+            return {
+                index,
+                to,
+                recipient,
+                ...describeMessage(message, task.prefix),
+                status: "queued",
+                attempts: 0,
+                ...entries[index]
+            };
+        });
+    }
+
+    // Recipients of a contact-list task, followed by the rows that were never messaged
+    function recipientRows(task) {
+        return [
+            ...(task.recipients || []).map(({ fields, ...recipient }) => ({ ...recipient, reason: null })),
+            ...(task.rejectedRows || []).map(row => ({ ...row, jid: null, status: "rejected", messages: 0, sent: 0, failed: 0, skipped: 0 }))
+        ];
+    }
+
+    return [
+        {
+            method: "get",
+            path: "/tasks",
+            operationId: "listTasks",
+            summary: "List the caller's tasks, newest first",
+            tags: ["tasks"],
+            query: {
+                type: "object",
+                properties: {
+                    status: { type: "string", description: "Comma-separated statuses" },
+                    sessionId: { type: "string" },
+                    target: { type: "string", description: "Substring of the target or its JID" },
+                    active: { type: "boolean" },
+                    since: { type: "string", format: "date-time" },
+                    until: { type: "string", format: "date-time" },
+                    limit: { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE, default: 100 },
+                    offset: { type: "integer", minimum: 0, default: 0 }
+                }
+            },
+            responses: { 200: { description: "A page of tasks", schema: page("tasks", ref("Task")) } },
+            handler: ({ user, query }) => {
+                const filters = { ...query, active: query.active === undefined ? undefined : String(query.active) };
+                const matching = taskStore.list({ owner: user.id, limit: Infinity })
+                    .map(task => activeTasks.get(task.id) || task)
+                    .filter(task => matchesFilters(task, filters));
+                return {
+                    body: {
+                        total: matching.length,
+                        offset: query.offset,
+                        limit: query.limit,
+                        tasks: matching.slice(query.offset, query.offset + query.limit).map(describeTask)
+                    }
+                };
+            }
+        },
+        {
+            method: "post",
+            path: "/tasks",
+            operationId: "createTask",
+            summary: "Start sending, or schedule a send",
+            description: "Send to one number or group (target + targetType) or to every row of a contactsFile. "
+                + "Messages come from messages, template, a messageFile and mediaFiles. With scheduleMode once or cron "
+                + "a schedule is created instead of a task. With dryRun nothing is sent: the answer is a preview of "
+                + "every message, committed with POST /previews/{token}/commit. Files need multipart/form-data.",
+            tags: ["tasks"],
+            body: SEND_TASK_BODY,
+            files: SEND_TASK_FILES,
+            responses: {
+                200: {
+                    description: "Dry run: what would be sent",
+                    schema: {
+                        type: "object",
+                        properties: { preview: ref("Preview"), rejectedRows: { type: "array", items: ref("RejectedRow") } }
+                    }
+                },
+                201: {
+                    description: "Task started (task) or schedule created (schedule)",
+                    schema: {
+                        type: "object",
+                        properties: {
+                            task: ref("Task"),
+                            schedule: ref("Schedule"),
+                            rejectedRows: { type: "array", items: ref("RejectedRow") }
+                        }
+                    }
+                }
+            },
+            handler: async ({ user, body, files }) => {
+                const { task, schedule, preview } = await createSendTask(user, body, files);
+                if (preview) {
+                    return { body: { preview: describePreview(preview), rejectedRows: preview.plan.rejectedRows || [] } };
+                }
+                const plan = task || schedule.task;
+                return {
+                    status: 201,
+                    body: {
+                        ...(task ? { task: describeTask(task) } : { schedule: describeSchedule(schedule) }),
+                        rejectedRows: plan.rejectedRows || []
+                    }
+                };
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/events",
+            operationId: "streamTasksEvents",
+            summary: "Server-sent events for every task of the caller",
+            description: "\"task\" events carrying { type, index?, task }.",
+            tags: ["tasks"],
+            stream: true,
+            responses: { 200: { description: "Event stream", contentType: "text/event-stream" } },
+            handler: ({ user }, req, res) => {
+                const listener = ({ type, task, index }) => {
+                    if (!ownsResource(user, task)) return;
+                    send("task", { type, index, task: describeTask(task) });
+                };
+                const send = openEventStream(req, res, () => taskEvents.off("task", listener));
+                taskEvents.on("task", listener);
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/{id}",
+            operationId: "getTask",
+            summary: "One task with its delivery summary",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: {
+                200: {
+                    description: "Task",
+                    schema: { type: "object", properties: { task: ref("Task"), delivery: { type: "object" } } }
+                }
+            },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                return { body: { task: describeTask(task), delivery: reports.summary(task.id) } };
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/{id}/events",
+            operationId: "streamTaskEvents",
+            summary: "Server-sent events for one task",
+            description: "\"state\" once, then one event per change, named after its type (queued, reordered, started, "
+                + "sent, failed, skipped, pause-requested, paused, resumed, interrupted, stop-requested, finished).",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            stream: true,
+            responses: { 200: { description: "Event stream", contentType: "text/event-stream" } },
+            handler: ({ user, params }, req, res) => {
+                const current = loadTask(user, params.id);
+                const taskId = current.id;
+                const listener = ({ type, task, index }) => {
+                    if (task.id !== taskId) return;
+                    send(type, { index, task: describeTask(task) });
+                };
+                const send = openEventStream(req, res, () => taskEvents.off("task", listener));
+                send("state", { task: describeTask(current), delivery: reports.summary(taskId) });
+                taskEvents.on("task", listener);
+            }
+        },
+        {
+            method: "post",
+            path: "/tasks/{id}/stop",
+            operationId: "stopTask",
+            summary: "Stop a task after the message being sent",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: { 202: { description: "Stop requested", schema: wrap("task", ref("Task")) } },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                if (!requestStop(task)) throw new ApiError(409, "task_finished", "Task already finished");
+                auditLog.record(user, "task.stop", { taskId: task.id, sessionId: task.sessionId });
+                logger.info({ taskId: task.id, sessionId: task.sessionId }, "Stop requested");
+                return { status: 202, body: { task: describeTask(task) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/tasks/{id}/pause",
+            operationId: "pauseTask",
+            summary: "Pause a task",
+            description: "A waiting task keeps its place in the queue; a running one pauses after the message "
+                + "being sent and goes to the front of the queue.",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Paused, or pausing (pauseRequested)", schema: wrap("task", ref("Task")) } },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                if (!pauseTask(task)) {
+                    throw new ApiError(409, "task_not_pausable", task.endedAt ? "Task already finished" : "Task is already paused or stopping");
+                }
+                auditLog.record(user, "task.pause", { taskId: task.id, sessionId: task.sessionId });
+                return { body: { task: describeTask(task) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/tasks/{id}/resume",
+            operationId: "resumeTask",
+            summary: "Resume a paused task",
+            description: "The task waits for its turn in the queue again, at the place it kept.",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Resumed task", schema: wrap("task", ref("Task")) } },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                if (!resumeTask(task)) throw new ApiError(409, "task_not_paused", `Task is ${task.status}`);
+                auditLog.record(user, "task.resume", { taskId: task.id, sessionId: task.sessionId });
+                return { body: { task: describeTask(task) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/tasks/{id}/reorder",
+            operationId: "reorderTask",
+            summary: "Move a waiting task in its session's queue",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            body: REORDER_BODY,
+            responses: { 200: { description: "Moved task", schema: wrap("task", ref("Task")) } },
+            handler: ({ user, params, body }) => {
+                if (body.position === undefined && body.priority === undefined) {
+                    throw new ApiError(400, "validation_failed", "Give a position or a priority");
+                }
+                const task = loadTask(user, params.id);
+                if (!moveTask(task, body)) throw new ApiError(409, "task_not_queued", `Task is ${task.status}, not waiting in the queue`);
+                auditLog.record(user, "task.reorder", { taskId: task.id, sessionId: task.sessionId, ...body });
+                return { body: { task: describeTask(task) } };
+            }
+        },
+        {
+            method: "delete",
+            path: "/tasks/{id}",
+            operationId: "cancelTask",
+            summary: "Cancel a task",
+            description: "A waiting or paused task ends at once; a running one stops after the message being sent, "
+                + "like POST /tasks/{id}/stop.",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Cancelled (or stopping) task", schema: wrap("task", ref("Task")) } },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                if (!requestStop(task)) throw new ApiError(409, "task_finished", "Task already finished");
+                auditLog.record(user, "task.cancel", { taskId: task.id, sessionId: task.sessionId });
+                return { body: { task: describeTask(task) } };
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/{id}/messages",
+            operationId: "getTaskMessages",
+            summary: "Every message of a task with its delivery state",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: {
+                200: {
+                    description: "Delivery report",
+                    schema: {
+                        type: "object",
+                        properties: { taskId: { type: "string" }, summary: { type: "object" }, messages: { type: "array", items: { type: "object" } } }
+                    }
+                }
+            },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                return { body: { taskId: task.id, summary: reports.summary(task.id), messages: messageRows(task) } };
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/{id}/messages.csv",
+            operationId: "downloadTaskMessages",
+            summary: "The delivery report as CSV",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "CSV download", contentType: "text/csv" } },
+            handler: ({ user, params }) => {
+                const task = loadTask(user, params.id);
+                return { type: CSV_TYPE, fileName: `${task.id}-messages.csv`, body: toCsv(messageRows(task), REPORT_COLUMNS) };
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/{id}/recipients",
+            operationId: "getTaskRecipients",
+            summary: "Recipients of a contact-list task, and the rows that were rejected",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: {
+                200: {
+                    description: "Recipients",
+                    schema: {
+                        type: "object",
+                        properties: {
+                            taskId: { type: "string" },
+                            summary: { type: "object" },
+                            recipients: { type: "array", items: { type: "object" } },
+                            rejected: { type: "array", items: ref("RejectedRow") }
+                        }
+                    }
+                }
+            },
+            handler: ({ user, params }) => {
+                const task = loadContactsTask(user, params.id);
+                return {
+                    body: {
+                        taskId: task.id,
+                        summary: summarizeRecipients(task),
+                        recipients: task.recipients,
+                        rejected: task.rejectedRows || []
+                    }
+                };
+            }
+        },
+        {
+            method: "get",
+            path: "/tasks/{id}/recipients.csv",
+            operationId: "downloadTaskRecipients",
+            summary: "Recipients and rejected rows as CSV",
+            tags: ["tasks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "CSV download", contentType: "text/csv" } },
+            handler: ({ user, params }) => {
+                const task = loadContactsTask(user, params.id);
+                return { type: CSV_TYPE, fileName: `${task.id}-recipients.csv`, body: toCsv(recipientRows(task), RECIPIENT_COLUMNS) };
+            }
+        },
+        {
+            method: "get",
+            path: "/previews/{token}",
+            operationId: "getPreview",
+            summary: "A dry run's preview",
+            tags: ["tasks"],
+            params: TOKEN_PARAMS,
+            responses: { 200: { description: "Preview", schema: wrap("preview", ref("Preview")) } },
+            handler: ({ user, params }) => ({ body: { preview: describePreview(loadPreview(user, params.token)) } })
+        },
+        {
+            method: "post",
+            path: "/previews/{token}/commit",
+            operationId: "commitPreview",
+            summary: "Start the previewed send unchanged",
+            description: "Starts the task (or creates the schedule) exactly as previewed. The session, opt-outs and "
+                + "the sending policy are checked again; the preview can be committed once.",
+            tags: ["tasks"],
+            params: TOKEN_PARAMS,
+            responses: {
+                201: {
+                    description: "Task started (task) or schedule created (schedule)",
+                    schema: { type: "object", properties: { task: ref("Task"), schedule: ref("Schedule") } }
+                }
+            },
+            handler: ({ user, params }) => {
+                const { task, schedule } = commitPreview(user, params.token);
+                return { status: 201, body: task ? { task: describeTask(task) } : { schedule: describeSchedule(schedule) } };
+            }
+        },
+        {
+            method: "delete",
+            path: "/previews/{token}",
+            operationId: "discardPreview",
+            summary: "Drop a preview without sending",
+            tags: ["tasks"],
+            params: TOKEN_PARAMS,
+            responses: { 204: { description: "Preview dropped" } },
+            handler: ({ user, params }) => {
+                previews.discard(loadPreview(user, params.token).token);
+                auditLog.record(user, "task.preview.discard", { previewToken: params.token });
+                return { status: 204 };
+            }
+        }
+    ];
+};
+
+module.exports.SCHEMAS = SCHEMAS;
+module.exports.SEND_TASK_BODY = SEND_TASK_BODY;
+module.exports.describeTask = describeTask;
+module.exports.matchesFilters = matchesFilters;
@@ -0,0 +1,111 @@
+// routes/users.js
+// Account management (admin only) and audit log access
+const { ApiError, ID_PARAMS, wrap } = require("../lib/api");
+
+module.exports = function userRoutes({ userStore, auditLog }) {
+    return [
+        {
+            method: "get",
+            path: "/me",
+            operationId: "getMe",
+            summary: "The calling account",
+            tags: ["users"],
+            responses: { 200: { description: "Account", schema: wrap("user", { type: "object" }) } },
+            handler: ({ user }) => ({ body: { user } })
+        },
+        {
+            method: "get",
+            path: "/users",
+            operationId: "listUsers",
+            summary: "All accounts",
+            tags: ["users"],
+            admin: true,
+            responses: { 200: { description: "Accounts", schema: wrap("users", { type: "array", items: { type: "object" } }) } },
+            handler: () => ({ body: { users: userStore.list() } })
+        },
+        {
+            method: "post",
+            path: "/users",
+            operationId: "createUser",
+            summary: "Create an account",
+            description: "The API key is only returned in this response.",
+            tags: ["users"],
+            admin: true,
+            body: {
+                type: "object",
+                required: ["name"],
+                additionalProperties: false,
+                properties: { name: { type: "string", minLength: 1 }, admin: { type: "boolean", default: false } }
+            },
+            responses: {
+                201: { description: "Account and its key", schema: { type: "object", properties: { user: { type: "object" }, apiKey: { type: "string" } } } }
+            },
+            handler: ({ user: caller, body }) => {
+                let created;
+                try {
+                    created = userStore.create({ name: body.name, admin: body.admin });
+                } catch (err) {
+                    throw new ApiError(400, "invalid_user", err.message);
+                }
+                const { user, apiKey } = created;
+                auditLog.record(caller, "user.create", { targetUserId: user.id, targetUserName: user.name });
+                return { status: 201, body: { user, apiKey } };
+            }
+        },
+        {
+            method: "post",
+            path: "/users/{id}/rotate-key",
+            operationId: "rotateUserKey",
+            summary: "Replace an account's API key",
+            tags: ["users"],
+            admin: true,
+            params: ID_PARAMS,
+            responses: {
+                200: { description: "Account and its new key", schema: { type: "object", properties: { user: { type: "object" }, apiKey: { type: "string" } } } }
+            },
+            handler: ({ user, params }) => {
+                const result = userStore.rotateKey(params.id);
+                if (!result) throw new ApiError(404, "user_not_found", "User not found");
+                auditLog.record(user, "user.rotate_key", { targetUserId: params.id });
+                return { body: result };
+            }
+        },
+        {
+            method: "delete",
+            path: "/users/{id}",
+            operationId: "deleteUser",
+            summary: "Delete an account",
+            tags: ["users"],
+            admin: true,
+            params: ID_PARAMS,
+            responses: { 200: { description: "Deleted", schema: { type: "object", properties: { deleted: { type: "string" } } } } },
+            handler: ({ user, params }) => {
+                if (params.id === user.id) throw new ApiError(400, "cannot_delete_self", "You cannot delete your own account");
+                if (!userStore.remove(params.id)) throw new ApiError(404, "user_not_found", "User not found");
+                auditLog.record(user, "user.delete", { targetUserId: params.id });
+                return { body: { deleted: params.id } };
+            }
+        },
+        {
+            method: "get",
+            path: "/audit",
+            operationId: "readAuditLog",
+            summary: "Audit trail, newest first",
+            description: "Callers see their own trail; admins may pass userId or see everything.",
+            tags: ["users"],
+            query: {
+                type: "object",
+                properties: {
+                    userId: { type: "string" },
+                    action: { type: "string" },
+                    limit: { type: "integer", minimum: 1, maximum: 1000, default: 200 }
+                }
+            },
+            responses: { 200: { description: "Audit entries", schema: wrap("entries", { type: "array", items: { type: "object" } }) } },
+            handler: ({ user, query }) => {
+                const userId = user.admin ? query.userId : user.id;
+                return { body: { entries: auditLog.read({ userId, action: query.action, limit: query.limit }) } };
+            }
+        }
+    ];
+};
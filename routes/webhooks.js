@@ -0,0 +1,196 @@
+// routes/webhooks.js
+// Register, edit, test and remove webhooks on the caller's sessions, and read
+// deliveries that ended up in the dead-letter log
+const { ApiError, ID_PARAMS, list, wrap } = require("../lib/api");
+const { ownsResource } = require("../lib/auth");
+const { WEBHOOK_EVENTS, describeWebhook } = require("../lib/webhooks");
+
+const WEBHOOK = { type: "object" };
+
+module.exports = function webhookRoutes({ webhooks, auditLog, loadSession }) {
+    function loadWebhook(user, id) {
+        const webhook = webhooks.get(id);
+        if (!webhook || !ownsResource(user, webhook)) throw new ApiError(404, "webhook_not_found", "Webhook not found");
+        return webhook;
+    }
+
+    return [
+        {
+            method: "get",
+            path: "/sessions/{id}/webhooks",
+            operationId: "listSessionWebhooks",
+            summary: "Webhooks of one session",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Webhooks", schema: list("webhooks", WEBHOOK) } },
+            handler: ({ user, params }) => {
+                const { sessionId } = loadSession(user, params.id);
+                const found = webhooks.list({ owner: user.id, sessionId }).map(describeWebhook);
+                return { body: { total: found.length, webhooks: found } };
+            }
+        },
+        {
+            method: "post",
+            path: "/sessions/{id}/webhooks",
+            operationId: "createWebhook",
+            summary: "Register a webhook",
+            description: "The signing secret is only returned here and on rotation.",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            body: {
+                type: "object",
+                required: ["url"],
+                properties: {
+                    url: { type: "string", minLength: 1 },
+                    events: {
+                        type: "array",
+                        items: { type: "string", enum: WEBHOOK_EVENTS },
+                        description: "Event types to forward; all when left out"
+                    }
+                }
+            },
+            responses: {
+                201: {
+                    description: "Webhook and its secret",
+                    schema: { type: "object", properties: { webhook: WEBHOOK, secret: { type: "string" } } }
+                }
+            },
+            handler: ({ user, params, body }) => {
+                const { sessionId } = loadSession(user, params.id);
+                let webhook;
+                try {
+                    webhook = webhooks.create({ owner: user.id, sessionId, url: body.url, events: body.events });
+                } catch (err) {
+                    throw new ApiError(400, "invalid_webhook", err.message);
+                }
+                auditLog.record(user, "webhook.create", {
+                    webhookId: webhook.id,
+                    sessionId: webhook.sessionId,
+                    url: webhook.url,
+                    events: webhook.events
+                });
+                return { status: 201, body: { webhook: describeWebhook(webhook), secret: webhook.secret } };
+            }
+        },
+        {
+            method: "get",
+            path: "/webhooks",
+            operationId: "listWebhooks",
+            summary: "Webhooks of all the caller's sessions",
+            tags: ["webhooks"],
+            responses: { 200: { description: "Webhooks", schema: list("webhooks", WEBHOOK) } },
+            handler: ({ user }) => {
+                const found = webhooks.list({ owner: user.id }).map(describeWebhook);
+                return { body: { total: found.length, webhooks: found } };
+            }
+        },
+        {
+            method: "get",
+            path: "/webhooks/dead-letters",
+            operationId: "listWebhookDeadLetters",
+            summary: "Deliveries that failed for good, newest first",
+            tags: ["webhooks"],
+            query: {
+                type: "object",
+                properties: {
+                    webhookId: { type: "string" },
+                    limit: { type: "integer", minimum: 1, maximum: 1000, default: 100 }
+                }
+            },
+            responses: { 200: { description: "Dead letters", schema: list("entries", { type: "object" }) } },
+            handler: ({ user, query }) => {
+                const entries = webhooks.readDeadLetters({ owner: user.id, webhookId: query.webhookId, limit: query.limit });
+                return { body: { total: entries.length, entries } };
+            }
+        },
+        {
+            method: "get",
+            path: "/webhooks/{id}",
+            operationId: "getWebhook",
+            summary: "One webhook with its last delivery result",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Webhook", schema: wrap("webhook", WEBHOOK) } },
+            handler: ({ user, params }) => ({ body: { webhook: describeWebhook(loadWebhook(user, params.id)) } })
+        },
+        {
+            method: "patch",
+            path: "/webhooks/{id}",
+            operationId: "updateWebhook",
+            summary: "Change a webhook's url, events or enabled flag",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            body: {
+                type: "object",
+                additionalProperties: false,
+                properties: {
+                    url: { type: "string", minLength: 1 },
+                    events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+                    enabled: { type: "boolean" }
+                }
+            },
+            responses: { 200: { description: "Updated webhook", schema: wrap("webhook", WEBHOOK) } },
+            handler: ({ user, params, body }) => {
+                const current = loadWebhook(user, params.id);
+                let webhook;
+                try {
+                    webhook = webhooks.update(current.id, body);
+                } catch (err) {
+                    throw new ApiError(400, "invalid_webhook", err.message);
+                }
+                auditLog.record(user, "webhook.update", { webhookId: webhook.id, changes: body });
+                return { body: { webhook: describeWebhook(webhook) } };
+            }
+        },
+        {
+            method: "post",
+            path: "/webhooks/{id}/rotate-secret",
+            operationId: "rotateWebhookSecret",
+            summary: "Replace the signing secret",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            responses: {
+                200: {
+                    description: "Webhook and its new secret",
+                    schema: { type: "object", properties: { webhook: WEBHOOK, secret: { type: "string" } } }
+                }
+            },
+            handler: ({ user, params }) => {
+                const webhook = webhooks.rotateSecret(loadWebhook(user, params.id).id);
+                auditLog.record(user, "webhook.rotate_secret", { webhookId: webhook.id });
+                return { body: { webhook: describeWebhook(webhook), secret: webhook.secret } };
+            }
+        },
+        {
+            method: "post",
+            path: "/webhooks/{id}/test",
+            operationId: "testWebhook",
+            summary: "Queue a signed ping delivery",
+            description: "The result shows up as the webhook's lastResult.",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            responses: { 202: { description: "Ping queued", schema: { type: "object", properties: { deliveryId: { type: "string" } } } } },
+            handler: ({ user, params }) => {
+                const webhook = loadWebhook(user, params.id);
+                if (!webhook.enabled) throw new ApiError(409, "webhook_disabled", "Webhook is disabled");
+                const delivery = webhooks.ping(webhook.id);
+                return { status: 202, body: { deliveryId: delivery.id } };
+            }
+        },
+        {
+            method: "delete",
+            path: "/webhooks/{id}",
+            operationId: "deleteWebhook",
+            summary: "Remove a webhook",
+            tags: ["webhooks"],
+            params: ID_PARAMS,
+            responses: { 200: { description: "Deleted", schema: { type: "object", properties: { deleted: { type: "string" } } } } },
+            handler: ({ user, params }) => {
+                const webhook = loadWebhook(user, params.id);
+                webhooks.remove(webhook.id);
+                auditLog.record(user, "webhook.delete", { webhookId: webhook.id, sessionId: webhook.sessionId });
+                return { body: { deleted: webhook.id } };
+            }
+        }
+    ];
+};
@@ -0,0 +1,125 @@
+// test/api.test.js
+// The versioned JSON API: route definitions served under /api/v1, input
+// validation, the shared error shape and the OpenAPI document built from them
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { API_KEY, startServer, waitFor } = require("./helpers");
+const { ApiError, validate } = require("../lib/api");
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000180");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+test("validate coerces form values and lists every problem", () => {
+    const schema = {
+        type: "object",
+        required: ["delaySec"],
+        additionalProperties: false,
+        properties: {
+            delaySec: { type: "integer", minimum: 1 },
+            voiceNote: { type: "boolean" },
+            messages: { type: "array", items: { type: "string" } }
+        }
+    };
+    assert.deepEqual(
+        validate(schema, { delaySec: "5", voiceNote: "on", messages: "hi" }, { coerce: true }),
+        { delaySec: 5, voiceNote: true, messages: ["hi"] }
+    );
+
+    assert.throws(() => validate(schema, { delaySec: 0, extra: 1 }, { where: "body" }), err => {
+        assert.ok(err instanceof ApiError);
+        assert.equal(err.status, 400);
+        assert.equal(err.code, "validation_failed");
+        assert.equal(err.details.length, 2);
+        return true;
+    });
+    assert.throws(() => validate(schema, {}), /delaySec/);
+});
+
+test("the OpenAPI document is public and describes every route", async () => {
+    const { status, body } = await ctx.request("GET", "/api/v1/openapi.json", { apiKey: null });
+    assert.equal(status, 200);
+    assert.match(body.openapi, /^3\./);
+    assert.equal(body.servers[0].url, "/api/v1");
+
+    for (const path of ["/tasks", "/tasks/{id}/events", "/sessions/{id}/groups/{groupId}", "/schedules/{id}", "/webhooks/{id}", "/audit"]) {
+        assert.ok(body.paths[path], `${path} is documented`);
+    }
+    const operationIds = Object.values(body.paths).flatMap(operations => Object.values(operations).map(op => op.operationId));
+    assert.equal(new Set(operationIds).size, operationIds.length, "operationIds are unique");
+
+    assert.ok(body.components.schemas.Task);
+    assert.ok(body.components.schemas.Session);
+    assert.ok(body.components.schemas.Schedule);
+    assert.ok(body.paths["/tasks/{id}/events"].get.responses[200].content["text/event-stream"]);
+    assert.ok(body.paths["/tasks/{id}/messages.csv"].get.responses[200].content["text/csv"]);
+    assert.ok(body.paths["/tasks"].post.requestBody.content["multipart/form-data"].schema.properties.mediaFiles);
+});
+
+test("errors share one shape", async () => {
+    const anonymous = await ctx.request("GET", "/api/v1/tasks", { apiKey: null });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error.code, "unauthorized");
+
+    const { body: bob } = await ctx.request("POST", "/api/v1/users", { body: { name: "bob" } });
+    const notAdmin = await ctx.request("GET", "/api/v1/users", { apiKey: bob.apiKey });
+    assert.equal(notAdmin.status, 403);
+    assert.equal(notAdmin.body.error.code, "forbidden");
+
+    const missing = await ctx.request("GET", "/api/v1/tasks/task_missing");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, "task_not_found");
+
+    const unknownRoute = await ctx.request("GET", "/api/v1/nothing-here");
+    assert.equal(unknownRoute.status, 404);
+    assert.equal(unknownRoute.body.error.code, "not_found");
+
+    const invalid = await ctx.request("POST", "/api/v1/sessions", { body: { number: "9779800000181", method: "sms", extra: true } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, "validation_failed");
+    assert.deepEqual(invalid.body.error.details.map(detail => detail.path).sort(), ["body.extra", "body.method"]);
+
+    const broken = await fetch(`${ctx.root}/api/v1/tasks`, {
+        method: "POST",
+        headers: { "X-API-Key": API_KEY, "Content-Type": "application/json" },
+        body: "{"
+    });
+    assert.equal(broken.status, 400);
+    assert.equal((await broken.json()).error.code, "invalid_json");
+});
+
+test("a task started through POST /tasks runs and can be read back", async () => {
+    const created = await ctx.request("POST", "/api/v1/tasks", {
+        body: { sessionId, target: "9779811111111", targetType: "number", delaySec: 1, messages: ["one", "two"] }
+    });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.task.totalMessages, 2);
+    assert.deepEqual(created.body.rejectedRows, []);
+
+    const taskId = created.body.task.id;
+    await waitFor(async () => (await ctx.request("GET", `/api/v1/tasks/${taskId}`)).body.task.status === "completed", {
+        what: "the task to complete"
+    });
+    assert.deepEqual(socket.sent.map(entry => entry.content.text), ["one", "two"]);
+
+    const { body } = await ctx.request("GET", `/api/v1/tasks/${taskId}`);
+    assert.equal(body.task.progress, 100);
+    assert.equal(body.delivery.sent, 2);
+
+    const noDelay = await ctx.request("POST", "/api/v1/tasks", { body: { sessionId, target: "9779811111111", targetType: "number", messages: ["x"] } });
+    assert.equal(noDelay.status, 400);
+    assert.deepEqual(noDelay.body.error.details, [{ path: "body.delaySec", message: "is required" }]);
+});
+
+test("the unversioned JSON routes are gone", async () => {
+    for (const path of ["/tasks", "/schedules", "/me", `/sessions/${sessionId}`]) {
+        const { status } = await ctx.request("GET", path);
+        assert.equal(status, 404, path);
+    }
+});
@@ -0,0 +1,120 @@
+// test/auth.test.js
+// API-key accounts: admin-only user management, the three ways to present a
+// key, per-owner sessions and tasks, and the audit trail
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+let ctx;
+let alice;
+before(async () => {
+    ctx = await startServer();
+    const { status, body } = await ctx.request("POST", "/api/v1/users", { body: { name: "alice" } });
+    assert.equal(status, 201);
+    alice = body;
+});
+after(() => ctx.stop());
+
+test("a new key is shown once and stored hashed", async () => {
+    assert.match(alice.apiKey, /^wak_[0-9a-f]{48}$/);
+    assert.equal(alice.user.admin, false);
+    assert.equal(alice.user.keyHash, undefined);
+
+    const { body } = await ctx.request("GET", "/api/v1/users");
+    assert.deepEqual(body.users.map(user => user.name).sort(), ["admin", "alice"]);
+    assert.ok(body.users.every(user => user.keyHash === undefined));
+});
+
+test("the key is accepted as X-API-Key, Bearer token or sign-in cookie", async () => {
+    const viaHeader = await ctx.request("GET", "/api/v1/me", { apiKey: alice.apiKey });
+    assert.equal(viaHeader.body.user.name, "alice");
+
+    const viaBearer = await fetch(`${ctx.root}/api/v1/me`, { headers: { Authorization: `Bearer ${alice.apiKey}` } });
+    assert.equal((await viaBearer.json()).user.name, "alice");
+
+    const login = await fetch(`${ctx.root}/login`, {
+        method: "POST",
+        body: new URLSearchParams({ apiKey: alice.apiKey }),
+        redirect: "manual"
+    });
+    assert.equal(login.status, 302);
+    const cookie = login.headers.get("set-cookie").split(";")[0];
+    assert.doesNotMatch(login.headers.get("set-cookie"), /Secure/i, "plain HTTP keeps the cookie usable");
+    const viaCookie = await fetch(`${ctx.root}/api/v1/me`, { headers: { Cookie: `theme=%E0%A4; ${cookie}` } });
+    assert.equal((await viaCookie.json()).user.name, "alice", "an undecodable cookie next to it is skipped");
+
+    const wrong = await ctx.request("GET", "/api/v1/me", { apiKey: "wak_nope" });
+    assert.equal(wrong.status, 401);
+});
+
+test("user management is for admins only", async () => {
+    const list = await ctx.request("GET", "/api/v1/users", { apiKey: alice.apiKey });
+    assert.equal(list.status, 403);
+    const create = await ctx.request("POST", "/api/v1/users", { apiKey: alice.apiKey, body: { name: "mallory" } });
+    assert.equal(create.status, 403);
+
+    const duplicate = await ctx.request("POST", "/api/v1/users", { body: { name: "alice" } });
+    assert.equal(duplicate.status, 400);
+});
+
+test("sessions and tasks are only visible to their owner", async () => {
+    const sessionId = await ctx.pairAndOpen("9779800000040");
+    const mine = await ctx.request("GET", "/status");
+    assert.deepEqual(mine.body.sessions.map(session => session.sessionId), [sessionId]);
+
+    const theirs = await ctx.request("GET", "/status", { apiKey: alice.apiKey });
+    assert.deepEqual(theirs.body, { sessions: [], tasks: [] });
+
+    // alice has no session of her own to send from
+    const form = new FormData();
+    form.append("target", "9779811111111");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob(["hi"], { type: "text/plain" }), "messages.txt");
+    const send = await ctx.request("POST", "/send-message", { apiKey: alice.apiKey, body: form });
+    assert.match(send.body, /No active WhatsApp session/);
+});
+
+test("rotating a key retires the old one", async () => {
+    const { body } = await ctx.request("POST", `/api/v1/users/${alice.user.id}/rotate-key`);
+    assert.notEqual(body.apiKey, alice.apiKey);
+    assert.equal((await ctx.request("GET", "/api/v1/me", { apiKey: alice.apiKey })).status, 401);
+    assert.equal((await ctx.request("GET", "/api/v1/me", { apiKey: body.apiKey })).status, 200);
+    alice.apiKey = body.apiKey;
+});
+
+test("admins cannot delete themselves; deleted users lose access", async () => {
+    const me = await ctx.request("GET", "/api/v1/me");
+    const self = await ctx.request("DELETE", `/api/v1/users/${me.body.user.id}`);
+    assert.equal(self.status, 400);
+
+    const removed = await ctx.request("DELETE", `/api/v1/users/${alice.user.id}`);
+    assert.equal(removed.status, 200);
+    assert.equal((await ctx.request("GET", "/api/v1/me", { apiKey: alice.apiKey })).status, 401);
+    assert.equal((await ctx.request("DELETE", `/api/v1/users/${alice.user.id}`)).status, 404);
+});
+
+test("the audit trail records who did what; users only see their own", async () => {
+    const all = await ctx.request("GET", "/api/v1/audit");
+    const actions = all.body.entries.map(entry => entry.action);
+    for (const action of ["user.create", "auth.login", "session.pair", "user.rotate_key", "user.delete"]) {
+        assert.ok(actions.includes(action), `${action} is recorded`);
+    }
+    const pair = all.body.entries.find(entry => entry.action === "session.pair");
+    assert.equal(pair.userName, "admin");
+    assert.equal(pair.number, "9779800000040");
+
+    const times = all.body.entries.map(entry => entry.at);
+    assert.deepEqual(times, [...times].sort().reverse(), "newest first");
+    const latest = await ctx.request("GET", "/api/v1/audit?limit=2");
+    assert.deepEqual(latest.body.entries, all.body.entries.slice(0, 2), "the limit keeps the newest entries");
+
+    const filtered = await ctx.request("GET", "/api/v1/audit?action=user.delete");
+    assert.deepEqual(filtered.body.entries.map(entry => entry.action), ["user.delete"]);
+
+    const { body } = await ctx.request("POST", "/api/v1/users", { body: { name: "bob" } });
+    const own = await ctx.request("GET", "/api/v1/audit", { apiKey: body.apiKey });
+    assert.deepEqual(own.body.entries, []);
+    const [newest] = (await ctx.request("GET", "/api/v1/audit?limit=1")).body.entries;
+    assert.equal(newest.targetUserName, "bob");
+});
@@ -0,0 +1,136 @@
+// test/bot.test.js
+// The chat-command bot: command parsing, per-session configuration, the help,
+// status and FAQ plugins, admin-only commands and cooldowns
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sleep, startServer, waitFor } = require("./helpers");
+const { parseCommand } = require("../lib/bot");
+
+const GROUP = "120363000000000160@g.us";
+const ADMIN = "9779811111111@s.whatsapp.net";
+const MEMBER = "9779822222222@s.whatsapp.net";
+const GROUPS = {
+    [GROUP]: { id: GROUP, subject: "Shop", participants: [{ id: ADMIN, admin: "admin" }, { id: MEMBER, admin: null }] }
+};
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer({ groups: GROUPS });
+    sessionId = await ctx.pairAndOpen("9779800000160");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+let counter = 0;
+function incoming(text, { chat = MEMBER, from } = {}) {
+    const key = { remoteJid: chat, fromMe: false, id: `BOT${++counter}` };
+    if (from) key.participant = from;
+    return { key, message: { conversation: text } };
+}
+
+// Send `text` into a chat and wait for the bot's reply to it
+async function ask(text, options) {
+    const msg = incoming(text, options);
+    const sentBefore = socket.sent.length;
+    socket.receive(msg);
+    await waitFor(() => socket.sent.length > sentBefore, { what: `a reply to ${text}` });
+    const reply = socket.sent[socket.sent.length - 1];
+    assert.equal(reply.options.quoted, msg, "the reply quotes the command");
+    return reply.content.text;
+}
+
+const configure = body => ctx.request("PUT", `/api/v1/sessions/${sessionId}/bot`, { body });
+
+test("parseCommand splits the name from quoted and bare arguments", () => {
+    assert.deepEqual(parseCommand("  !FAQ \"opening hours\" 'now' later ", "!"), {
+        name: "faq", args: ["opening hours", "now", "later"], argText: "\"opening hours\" 'now' later"
+    });
+    assert.equal(parseCommand("hello !faq", "!"), null);
+    assert.equal(parseCommand("!", "!"), null);
+    assert.deepEqual(parseCommand("#status", "#"), { name: "status", args: [], argText: "" });
+});
+
+test("the bot is off until it is enabled for the session", async () => {
+    const { body } = await ctx.request("GET", `/api/v1/sessions/${sessionId}/bot`);
+    assert.deepEqual(body.bot, { enabled: false, prefix: "!", plugins: ["help", "status"], admins: [], cooldownSec: 5, settings: {} });
+
+    socket.receive(incoming("!help"));
+    await sleep(50);
+    assert.equal(socket.sent.length, 0);
+
+    const plugins = await ctx.request("GET", "/api/v1/bot/plugins");
+    assert.deepEqual(plugins.body.plugins.map(p => p.name).sort(), ["faq", "help", "status"]);
+});
+
+test("the bot config is validated and merged", async () => {
+    assert.equal((await configure({ plugins: ["weather"] })).status, 400);
+    assert.equal((await configure({ prefix: "go !" })).status, 400);
+    assert.equal((await configure({ cooldownSec: -1 })).status, 400);
+    assert.equal((await configure({ admins: [GROUP] })).status, 400);
+    assert.equal((await configure({ settings: { faq: { entries: { hours: "" } } } })).status, 400);
+    assert.equal((await configure({ volume: 11 })).status, 400);
+
+    const { body } = await configure({
+        enabled: true,
+        plugins: ["help", "status", "faq"],
+        cooldownSec: 0,
+        admins: ["+977 9833333333"],
+        settings: { faq: { entries: { " Opening Hours ": "9 to 5" } } }
+    });
+    assert.equal(body.bot.enabled, true);
+    assert.deepEqual(body.bot.admins, ["9779833333333@s.whatsapp.net"]);
+    assert.deepEqual(body.bot.settings.faq, { entries: { "opening hours": "9 to 5" } });
+
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    const hidden = await ctx.request("GET", `/api/v1/sessions/${sessionId}/bot`, { apiKey: stranger.body.apiKey });
+    assert.equal(hidden.status, 404);
+});
+
+test("help and status answer in the chat", async () => {
+    const help = await ask("!help");
+    assert.match(help, /^\*Commands\*/);
+    assert.match(help, /!faqset <topic> = <answer> \(admins\)/);
+    assert.match(await ask("!help commands"), /^!help \[command\]\nShow the available commands/);
+    assert.match(await ask("!ping"), /9779800000160 is online\n.*\nRunning tasks: 0/);
+
+    // Unknown commands and ordinary chat get no answer
+    const sentBefore = socket.sent.length;
+    socket.receive(incoming("!dance"));
+    socket.receive(incoming("hello there"));
+    await sleep(50);
+    assert.equal(socket.sent.length, sentBefore);
+});
+
+test("faq answers exact and partial topics", async () => {
+    assert.equal(await ask("!faq OPENING HOURS"), "9 to 5");
+    assert.equal(await ask("!faq hours"), "9 to 5");
+    assert.match(await ask("!faq parking"), /^No FAQ topic matches "parking"\.\nSend !faq <topic>:\n• opening hours$/);
+    assert.match(await ask("!faq constructor"), /^No FAQ topic matches "constructor"/, "only the session's own topics match");
+});
+
+test("admin-only commands need a group admin or a listed admin", async () => {
+    const refused = await ask("!faqset parking = behind the shop", { chat: GROUP, from: MEMBER });
+    assert.equal(refused, "!faqset is for group admins only.");
+
+    const saved = await ask("!faqset Parking = behind the shop", { chat: GROUP, from: ADMIN });
+    assert.equal(saved, "Saved the answer for \"parking\".");
+    assert.equal(ctx.server.sessionRegistry.get(sessionId).bot.settings.faq.entries.parking, "behind the shop");
+
+    // A listed admin may use them in a private chat too
+    assert.equal(await ask("!faqdel parking", { chat: "9779833333333@s.whatsapp.net" }), "Removed \"parking\".");
+    assert.equal(await ask("!faqdel parking", { chat: ADMIN }), "!faqdel is for group admins only.");
+});
+
+test("a command answers once per cooldown in each chat", async () => {
+    await configure({ cooldownSec: 60 });
+    await ask("!status", { chat: GROUP, from: MEMBER });
+
+    const sentBefore = socket.sent.length;
+    socket.receive(incoming("!status", { chat: GROUP, from: ADMIN }));
+    await sleep(50);
+    assert.equal(socket.sent.length, sentBefore, "the same chat is on cooldown");
+
+    await ask("!status", { chat: MEMBER });
+});
@@ -0,0 +1,90 @@
+// test/cli.test.js
+// lib/apiClient.js against a running server, and bin/wa-cli.js end to end
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { API_KEY, startServer } = require("./helpers");
+const { ApiClientError, createApiClient } = require("../lib/apiClient");
+
+const CLI = path.join(__dirname, "..", "bin", "wa-cli.js");
+
+let ctx;
+let sessionId;
+let socket;
+let client;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000250");
+    socket = ctx.transport.lastSocket(sessionId);
+    client = createApiClient({ baseUrl: `${ctx.root}/`, apiKey: API_KEY });
+});
+after(() => ctx.stop());
+
+// The server runs in this process, so the CLI must not block it
+function cli(args, env = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { env: { ...process.env, WA_SERVER: ctx.root, WA_API_KEY: API_KEY, ...env } },
+            (err, stdout, stderr) => resolve({ code: err ? err.code : 0, stdout, stderr }));
+    });
+}
+
+test("the client lists sessions and sends a task it can follow to the end", async () => {
+    const sessions = await client.listSessions();
+    assert.deepEqual(sessions.map(session => session.sessionId), [sessionId]);
+
+    const { task } = await client.createTask({ sessionId, target: "9779811111250", targetType: "number", delaySec: 1, template: "Hello" });
+    let last = null;
+    await client.streamTask(task.id, (event, data) => {
+        last = data.task;
+        return Boolean(data.task.endedAt);
+    });
+    assert.equal(last.status, "completed");
+    assert.equal((await client.getTask(task.id)).task.status, "completed");
+    assert.equal(socket.sent.at(-1).content.text, "Hello");
+});
+
+test("refusals surface as ApiClientError with the API's code", async () => {
+    await assert.rejects(client.controlTask("task_missing", "pause"), err => {
+        assert.ok(err instanceof ApiClientError);
+        assert.equal(err.status, 404);
+        assert.equal(err.code, "task_not_found");
+        return true;
+    });
+    const offline = createApiClient({ baseUrl: "http://127.0.0.1:9", apiKey: API_KEY });
+    await assert.rejects(offline.listSessions(), { name: "ApiClientError", code: "unreachable" });
+});
+
+test("wa-cli sends a message file, follows it and prints JSON", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-cli-"));
+    try {
+        fs.writeFileSync(path.join(dir, "messages.txt"), "One\nTwo\n");
+        const sent = await cli(["--json", "send", "--to", "9779811111250", "--file", path.join(dir, "messages.txt"), "--delay", "1", "--follow"]);
+        assert.equal(sent.code, 0, sent.stderr);
+        const events = sent.stdout.trim().split("\n").map(line => JSON.parse(line));
+        assert.equal(events[0].event, "created");
+        assert.equal(events.at(-1).task.status, "completed");
+        assert.deepEqual(socket.sent.slice(-2).map(entry => entry.content.text), ["One", "Two"]);
+
+        const listed = await cli(["tasks"]);
+        assert.match(listed.stdout, /^TASK\s+STATE/);
+        assert.match(listed.stdout, new RegExp(`${events[0].task.id}\\s+completed`));
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("wa-cli exits 2 on bad usage and 1 when the server refuses", async () => {
+    const usage = await cli(["send", "--to", "9779811111250"]);
+    assert.equal(usage.code, 2);
+    assert.match(usage.stderr, /Give --file, --text or --media/);
+
+    const noKey = await cli(["sessions"], { WA_API_KEY: "" });
+    assert.equal(noKey.code, 2);
+
+    const refused = await cli(["stop", "task_missing"]);
+    assert.equal(refused.code, 1);
+    assert.match(refused.stderr, /\(task_not_found\)/);
+});
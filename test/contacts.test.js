@@ -0,0 +1,128 @@
+// test/contacts.test.js
+// Personalised tasks from a CSV contact list: parsing, placeholders, the
+// rejected-rows report and per-recipient progress
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { API_KEY, startServer, waitFor } = require("./helpers");
+const { parseCsv } = require("../lib/csv");
+const { buildContactMessages, parseContacts, renderTemplate } = require("../lib/contacts");
+
+let ctx;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    const sessionId = await ctx.pairAndOpen("9779800000120");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+function contactsForm(csv, fields = {}) {
+    const form = new FormData();
+    const values = { delaySec: "1", ...fields };
+    for (const [name, value] of Object.entries(values)) form.append(name, value);
+    form.append("contactsFile", new Blob([csv], { type: "text/csv" }), "staff.csv");
+    return form;
+}
+
+test("parseCsv handles quotes, embedded line breaks, a BOM and blank lines", () => {
+    const rows = parseCsv('﻿number,note\r\n1,"a, ""b""\nc"\n\n2,plain\n');
+    assert.deepEqual(rows.map(cells => [...cells]), [
+        ["number", "note"],
+        ["1", 'a, "b"\nc'],
+        ["2", "plain"]
+    ]);
+    assert.deepEqual(rows.map(cells => cells.line), [1, 2, 5]);
+    assert.throws(() => parseCsv('number\n"open'), /Unterminated quoted field/);
+});
+
+test("parseContacts needs a number column and reports sheet rows", () => {
+    const contacts = parseContacts("Name, Phone ,Shift\nAsha,9779811111111,early\n");
+    assert.equal(contacts.numberColumn, "phone");
+    assert.deepEqual(contacts.rows, [{ row: 2, fields: { name: "Asha", phone: "9779811111111", shift: "early" } }]);
+    const spread = parseContacts('number,note\n9779811111111,"two\r\nlines"\n9779822222222,x\n');
+    assert.deepEqual(spread.rows.map(row => row.row), [2, 4], "rows are numbered by the file line they start on");
+    assert.throws(() => parseContacts("name\nAsha\n"), /needs a "number" column/);
+    assert.throws(() => parseContacts("number,Name,name\n1,a,b\n"), /column "name" twice/);
+    assert.throws(() => parseContacts("number\n"), /no rows/);
+});
+
+test("buildContactMessages rejects rows with a reason instead of dropping them", () => {
+    const contacts = parseContacts([
+        "number,name,shift",
+        "9779811111111,Asha,early",
+        "bad,Bikash,late",
+        "9779811111111,Asha again,late",
+        "9779822222222,Chandra,",
+        "9779833333333,Dipa,late",
+        "9779844444444,Esha,late"
+    ].join("\n"));
+    const { recipients, rejected, messages } = buildContactMessages({
+        contacts,
+        texts: ["Hi {{ name }}, shift: {{shift}}"],
+        media: [],
+        resolveNumber: number => (/^\d+$/.test(number) ? { jid: `${number}@s.whatsapp.net` } : { reason: "invalid number" }),
+        isSuppressed: jid => jid.startsWith("9779833333333"),
+        checkRecipient: jid => (jid.startsWith("9779844444444") ? "not on the allowlist" : null)
+    });
+
+    assert.deepEqual(recipients.map(r => r.name), ["Asha"]);
+    assert.deepEqual(messages, [{ to: "9779811111111@s.whatsapp.net", recipient: 0, message: "Hi Asha, shift: early" }]);
+    assert.deepEqual(rejected.map(r => [r.row, r.reason]), [
+        [3, "invalid number"],
+        [4, "duplicate number"],
+        [5, "missing value for {{shift}}"],
+        [6, "suppressed (opted out)"],
+        [7, "not on the allowlist"]
+    ]);
+    assert.throws(() => buildContactMessages({ contacts, texts: ["{{team}}"], media: [] }), /Unknown placeholder\(s\): \{\{team\}\}/);
+    assert.equal(renderTemplate("{{a}}-{{b}}", { a: "x" }), "x-");
+});
+
+test("a contact-list task messages each row and lists the rejected ones", async () => {
+    const csv = "number,name\n9779811111111,Asha\n123,Bikash\n9779822222222,\"Chandra, Jr\"\n";
+    const { body } = await ctx.request("POST", "/send-message", { body: contactsForm(csv, { template: "Hi {{name}}", prefix: "[{{name}}]" }) });
+    assert.match(body, /1 row\(s\) not messaged/);
+    assert.match(body, /Row 3 \(123\): invalid number/);
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === "completed", { what: "the task to finish" });
+    assert.deepEqual(socket.sent.map(entry => [entry.jid, entry.content.text]), [
+        ["9779811111111@s.whatsapp.net", "[Asha] Hi Asha"],
+        ["9779822222222@s.whatsapp.net", "[Chandra, Jr] Hi Chandra, Jr"]
+    ]);
+
+    const task = await ctx.request("GET", `/api/v1/tasks/${taskId}`);
+    assert.equal(task.body.task.targetType, "contacts");
+    assert.deepEqual(task.body.task.recipients, {
+        total: 2, rejected: 1, pending: 0, sent: 2, partial: 0, failed: 0, skipped: 0
+    });
+
+    const recipients = await ctx.request("GET", `/api/v1/tasks/${taskId}/recipients`);
+    assert.deepEqual(recipients.body.recipients.map(r => r.status), ["sent", "sent"]);
+    assert.deepEqual(recipients.body.rejected, [{ row: 3, number: "123", name: "Bikash", reason: "invalid number" }]);
+
+    const csvReport = await fetch(`${ctx.root}/api/v1/tasks/${taskId}/recipients.csv`, { headers: { "X-API-Key": API_KEY } });
+    const lines = (await csvReport.text()).trim().split("\r\n");
+    assert.equal(lines[0], "row,name,number,jid,status,messages,sent,failed,skipped,reason");
+    assert.equal(lines[3], "3,Bikash,123,,rejected,0,0,0,0,invalid number");
+
+    const messages = await ctx.request("GET", `/api/v1/tasks/${taskId}/messages`);
+    assert.deepEqual(messages.body.messages.map(m => m.to), ["9779811111111@s.whatsapp.net", "9779822222222@s.whatsapp.net"]);
+});
+
+test("a list where no row can be messaged is refused", async () => {
+    const { body } = await ctx.request("POST", "/send-message", { body: contactsForm("number\nabc\n\n", { template: "Hi" }) });
+    assert.match(body, /None of the 1 contacts can be messaged \(1 invalid number\)/);
+});
+
+test("a single-target task has no recipient report", async () => {
+    const form = new FormData();
+    form.append("target", "9779811111111");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("template", "plain");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    const { status } = await ctx.request("GET", `/api/v1/tasks/${taskId}/recipients`);
+    assert.equal(status, 404);
+});
@@ -0,0 +1,130 @@
+// test/delivery.test.js
+// Send retries, pausing while the session reconnects and the per-message
+// delivery report fed by WhatsApp receipts
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { API_KEY, startServer, waitFor } = require("./helpers");
+const { isTransientError } = require("../lib/taskRunner");
+const { EventEmitter } = require("events");
+const { createMessageReports, WA_STATUS } = require("../lib/messageReports");
+
+let ctx;
+let sessionId;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000090");
+});
+after(() => ctx.stop());
+
+const socket = () => ctx.transport.lastSocket(sessionId);
+
+async function startTask(lines) {
+    const form = new FormData();
+    form.append("target", "9779811111111");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob([lines.join("\n")], { type: "text/plain" }), "messages.txt");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    return body.match(/id="taskId">([^<]+)</)[1];
+}
+
+const finished = taskId => ctx.server.taskStore.get(taskId)?.status === "completed";
+
+function statusError(statusCode) {
+    const error = new Error(`status ${statusCode}`);
+    error.output = { statusCode };
+    return error;
+}
+
+test("only errors that may go away are worth a retry", () => {
+    assert.equal(isTransientError(new Error("socket hang up")), true);
+    assert.equal(isTransientError(statusError(503)), true);
+    assert.equal(isTransientError(statusError(401)), false);
+    assert.equal(isTransientError({ statusCode: 404 }), false);
+});
+
+test("transient failures are retried; permanent ones fail the message only", async () => {
+    socket().failNextSend(new Error("timed out"), 2);
+    const taskId = await startTask(["one", "two"]);
+    await waitFor(() => socket().sent.length === 1, { what: "the retried message" });
+    socket().failNextSend(statusError(400));
+    await waitFor(() => finished(taskId), { what: "the task to finish" });
+
+    const { body } = await ctx.request("GET", `/api/v1/tasks/${taskId}/messages`);
+    assert.deepEqual(body.summary, { queued: 0, sent: 1, delivered: 0, read: 0, failed: 1, skipped: 0 });
+    const [first, second] = body.messages;
+    assert.equal(first.status, "sent");
+    assert.equal(first.attempts, 3);
+    assert.equal(first.messageId, socket().sent[0].key.id);
+    assert.equal(second.status, "failed");
+    assert.equal(second.attempts, 1);
+    assert.equal(second.error, "status 400");
+    assert.equal(ctx.server.taskStore.get(taskId).failedMessages, 1);
+});
+
+test("receipts move messages forward and never back", async () => {
+    const taskId = await startTask(["hello", "there"]);
+    await waitFor(() => finished(taskId), { what: "the task to finish" });
+    const [first, second] = socket().sent.slice(-2).map(entry => entry.key);
+
+    socket().ev.emit("messages.update", [{ key: first, update: { status: WA_STATUS.READ } }]);
+    socket().ev.emit("messages.update", [{ key: first, update: { status: WA_STATUS.DELIVERY_ACK } }]);
+    socket().ev.emit("message-receipt.update", [{ key: second, receipt: { receiptTimestamp: 1700000000 } }]);
+
+    const { body } = await ctx.request("GET", `/api/v1/tasks/${taskId}/messages`);
+    assert.deepEqual(body.messages.map(entry => entry.status), ["read", "delivered"]);
+    assert.equal(body.messages[1].deliveredAt, "2023-11-14T22:13:20.000Z");
+
+    const csv = await fetch(`${ctx.root}/api/v1/tasks/${taskId}/messages.csv`, { headers: { "X-API-Key": API_KEY } });
+    assert.match(csv.headers.get("content-disposition"), new RegExp(`${taskId}-messages.csv`));
+    const lines = (await csv.text()).trim().split("\r\n");
+    assert.equal(lines[0], "index,to,type,text,fileName,status,attempts,messageId,sentAt,deliveredAt,readAt,error");
+    assert.match(lines[1], /^0,9779811111111@s.whatsapp.net,text,hello,,read,1,/);
+});
+
+test("receipts are taken for three days after a task ends, then the report is read from disk", () => {
+    const saved = new Map([
+        ["task_old", [{ index: 0, status: "sent", messageId: "OLD" }]],
+        ["task_recent", [{ index: 0, status: "sent", messageId: "RECENT" }]]
+    ]);
+    const taskStore = { loadReport: id => saved.get(id) || [], saveReport: (id, entries) => saved.set(id, entries) };
+    const sessionEvents = new EventEmitter();
+    const reports = createMessageReports({ taskStore, sessionEvents });
+    const hoursAgo = hours => new Date(Date.now() - hours * 3600 * 1000).toISOString();
+    reports.trackRecent([{ id: "task_old", endedAt: hoursAgo(73) }, { id: "task_recent", endedAt: hoursAgo(71) }]);
+
+    reports.init("task_new", 1);
+    reports.update("task_new", 0, { status: "sent", messageId: "NEW" });
+    reports.finish("task_new");
+
+    const receipt = id => ({ key: { id, fromMe: true }, update: { status: WA_STATUS.DELIVERY_ACK } });
+    sessionEvents.emit("messages.update", "s1", ["OLD", "RECENT", "NEW"].map(receipt));
+    assert.equal(saved.get("task_old")[0].status, "sent");
+    assert.equal(saved.get("task_recent")[0].status, "delivered");
+    assert.equal(saved.get("task_new")[0].status, "delivered");
+    assert.equal(reports.summary("task_old").sent, 1, "untracked reports are read from disk");
+});
+
+test("a task pauses while its session reconnects and then carries on", async () => {
+    const previous = socket();
+    const sentBefore = previous.sent.length;
+    const taskId = await startTask(["a", "b", "c"]);
+    await waitFor(() => previous.sent.length === sentBefore + 1, { what: "the first message" });
+
+    previous.close(428);
+    await waitFor(() => ctx.server.activeTasks.get(taskId).paused, { what: "the task to pause" });
+    assert.equal(ctx.server.taskStore.get(taskId).pauseReason, "session reconnecting");
+
+    await waitFor(() => socket() !== previous, { what: "the reconnect" });
+    socket().open({ id: "9779800000090:4@s.whatsapp.net" });
+    await waitFor(() => finished(taskId), { what: "the task to finish" });
+    assert.deepEqual(socket().sent.map(entry => entry.content.text), ["b", "c"]);
+    assert.equal(ctx.server.taskStore.get(taskId).paused, false);
+});
+
+test("reports belong to the task's owner", async () => {
+    const other = await ctx.request("POST", "/api/v1/users", { body: { name: "other" } });
+    const [task] = ctx.server.taskStore.list({ limit: 1 });
+    const hidden = await ctx.request("GET", `/api/v1/tasks/${task.id}/messages`, { apiKey: other.body.apiKey });
+    assert.equal(hidden.status, 404);
+});
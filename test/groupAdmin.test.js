@@ -0,0 +1,154 @@
+// test/groupAdmin.test.js
+// Group metadata, participant exports and administration under /api/v1/sessions/{id}/groups
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { API_KEY, startServer } = require("./helpers");
+const { toCsv } = require("../lib/csv");
+const { toGroupJid } = require("../lib/recipients");
+
+const SELF = "9779800000140@s.whatsapp.net";
+const ADMIN_GROUP = "120363000000000140@g.us";
+const MEMBER_GROUP = "120363000000000141@g.us";
+const GROUPS = {
+    [ADMIN_GROUP]: {
+        id: ADMIN_GROUP,
+        subject: "Staff",
+        desc: "Rota and news",
+        creation: 1700000000,
+        announce: false,
+        participants: [
+            { id: SELF, admin: "superadmin" },
+            { id: "9779811111111@s.whatsapp.net", admin: null }
+        ]
+    },
+    [MEMBER_GROUP]: {
+        id: MEMBER_GROUP,
+        subject: "Neighbours, \"east\"",
+        participants: [
+            { id: "9779822222222@s.whatsapp.net", admin: "admin" },
+            { id: SELF, admin: null }
+        ]
+    }
+};
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer({ groups: GROUPS });
+    sessionId = await ctx.pairAndOpen("9779800000140");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+const groupPath = (groupJid, rest = "") => `/api/v1/sessions/${sessionId}/groups/${groupJid.split("@")[0]}${rest}`;
+
+test("toGroupJid accepts bare ids and group JIDs only", () => {
+    assert.equal(toGroupJid("120363000000000140"), ADMIN_GROUP);
+    assert.equal(toGroupJid(ADMIN_GROUP), ADMIN_GROUP);
+    assert.equal(toGroupJid("9779811111111@s.whatsapp.net"), null);
+    assert.equal(toGroupJid(""), null);
+});
+
+test("the group list shows settings and where the session is an admin", async () => {
+    const { body } = await ctx.request("GET", `/api/v1/sessions/${sessionId}/groups`);
+    assert.equal(body.total, 2);
+    const staff = body.groups.find(group => group.id === ADMIN_GROUP);
+    assert.equal(staff.isAdmin, true);
+    assert.equal(staff.participantsCount, 2);
+    assert.equal(staff.createdAt, "2023-11-14T22:13:20.000Z");
+    assert.equal(staff.participants, undefined);
+    assert.equal(body.groups.find(group => group.id === MEMBER_GROUP).isAdmin, false);
+});
+
+test("group metadata includes the invite link for admins only", async () => {
+    const staff = await ctx.request("GET", groupPath(ADMIN_GROUP));
+    assert.equal(staff.body.group.description, "Rota and news");
+    assert.match(staff.body.group.inviteLink, /^https:\/\/chat\.whatsapp\.com\/FAKEINVITE/);
+    assert.deepEqual(staff.body.group.participants.map(p => [p.number, p.isAdmin]), [["9779800000140", true], ["9779811111111", false]]);
+
+    const neighbours = await ctx.request("GET", groupPath(MEMBER_GROUP));
+    assert.equal(neighbours.body.group.inviteLink, null);
+
+    assert.equal((await ctx.request("GET", `/api/v1/sessions/${sessionId}/groups/not-a-group`)).status, 400);
+    assert.equal((await ctx.request("GET", `/api/v1/sessions/${sessionId}/groups/120363999`)).status, 404);
+});
+
+test("participants export as JSON or CSV", async () => {
+    const { body } = await ctx.request("GET", `/api/v1/sessions/${sessionId}/participants`);
+    assert.equal(body.total, 4);
+
+    const csv = await fetch(`${ctx.root}${groupPath(MEMBER_GROUP, "/participants")}?format=csv`, { headers: { "X-API-Key": API_KEY } });
+    assert.match(csv.headers.get("content-disposition"), /120363000000000141-participants\.csv/);
+    assert.deepEqual((await csv.text()).trim().split("\r\n"), [
+        "groupId,groupName,jid,number,admin",
+        `${MEMBER_GROUP},"Neighbours, ""east""",9779822222222@s.whatsapp.net,9779822222222,admin`,
+        `${MEMBER_GROUP},"Neighbours, ""east""",${SELF},9779800000140,`
+    ]);
+});
+
+test("exported texts a spreadsheet would run as a formula are escaped", () => {
+    const csv = toCsv([
+        { name: "=HYPERLINK(\"http://x\")", note: "@SUM(A1)", count: -3 },
+        { name: "Plain", note: "\tTabbed", count: 7 },
+        { name: "+977 981-2345678", note: "-12.5", count: "(01) 234" },
+        { name: "+1+cmd|' /C calc'!A0", note: "-2+3", count: 0 }
+    ], ["name", "note", "count"]);
+    assert.deepEqual(csv.trim().split("\r\n"), [
+        "name,note,count",
+        "\"'=HYPERLINK(\"\"http://x\"\")\",'@SUM(A1),-3",
+        "Plain,'\tTabbed,7",
+        "+977 981-2345678,-12.5,(01) 234",
+        "'+1+cmd|' /C calc'!A0,'-2+3,0"
+    ]);
+});
+
+test("an admin session can edit the group, its members and the invite link", async () => {
+    const updated = await ctx.request("PATCH", groupPath(ADMIN_GROUP), {
+        body: { subject: " Staff room ", description: null, settings: { announce: true } }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.group.subject, "Staff room");
+    assert.equal(updated.body.group.settings.announce, true);
+    assert.ok(socket.calls.some(call => call.method === "groupSettingUpdate" && call.args[1] === "announcement"));
+
+    const added = await ctx.request("POST", groupPath(ADMIN_GROUP, "/participants"), {
+        body: { action: "add", participants: ["+977 9833333333", "9779811111111"] }
+    });
+    assert.deepEqual(added.body.results, [
+        { jid: "9779833333333@s.whatsapp.net", status: 200, ok: true },
+        { jid: "9779811111111@s.whatsapp.net", status: 409, ok: false }
+    ]);
+
+    const previousLink = (await ctx.request("GET", groupPath(ADMIN_GROUP))).body.group.inviteLink;
+    const revoked = await ctx.request("POST", groupPath(ADMIN_GROUP, "/invite/revoke"));
+    assert.notEqual(revoked.body.inviteLink, previousLink);
+
+    const audit = await ctx.request("GET", "/api/v1/audit");
+    const actions = audit.body.entries.map(entry => entry.action);
+    for (const action of ["group.update", "group.participants.add", "group.invite.revoke"]) {
+        assert.ok(actions.includes(action), `${action} is recorded`);
+    }
+});
+
+test("changes are refused when the input is bad or the session is no admin", async () => {
+    const notAdmin = await ctx.request("PATCH", groupPath(MEMBER_GROUP), { body: { subject: "Mine now" } });
+    assert.equal(notAdmin.status, 403);
+    assert.equal(notAdmin.body.error.code, "not_group_admin");
+    const badAction = await ctx.request("POST", groupPath(ADMIN_GROUP, "/participants"), { body: { action: "ban", participants: ["9779811111111"] } });
+    assert.equal(badAction.status, 400);
+    assert.equal(badAction.body.error.code, "validation_failed");
+    const groupMember = await ctx.request("POST", groupPath(ADMIN_GROUP, "/participants"), { body: { action: "add", participants: [MEMBER_GROUP] } });
+    assert.equal(groupMember.status, 400);
+    assert.equal(groupMember.body.error.code, "invalid_participant");
+    const badSettings = await ctx.request("PATCH", groupPath(ADMIN_GROUP), { body: { settings: { announce: "yes" } } });
+    assert.equal(badSettings.status, 400);
+    const longSubject = await ctx.request("PATCH", groupPath(ADMIN_GROUP), { body: { subject: "x".repeat(101) } });
+    assert.equal(longSubject.status, 400);
+});
+
+test("other users' sessions are not found", async () => {
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    const { status } = await ctx.request("GET", `/api/v1/sessions/${sessionId}/groups`, { apiKey: stranger.body.apiKey });
+    assert.equal(status, 404);
+});
@@ -0,0 +1,48 @@
+// test/groups.test.js
+// Listing the groups of a session through /groups
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const GROUP_JID = "120363000000000001@g.us";
+const GROUPS = {
+    [GROUP_JID]: {
+        id: GROUP_JID,
+        subject: "Test group",
+        participants: [
+            { id: "9779800000020@s.whatsapp.net", admin: "admin" },
+            { id: "9779811111111@s.whatsapp.net", admin: null }
+        ]
+    }
+};
+
+let ctx;
+let pending;
+before(async () => {
+    ctx = await startServer({ groups: GROUPS });
+    const { body } = await ctx.request("GET", "/code?number=9779800000020");
+    pending = body.match(/Session ID: (perm_\d+_\d+)/)[1];
+});
+after(() => ctx.stop());
+
+test("/groups needs a connected session", async () => {
+    const { status, body } = await ctx.request("GET", "/groups");
+    assert.equal(status, 409);
+    assert.equal(body.error, `Session ${pending} is not connected`);
+});
+
+test("/groups lists the groups of the chosen session", async () => {
+    const sessionId = await ctx.pairAndOpen("9779800000021");
+    const ambiguous = await ctx.request("GET", "/groups");
+    assert.equal(ambiguous.status, 400);
+    assert.match(ambiguous.body.error, /choose one with sessionId/);
+
+    const { status, body } = await ctx.request("GET", `/groups?sessionId=${sessionId}`);
+    assert.equal(status, 200);
+    assert.deepEqual(body, { total: 1, groups: [{ name: "Test group", id: GROUP_JID, participantsCount: 2 }] });
+});
+
+test("/groups rejects a session that is not the caller's", async () => {
+    const { status } = await ctx.request("GET", "/groups?sessionId=perm_missing");
+    assert.equal(status, 404);
+});
@@ -0,0 +1,134 @@
+// test/helpers.js
+//
+// Boots the server (index.js) on the in-process fake transport, in a scratch
+// working directory so sessions/, uploads/ and data/ start empty. node --test runs
+// every test file in its own process, so each file gets a fresh server.
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeTransport } = require("../lib/fakeTransport");
+
+const API_KEY = "test-admin-key";
+
+// Settings read when the app's modules are loaded: no log output, no waiting
+// after pairing, no minimum gap between sends, and fast reconnects and send /
+// webhook retries. Applied as soon as this file is required, so test files may
+// load lib/ modules after it.
+const TEST_ENV = {
+    ADMIN_API_KEY: API_KEY,
+    LOG_LEVEL: "silent",
+    PAIRING_SETTLE_MS: "0",
+    POLICY_MIN_INTERVAL_SEC: "0",
+    RECONNECT_INTERVAL_MS: "50",
+    SEND_RETRY_BASE_MS: "10",
+    SESSION_POLL_MS: "20",
+    WEBHOOK_RETRY_BASE_MS: "10"
+};
+Object.assign(process.env, TEST_ENV);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll `check` until it returns something truthy
+async function waitFor(check, { timeout = 5000, interval = 20, what = "condition" } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) assert.fail(`Timed out waiting for ${what}`);
+        await sleep(interval);
+    }
+}
+
+// `transportOptions` go to createFakeTransport (groups, registered, ...)
+async function startServer(transportOptions = {}) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-sender-test-"));
+    const previousDir = process.cwd();
+    process.chdir(workDir);
+    // node --test reads the results from this process's stdout; the server's
+    // console.log chatter goes to stderr so it cannot garble them
+    console.log = console.error;
+
+    const server = require("../index");
+    const transport = createFakeTransport(transportOptions);
+    server.setTransport(transport);
+    const http = await new Promise(resolve => {
+        const listening = server.app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+    const root = `http://127.0.0.1:${http.address().port}`;
+
+    // JSON bodies as JSON, FormData / URLSearchParams as they are; answers
+    // { status, headers, body } with body parsed when it is JSON
+    async function request(method, urlPath, { body, apiKey = API_KEY } = {}) {
+        const headers = apiKey ? { "X-API-Key": apiKey } : {};
+        let payload = body;
+        if (body && !(body instanceof FormData) && !(body instanceof URLSearchParams)) {
+            headers["Content-Type"] = "application/json";
+            payload = JSON.stringify(body);
+        }
+        const response = await fetch(root + urlPath, { method, headers, body: payload });
+        const text = await response.text();
+        const json = (response.headers.get("content-type") || "").includes("application/json");
+        return { status: response.status, headers: response.headers, body: json ? JSON.parse(text) : text };
+    }
+
+    // Follow a Server-Sent Events stream; next(name) resolves with the data of
+    // the next `name` event, skipping the ones before it
+    async function events(urlPath, { timeout = 5000 } = {}) {
+        const controller = new AbortController();
+        const response = await fetch(root + urlPath, { headers: { "X-API-Key": API_KEY }, signal: controller.signal });
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        const received = [];
+        let buffer = "";
+
+        async function next(name) {
+            const timer = setTimeout(() => controller.abort(), timeout);
+            try {
+                for (;;) {
+                    const index = received.findIndex(entry => entry.event === name);
+                    if (index >= 0) return received.splice(0, index + 1).pop().data;
+                    const { value, done } = await reader.read();
+                    if (done) assert.fail(`${urlPath} ended before a "${name}" event`);
+                    buffer += value;
+                    let end;
+                    while ((end = buffer.indexOf("\n\n")) >= 0) {
+                        const block = buffer.slice(0, end);
+                        buffer = buffer.slice(end + 2);
+                        const event = block.match(/^event: (.*)$/m);
+                        const data = block.match(/^data: (.*)$/m);
+                        if (event && data) received.push({ event: event[1], data: JSON.parse(data[1]) });
+                    }
+                }
+            } catch (err) {
+                if (err.name === "AbortError") assert.fail(`Timed out waiting for a "${name}" event on ${urlPath}`);
+                throw err;
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        return { status: response.status, headers: response.headers, next, close: () => controller.abort() };
+    }
+
+    // Pair `number` through /code and open its socket as a linked device
+    async function pairAndOpen(number) {
+        const { body } = await request("GET", `/code?number=${number}`);
+        const sessionId = body.match(/Session ID: (perm_\d+_\d+)/)[1];
+        transport.lastSocket(sessionId).open({ id: `${number}:4@s.whatsapp.net` });
+        await waitFor(() => server.activeClients.get(sessionId)?.connected, { what: `${sessionId} to connect` });
+        return sessionId;
+    }
+
+    async function stop() {
+        http.closeAllConnections();
+        await new Promise(resolve => http.close(resolve));
+        // Pending writes go to relative paths: finish them before leaving workDir
+        server.webhooks.stop();
+        process.chdir(previousDir);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+
+    return { server, transport, root, request, events, pairAndOpen, stop };
+}
+
+module.exports = { API_KEY, sleep, startServer, waitFor };
@@ -0,0 +1,112 @@
+// test/media.test.js
+// Media attachments on /send-message: type and signature checks, the content
+// sent for each kind and the task's upload folder
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer, waitFor } = require("./helpers");
+const { buildMessageContent, describeMessage } = require("../lib/media");
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46]);
+const PDF = Buffer.from("%PDF-1.4\n%fake\n");
+
+let ctx;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    const sessionId = await ctx.pairAndOpen("9779800000110");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+function sendForm({ text, media = [], thumbnail, fields = {} }) {
+    const form = new FormData();
+    const values = { target: "9779811111111", targetType: "number", delaySec: "1", ...fields };
+    for (const [name, value] of Object.entries(values)) form.append(name, value);
+    if (text) form.append("messageFile", new Blob([text], { type: "text/plain" }), "messages.txt");
+    for (const [bytes, type, name] of media) form.append("mediaFiles", new Blob([bytes], { type }), name);
+    if (thumbnail) form.append("thumbnail", new Blob([thumbnail], { type: "image/jpeg" }), "thumb.jpg");
+    return form;
+}
+
+// Anything multer or the task left behind in uploads/
+const leftovers = () => fs.readdirSync("uploads");
+
+test("buildMessageContent maps each kind to its Baileys shape", () => {
+    assert.deepEqual(buildMessageContent("hi", "[x]"), { text: "[x] hi" });
+    const voice = buildMessageContent({ type: "audio", path: "a.ogg", mimetype: "audio/ogg", ptt: true });
+    assert.deepEqual(voice, { audio: { url: "a.ogg" }, mimetype: "audio/ogg", ptt: true });
+    const doc = buildMessageContent({ type: "document", path: "d.pdf", mimetype: "application/pdf", fileName: "Invoice.pdf", caption: "c" });
+    assert.equal(doc.fileName, "Invoice.pdf");
+    assert.deepEqual(doc.document, { url: "d.pdf" });
+    assert.deepEqual(describeMessage({ type: "image", caption: "pic", fileName: "p.png", mimetype: "image/png", size: 3 }), {
+        type: "image", text: "pic", fileName: "p.png", mimetype: "image/png", size: 3
+    });
+});
+
+test("media goes out first with the caption, then the text lines", async () => {
+    const form = sendForm({
+        text: "after",
+        media: [[PNG, "image/png", "photo.png"], [PDF, "application/pdf", "Invoice.pdf"]],
+        thumbnail: JPEG,
+        fields: { caption: " Look " }
+    });
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    assert.match(body, /Total messages: 3 \(2 media\)/);
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    assert.equal(fs.readdirSync(path.join("uploads", taskId)).length, 2);
+
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === "completed", { what: "the task to finish" });
+    const [image, document, text] = socket.sent.map(entry => entry.content);
+    assert.equal(image.caption, "Look");
+    assert.equal(image.mimetype, "image/png");
+    assert.equal(image.jpegThumbnail, JPEG.toString("base64"));
+    assert.equal(document.fileName, "Invoice.pdf");
+    assert.deepEqual(text, { text: "after" });
+
+    const report = await ctx.request("GET", `/api/v1/tasks/${taskId}/messages`);
+    assert.deepEqual(report.body.messages.map(entry => entry.type), ["image", "document", "text"]);
+    assert.deepEqual(leftovers(), [], "the task's folder is removed once it finishes");
+});
+
+test("a file that is not what it claims to be is refused and deleted", async () => {
+    const sentBefore = socket.sent.length;
+    const disguised = await ctx.request("POST", "/send-message", {
+        body: sendForm({ media: [[Buffer.from("MZ not a png"), "image/png", "photo.png"]] })
+    });
+    assert.match(disguised.body, /photo.png does not look like a image\/png file/);
+
+    const unsupported = await ctx.request("POST", "/send-message", {
+        body: sendForm({ media: [[Buffer.from("#!/bin/sh"), "application/x-sh", "run.sh"]] })
+    });
+    assert.match(unsupported.body, /unsupported file type application\/x-sh/);
+
+    const badThumbnail = await ctx.request("POST", "/send-message", {
+        body: sendForm({ media: [[PNG, "image/png", "photo.png"]], thumbnail: PNG })
+    });
+    assert.match(badThumbnail.body, /Thumbnail must be a JPEG image/);
+
+    assert.equal(socket.sent.length, sentBefore);
+    assert.deepEqual(leftovers(), []);
+});
+
+test("too many files are refused before the handler runs", async () => {
+    const media = Array.from({ length: 11 }, (_, i) => [PNG, "image/png", `p${i}.png`]);
+    const { status, body } = await ctx.request("POST", "/send-message", { body: sendForm({ media }) });
+    assert.equal(status, 400);
+    assert.match(body, /Too many files/);
+    assert.deepEqual(leftovers(), []);
+});
+
+test("a voice note is sent as ptt audio without a caption", async () => {
+    const ogg = Buffer.from("OggS\0\0\0\0fake");
+    const form = sendForm({ media: [[ogg, "audio/ogg", "note.ogg"]], fields: { caption: "ignored", voiceNote: "on" } });
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === "completed", { what: "the task to finish" });
+    const { content } = socket.sent[socket.sent.length - 1];
+    assert.equal(content.ptt, true);
+    assert.equal(content.caption, undefined);
+});
@@ -0,0 +1,195 @@
+// test/messageScript.test.js
+// JSON / YAML message scripts: validation with entry lines, and tasks that send
+// mentions, quotes and per-message delays
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./helpers");
+const { ScriptError, buildScriptContent, parseMessageScript, scriptFormat } = require("../lib/messageScript");
+const { describeTask } = require("../routes/tasks");
+
+const SELF = "9779800000210@s.whatsapp.net";
+const MEMBER = "9779811111210@s.whatsapp.net";
+const GROUP = "120363000000000210@g.us";
+const GROUPS = {
+    [GROUP]: { id: GROUP, subject: "Team", participants: [{ id: SELF, admin: "admin" }, { id: MEMBER, admin: null }] }
+};
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer({ groups: GROUPS });
+    sessionId = await ctx.pairAndOpen("9779800000210");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+const toJid = value => `${value.replace(/[^0-9]/g, "")}@s.whatsapp.net`;
+
+async function finished(taskId) {
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.endedAt, { what: "the task to finish" });
+    return ctx.server.taskStore.get(taskId);
+}
+
+test("scripts are recognised by their file extension", () => {
+    assert.equal(scriptFormat("greetings.json"), "json");
+    assert.equal(scriptFormat("greetings.YML"), "yaml");
+    assert.equal(scriptFormat("greetings.yaml"), "yaml");
+    assert.equal(scriptFormat("greetings.txt"), null);
+});
+
+test("a YAML script becomes task messages with defaults applied", () => {
+    const entries = parseMessageScript([
+        "defaults:",
+        "  delaySec: 2",
+        "messages:",
+        "  - id: intro",
+        "    text: |",
+        "      *Hello team*",
+        "      Two lines",
+        "  - text: Reply to the intro",
+        "    quote: intro",
+        "    linkPreview: false",
+        "    delaySec: 0",
+        "  - Plain string"
+    ].join("\n"), { toJid });
+
+    assert.deepEqual(entries, [
+        { type: "text", text: "*Hello team*\nTwo lines", ref: "intro", delaySec: 2 },
+        { type: "text", text: "Reply to the intro", quote: "intro", linkPreview: false, delaySec: 0 },
+        { type: "text", text: "Plain string", delaySec: 2 }
+    ]);
+    assert.deepEqual(buildScriptContent(entries[1], { quoted: { key: { id: "K" } } }), {
+        content: { text: "Reply to the intro", linkPreview: null },
+        options: { quoted: { key: { id: "K" } } }
+    });
+});
+
+test("every problem is reported with its entry, line and field", () => {
+    const source = [
+        "- text: first",
+        "  id: a",
+        "- text: \"\"",
+        "- text: hi @9779811111210",
+        "  mentions: [\"9779811111210\"]",
+        "- text: again",
+        "  id: a",
+        "  quote: missing",
+        "  colour: red"
+    ].join("\n");
+    assert.throws(() => parseMessageScript(source, { toJid }), err => {
+        assert.ok(err instanceof ScriptError);
+        assert.deepEqual(err.errors.map(e => e.path), [
+            "messages[1].text (line 3)",
+            "messages[2].mentions (line 4)",
+            "messages[3].colour (line 6)",
+            "messages[3].id (line 6)",
+            "messages[3].quote (line 6)"
+        ]);
+        assert.match(err.errors[1].message, /only work when sending to a group/);
+        return true;
+    });
+
+    assert.throws(() => parseMessageScript("[1, ", { format: "json", toJid }), /is not valid JSON/);
+    assert.throws(() => parseMessageScript({ messages: [] }, { toJid }), /has no entries/);
+    assert.throws(
+        () => parseMessageScript([{ text: "hi 9779822222210", mentions: ["9779822222210"] }], {
+            toJid, isGroupTarget: true, participants: new Set([MEMBER])
+        }),
+        /is not a participant of the group/
+    );
+});
+
+test("a group script mentions, quotes earlier entries and waits per entry", async () => {
+    const created = await ctx.request("POST", "/api/v1/tasks", {
+        body: {
+            sessionId,
+            target: GROUP,
+            targetType: "group",
+            delaySec: 60,
+            script: {
+                defaults: { delaySec: 0 },
+                messages: [
+                    { id: "intro", text: "Morning @9779811111210", mentions: ["9779811111210"] },
+                    { text: "Everyone, read the above", mentions: "all", quote: "intro" }
+                ]
+            }
+        }
+    });
+    assert.equal(created.status, 201);
+    const task = await finished(created.body.task.id);
+    assert.equal(task.status, "completed");
+    assert.deepEqual(task.entryDelays, [0, 0]);
+
+    const [first, second] = socket.sent;
+    assert.deepEqual(first.content, { text: "Morning @9779811111210", mentions: [MEMBER] });
+    assert.deepEqual(second.content.mentions, [SELF, MEMBER]);
+    assert.deepEqual(second.options.quoted.key, first.key);
+    assert.equal(second.options.quoted.message.conversation, "Morning @9779811111210");
+});
+
+test("the ETA adds up the waits of the entries still to send", () => {
+    const task = { id: "task_eta", status: "running", totalMessages: 4, cursor: 1, delaySec: 60, entryDelays: [0, 5, 60, 2] };
+    const described = describeTask(task);
+    assert.equal(described.etaSeconds, 67);
+    assert.equal(described.entryDelays, undefined);
+    assert.equal(describeTask({ ...task, entryDelays: undefined }).etaSeconds, 180);
+});
+
+test("quoteMessageId replies to a stored message of the target chat", async () => {
+    socket.receive({
+        key: { remoteJid: MEMBER, fromMe: false, id: "IN210" },
+        message: { conversation: "Is the shop open?" },
+        messageTimestamp: Math.floor(Date.now() / 1000)
+    });
+    const created = await ctx.request("POST", "/api/v1/tasks", {
+        body: { sessionId, target: "9779811111210", targetType: "number", delaySec: 1, script: "- text: Yes, until six\n  quoteMessageId: IN210" }
+    });
+    await finished(created.body.task.id);
+    assert.deepEqual(socket.sent.at(-1).options.quoted, {
+        key: { remoteJid: MEMBER, fromMe: false, id: "IN210" },
+        message: { conversation: "Is the shop open?" }
+    });
+
+    const unknown = await ctx.request("POST", "/api/v1/tasks", {
+        body: { sessionId, target: "9779811111210", targetType: "number", delaySec: 1, script: [{ text: "x", quoteMessageId: "NOPE" }] }
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error.code, "invalid_script");
+    assert.deepEqual(unknown.body.error.details.map(d => d.path), ["body.script.messages[0].quoteMessageId"]);
+});
+
+test("an uploaded .yaml messageFile is read as a script", async () => {
+    const form = new FormData();
+    form.append("sessionId", sessionId);
+    form.append("target", "9779811111210");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob(["- One\n- text: Two\n  mentions: all\n"], { type: "text/yaml" }), "script.yaml");
+    const rejected = await ctx.request("POST", "/api/v1/tasks", { body: form });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body.error.details.map(d => d.path), ["messageFile.messages[1].mentions (line 2)"]);
+
+    const good = new FormData();
+    for (const [name, value] of form.entries()) if (name !== "messageFile") good.append(name, value);
+    good.append("messageFile", new Blob(["- One\n- Two\n"], { type: "text/yaml" }), "script.yaml");
+    const created = await ctx.request("POST", "/api/v1/tasks", { body: good });
+    assert.equal(created.status, 201);
+    await finished(created.body.task.id);
+    assert.deepEqual(socket.sent.slice(-2).map(entry => entry.content.text), ["One", "Two"]);
+});
+
+test("the sending policy checks the shortest wait a script asks for", async () => {
+    await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { minIntervalSec: 10 } });
+    try {
+        const script = { messages: [{ text: "Quick", delaySec: 2 }, "Slow"] };
+        const { status, body } = await ctx.request("POST", "/api/v1/tasks", {
+            body: { sessionId, target: "9779811111210", targetType: "number", delaySec: 60, script }
+        });
+        assert.equal(status, 422);
+        assert.equal(body.error.code, "policy_violation");
+        assert.match(body.error.message, /at least 10 seconds/);
+    } finally {
+        await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { minIntervalSec: 0 } });
+    }
+});
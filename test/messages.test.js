@@ -0,0 +1,129 @@
+// test/messages.test.js
+// The message store: chats, contacts and history built from the socket events,
+// search, purging, per-session retention and Baileys' getMessage
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+
+const ALICE = "9779811111190@s.whatsapp.net";
+const BOB = "9779822222290@s.whatsapp.net";
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000190");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+const base = () => `/api/v1/sessions/${sessionId}`;
+let clock = 1900000000;
+
+function message(chat, id, text, extra = {}) {
+    return { key: { remoteJid: chat, fromMe: false, id }, message: { conversation: text }, messageTimestamp: ++clock, ...extra };
+}
+
+test("incoming messages fill the chat list, newest chat first", async () => {
+    socket.ev.emit("contacts.upsert", [{ id: ALICE, notify: "Alice" }]);
+    socket.receive([message(ALICE, "A1", "Good morning"), message(ALICE, "A2", "Café at nine?", { pushName: "Alice" })]);
+    socket.receive(message(BOB, "B1", "Running late"));
+
+    const { body } = await ctx.request("GET", `${base()}/chats`);
+    assert.equal(body.total, 2);
+    assert.deepEqual(body.chats.map(chat => chat.id), [BOB, ALICE]);
+    assert.equal(body.chats[1].name, "Alice");
+
+    const filtered = await ctx.request("GET", `${base()}/chats?q=alice`);
+    assert.deepEqual(filtered.body.chats.map(chat => chat.id), [ALICE]);
+
+    const contacts = await ctx.request("GET", `${base()}/contacts`);
+    assert.deepEqual(contacts.body.contacts.map(contact => contact.id), [ALICE]);
+});
+
+test("a chat's history pages back from the newest message", async () => {
+    socket.receive(message(ALICE, "A3", "See you"));
+
+    const first = await ctx.request("GET", `${base()}/chats/9779811111190/messages?limit=2`);
+    assert.deepEqual(first.body.messages.map(m => m.id), ["A3", "A2"]);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(first.body.messages[0].text, "See you");
+    assert.match(first.body.messages[0].timestamp, /^\d{4}-\d{2}-\d{2}T/);
+    assert.equal(first.body.messages[0].key, undefined);
+
+    const next = await ctx.request("GET", `${base()}/chats/9779811111190/messages?limit=2&before=${first.body.nextBefore}`);
+    assert.deepEqual(next.body.messages.map(m => m.id), ["A1"]);
+    assert.equal(next.body.hasMore, false);
+    assert.equal(next.body.nextBefore, null);
+
+    const badCursor = await ctx.request("GET", `${base()}/chats/9779811111190/messages?before=NOPE`);
+    assert.equal(badCursor.status, 400);
+    assert.equal(badCursor.body.error.code, "invalid_cursor");
+    const unknownChat = await ctx.request("GET", `${base()}/chats/9779833333390/messages`);
+    assert.equal(unknownChat.status, 404);
+    assert.equal(unknownChat.body.error.code, "chat_not_found");
+});
+
+test("edits and revokes are applied to the stored message", async () => {
+    socket.ev.emit("messages.update", [{
+        key: { remoteJid: ALICE, fromMe: false, id: "A1" },
+        update: { message: { editedMessage: { message: { conversation: "Good morning, all" } } } }
+    }]);
+    socket.ev.emit("messages.update", [{ key: { remoteJid: ALICE, fromMe: false, id: "A3" }, update: { message: null } }]);
+
+    const { body } = await ctx.request("GET", `${base()}/chats/9779811111190/messages`);
+    assert.deepEqual(body.messages.map(m => m.id), ["A2", "A1"]);
+    assert.equal(body.messages[1].text, "Good morning, all");
+    assert.equal(body.messages[1].edited, true);
+});
+
+test("search matches every word, ignoring case and accents", async () => {
+    const { body } = await ctx.request("GET", `${base()}/messages/search?q=CAFE%20nine`);
+    assert.equal(body.total, 1);
+    assert.equal(body.messages[0].id, "A2");
+
+    const inChat = await ctx.request("GET", `${base()}/messages/search?q=late&chat=9779811111190`);
+    assert.equal(inChat.body.total, 0);
+    const blank = await ctx.request("GET", `${base()}/messages/search?q=%20`);
+    assert.equal(blank.status, 400);
+    const badDate = await ctx.request("GET", `${base()}/messages/search?q=late&since=yesterday`);
+    assert.equal(badDate.body.error.code, "invalid_filter");
+});
+
+test("Baileys' getMessage is answered from the store", async () => {
+    const stored = await socket.getMessage({ remoteJid: BOB, fromMe: false, id: "B1" });
+    assert.deepEqual(stored, { conversation: "Running late" });
+    assert.equal(await socket.getMessage({ remoteJid: BOB, fromMe: false, id: "B404" }), undefined);
+});
+
+test("retention settings are per session and recording can be switched off", async () => {
+    const defaults = await ctx.request("GET", `${base()}/history`);
+    assert.equal(defaults.body.history.enabled, true);
+
+    const invalid = await ctx.request("PUT", `${base()}/history`, { body: { retentionDays: 0 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, "invalid_history");
+
+    const off = await ctx.request("PUT", `${base()}/history`, { body: { enabled: false, maxPerChat: null } });
+    assert.deepEqual(off.body.history, { ...defaults.body.history, enabled: false, maxPerChat: null });
+    socket.receive(message(BOB, "B2", "Not recorded"));
+    const { body } = await ctx.request("GET", `${base()}/chats/9779822222290/messages`);
+    assert.deepEqual(body.messages.map(m => m.id), ["B1"]);
+
+    await ctx.request("PUT", `${base()}/history`, { body: { enabled: true } });
+});
+
+test("purging forgets one chat or the whole session and is audited", async () => {
+    const one = await ctx.request("DELETE", `${base()}/messages?chat=9779822222290`);
+    assert.equal(one.body.removed, 1);
+    assert.deepEqual((await ctx.request("GET", `${base()}/chats`)).body.chats.map(chat => chat.id), [ALICE]);
+
+    const all = await ctx.request("DELETE", `${base()}/messages`);
+    assert.equal(all.body.removed, 3);
+    assert.equal((await ctx.request("GET", `${base()}/chats`)).body.total, 0);
+    assert.equal((await ctx.request("GET", `${base()}/contacts`)).body.total, 0);
+
+    const audit = await ctx.request("GET", "/api/v1/audit");
+    assert.equal(audit.body.entries.filter(entry => entry.action === "session.history.purge").length, 2);
+});
@@ -0,0 +1,74 @@
+// test/metrics.test.js
+// The Prometheus /metrics endpoint: access, session gauges and the counters
+// fed by task events
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./helpers");
+
+let ctx;
+let sessionId;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000170");
+});
+after(() => ctx.stop());
+
+// Value of one sample line, e.g. sample(text, 'whatsapp_sessions{state="connected"}')
+function sample(text, series) {
+    const line = text.split("\n").find(l => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test("/metrics takes an admin key or the metrics token", async () => {
+    const user = await ctx.request("POST", "/api/v1/users", { body: { name: "viewer" } });
+    assert.equal((await ctx.request("GET", "/metrics", { apiKey: user.body.apiKey })).status, 403);
+    assert.equal((await ctx.request("GET", "/metrics", { apiKey: null })).status, 401);
+
+    process.env.METRICS_TOKEN = "scrape-token";
+    try {
+        const scraped = await fetch(`${ctx.root}/metrics`, { headers: { Authorization: "Bearer scrape-token" } });
+        assert.equal(scraped.status, 200);
+        assert.match(scraped.headers.get("content-type"), /^text\/plain/);
+        const wrong = await fetch(`${ctx.root}/metrics`, { headers: { Authorization: "Bearer guess" } });
+        assert.equal(wrong.status, 401);
+    } finally {
+        delete process.env.METRICS_TOKEN;
+    }
+});
+
+test("session gauges follow the connection state", async () => {
+    const { body } = await ctx.request("GET", "/metrics");
+    assert.equal(sample(body, 'whatsapp_sessions{state="connected"}'), 1);
+    assert.equal(sample(body, `whatsapp_session_connected{session_id="${sessionId}",number="9779800000170",label=""}`), 1);
+    assert.match(body, /^process_cpu_user_seconds_total /m);
+
+    const socket = ctx.transport.lastSocket(sessionId);
+    socket.close(428);
+    await waitFor(() => ctx.transport.lastSocket(sessionId) !== socket, { what: "the reconnect" });
+    const dropped = (await ctx.request("GET", "/metrics")).body;
+    assert.equal(sample(dropped, 'whatsapp_sessions{state="disconnected"}'), 1);
+    assert.equal(sample(dropped, `whatsapp_reconnect_attempts_total{session_id="${sessionId}"}`), 1);
+
+    ctx.transport.lastSocket(sessionId).open({ id: "9779800000170:4@s.whatsapp.net" });
+    await waitFor(() => ctx.server.activeClients.get(sessionId)?.connected, { what: "the session to reconnect" });
+});
+
+test("task counters and the duration histogram follow task events", async () => {
+    const socket = ctx.transport.lastSocket(sessionId);
+    socket.failNextSend(Object.assign(new Error("bad request"), { output: { statusCode: 400 } }));
+    const form = new FormData();
+    form.append("target", "9779811111111");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob(["one\ntwo"], { type: "text/plain" }), "messages.txt");
+    const { body: page } = await ctx.request("POST", "/send-message", { body: form });
+    const taskId = page.match(/id="taskId">([^<]+)</)[1];
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === "completed", { what: "the task to finish" });
+
+    const { body } = await ctx.request("GET", "/metrics");
+    assert.equal(sample(body, `whatsapp_messages_sent_total{session_id="${sessionId}"}`), 1);
+    assert.equal(sample(body, `whatsapp_messages_failed_total{session_id="${sessionId}"}`), 1);
+    assert.equal(sample(body, 'whatsapp_task_duration_seconds_count{status="completed"}'), 1);
+    assert.equal(sample(body, 'whatsapp_tasks{status="completed"}'), 1);
+    assert.equal(sample(body, 'whatsapp_tasks{status="running"}'), 0);
+});
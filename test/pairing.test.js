@@ -0,0 +1,93 @@
+// test/pairing.test.js
+// Pairing a number through /code, up to an open socket, and following it on
+// /api/v1/sessions/{id}/pairing and the /api/v1/sessions/{id}/events stream
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./helpers");
+
+let ctx;
+before(async () => {
+    ctx = await startServer();
+});
+after(() => ctx.stop());
+
+test("/code needs an API key", async () => {
+    const { status } = await ctx.request("GET", "/code?number=9779800000001", { apiKey: null });
+    assert.equal(status, 401);
+});
+
+test("/code opens a socket and shows its pairing code", async () => {
+    const { status, body } = await ctx.request("GET", "/code?number=%2B977%2098-0000-0001");
+    assert.equal(status, 200);
+    assert.match(body, /Pairing Code: FAKE-CODE/);
+
+    const sessionId = body.match(/Session ID: (perm_9779800000001_\d+)/)[1];
+    const socket = ctx.transport.lastSocket(sessionId);
+    const pairingCall = socket.calls.find(call => call.method === "requestPairingCode");
+    assert.deepEqual(pairingCall.args, ["9779800000001"]);
+    assert.equal(ctx.server.activeClients.get(sessionId).connected, false);
+});
+
+test("/code needs a number", async () => {
+    const sockets = ctx.transport.sockets.size;
+    const { status } = await ctx.request("GET", "/code");
+    assert.equal(status, 400);
+    assert.equal(ctx.transport.sockets.size, sockets);
+});
+
+test("opening the socket connects the session", async () => {
+    const sessionId = await ctx.pairAndOpen("9779800000002");
+    const clientInfo = ctx.server.activeClients.get(sessionId);
+    assert.equal(clientInfo.number, "9779800000002");
+    assert.equal(clientInfo.retryCount, 0);
+    assert.ok(clientInfo.lastConnected instanceof Date);
+
+    const { body } = await ctx.request("GET", "/status");
+    const listed = body.sessions.find(session => session.sessionId === sessionId);
+    assert.equal(listed.connected, true);
+});
+
+test("creds.update is saved through the transport", async () => {
+    const sessionId = await ctx.pairAndOpen("9779800000003");
+    ctx.transport.lastSocket(sessionId).updateCreds({ me: { id: "9779800000003:4@s.whatsapp.net" } });
+    await waitFor(() => ctx.transport.savedCreds.get(sessionId) === 1, { what: "the credentials to be saved" });
+});
+
+test("the pairing state and event stream follow QR, code and connection", async () => {
+    const { body } = await ctx.request("GET", "/code?number=9779800000004");
+    const sessionId = body.match(/Session ID: (perm_\d+_\d+)/)[1];
+    assert.match(body, new RegExp(`data-session-id="${sessionId}"`));
+
+    const state = await ctx.request("GET", `/api/v1/sessions/${sessionId}/pairing`);
+    assert.equal(state.body.pairing.pairingCode, "FAKE-CODE");
+    assert.ok(new Date(state.body.pairing.pairingCodeExpiresAt) > new Date());
+
+    const stream = await ctx.events(`/api/v1/sessions/${sessionId}/events`);
+    assert.equal(stream.status, 200);
+    assert.match(stream.headers.get("content-type"), /text\/event-stream/);
+    assert.equal((await stream.next("state")).pairingCode, "FAKE-CODE");
+
+    const socket = ctx.transport.lastSocket(sessionId);
+    socket.emitQr("fake-qr-1");
+    const qr = await stream.next("qr");
+    assert.equal(qr.qr, "fake-qr-1");
+    assert.match(qr.dataUrl, /^data:image\/png;base64,/);
+
+    socket.open({ id: "9779800000004:4@s.whatsapp.net" });
+    assert.equal((await stream.next("connection")).connection, "connecting");
+    assert.equal((await stream.next("connection")).connection, "open");
+    stream.close();
+
+    const opened = await ctx.request("GET", `/api/v1/sessions/${sessionId}/pairing`);
+    assert.equal(opened.body.pairing.connection, "open");
+    assert.equal(opened.body.pairing.pairingCode, null);
+    assert.equal(opened.body.pairing.qrDataUrl, null);
+});
+
+test("/code?method=qr pairs by QR only", async () => {
+    const { body } = await ctx.request("GET", "/code?number=9779800000005&method=qr");
+    assert.match(body, /Scan the QR code below/);
+    const sessionId = body.match(/Session ID: (perm_\d+_\d+)/)[1];
+    const socket = ctx.transport.lastSocket(sessionId);
+    assert.equal(socket.calls.some(call => call.method === "requestPairingCode"), false);
+});
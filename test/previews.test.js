@@ -0,0 +1,136 @@
+// test/previews.test.js
+// Dry-run sends: the preview of every rendered message, and committing or
+// discarding it through /api/v1/previews/{token} and /send-message
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { sleep, startServer, waitFor } = require("./helpers");
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000230");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+const dryRun = body => ctx.request("POST", "/api/v1/tasks", { body: { sessionId, delaySec: 3, dryRun: true, ...body } });
+
+test("a dry run renders every message and sends nothing", async () => {
+    const form = new FormData();
+    form.append("sessionId", sessionId);
+    form.append("delaySec", "3");
+    form.append("dryRun", "true");
+    form.append("prefix", "[{{name}}]");
+    form.append("template", "Hi {{name}}");
+    form.append("messageFile", new Blob(["See you at nine"], { type: "text/plain" }), "messages.txt");
+    form.append("contactsFile", new Blob(["number,name\n9779811111230,Asha\n9779822222230,Bikash\n12,Chandra\n"], { type: "text/csv" }), "contacts.csv");
+    const { status, body } = await ctx.request("POST", "/api/v1/tasks", { body: form });
+
+    assert.equal(status, 200);
+    const { preview } = body;
+    assert.match(preview.token, /^prv_[0-9a-f]{32}$/);
+    assert.equal(preview.targetType, "contacts");
+    assert.equal(preview.totalMessages, 4);
+    assert.equal(preview.estimatedDurationSec, 9);
+    assert.deepEqual(preview.messages.map(m => [m.to, m.text]), [
+        ["9779811111230@s.whatsapp.net", "[Asha] See you at nine"],
+        ["9779811111230@s.whatsapp.net", "[Asha] Hi Asha"],
+        ["9779822222230@s.whatsapp.net", "[Bikash] See you at nine"],
+        ["9779822222230@s.whatsapp.net", "[Bikash] Hi Bikash"]
+    ]);
+    assert.deepEqual(body.rejectedRows.map(row => row.name), ["Chandra"]);
+
+    assert.equal(socket.sent.length, 0);
+    assert.equal((await ctx.request("GET", "/api/v1/tasks")).body.total, 0);
+    assert.deepEqual((await ctx.request("GET", `/api/v1/previews/${preview.token}`)).body.preview, preview);
+});
+
+test("a dry run fails the same checks a send does", async () => {
+    const invalid = await dryRun({ target: "12", targetType: "number", messages: ["x"] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, "invalid_target");
+
+    const badSchedule = await dryRun({ target: "9779811111230", targetType: "number", messages: ["x"], scheduleMode: "once", runAt: "2000-01-01T00:00" });
+    assert.equal(badSchedule.body.error.code, "invalid_schedule");
+});
+
+test("committing a preview starts exactly that task, once", async () => {
+    const { body } = await dryRun({ target: "9779811111230", targetType: "number", delaySec: 1, messages: ["one", "two"] });
+    const { token } = body.preview;
+
+    const committed = await ctx.request("POST", `/api/v1/previews/${token}/commit`);
+    assert.equal(committed.status, 201);
+    const taskId = committed.body.task.id;
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === "completed", { what: "the committed task" });
+    assert.deepEqual(socket.sent.map(entry => entry.content.text), ["one", "two"]);
+
+    const again = await ctx.request("POST", `/api/v1/previews/${token}/commit`);
+    assert.equal(again.status, 404);
+    assert.equal(again.body.error.code, "preview_not_found");
+});
+
+test("a scheduled dry run commits to a schedule", async () => {
+    const { body } = await dryRun({
+        target: "9779811111230", targetType: "number", messages: ["Weekly"], scheduleMode: "cron", cron: "0 9 * * 1", timezone: "UTC"
+    });
+    assert.equal(body.preview.schedule.cron, "0 9 * * 1");
+
+    const committed = await ctx.request("POST", `/api/v1/previews/${body.preview.token}/commit`);
+    assert.equal(committed.status, 201);
+    assert.equal(committed.body.schedule.cron, "0 9 * * 1");
+    assert.equal(committed.body.schedule.nextRunAt, body.preview.schedule.nextRunAt);
+});
+
+test("a preview whose one-off time passed stays to be retried", async () => {
+    const runAt = new Date(Date.now() + 1000).toISOString();
+    const { body } = await dryRun({ target: "9779811111230", targetType: "number", messages: ["Soon"], scheduleMode: "once", runAt });
+    const { token } = body.preview;
+    await sleep(1100);
+
+    const late = await ctx.request("POST", `/api/v1/previews/${token}/commit`);
+    assert.equal(late.status, 400);
+    assert.equal(late.body.error.code, "invalid_schedule");
+    assert.equal((await ctx.request("GET", `/api/v1/previews/${token}`)).status, 200);
+});
+
+test("previews are private and can be discarded with their media", async () => {
+    const form = new FormData();
+    form.append("sessionId", sessionId);
+    form.append("target", "9779811111230");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("dryRun", "true");
+    form.append("mediaFiles", new Blob(["%PDF-1.4"], { type: "application/pdf" }), "menu.pdf");
+    const { body } = await ctx.request("POST", "/api/v1/tasks", { body: form });
+    const { token } = body.preview;
+    assert.equal(body.preview.mediaMessages, 1);
+    assert.ok(fs.existsSync(`uploads/${token}`));
+
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    assert.equal((await ctx.request("GET", `/api/v1/previews/${token}`, { apiKey: stranger.body.apiKey })).status, 404);
+    assert.equal((await ctx.request("POST", `/api/v1/previews/${token}/commit`, { apiKey: stranger.body.apiKey })).status, 404);
+
+    assert.equal((await ctx.request("DELETE", `/api/v1/previews/${token}`)).status, 204);
+    assert.equal((await ctx.request("GET", `/api/v1/previews/${token}`)).status, 404);
+    assert.equal(fs.existsSync(`uploads/${token}`), false);
+});
+
+test("/send-message shows the preview and commits it from its button", async () => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries({ target: "9779822222230", targetType: "number", delaySec: "1", template: "From the page", dryRun: "true" })) {
+        form.append(name, value);
+    }
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    assert.match(body, /Preview - nothing has been sent/);
+    assert.match(body, /From the page/);
+    const token = body.match(/name="previewToken" value="([^"]+)"/)[1];
+
+    const { body: sent } = await ctx.request("POST", "/send-message", { body: new URLSearchParams({ previewToken: token }) });
+    assert.match(sent, /Task Started/);
+    const taskId = sent.match(/id="taskId">([^<]+)</)[1];
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === "completed", { what: "the committed task" });
+    assert.equal(socket.sent.at(-1).content.text, "From the page");
+});
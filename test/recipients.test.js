@@ -0,0 +1,119 @@
+// test/recipients.test.js
+// Send targets: E.164 parsing, group ids, and the onWhatsApp / group checks that
+// refuse a task before it is created
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers");
+const { createRecipientChecker, parseNumber, toGroupJid } = require("../lib/recipients");
+
+const SELF = "9779800000220@s.whatsapp.net";
+const OPEN_GROUP = "120363000000000220@g.us";
+const ANNOUNCE_GROUP = "120363000000000221@g.us";
+const GROUPS = {
+    [OPEN_GROUP]: { id: OPEN_GROUP, subject: "Open", participants: [{ id: SELF, admin: null }] },
+    [ANNOUNCE_GROUP]: { id: ANNOUNCE_GROUP, subject: "News", announce: true, participants: [{ id: SELF, admin: null }] }
+};
+const NOT_ON_WHATSAPP = "9779812222220";
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer({ groups: GROUPS, notOnWhatsApp: [NOT_ON_WHATSAPP] });
+    sessionId = await ctx.pairAndOpen("9779800000220");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+const send = (target, targetType = "number") => ctx.request("POST", "/api/v1/tasks", {
+    body: { sessionId, target, targetType, delaySec: 1, messages: ["hi"] }
+});
+
+test("numbers are parsed as E.164, nationally when a default country is given", () => {
+    for (const input of ["+977 981-2345678", "009779812345678", "9779812345678", "9779812345678@s.whatsapp.net"]) {
+        assert.deepEqual(parseNumber(input, null), { e164: "+9779812345678", digits: "9779812345678", jid: "9779812345678@s.whatsapp.net" }, input);
+    }
+    assert.equal(parseNumber("9812345678", null), null);
+    assert.equal(parseNumber("9812345678", "NP").e164, "+9779812345678");
+    assert.equal(parseNumber("12345", "NP"), null);
+    assert.equal(parseNumber("call me", "NP"), null);
+});
+
+test("group ids are digits, with or without @g.us", () => {
+    assert.equal(toGroupJid("120363000000000220"), OPEN_GROUP);
+    assert.equal(toGroupJid(OPEN_GROUP), OPEN_GROUP);
+    assert.equal(toGroupJid("9779812345678-1600000000@g.us"), "9779812345678-1600000000@g.us");
+    assert.equal(toGroupJid("abc@g.us"), null);
+    assert.equal(toGroupJid(""), null);
+});
+
+test("lookups are batched and cached, and skipped while the session is offline", async () => {
+    const calls = [];
+    const client = {
+        onWhatsApp: async (...jids) => {
+            calls.push(jids.length);
+            return jids.filter(jid => !jid.startsWith(NOT_ON_WHATSAPP)).map(jid => ({ exists: true, jid }));
+        }
+    };
+    const clientInfo = { connected: true, client };
+    const checker = createRecipientChecker({ activeClients: new Map([["s1", clientInfo]]), lookup: true });
+
+    const inputs = Array.from({ length: 60 }, (_, i) => `97798100${String(i).padStart(5, "0")}`);
+    const results = await checker.checkNumbers("s1", [...inputs, NOT_ON_WHATSAPP, "nope"]);
+    assert.deepEqual(calls, [50, 11]);
+    assert.equal(results.get(inputs[0]).verified, true);
+    assert.equal(results.get(NOT_ON_WHATSAPP).code, "not_on_whatsapp");
+    assert.equal(results.get("nope").code, "invalid_number");
+
+    await checker.checkNumbers("s1", inputs.slice(0, 5));
+    assert.equal(calls.length, 2, "known numbers come from the cache");
+
+    clientInfo.connected = false;
+    const offline = await checker.checkNumber("s1", "9779819999999");
+    assert.deepEqual(offline, { jid: "9779819999999@s.whatsapp.net", e164: "+9779819999999", verified: false });
+});
+
+test("malformed targets are a 400, unreachable ones a 422", async () => {
+    const malformed = await send("12345");
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.error.code, "invalid_target");
+    assert.match(malformed.body.error.message, /include the country code/);
+    assert.equal((await send("not-a-group", "group")).body.error.code, "invalid_target");
+
+    const missing = await send(NOT_ON_WHATSAPP);
+    assert.equal(missing.status, 422);
+    assert.equal(missing.body.error.code, "not_on_whatsapp");
+
+    const stranger = await send("120363999999999999", "group");
+    assert.equal(stranger.status, 422);
+    assert.equal(stranger.body.error.code, "not_group_member");
+
+    const announce = await send(ANNOUNCE_GROUP, "group");
+    assert.equal(announce.status, 422);
+    assert.equal(announce.body.error.code, "group_announce_only");
+
+    assert.equal((await ctx.request("GET", "/api/v1/tasks")).body.total, 0, "no task was created");
+});
+
+test("valid targets are normalized before the task starts", async () => {
+    const number = await send("+977 981-1111220");
+    assert.equal(number.status, 201);
+    assert.equal(number.body.task.targetJid, "9779811111220@s.whatsapp.net");
+
+    const group = await send("120363000000000220", "group");
+    assert.equal(group.status, 201);
+    assert.equal(group.body.task.targetJid, OPEN_GROUP);
+    assert.ok(socket.calls.some(call => call.method === "onWhatsApp"));
+});
+
+test("contact rows that are not on WhatsApp are rejected rows", async () => {
+    const form = new FormData();
+    form.append("sessionId", sessionId);
+    form.append("delaySec", "1");
+    form.append("template", "Hi {{name}}");
+    form.append("contactsFile", new Blob([`number,name\n9779811111221,Asha\n${NOT_ON_WHATSAPP},Bikash\n12,Chandra\n`], { type: "text/csv" }), "contacts.csv");
+    const { status, body } = await ctx.request("POST", "/api/v1/tasks", { body: form });
+    assert.equal(status, 201);
+    assert.equal(body.task.totalMessages, 1);
+    assert.deepEqual(body.rejectedRows.map(row => [row.name, row.reason]), [["Bikash", "not on WhatsApp"], ["Chandra", "invalid number"]]);
+});
@@ -0,0 +1,161 @@
+// test/reconnect.test.js
+// A socket closing under a running task is handled by its DisconnectReason:
+// 428 (connection closed) reconnects after a backoff, 515 (restart required) at
+// once, 401 (logged out) drops the credentials and stops the task, 440
+// (replaced) halts until POST /api/v1/sessions/{id}/reconnect. Also /healthz and /readyz.
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sleep, startServer, waitFor } = require("./helpers");
+const { DisconnectReason } = require("../lib/fakeTransport");
+const { classifyDisconnect, reconnectDelayMs } = require("../lib/reconnect");
+
+const TARGET = "9779811111111";
+const MESSAGES = ["one", "two", "three", "four"];
+
+let ctx;
+before(async () => {
+    ctx = await startServer();
+});
+after(() => ctx.stop());
+
+// Start a task and wait until its first message went out
+async function startTask(sessionId) {
+    const form = new FormData();
+    form.append("sessionId", sessionId);
+    form.append("target", TARGET);
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob([MESSAGES.join("\n")], { type: "text/plain" }), "messages.txt");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    const socket = ctx.transport.lastSocket(sessionId);
+    await waitFor(() => socket.sent.length > 0, { what: "the first message" });
+    return taskId;
+}
+
+const socketsOf = sessionId => ctx.transport.sockets.get(sessionId);
+const sentTexts = sessionId => socketsOf(sessionId).flatMap(socket => socket.sent.map(entry => entry.content.text));
+const taskStatus = taskId => ctx.server.taskStore.get(taskId).status;
+
+async function finishOnNewSocket(sessionId, taskId, number) {
+    const socket = ctx.transport.lastSocket(sessionId);
+    socket.open({ id: `${number}:4@s.whatsapp.net` });
+    await waitFor(() => taskStatus(taskId) === "completed", { timeout: 10000, what: "the task to complete" });
+    assert.ok(socket.sent.length > 0, "the new socket sent the rest");
+    assert.deepEqual(sentTexts(sessionId), MESSAGES);
+    assert.equal(ctx.server.activeClients.get(sessionId).connected, true);
+}
+
+test("close codes map to restart, retry, logout or halt", () => {
+    const actionOf = code => classifyDisconnect(code, DisconnectReason).action;
+    assert.equal(actionOf(515), "restart");
+    for (const code of [428, 408, 503, 499, undefined]) assert.equal(actionOf(code), "retry", String(code));
+    for (const code of [401, 500, 411]) assert.equal(actionOf(code), "logout", String(code));
+    for (const code of [440, 403]) assert.equal(actionOf(code), "halt", String(code));
+
+    assert.deepEqual(classifyDisconnect(440, DisconnectReason), { action: "halt", reason: "connectionReplaced" });
+    assert.equal(classifyDisconnect(499, DisconnectReason).reason, "status 499");
+    assert.equal(classifyDisconnect(undefined, DisconnectReason).reason, "unknown");
+});
+
+test("the backoff doubles per attempt with half of it jittered", () => {
+    // RECONNECT_INTERVAL_MS is 50 in the tests
+    assert.equal(reconnectDelayMs(1, () => 0), 25);
+    assert.equal(reconnectDelayMs(1, () => 1), 50);
+    assert.equal(reconnectDelayMs(3, () => 0), 100);
+    assert.equal(reconnectDelayMs(3, () => 1), 200);
+    assert.equal(reconnectDelayMs(0, () => 1), 50, "attempts start at 1");
+    assert.equal(reconnectDelayMs(40, () => 1), 5 * 60 * 1000, "capped at RECONNECT_MAX_MS");
+});
+
+test("428 reconnects after a backoff and the task resumes on the new socket", async () => {
+    const number = "9779800000030";
+    const sessionId = await ctx.pairAndOpen(number);
+    const taskId = await startTask(sessionId);
+
+    ctx.transport.lastSocket(sessionId).close(DisconnectReason.connectionClosed);
+    const clientInfo = ctx.server.activeClients.get(sessionId);
+    assert.equal(clientInfo.connected, false);
+    assert.equal(clientInfo.retryCount, 1);
+    assert.ok(clientInfo.nextRetryAt > new Date());
+    assert.equal(socketsOf(sessionId).length, 1, "no new socket before the backoff");
+
+    await waitFor(() => socketsOf(sessionId).length === 2, { what: "the reconnect" });
+    assert.equal(socketsOf(sessionId)[1].authState.creds.registered, true, "the new socket keeps the registration");
+    assert.equal(ctx.server.sessionRegistry.get(sessionId).lastDisconnect.action, "retry");
+    await finishOnNewSocket(sessionId, taskId, number);
+    assert.equal(ctx.server.activeClients.get(sessionId).retryCount, 0);
+});
+
+test("515 restarts at once and the task finishes on the new socket", async () => {
+    const number = "9779800000031";
+    const sessionId = await ctx.pairAndOpen(number);
+    const taskId = await startTask(sessionId);
+
+    ctx.transport.lastSocket(sessionId).close(DisconnectReason.restartRequired);
+    assert.equal(ctx.server.activeClients.get(sessionId).connected, false);
+    await waitFor(() => socketsOf(sessionId).length === 2, { timeout: 500, what: "the restart" });
+    assert.equal(ctx.server.sessionRegistry.get(sessionId).lastDisconnect.action, "restart");
+    await sleep(1500);
+    assert.equal(ctx.transport.lastSocket(sessionId).sent.length, 0, "nothing goes out before the new socket opens");
+
+    await finishOnNewSocket(sessionId, taskId, number);
+});
+
+test("401 drops the credentials, stops the task and does not reconnect", async () => {
+    const sessionId = await ctx.pairAndOpen("9779800000032");
+    const taskId = await startTask(sessionId);
+
+    ctx.transport.lastSocket(sessionId).close(DisconnectReason.loggedOut);
+    assert.equal(ctx.server.activeClients.has(sessionId), false);
+    const record = ctx.server.sessionRegistry.get(sessionId);
+    assert.equal(record.loggedOut, true);
+    assert.equal(record.paired, false);
+    assert.equal(record.lastDisconnect.reason, "loggedOut");
+
+    await waitFor(() => taskStatus(taskId) === "stopped", { what: "the task to stop" });
+    await sleep(200);
+    assert.equal(socketsOf(sessionId).length, 1);
+
+    const { status, body } = await ctx.request("POST", `/api/v1/sessions/${sessionId}/reconnect`);
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "session_logged_out");
+});
+
+test("440 halts until the session is reconnected by hand, then the task carries on", async () => {
+    const number = "9779800000033";
+    const sessionId = await ctx.pairAndOpen(number);
+    const taskId = await startTask(sessionId);
+
+    ctx.transport.lastSocket(sessionId).close(DisconnectReason.connectionReplaced);
+    assert.equal(ctx.server.sessionRegistry.get(sessionId).halted.reason, "connectionReplaced");
+    await waitFor(() => taskStatus(taskId) === "interrupted", { what: "the task to be interrupted" });
+    await sleep(200);
+    assert.equal(socketsOf(sessionId).length, 1, "a halted session does not reconnect on its own");
+
+    const reconnect = await ctx.request("POST", `/api/v1/sessions/${sessionId}/reconnect`);
+    assert.equal(reconnect.status, 202);
+    assert.equal(reconnect.body.session.halted, null);
+    assert.equal(socketsOf(sessionId).length, 2);
+
+    await finishOnNewSocket(sessionId, taskId, number);
+    const again = await ctx.request("POST", `/api/v1/sessions/${sessionId}/reconnect`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.code, "session_connected");
+});
+
+test("/healthz answers while /readyz waits for the sessions to be restored", async () => {
+    const health = await ctx.request("GET", "/healthz", { apiKey: null });
+    assert.equal(health.status, 200);
+    assert.equal(health.body.status, "ok");
+
+    const early = await ctx.request("GET", "/readyz", { apiKey: null });
+    assert.equal(early.status, 503);
+    assert.deepEqual(early.body.checks, { startup: false, storage: true, acceptingTasks: true });
+
+    await ctx.server.restoreSessions();
+    const ready = await ctx.request("GET", "/readyz", { apiKey: null });
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.status, "ready");
+    assert.equal(ready.body.sessions.connected, ready.body.sessions.active);
+});
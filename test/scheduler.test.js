@@ -0,0 +1,189 @@
+// test/scheduler.test.js
+// One-off and cron schedules: timing rules, firing, the offline policy and the
+// /schedules API
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, waitFor } = require("./helpers");
+const { createScheduler, nextCronRun, parseRunAt, resolveTiming } = require("../lib/scheduler");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let ctx;
+let sessionId;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000130");
+});
+after(() => ctx.stop());
+
+// A scheduler on its own temp dir; `online` decides isSessionOnline
+function withScheduler(run) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-scheduler-"));
+    const started = [];
+    const retired = [];
+    const state = { online: true };
+    const scheduler = createScheduler({
+        file: path.join(dir, "schedules.json"),
+        messagesDir: path.join(dir, "schedules"),
+        runSchedule: (schedule, messages) => {
+            started.push({ id: schedule.id, messages });
+            return { id: `task_${started.length}` };
+        },
+        isSessionOnline: () => state.online,
+        onRetired: schedule => retired.push(schedule.id)
+    });
+    try {
+        run({ scheduler, started, retired, state, dir });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+const create = (scheduler, id, timing, extra = {}) => scheduler.create({
+    id, owner: "usr_1", sessionId: "s1", timing, task: { delaySec: 1 }, messages: ["hi"], ...extra
+});
+
+test("runAt without an offset is wall-clock time in the schedule's timezone", () => {
+    assert.equal(parseRunAt("2030-01-15T09:00", "Asia/Kathmandu").toISOString(), "2030-01-15T03:15:00.000Z");
+    assert.equal(parseRunAt("2030-07-01T09:00", "Europe/London").toISOString(), "2030-07-01T08:00:00.000Z");
+    assert.equal(parseRunAt("2030-01-15T09:00:00Z", "Asia/Kathmandu").toISOString(), "2030-01-15T09:00:00.000Z");
+    assert.throws(() => parseRunAt("tomorrow", "UTC"), /expected YYYY-MM-DDTHH:mm/);
+    assert.equal(nextCronRun("30 9 * * *", "Asia/Kathmandu", new Date("2030-01-15T00:00:00Z")).toISOString(), "2030-01-15T03:45:00.000Z");
+});
+
+test("a schedule needs exactly one of runAt and cron", () => {
+    assert.throws(() => resolveTiming({ timezone: "UTC" }), /either runAt/);
+    assert.throws(() => resolveTiming({ runAt: "2030-01-01T00:00", cron: "* * * * *", timezone: "UTC" }), /either runAt/);
+    assert.throws(() => resolveTiming({ cron: "* * * *", timezone: "UTC" }), /five fields/);
+    assert.throws(() => resolveTiming({ cron: "99 * * * *", timezone: "UTC" }), /Invalid cron expression/);
+    assert.throws(() => resolveTiming({ runAt: "2000-01-01T00:00", timezone: "UTC" }), /must be in the future/);
+    assert.throws(() => resolveTiming({ runAt: "2030-01-01T00:00", timezone: "Mars/Olympus" }), /Unknown timezone/);
+});
+
+test("a one-off schedule fires once and is retired", () => withScheduler(({ scheduler, started, retired, dir }) => {
+    const schedule = create(scheduler, "sched_a", { runAt: new Date(Date.now() + HOUR_MS).toISOString() });
+    scheduler.tick(Date.now());
+    assert.equal(started.length, 0);
+
+    scheduler.tick(Date.now() + 2 * HOUR_MS);
+    assert.deepEqual(started, [{ id: "sched_a", messages: ["hi"] }]);
+    assert.equal(schedule.status, "completed");
+    assert.equal(schedule.lastRun.taskId, "task_1");
+    assert.deepEqual(retired, ["sched_a"]);
+    assert.equal(fs.existsSync(path.join(dir, "schedules", "sched_a.messages.json")), false);
+
+    scheduler.tick(Date.now() + 3 * HOUR_MS);
+    assert.equal(started.length, 1);
+}));
+
+test("a cron schedule moves on to its next slot, even when a run is skipped", () => withScheduler(({ scheduler, started, state }) => {
+    const schedule = create(scheduler, "sched_b", { cron: "0 * * * *", timezone: "UTC" });
+    const first = Date.parse(schedule.nextRunAt);
+
+    state.online = false;
+    scheduler.tick(first);
+    assert.equal(schedule.lastRun.status, "skipped");
+    assert.equal(Date.parse(schedule.nextRunAt), first + HOUR_MS);
+
+    state.online = true;
+    scheduler.tick(first + HOUR_MS);
+    assert.equal(started.length, 1);
+    assert.equal(schedule.status, "active");
+    assert.deepEqual(schedule.runs.map(run => run.status), ["started", "skipped"]);
+}));
+
+test("offlinePolicy defer waits for the session up to deferMaxMinutes", () => withScheduler(({ scheduler, started, state }) => {
+    const schedule = create(scheduler, "sched_c", { runAt: new Date(Date.now() + HOUR_MS).toISOString() }, {
+        offlinePolicy: "defer",
+        deferMaxMinutes: 30
+    });
+    const slot = Date.parse(schedule.nextRunAt);
+
+    state.online = false;
+    scheduler.tick(slot);
+    assert.equal(schedule.lastRun.status, "deferred");
+    assert.equal(schedule.pendingSince, new Date(slot).toISOString());
+    assert.equal(schedule.status, "active");
+
+    state.online = true;
+    scheduler.tick(Date.parse(schedule.nextRunAt));
+    assert.equal(started.length, 1);
+    assert.equal(schedule.lastRun.slot, new Date(slot).toISOString(), "the run belongs to the original slot");
+    assert.equal(schedule.status, "completed");
+
+    const late = create(scheduler, "sched_d", { runAt: new Date(Date.now() + HOUR_MS).toISOString() }, {
+        offlinePolicy: "defer",
+        deferMaxMinutes: 30
+    });
+    state.online = false;
+    scheduler.tick(Date.parse(late.nextRunAt));
+    scheduler.tick(Date.parse(late.nextRunAt) + 31 * 60 * 1000);
+    assert.equal(late.lastRun.status, "skipped");
+    assert.equal(late.status, "completed");
+}));
+
+test("/send-message with scheduleMode sets up a schedule that runs as a normal task", async () => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries({
+        sessionId,
+        target: "9779811111111",
+        targetType: "number",
+        delaySec: "1",
+        template: "Good morning",
+        scheduleMode: "once",
+        runAt: "2099-01-01T09:00",
+        timezone: "Asia/Kathmandu",
+        label: " Morning "
+    })) form.append(name, value);
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    assert.match(body, /Task Scheduled/);
+    const scheduleId = body.match(/Schedule ID: <strong>([^<]+)</)[1];
+
+    const listed = await ctx.request("GET", "/api/v1/schedules?status=active");
+    assert.deepEqual(listed.body.schedules.map(s => s.id), [scheduleId]);
+    const [schedule] = listed.body.schedules;
+    assert.equal(schedule.label, "Morning");
+    assert.equal(schedule.nextRunAt, "2099-01-01T03:15:00.000Z");
+    assert.equal(schedule.task.targetJid, "9779811111111@s.whatsapp.net");
+
+    ctx.server.scheduler.tick(Date.parse(schedule.nextRunAt));
+    const { lastRun } = ctx.server.scheduler.get(scheduleId);
+    assert.equal(lastRun.status, "started");
+    await waitFor(() => ctx.server.taskStore.get(lastRun.taskId)?.status === "completed", { what: "the scheduled task" });
+    assert.equal(ctx.server.taskStore.get(lastRun.taskId).scheduleId, scheduleId);
+    assert.deepEqual(ctx.transport.lastSocket(sessionId).sent.map(entry => entry.content.text), ["Good morning"]);
+});
+
+test("schedules can be edited, paused, resumed and cancelled by their owner", async () => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries({
+        sessionId, target: "9779811111111", targetType: "number", delaySec: "1", template: "Weekly", scheduleMode: "cron", cron: "0 9 * * 1", timezone: "UTC"
+    })) form.append(name, value);
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    const id = body.match(/Schedule ID: <strong>([^<]+)</)[1];
+
+    const edited = await ctx.request("PATCH", `/api/v1/schedules/${id}`, { body: { cron: "0 10 * * 1", delaySec: 5 } });
+    assert.equal(edited.body.schedule.cron, "0 10 * * 1");
+    assert.equal(edited.body.schedule.task.delaySec, 5);
+    assert.equal(new Date(edited.body.schedule.nextRunAt).getUTCHours(), 10);
+    const unknown = await ctx.request("PATCH", `/api/v1/schedules/${id}`, { body: { every: "day" } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error.code, "validation_failed");
+    assert.equal((await ctx.request("PATCH", `/api/v1/schedules/${id}`, { body: { offlinePolicy: "queue" } })).status, 400);
+
+    assert.equal((await ctx.request("POST", `/api/v1/schedules/${id}/pause`)).body.schedule.status, "paused");
+    assert.equal((await ctx.request("POST", `/api/v1/schedules/${id}/pause`)).status, 409);
+    assert.equal((await ctx.request("POST", `/api/v1/schedules/${id}/resume`)).body.schedule.status, "active");
+
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    assert.equal((await ctx.request("DELETE", `/api/v1/schedules/${id}`, { apiKey: stranger.body.apiKey })).status, 404);
+
+    assert.equal((await ctx.request("DELETE", `/api/v1/schedules/${id}`)).body.schedule.status, "cancelled");
+    assert.equal((await ctx.request("DELETE", `/api/v1/schedules/${id}`)).status, 409);
+    const finished = await ctx.request("PATCH", `/api/v1/schedules/${id}`, { body: { label: "x" } });
+    assert.equal(finished.status, 409);
+    assert.equal(finished.body.error.code, "schedule_finished");
+});
@@ -0,0 +1,123 @@
+// test/sendPolicy.test.js
+// Per-session sending policies: validation, the send ledger, up-front task
+// checks and the per-message check that blocks a task mid-way
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer, waitFor } = require("./helpers");
+const { createSendLedger, createSendPolicy, validatePolicy } = require("../lib/sendPolicy");
+
+const toJid = value => (/^\d+$/.test(value) ? `${value}@s.whatsapp.net` : null);
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000080");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+function sendForm(target, lines, delaySec = "1") {
+    const form = new FormData();
+    form.append("target", target);
+    form.append("targetType", "number");
+    form.append("delaySec", delaySec);
+    form.append("messageFile", new Blob([lines.join("\n")], { type: "text/plain" }), "messages.txt");
+    return form;
+}
+
+test("validatePolicy accepts partial policies and rejects anything else", () => {
+    assert.deepEqual(validatePolicy({ perRecipientHourly: 5, allowlist: ["9779811111111"] }, toJid), {
+        perRecipientHourly: 5,
+        allowlist: ["9779811111111@s.whatsapp.net"]
+    });
+    assert.deepEqual(validatePolicy({ perSessionDaily: null, allowlist: null }, toJid), { perSessionDaily: null, allowlist: null });
+    assert.throws(() => validatePolicy({ minIntervalSec: -1 }, toJid), /non-negative integer/);
+    assert.throws(() => validatePolicy({ minIntervalSec: 1.5 }, toJid), /non-negative integer/);
+    assert.throws(() => validatePolicy({ allowlist: "all" }, toJid), /array/);
+    assert.throws(() => validatePolicy({ allowlist: ["nope"] }, toJid), /Invalid allowlist entry/);
+    assert.throws(() => validatePolicy({ burst: 3 }, toJid), /Unknown policy field/);
+});
+
+test("the ledger counts sends in rolling windows and survives a restart", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-ledger-"));
+    try {
+        const file = path.join(dir, "ledger.json");
+        const now = Date.now();
+        const ledger = createSendLedger(file);
+        ledger.record("s1", "a@s.whatsapp.net", now - 25 * 60 * 60 * 1000);
+        ledger.record("s1", "a@s.whatsapp.net", now - 2 * 60 * 60 * 1000);
+        ledger.record("s1", "b@s.whatsapp.net", now - 60 * 1000);
+
+        const reloaded = createSendLedger(file);
+        assert.equal(reloaded.count("s1", { windowMs: 24 * 60 * 60 * 1000, now }), 2);
+        assert.equal(reloaded.count("s1", { windowMs: 60 * 60 * 1000, now }), 1);
+        assert.equal(reloaded.count("s1", { jid: "a@s.whatsapp.net", windowMs: 24 * 60 * 60 * 1000, now }), 1);
+        assert.equal(reloaded.lastSentAt("s1"), now - 60 * 1000);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("checkTask and msUntilAllowed apply the session's policy", () => {
+    const records = { s1: { policy: { minIntervalSec: 10, perRecipientHourly: 3 } } };
+    const sent = [];
+    const policy = createSendPolicy({
+        sessionRegistry: { get: id => records[id] },
+        ledger: {
+            count: (id, { jid }) => sent.filter(entry => !jid || entry.jid === jid).length,
+            lastSentAt: () => (sent.length ? sent[sent.length - 1].at : null),
+            record: (id, jid) => sent.push({ jid, at: Date.now() })
+        }
+    });
+
+    const task = { sessionId: "s1", targetJid: "a@s.whatsapp.net", messageCount: 3, delaySec: 10 };
+    assert.match(policy.checkTask({ ...task, delaySec: 5 }), /at least 10 seconds/);
+    assert.equal(policy.checkTask(task), null);
+    assert.match(policy.checkTask({ ...task, messageCount: 4 }), /limit of 3 messages to a@s.whatsapp.net per hour/);
+
+    assert.equal(policy.msUntilAllowed("s1"), 0);
+    policy.recordSend("s1", "a@s.whatsapp.net");
+    assert.ok(policy.msUntilAllowed("s1") > 9000);
+});
+
+test("PUT /api/v1/sessions/{id}/policy merges changes over the defaults", async () => {
+    const { body } = await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { allowlist: ["9779811111111"] } });
+    assert.deepEqual(body.policy.allowlist, ["9779811111111@s.whatsapp.net"]);
+    assert.equal(body.policy.minIntervalSec, 0);
+
+    const invalid = await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { perSessionDaily: "many" } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error.code, "invalid_policy");
+
+    const current = await ctx.request("GET", `/api/v1/sessions/${sessionId}/policy`);
+    assert.deepEqual(current.body.policy.allowlist, ["9779811111111@s.whatsapp.net"]);
+});
+
+test("/send-message rejects a task that breaks the policy up front", async () => {
+    const outside = await ctx.request("POST", "/send-message", { body: sendForm("9779822222222", ["hi"]) });
+    assert.match(outside.body, /Rejected by sending policy: 9779822222222@s.whatsapp.net is not on this session&#39;s allowlist/);
+
+    await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { perRecipientHourly: 2 } });
+    const tooMany = await ctx.request("POST", "/send-message", { body: sendForm("9779811111111", ["a", "b", "c"]) });
+    assert.match(tooMany.body, /limit of 2 messages/);
+    assert.equal(socket.sent.length, 0);
+});
+
+test("a task is blocked when a cap is reached mid-way", async () => {
+    const { body } = await ctx.request("POST", "/send-message", { body: sendForm("9779811111111", ["a", "b"]) });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    await waitFor(() => socket.sent.length === 1, { what: "the first message" });
+
+    // Tightening the policy applies to the messages still to come
+    await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { perSessionHourly: 1 } });
+    await waitFor(() => ctx.server.taskStore.get(taskId).status === "blocked", { what: "the task to be blocked" });
+    const task = ctx.server.taskStore.get(taskId);
+    assert.equal(task.sentMessages, 1);
+    assert.match(task.blockedReason, /limit of 1 messages from this session per hour/);
+    assert.equal(socket.sent.length, 1);
+});
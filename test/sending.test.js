@@ -0,0 +1,80 @@
+// test/sending.test.js
+// Starting a send task through /send-message, stopping it through /stop-task
+// and following it on /status
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { sleep, startServer, waitFor } = require("./helpers");
+
+const TARGET = "9779811111111";
+const TARGET_JID = `${TARGET}@s.whatsapp.net`;
+
+let ctx;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    const sessionId = await ctx.pairAndOpen("9779800000010");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+// Form for /send-message with one message per line of `lines`
+function sendForm(lines, fields = {}) {
+    const form = new FormData();
+    const values = { target: TARGET, targetType: "number", delaySec: "1", ...fields };
+    for (const [name, value] of Object.entries(values)) form.append(name, value);
+    form.append("messageFile", new Blob([lines.join("\n")], { type: "text/plain" }), "messages.txt");
+    return form;
+}
+
+async function startTask(lines, fields) {
+    const { status, body } = await ctx.request("POST", "/send-message", { body: sendForm(lines, fields) });
+    assert.equal(status, 201);
+    return body.match(/id="taskId">([^<]+)</)[1];
+}
+
+const findTask = async taskId => (await ctx.request("GET", "/status")).body.tasks.find(task => task.taskId === taskId);
+
+test("/send-message sends every line of the file in order, with the prefix", async () => {
+    const taskId = await startTask(["first", "", "  second  "], { target: "+977 981-1111111", prefix: "[x]" });
+
+    await waitFor(async () => (await findTask(taskId)).isSending === false, { what: "the task to finish" });
+    assert.deepEqual(socket.sent.map(entry => entry.content.text), ["[x] first", "[x] second"]);
+    assert.ok(socket.sent.every(entry => entry.jid === TARGET_JID));
+
+    const task = await findTask(taskId);
+    assert.equal(task.totalMessages, 2);
+    assert.equal(task.sentMessages, 2);
+    assert.equal(task.targetJid, TARGET_JID);
+});
+
+test("/send-message needs every field", async () => {
+    const form = sendForm(["x"]);
+    form.delete("target");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    assert.match(body, /Give a target and targetType/);
+});
+
+test("/stop-task stops a running task after the message being sent", async () => {
+    const before = socket.sent.length;
+    const taskId = await startTask(["a", "b", "c", "d", "e"]);
+    await waitFor(() => socket.sent.length > before, { what: "the first message" });
+
+    const running = await findTask(taskId);
+    assert.equal(running.isSending, true);
+    assert.equal(running.stopRequested, false);
+
+    const stopped = await ctx.request("POST", "/stop-task", { body: new URLSearchParams({ taskId }) });
+    assert.match(stopped.body, /Stop requested for Task/);
+    assert.equal((await findTask(taskId)).stopRequested, true);
+    const sentAtStop = socket.sent.length;
+
+    // Longer than the delay between messages: the next one would be out by now
+    await sleep(1500);
+    assert.equal(socket.sent.length, sentAtStop);
+    assert.ok(sentAtStop - before < 5);
+});
+
+test("/stop-task reports an unknown task", async () => {
+    const { body } = await ctx.request("POST", "/stop-task", { body: new URLSearchParams({ taskId: "task_missing" }) });
+    assert.match(body, /Task not found/);
+});
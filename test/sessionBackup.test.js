@@ -0,0 +1,125 @@
+// test/sessionBackup.test.js
+// Session credentials encrypted at rest, and the passphrase-sealed bundles of
+// POST /api/v1/sessions/{id}/export and POST /api/v1/sessions/import
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { startServer } = require("./helpers");
+const { createAuthCipher, encryptPlainFiles, openBundle, readAuthFiles, sealBundle } = require("../lib/authState");
+
+const KEY = crypto.randomBytes(32).toString("hex");
+const PASSPHRASE = "correct horse battery";
+const CREDS = JSON.stringify({ registered: true, me: { id: "9779800000200:4@s.whatsapp.net" } });
+
+let ctx;
+let sessionId;
+before(async () => {
+    process.env.AUTH_ENCRYPTION_KEY = KEY;
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000200");
+    // The fake transport keeps its credentials in memory; put some where Baileys would
+    fs.mkdirSync(path.join("sessions", sessionId), { recursive: true });
+    fs.writeFileSync(path.join("sessions", sessionId, "creds.json"), CREDS);
+});
+after(() => {
+    delete process.env.AUTH_ENCRYPTION_KEY;
+    return ctx.stop();
+});
+
+test("auth files are sealed with the key and only open with it", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-auth-"));
+    try {
+        fs.writeFileSync(path.join(dir, "creds.json"), CREDS);
+        const cipher = createAuthCipher(KEY);
+        assert.equal(encryptPlainFiles(dir, cipher), 1);
+        assert.equal(encryptPlainFiles(dir, cipher), 0, "sealed files are left alone");
+
+        const stored = JSON.parse(fs.readFileSync(path.join(dir, "creds.json"), "utf-8"));
+        assert.equal(stored.enc, "aes-256-gcm");
+        assert.deepEqual(readAuthFiles(dir, cipher), { "creds.json": CREDS });
+        assert.throws(() => readAuthFiles(dir, null), /set AUTH_ENCRYPTION_KEY/);
+        assert.throws(() => readAuthFiles(dir, createAuthCipher(crypto.randomBytes(32).toString("base64"))));
+        assert.throws(() => createAuthCipher("too-short"), /32 bytes/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("a bundle opens with its passphrase only", async () => {
+    const bundle = await sealBundle({ session: { label: "Shop" }, files: { "creds.json": CREDS } }, PASSPHRASE);
+    assert.equal(bundle.format, "wa-session-bundle");
+    assert.doesNotMatch(JSON.stringify(bundle), /9779800000200/);
+
+    assert.deepEqual(await openBundle(bundle, PASSPHRASE), { session: { label: "Shop" }, files: { "creds.json": CREDS } });
+    await assert.rejects(openBundle(bundle, "wrong passphrase!"), /Wrong passphrase/);
+    await assert.rejects(openBundle({ ...bundle, format: "zip" }, PASSPHRASE), /Not a session bundle/);
+    for (const kdf of [{ N: 2 ** 20 }, { N: 30000 }, { r: 32 }, { p: 16 }]) {
+        await assert.rejects(openBundle({ ...bundle, kdf: { ...bundle.kdf, ...kdf } }, PASSPHRASE), /Unsupported bundle key parameters/);
+    }
+    await assert.rejects(sealBundle({ files: {} }, "short"), /at least 12 characters/);
+});
+
+test("an exported session imports for its new owner, encrypted with this host's key", async () => {
+    await ctx.request("PATCH", `/api/v1/sessions/${sessionId}`, { body: { label: "Shop" } });
+    await ctx.request("PUT", `/api/v1/sessions/${sessionId}/policy`, { body: { minIntervalSec: 5 } });
+    const short = await ctx.request("POST", `/api/v1/sessions/${sessionId}/export`, { body: { passphrase: "short" } });
+    assert.equal(short.status, 400);
+
+    const exported = await ctx.request("POST", `/api/v1/sessions/${sessionId}/export`, { body: { passphrase: PASSPHRASE } });
+    assert.equal(exported.status, 200);
+    assert.match(exported.headers.get("content-disposition"), new RegExp(`${sessionId}\\.wasession\\.json`));
+    const bundle = exported.body;
+
+    const taken = await ctx.request("POST", "/api/v1/sessions/import", { body: { bundle, passphrase: PASSPHRASE } });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error.code, "session_exists");
+
+    await ctx.request("DELETE", `/api/v1/sessions/${sessionId}`);
+    const wrong = await ctx.request("POST", "/api/v1/sessions/import", { body: { bundle, passphrase: "not the passphrase" } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error.code, "invalid_bundle");
+    const notABundle = await ctx.request("POST", "/api/v1/sessions/import", { body: { bundle: "{", passphrase: PASSPHRASE } });
+    assert.equal(notABundle.body.error.code, "invalid_bundle");
+
+    const { body: carol } = await ctx.request("POST", "/api/v1/users", { body: { name: "carol" } });
+    const form = new FormData();
+    form.append("passphrase", PASSPHRASE);
+    form.append("bundle", new Blob([JSON.stringify(bundle)], { type: "application/json" }), "shop.wasession.json");
+    const imported = await fetch(`${ctx.root}/api/v1/sessions/import`, { method: "POST", headers: { "X-API-Key": carol.apiKey }, body: form });
+    assert.equal(imported.status, 201);
+    const { session } = await imported.json();
+    assert.equal(session.sessionId, sessionId);
+    assert.equal(session.label, "Shop");
+    assert.equal(ctx.server.sessionRegistry.get(sessionId).owner, carol.user.id);
+    assert.deepEqual(ctx.server.sessionRegistry.get(sessionId).policy, { minIntervalSec: 5 });
+    assert.ok(ctx.transport.lastSocket(sessionId), "the imported session connects");
+
+    const stored = fs.readFileSync(path.join("sessions", sessionId, "creds.json"), "utf-8");
+    assert.equal(JSON.parse(stored).enc, "aes-256-gcm");
+    assert.deepEqual(readAuthFiles(path.join("sessions", sessionId), createAuthCipher(KEY)), { "creds.json": CREDS });
+
+    const audit = (await ctx.request("GET", "/api/v1/audit")).body.entries.map(entry => entry.action);
+    assert.ok(audit.includes("session.export") && audit.includes("session.import"));
+});
+
+test("a session without stored credentials has nothing to export", async () => {
+    const other = await ctx.pairAndOpen("9779800000201");
+    const { status, body } = await ctx.request("POST", `/api/v1/sessions/${other}/export`, { body: { passphrase: PASSPHRASE } });
+    assert.equal(status, 409);
+    assert.equal(body.error.code, "no_credentials");
+});
+
+test("a bundle whose policy would not pass PUT /policy is refused", async () => {
+    const bundle = await sealBundle({
+        session: { sessionId: "perm_9779800000202_1", number: "9779800000202", policy: { minIntervalSec: -1, burst: 3 } },
+        files: { "creds.json": CREDS }
+    }, PASSPHRASE);
+    const { status, body } = await ctx.request("POST", "/api/v1/sessions/import", { body: { bundle, passphrase: PASSPHRASE } });
+    assert.equal(status, 400);
+    assert.equal(body.error.code, "invalid_policy");
+    assert.equal(ctx.server.sessionRegistry.get("perm_9779800000202_1"), null);
+    assert.equal(fs.existsSync(path.join("sessions", "perm_9779800000202_1")), false);
+});
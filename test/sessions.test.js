@@ -0,0 +1,113 @@
+// test/sessions.test.js
+// The session registry and /api/v1/sessions: listing, labels, logout, deletion,
+// choosing a session for /send-message and restoring sessions on startup
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { sleep, startServer, waitFor } = require("./helpers");
+
+let ctx;
+let first;
+let second;
+before(async () => {
+    ctx = await startServer();
+    first = await ctx.pairAndOpen("9779800000060");
+    second = await ctx.pairAndOpen("9779800000061");
+});
+after(() => ctx.stop());
+
+function sendForm(fields) {
+    const form = new FormData();
+    const values = { target: "9779811111111", targetType: "number", delaySec: "1", ...fields };
+    for (const [name, value] of Object.entries(values)) form.append(name, value);
+    form.append("messageFile", new Blob(["hello"], { type: "text/plain" }), "messages.txt");
+    return form;
+}
+
+test("/api/v1/sessions lists the caller's sessions with their live state", async () => {
+    const { body } = await ctx.request("GET", "/api/v1/sessions");
+    assert.equal(body.total, 2);
+    const listed = body.sessions.find(session => session.sessionId === first);
+    assert.equal(listed.number, "9779800000060");
+    assert.equal(listed.paired, true);
+    assert.equal(listed.connected, true);
+
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    const theirs = await ctx.request("GET", "/api/v1/sessions", { apiKey: stranger.body.apiKey });
+    assert.equal(theirs.body.total, 0);
+    const hidden = await ctx.request("GET", `/api/v1/sessions/${first}`, { apiKey: stranger.body.apiKey });
+    assert.equal(hidden.status, 404);
+});
+
+test("/code reuses the caller's session for a number it already paired", async () => {
+    const { body } = await ctx.request("GET", "/code?number=9779800000060");
+    assert.match(body, new RegExp(`Session ID: ${first}`));
+    assert.equal(ctx.transport.sockets.get(first).length, 1);
+});
+
+test("PATCH /api/v1/sessions/{id} sets or clears the label", async () => {
+    const labelled = await ctx.request("PATCH", `/api/v1/sessions/${first}`, { body: { label: "  Shop  " } });
+    assert.equal(labelled.body.session.label, "Shop");
+    assert.equal(ctx.server.sessionRegistry.get(first).label, "Shop");
+
+    const tooLong = await ctx.request("PATCH", `/api/v1/sessions/${first}`, { body: { label: "x".repeat(65) } });
+    assert.equal(tooLong.status, 400);
+    assert.equal(tooLong.body.error.code, "validation_failed");
+    const notText = await ctx.request("PATCH", `/api/v1/sessions/${first}`, { body: { label: 5 } });
+    assert.equal(notText.status, 400);
+
+    const cleared = await ctx.request("PATCH", `/api/v1/sessions/${first}`, { body: { label: null } });
+    assert.equal(cleared.body.session.label, null);
+});
+
+test("/send-message needs sessionId once the caller has several sessions", async () => {
+    const ambiguous = await ctx.request("POST", "/send-message", { body: sendForm({}) });
+    assert.match(ambiguous.body, /choose one with sessionId/);
+
+    const chosen = await ctx.request("POST", "/send-message", { body: sendForm({ sessionId: second }) });
+    assert.match(chosen.body, new RegExp(`Session: ${second}`));
+    const socket = ctx.transport.lastSocket(second);
+    await waitFor(() => socket.sent.length === 1, { what: "the message" });
+    assert.equal(ctx.transport.lastSocket(first).sent.length, 0);
+});
+
+test("logout unlinks the device and keeps the entry", async () => {
+    const socket = ctx.transport.lastSocket(second);
+    const { status, body } = await ctx.request("POST", `/api/v1/sessions/${second}/logout`);
+    assert.equal(status, 200);
+    assert.equal(body.session.loggedOut, true);
+    assert.equal(body.session.paired, false);
+    assert.equal(body.session.connected, false);
+    assert.ok(socket.calls.some(call => call.method === "logout"));
+    assert.equal(ctx.server.activeClients.has(second), false);
+
+    // The close that follows the logout does not bring the session back
+    await sleep(200);
+    assert.equal(ctx.transport.sockets.get(second).length, 1);
+});
+
+test("DELETE /api/v1/sessions/{id} forgets the session and its credentials", async () => {
+    fs.mkdirSync(path.join("sessions", first), { recursive: true });
+    const { status } = await ctx.request("DELETE", `/api/v1/sessions/${first}`);
+    assert.equal(status, 200);
+    assert.equal(ctx.server.sessionRegistry.get(first), null);
+    assert.equal(fs.existsSync(path.join("sessions", first)), false);
+    assert.equal((await ctx.request("GET", `/api/v1/sessions/${first}`)).status, 404);
+});
+
+test("restoreSessions reconnects paired sessions and adopts legacy folders", async () => {
+    const { body: me } = await ctx.request("GET", "/api/v1/me");
+    ctx.server.sessionRegistry.register({ sessionId: "perm_9779800000062_1", number: "9779800000062", owner: me.user.id });
+    ctx.server.sessionRegistry.update("perm_9779800000062_1", { paired: true });
+    fs.mkdirSync(path.join("sessions", "perm_9779800000063_1"), { recursive: true });
+    fs.writeFileSync(path.join("sessions", "perm_9779800000063_1", "creds.json"), "{}");
+
+    await ctx.server.restoreSessions();
+    assert.ok(ctx.transport.lastSocket("perm_9779800000062_1"));
+    const adopted = ctx.server.sessionRegistry.get("perm_9779800000063_1");
+    assert.equal(adopted.number, "9779800000063");
+    assert.equal(adopted.owner, me.user.id);
+    assert.ok(ctx.transport.lastSocket("perm_9779800000063_1"));
+    assert.equal(ctx.transport.sockets.get(second).length, 1, "a logged-out session stays down");
+});
@@ -0,0 +1,106 @@
+// test/suppression.test.js
+// Opt-out keywords received on a session, the per-owner suppression list and
+// the send loop skipping recipients on it
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./helpers");
+
+const CUSTOMER = "9779811111111";
+const CUSTOMER_JID = `${CUSTOMER}@s.whatsapp.net`;
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000070");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+// An incoming text message from `jid` (a ":device" suffix is allowed)
+function incoming(jid, text) {
+    return { key: { remoteJid: jid, fromMe: false, id: `IN${Date.now()}` }, message: { conversation: text } };
+}
+
+const listed = async () => (await ctx.request("GET", "/api/v1/suppression")).body.entries.map(entry => entry.jid);
+
+function sendForm(target, lines) {
+    const form = new FormData();
+    form.append("target", target);
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob([lines.join("\n")], { type: "text/plain" }), "messages.txt");
+    return form;
+}
+
+test("a STOP reply suppresses the sender and START lifts it", async () => {
+    socket.receive(incoming(`${CUSTOMER}:3@s.whatsapp.net`, "  stop "));
+    assert.deepEqual(await listed(), [CUSTOMER_JID]);
+    const [entry] = (await ctx.request("GET", "/api/v1/suppression")).body.entries;
+    assert.equal(entry.reason, "keyword");
+    assert.equal(entry.keyword, "STOP");
+    assert.equal(entry.sessionId, sessionId);
+
+    // Only the whole text counts, and our own messages never do
+    socket.receive(incoming("9779822222222@s.whatsapp.net", "please stop"));
+    const own = incoming("9779833333333@s.whatsapp.net", "STOP");
+    own.key.fromMe = true;
+    socket.receive(own);
+    assert.deepEqual(await listed(), [CUSTOMER_JID]);
+
+    socket.receive(incoming(CUSTOMER_JID, "start"));
+    assert.deepEqual(await listed(), []);
+});
+
+test("/send-message refuses a suppressed recipient", async () => {
+    await ctx.request("POST", "/api/v1/suppression", { body: { target: `+${CUSTOMER}`, note: "asked by phone" } });
+    const { body } = await ctx.request("POST", "/send-message", { body: sendForm(CUSTOMER, ["hi"]) });
+    assert.match(body, /has opted out/);
+    assert.equal(socket.sent.length, 0);
+
+    const removed = await ctx.request("DELETE", `/api/v1/suppression/${CUSTOMER}`);
+    assert.equal(removed.body.removed, CUSTOMER_JID);
+    assert.equal((await ctx.request("DELETE", `/api/v1/suppression/${CUSTOMER}`)).status, 404);
+});
+
+test("a recipient who opts out mid-task gets nothing more", async () => {
+    const target = "9779844444444";
+    const { body } = await ctx.request("POST", "/send-message", { body: sendForm(target, ["one", "two", "three"]) });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    await waitFor(() => socket.sent.length === 1, { what: "the first message" });
+
+    socket.receive(incoming(`${target}@s.whatsapp.net`, "UNSUBSCRIBE"));
+    await waitFor(() => ctx.server.taskStore.get(taskId).status === "completed", { what: "the task to finish" });
+    const task = ctx.server.taskStore.get(taskId);
+    assert.equal(task.sentMessages, 1);
+    assert.equal(task.skippedMessages, 2);
+    assert.equal(task.skipReason, "recipient opted out");
+    assert.equal(socket.sent.length, 1);
+});
+
+test("opt-out keywords are configurable per session", async () => {
+    const defaults = await ctx.request("GET", `/api/v1/sessions/${sessionId}/opt-out`);
+    assert.ok(defaults.body.optOutKeywords.includes("STOP"));
+
+    const updated = await ctx.request("PUT", `/api/v1/sessions/${sessionId}/opt-out`, { body: { optOutKeywords: [" halt ", "HALT", "no more"] } });
+    assert.deepEqual(updated.body.optOutKeywords, ["HALT", "NO MORE"]);
+    assert.ok(updated.body.optInKeywords.includes("START"), "omitted lists keep their value");
+
+    const clash = await ctx.request("PUT", `/api/v1/sessions/${sessionId}/opt-out`, { body: { optInKeywords: ["HALT"] } });
+    assert.equal(clash.status, 400);
+    const malformed = await ctx.request("PUT", `/api/v1/sessions/${sessionId}/opt-out`, { body: { optOutKeywords: "HALT" } });
+    assert.equal(malformed.status, 400);
+
+    socket.receive(incoming("9779855555555@s.whatsapp.net", "stop"));
+    socket.receive(incoming("9779866666666@s.whatsapp.net", "No More"));
+    assert.deepEqual(await listed(), ["9779844444444@s.whatsapp.net", "9779866666666@s.whatsapp.net"]);
+});
+
+test("the list is per owner", async () => {
+    const other = await ctx.request("POST", "/api/v1/users", { body: { name: "other" } });
+    const theirs = await ctx.request("GET", "/api/v1/suppression", { apiKey: other.body.apiKey });
+    assert.equal(theirs.body.total, 0);
+    const hidden = await ctx.request("GET", `/api/v1/sessions/${sessionId}/opt-out`, { apiKey: other.body.apiKey });
+    assert.equal(hidden.status, 404);
+});
@@ -0,0 +1,114 @@
+// test/taskJournal.test.js
+// Tasks journaled to data/tasks/ and picked back up at their cursor once their
+// session is connected again
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createTaskStore, TASK_STATUS } = require("../lib/taskStore");
+const { startServer, waitFor } = require("./helpers");
+
+const TARGET_JID = "9779811111111@s.whatsapp.net";
+
+let ctx;
+let sessionId;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000050");
+});
+after(() => ctx.stop());
+
+const ownerId = async () => (await ctx.request("GET", "/api/v1/me")).body.user.id;
+const textsOf = socket => socket.sent.map(entry => entry.content.text);
+
+test("the store keeps snapshots on disk and lists them newest first", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "wa-task-store-"));
+    try {
+        const store = createTaskStore(dir);
+        store.save({ id: "task_a", owner: "usr_1", status: TASK_STATUS.COMPLETED, startedAt: "2024-01-01T00:00:00Z" });
+        store.save({ id: "task_b", owner: "usr_1", status: TASK_STATUS.RUNNING, startedAt: "2024-01-02T00:00:00Z" });
+        store.saveMessages("task_b", ["one", "two"]);
+        fs.writeFileSync(path.join(dir, "broken.json"), "{ not json");
+
+        const reloaded = createTaskStore(dir);
+        assert.deepEqual(reloaded.list().map(task => task.id), ["task_b", "task_a"]);
+        assert.deepEqual(reloaded.list({ status: TASK_STATUS.COMPLETED }).map(task => task.id), ["task_a"]);
+        assert.deepEqual(reloaded.loadMessages("task_b"), ["one", "two"]);
+        assert.deepEqual(reloaded.loadMessages("task_a"), []);
+
+        reloaded.remove("task_b");
+        assert.equal(fs.existsSync(path.join(dir, "task_b.messages.json")), false);
+        assert.equal(createTaskStore(dir).get("task_b"), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test("a finished task is journaled with its cursor and listed on /tasks", async () => {
+    const form = new FormData();
+    form.append("target", "9779811111111");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob(["one\ntwo"], { type: "text/plain" }), "messages.txt");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.status === TASK_STATUS.COMPLETED, { what: "the task to complete" });
+    const saved = JSON.parse(fs.readFileSync(path.join("data", "tasks", `${taskId}.json`), "utf-8"));
+    assert.equal(saved.cursor, 2);
+    assert.equal(saved.sentMessages, 2);
+    assert.equal(saved.sessionId, sessionId);
+    assert.deepEqual(ctx.server.taskStore.loadMessages(taskId), ["one", "two"]);
+
+    const listed = await ctx.request("GET", "/api/v1/tasks?status=completed");
+    assert.deepEqual(listed.body.tasks.map(task => task.id), [taskId]);
+});
+
+test("a task that was running at shutdown resumes from its cursor when its session opens", async () => {
+    const number = "9779800000051";
+    const restoredSession = `perm_${number}_1`;
+    ctx.server.taskStore.save({
+        id: "task_restored",
+        owner: await ownerId(),
+        sessionId: restoredSession,
+        targetJid: TARGET_JID,
+        prefix: "",
+        delaySec: 0,
+        totalMessages: 3,
+        sentMessages: 1,
+        cursor: 1,
+        status: TASK_STATUS.RUNNING,
+        startedAt: new Date()
+    });
+    ctx.server.taskStore.saveMessages("task_restored", ["one", "two", "three"]);
+
+    assert.equal(ctx.server.restoreTasks(), 1);
+    assert.equal(ctx.server.activeTasks.get("task_restored").status, TASK_STATUS.INTERRUPTED);
+
+    await ctx.server.initializeClient(restoredSession, number, false, await ownerId());
+    const socket = ctx.transport.lastSocket(restoredSession);
+    socket.open({ id: `${number}:4@s.whatsapp.net` });
+
+    await waitFor(() => ctx.server.taskStore.get("task_restored").status === TASK_STATUS.COMPLETED, { what: "the task to resume" });
+    assert.deepEqual(textsOf(socket), ["two", "three"]);
+    assert.equal(ctx.server.taskStore.get("task_restored").sentMessages, 3);
+});
+
+test("a task whose session is replaced elsewhere is left interrupted", async () => {
+    const socket = ctx.transport.lastSocket(sessionId);
+    const sentBefore = socket.sent.length;
+    const form = new FormData();
+    form.append("sessionId", sessionId);
+    form.append("target", "9779811111111");
+    form.append("targetType", "number");
+    form.append("delaySec", "1");
+    form.append("messageFile", new Blob(["one\ntwo\nthree"], { type: "text/plain" }), "messages.txt");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    const taskId = body.match(/id="taskId">([^<]+)</)[1];
+    await waitFor(() => socket.sent.length === sentBefore + 1, { what: "the first message" });
+
+    socket.close(440);
+    await waitFor(() => ctx.server.taskStore.get(taskId).status === TASK_STATUS.INTERRUPTED, { what: "the task to be interrupted" });
+    assert.equal(ctx.server.taskStore.get(taskId).cursor, 1);
+});
@@ -0,0 +1,165 @@
+// test/taskQueue.test.js
+// The per-session task queue: priorities, reordering, pausing and resuming,
+// cancelling, and GET /api/v1/sessions/{id}/queue
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./helpers");
+const { DisconnectReason } = require("../lib/fakeTransport");
+const { createTaskQueue, priorityRank } = require("../lib/taskQueue");
+
+let ctx;
+let sessionId;
+let socket;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000240");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(() => ctx.stop());
+
+const stored = taskId => ctx.server.taskStore.get(taskId);
+
+async function send(messages, extra = {}) {
+    const { status, body } = await ctx.request("POST", "/api/v1/tasks", {
+        body: { sessionId, target: "9779811111240", targetType: "number", delaySec: 1, messages, ...extra }
+    });
+    assert.equal(status, 201);
+    return body.task;
+}
+
+async function queue() {
+    const { body } = await ctx.request("GET", `/api/v1/sessions/${sessionId}/queue`);
+    return { ...body, running: body.running.map(task => task.id), waiting: body.waiting.map(task => task.id) };
+}
+
+test("a new task waits behind every task of the same or a higher priority", () => {
+    const moved = [];
+    const line = createTaskQueue({ onReordered: task => moved.push(task.id) });
+    const task = (id, priority) => ({ id, sessionId: "s1", priority });
+    const [a, b, c, d] = [task("a", "normal"), task("b", "low"), task("c", "high"), task("d", "normal")];
+    for (const each of [a, b, c, d]) line.add(each);
+
+    assert.deepEqual(line.list("s1").map(each => each.id), ["c", "a", "d", "b"]);
+    assert.deepEqual([c, a, d, b].map(each => each.queuePosition), [1, 2, 3, 4]);
+
+    moved.length = 0;
+    assert.equal(line.move(b, { position: 1 }), true);
+    assert.deepEqual(line.list("s1").map(each => each.id), ["b", "c", "a", "d"]);
+    assert.deepEqual(moved, ["c", "a", "d"], "the moved task itself is not reported");
+
+    line.move(d, { priority: "high" });
+    assert.equal(d.priority, "high");
+    assert.deepEqual(line.list("s1").map(each => each.id), ["d", "b", "c", "a"]);
+
+    assert.equal(line.take("s1", each => each !== d), b);
+    assert.equal(b.queuePosition, null);
+    assert.equal(line.has(b), false);
+    assert.equal(line.move(b, { position: 1 }), false);
+    assert.equal(priorityRank("urgent"), priorityRank("normal"));
+});
+
+test("waiting tasks can be reordered, paused, resumed and cancelled", async () => {
+    const running = await send(["A1", "A2", "A3"]);
+    await waitFor(() => stored(running.id).status === "running", { what: "the first task to start" });
+    const normal = await send(["B"]);
+    const low = await send(["C"], { priority: "low" });
+    const high = await send(["D"], { priority: "high" });
+    assert.equal(normal.status, "queued");
+
+    let line = await queue();
+    assert.deepEqual(line.running, [running.id]);
+    assert.deepEqual(line.waiting, [high.id, normal.id, low.id]);
+    assert.equal(line.concurrency, 1);
+    assert.equal(line.held, false);
+
+    const moved = await ctx.request("POST", `/api/v1/tasks/${low.id}/reorder`, { body: { position: 1 } });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.task.queuePosition, 1);
+    assert.equal(stored(high.id).queuePosition, 2);
+
+    const nowhere = await ctx.request("POST", `/api/v1/tasks/${low.id}/reorder`, { body: {} });
+    assert.equal(nowhere.status, 400);
+    const notWaiting = await ctx.request("POST", `/api/v1/tasks/${running.id}/reorder`, { body: { position: 1 } });
+    assert.equal(notWaiting.status, 409);
+    assert.equal(notWaiting.body.error.code, "task_not_queued");
+
+    const cancelled = await ctx.request("DELETE", `/api/v1/tasks/${normal.id}`);
+    assert.equal(cancelled.status, 200);
+    assert.equal(cancelled.body.task.status, "stopped");
+    assert.equal((await ctx.request("DELETE", `/api/v1/tasks/${normal.id}`)).body.error.code, "task_finished");
+
+    const paused = await ctx.request("POST", `/api/v1/tasks/${high.id}/pause`);
+    assert.equal(paused.body.task.status, "paused");
+    assert.equal((await ctx.request("POST", `/api/v1/tasks/${high.id}/pause`)).body.error.code, "task_not_pausable");
+    line = await queue();
+    assert.deepEqual(line.waiting, [low.id, high.id], "a paused task keeps its place");
+
+    await waitFor(() => stored(low.id).status === "completed", { what: "the reordered task", timeout: 10000 });
+    assert.equal(stored(high.id).status, "paused", "a paused task is passed over");
+
+    const resumed = await ctx.request("POST", `/api/v1/tasks/${high.id}/resume`);
+    assert.equal(resumed.status, 200);
+    await waitFor(() => stored(high.id).status === "completed", { what: "the resumed task" });
+    assert.equal((await ctx.request("POST", `/api/v1/tasks/${high.id}/resume`)).body.error.code, "task_not_paused");
+    assert.deepEqual(socket.sent.map(entry => entry.content.text), ["A1", "A2", "A3", "C", "D"]);
+});
+
+test("a running task pauses after the message being sent and resumes from the next", async () => {
+    const task = await send(["E1", "E2", "E3"], { delaySec: 2 });
+    await waitFor(() => stored(task.id).sentMessages === 1, { what: "the first message" });
+
+    const pausing = await ctx.request("POST", `/api/v1/tasks/${task.id}/pause`);
+    assert.equal(pausing.status, 200);
+    assert.equal(pausing.body.task.pauseRequested, true);
+    await waitFor(() => stored(task.id).status === "paused", { what: "the task to pause" });
+    assert.equal(stored(task.id).sentMessages, 1);
+
+    const line = await queue();
+    assert.deepEqual(line.running, []);
+    assert.deepEqual(line.waiting, [task.id]);
+    assert.equal((await ctx.request("GET", `/api/v1/tasks/${task.id}`)).body.task.queuePosition, 1);
+
+    await ctx.request("POST", `/api/v1/tasks/${task.id}/resume`);
+    await waitFor(() => stored(task.id).status === "completed", { what: "the resumed task", timeout: 10000 });
+    assert.equal(stored(task.id).sentMessages, 3);
+    assert.deepEqual(socket.sent.slice(-3).map(entry => entry.content.text), ["E1", "E2", "E3"]);
+});
+
+// The last message waits for the session to come back; the owner acts meanwhile
+async function waitingOnSession(texts) {
+    const task = await send(texts);
+    await waitFor(() => stored(task.id).sentMessages === texts.length - 1, { what: "all but the last message" });
+    socket.close(DisconnectReason.connectionClosed);
+    await waitFor(() => stored(task.id).paused, { what: "the task to wait for its session" });
+    return task;
+}
+
+async function reopen() {
+    await waitFor(() => ctx.transport.lastSocket(sessionId) !== socket, { what: "the reconnect" });
+    socket = ctx.transport.lastSocket(sessionId);
+    socket.open({ id: "9779800000240:4@s.whatsapp.net" });
+}
+
+test("pausing before the last message went out keeps it for the resume", async () => {
+    const task = await waitingOnSession(["F1", "F2"]);
+    assert.equal((await ctx.request("POST", `/api/v1/tasks/${task.id}/pause`)).status, 200);
+    await waitFor(() => stored(task.id).status === "paused", { what: "the task to pause" });
+    assert.equal(stored(task.id).cursor, 1);
+    assert.equal(stored(task.id).endedAt, undefined);
+
+    await reopen();
+    await ctx.request("POST", `/api/v1/tasks/${task.id}/resume`);
+    await waitFor(() => stored(task.id).status === "completed", { what: "the resumed task" });
+    assert.equal(stored(task.id).sentMessages, 2);
+    assert.deepEqual(socket.sent.map(entry => entry.content.text), ["F2"]);
+});
+
+test("stopping before the last message went out ends the task stopped", async () => {
+    const task = await waitingOnSession(["G1", "G2"]);
+    await ctx.request("POST", `/api/v1/tasks/${task.id}/stop`);
+    await waitFor(() => stored(task.id).status === "stopped", { what: "the task to stop" });
+    assert.equal(stored(task.id).cursor, 1);
+    const { body } = await ctx.request("GET", `/api/v1/tasks/${task.id}/messages`);
+    assert.deepEqual(body.messages.map(entry => entry.status), ["sent", "queued"]);
+    await reopen();
+});
@@ -0,0 +1,104 @@
+// test/tasks.test.js
+// Task status API: filtered and paged listing, one task, stopping and the live
+// progress streams
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./helpers");
+const { describeTask } = require("../routes/tasks");
+
+let ctx;
+let sessionId;
+before(async () => {
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000100");
+});
+after(() => ctx.stop());
+
+async function startTask(target, lines, delaySec = "1") {
+    const form = new FormData();
+    form.append("target", target);
+    form.append("targetType", "number");
+    form.append("delaySec", delaySec);
+    form.append("messageFile", new Blob([lines.join("\n")], { type: "text/plain" }), "messages.txt");
+    const { body } = await ctx.request("POST", "/send-message", { body: form });
+    return body.match(/id="taskId">([^<]+)</)[1];
+}
+
+const ended = taskId => Boolean(ctx.server.taskStore.get(taskId)?.endedAt);
+
+test("describeTask derives progress and an ETA from the cursor", () => {
+    const running = describeTask({ totalMessages: 4, cursor: 1, delaySec: 5 });
+    assert.equal(running.processed, 1);
+    assert.equal(running.progress, 25);
+    assert.equal(running.etaSeconds, 15);
+    assert.equal(describeTask({ totalMessages: 4, cursor: 1, paused: true }).etaSeconds, null);
+    assert.equal(describeTask({ totalMessages: 4, cursor: 4, endedAt: new Date() }).etaSeconds, 0);
+});
+
+test("the streams report a task's state, every send and the finish", async () => {
+    const stream = await ctx.events("/api/v1/tasks/events");
+    const taskId = await startTask("9779811111111", ["one", "two"]);
+    const own = await ctx.events(`/api/v1/tasks/${taskId}/events`);
+    try {
+        const queued = await stream.next("task");
+        assert.equal(queued.type, "queued");
+        assert.equal(queued.task.queuePosition, 1);
+        const started = await stream.next("task");
+        assert.equal(started.type, "started");
+        assert.equal(started.task.id, taskId);
+        const sent = await stream.next("task");
+        assert.equal(sent.type, "sent");
+        assert.equal(sent.index, 0);
+
+        const state = await own.next("state");
+        assert.equal(state.task.id, taskId);
+        assert.equal(state.task.totalMessages, 2);
+        const finished = await own.next("finished");
+        assert.equal(finished.task.status, "completed");
+        assert.equal(finished.task.progress, 100);
+    } finally {
+        stream.close();
+        own.close();
+    }
+});
+
+test("GET /tasks filters and pages the caller's tasks", async () => {
+    const other = await startTask("9779822222222", ["x"]);
+    await waitFor(() => ended(other), { what: "the task to finish" });
+
+    const all = await ctx.request("GET", "/api/v1/tasks");
+    assert.equal(all.body.total, 2);
+    assert.deepEqual(all.body.tasks.map(task => task.target), ["9779822222222", "9779811111111"]);
+
+    const byTarget = await ctx.request("GET", "/api/v1/tasks?target=9779822222222");
+    assert.deepEqual(byTarget.body.tasks.map(task => task.id), [other]);
+    const paged = await ctx.request("GET", "/api/v1/tasks?limit=1&offset=1");
+    assert.equal(paged.body.total, 2);
+    assert.deepEqual(paged.body.tasks.map(task => task.target), ["9779811111111"]);
+    assert.equal((await ctx.request("GET", "/api/v1/tasks?active=true")).body.total, 0);
+    assert.equal((await ctx.request("GET", "/api/v1/tasks?status=stopped,blocked")).body.total, 0);
+    assert.equal((await ctx.request("GET", `/api/v1/tasks?since=${new Date(Date.now() + 60000).toISOString()}`)).body.total, 0);
+
+    const one = await ctx.request("GET", `/api/v1/tasks/${other}`);
+    assert.equal(one.body.task.id, other);
+    assert.equal(one.body.delivery.sent, 1);
+
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    const hidden = await ctx.request("GET", `/api/v1/tasks/${other}`, { apiKey: stranger.body.apiKey });
+    assert.equal(hidden.status, 404);
+});
+
+test("POST /api/v1/tasks/{id}/stop stops a running task once", async () => {
+    const taskId = await startTask("9779833333333", ["a", "b", "c"], "2");
+    await waitFor(() => ctx.server.taskStore.get(taskId)?.sentMessages === 1, { what: "the first message" });
+
+    const { status, body } = await ctx.request("POST", `/api/v1/tasks/${taskId}/stop`);
+    assert.equal(status, 202);
+    assert.equal(body.task.stopRequested, true);
+    await waitFor(() => ended(taskId), { what: "the task to stop" });
+    assert.equal(ctx.server.taskStore.get(taskId).status, "stopped");
+
+    const again = await ctx.request("POST", `/api/v1/tasks/${taskId}/stop`);
+    assert.equal(again.status, 409);
+    assert.equal(again.body.error.code, "task_finished");
+});
@@ -0,0 +1,180 @@
+// test/webhooks.test.js
+// Signed webhook deliveries: registration, HMAC signatures, event filters,
+// retries with backoff and the dead-letter log
+const { after, before, test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const { startServer, waitFor } = require("./helpers");
+const { sign } = require("../lib/webhooks");
+
+let ctx;
+let sessionId;
+let socket;
+let receiver;
+let receiverUrl;
+const received = [];     // { headers, body, raw } per request, in order
+const answers = [];      // status codes for the next requests; 200 once empty
+
+before(async () => {
+    receiver = http.createServer((req, res) => {
+        let raw = "";
+        req.setEncoding("utf8");
+        req.on("data", chunk => {
+            raw += chunk;
+        });
+        req.on("end", () => {
+            received.push({ headers: req.headers, body: JSON.parse(raw), raw });
+            res.statusCode = answers.length > 0 ? answers.shift() : 200;
+            res.end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, "127.0.0.1", resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    ctx = await startServer();
+    sessionId = await ctx.pairAndOpen("9779800000150");
+    socket = ctx.transport.lastSocket(sessionId);
+});
+after(async () => {
+    await ctx.stop();
+    receiver.closeAllConnections();
+    await new Promise(resolve => receiver.close(resolve));
+});
+
+function incoming(text) {
+    return {
+        key: { remoteJid: "9779811111111@s.whatsapp.net", fromMe: false, id: `IN${Date.now()}` },
+        pushName: "Asha",
+        messageTimestamp: 1700000000,
+        message: { conversation: text }
+    };
+}
+
+const register = body => ctx.request("POST", `/api/v1/sessions/${sessionId}/webhooks`, { body });
+
+let hook;
+test("a webhook is registered with a secret that is shown only once", async () => {
+    const created = await register({ url: receiverUrl, events: ["message", "connection"] });
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_[0-9a-f]{48}$/);
+    hook = { ...created.body.webhook, secret: created.body.secret };
+
+    const listed = await ctx.request("GET", `/api/v1/sessions/${sessionId}/webhooks`);
+    assert.equal(listed.body.webhooks[0].secret, undefined);
+    assert.equal(listed.body.webhooks[0].secretHint, `${hook.secret.slice(0, 10)}…`);
+
+    assert.equal((await register({ url: "ftp://example.com" })).status, 400);
+    assert.equal((await register({ url: receiverUrl, events: ["typing"] })).status, 400);
+    assert.equal((await register({ url: receiverUrl, events: [] })).status, 400);
+});
+
+test("incoming messages are delivered with a verifiable signature", async () => {
+    socket.receive(incoming("hello"));
+    await waitFor(() => received.length === 1, { what: "the delivery" });
+    const [{ headers, body, raw }] = received;
+
+    assert.equal(headers["x-webhook-event"], "message");
+    assert.equal(headers["x-webhook-id"], body.id);
+    assert.equal(body.sessionId, sessionId);
+    assert.equal(body.data.text, "hello");
+    assert.equal(body.data.from, "9779811111111@s.whatsapp.net");
+
+    const timestamp = headers["x-webhook-timestamp"];
+    const expected = "sha256=" + crypto.createHmac("sha256", hook.secret).update(`${timestamp}.${raw}`).digest("hex");
+    assert.equal(headers["x-webhook-signature"], expected);
+    assert.equal(sign(hook.secret, timestamp, raw), expected);
+});
+
+test("only subscribed events are delivered", async () => {
+    received.length = 0;
+    const own = { key: { remoteJid: "9779811111111@s.whatsapp.net", fromMe: true, id: "OUT1" }, update: { status: 3 } };
+    socket.ev.emit("messages.update", [own]);
+    socket.ev.emit("connection.update", { connection: "connecting" });
+    await waitFor(() => received.length === 1, { what: "the connection delivery" });
+    assert.equal(received[0].body.type, "connection");
+    assert.deepEqual(received[0].body.data, { state: "connecting", statusCode: null, reason: null });
+});
+
+test("failed deliveries are retried under the same id until they succeed", async () => {
+    received.length = 0;
+    answers.push(503, 429);
+    socket.receive(incoming("retry me"));
+    await waitFor(() => received.length === 3, { what: "three attempts" });
+
+    assert.equal(new Set(received.map(r => r.headers["x-webhook-id"])).size, 1);
+    await waitFor(() => ctx.server.webhooks.get(hook.id).lastResult?.attempt === 3, { what: "the result" });
+    const { lastResult, consecutiveFailures } = ctx.server.webhooks.get(hook.id);
+    assert.equal(lastResult.ok, true);
+    assert.equal(consecutiveFailures, 0);
+});
+
+test("a delivery that cannot succeed goes to the dead-letter log", async () => {
+    received.length = 0;
+    answers.push(400);
+    socket.receive(incoming("rejected"));
+    await waitFor(() => received.length === 1, { what: "the delivery" });
+
+    const { body } = await waitFor(async () => {
+        const response = await ctx.request("GET", `/api/v1/webhooks/dead-letters?webhookId=${hook.id}`);
+        return response.body.total > 0 && response;
+    }, { what: "the dead letter" });
+    const [entry] = body.entries;
+    assert.equal(entry.attempts, 1, "a 400 is not retried");
+    assert.equal(entry.error, "HTTP 400");
+    assert.equal(entry.delivery.data.text, "rejected");
+
+    const stranger = await ctx.request("POST", "/api/v1/users", { body: { name: "stranger" } });
+    const theirs = await ctx.request("GET", "/api/v1/webhooks/dead-letters", { apiKey: stranger.body.apiKey });
+    assert.equal(theirs.body.total, 0);
+    assert.equal((await ctx.request("GET", `/api/v1/webhooks/${hook.id}`, { apiKey: stranger.body.apiKey })).status, 404);
+});
+
+test("results are written at once only when a webhook starts or stops failing", async () => {
+    const saved = () => JSON.parse(fs.readFileSync("data/webhooks.json", "utf-8"))[hook.id];
+    const deliver = async status => {
+        const count = received.length;
+        answers.push(status);
+        await ctx.request("POST", `/api/v1/webhooks/${hook.id}/test`);
+        await waitFor(() => received.length === count + 1 && ctx.server.webhooks.get(hook.id).lastResult.statusCode === status,
+            { what: `the ${status} answer` });
+    };
+
+    await deliver(200);
+    await deliver(404);
+    assert.equal(saved().consecutiveFailures, 1, "working to failing is written");
+    await deliver(410);
+    assert.equal(ctx.server.webhooks.get(hook.id).consecutiveFailures, 2);
+    assert.equal(saved().consecutiveFailures, 1, "still failing waits for the next save");
+    await deliver(200);
+    assert.equal(saved().consecutiveFailures, 0, "failing to working is written");
+    await deliver(201);
+    assert.equal(saved().lastResult.statusCode, 200);
+
+    ctx.server.webhooks.stop();
+    assert.equal(saved().lastResult.statusCode, 201, "stop writes what was waiting");
+
+    const { body } = await ctx.request("GET", `/api/v1/webhooks/dead-letters?webhookId=${hook.id}&limit=2`);
+    assert.deepEqual(body.entries.map(entry => entry.error), ["HTTP 410", "HTTP 404"], "newest first");
+});
+
+test("webhooks can be pinged, edited, re-keyed and removed", async () => {
+    received.length = 0;
+    const ping = await ctx.request("POST", `/api/v1/webhooks/${hook.id}/test`);
+    assert.equal(ping.status, 202);
+    await waitFor(() => received.length === 1, { what: "the ping" });
+    assert.equal(received[0].body.id, ping.body.deliveryId);
+    assert.equal(received[0].body.type, "ping");
+
+    const rotated = await ctx.request("POST", `/api/v1/webhooks/${hook.id}/rotate-secret`);
+    assert.notEqual(rotated.body.secret, hook.secret);
+
+    const disabled = await ctx.request("PATCH", `/api/v1/webhooks/${hook.id}`, { body: { enabled: false } });
+    assert.equal(disabled.body.webhook.enabled, false);
+    assert.equal((await ctx.request("POST", `/api/v1/webhooks/${hook.id}/test`)).status, 409);
+    assert.equal((await ctx.request("PATCH", `/api/v1/webhooks/${hook.id}`, { body: { secret: "mine" } })).status, 400);
+
+    assert.equal((await ctx.request("DELETE", `/api/v1/webhooks/${hook.id}`)).status, 200);
+    assert.equal((await ctx.request("GET", "/api/v1/webhooks")).body.total, 0);
+});